@@ -1,15 +1,278 @@
 /* @flow */
 
+import http from 'http'
 import https from 'https'
-import Debug from 'debug'
+import { URL } from 'url'
+import {
+  AbortError,
+  AuthenticationError,
+  ExchangeError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError
+} from './errors'
+import type { ErrorDetails } from './errors'
+import { isDecimalKey, parseJson } from './decimal'
+import { defaultNonceProvider } from './nonce'
+import type { NonceProvider } from './nonce'
+import { keepAliveAgent, ProxyAgent } from './transport'
+import { defaultLogger, isEnabled, redact, redactBody, SENSITIVE_FIELDS } from './log'
+import type { Logger } from './log'
+import type { Agent, RequestFunction, TransportOptions } from './transport'
 
-const debug = Debug('crypto-exchange-api:api')
+export type RateLimitOptions = {
+  mode?: 'queue' | 'throw',
+  maxQueueLength?: number,
+  maxWait?: number
+}
+
+export type RetryOptions = {
+  attempts?: number,
+  minDelay?: number,
+  maxDelay?: number,
+  factor?: number,
+  jitter?: boolean,
+  statusCodes?: number[],
+  errorCodes?: string[]
+}
+
+export type TimeoutOptions = {
+  connect?: number,
+  total?: number
+}
+
+export type AbortSignalLike = {
+  aborted: boolean,
+  +addEventListener: (type: string, listener: () => void) => void,
+  +removeEventListener: (type: string, listener: () => void) => void
+}
+
+export type RequestOptions = {
+  signal?: AbortSignalLike,
+  timeout?: TimeoutOptions
+}
+
+/**
+ * Options of bulk calls: how many requests may be in flight at once, and the
+ * timeouts and `AbortSignal` of each request.
+ */
+export type BulkOptions = RequestOptions & {
+  concurrency?: number
+}
+
+/**
+ * The outcome of one request of a bulk call: the `result` of the request
+ * when it succeeded, its `error` when it failed.
+ */
+export type BulkReport = {
+  request: Object,
+  success: boolean,
+  result?: any,
+  error?: Error
+}
+
+export type ApiOptions = {
+  rateLimit?: RateLimitOptions,
+  retry?: RetryOptions,
+  timeout?: TimeoutOptions,
+  nonce?: NonceProvider,
+  transport?: TransportOptions,
+  userAgent?: string,
+  headers?: { [string]: string },
+  logger?: Logger,
+  redactFields?: string[],
+  decimals?: boolean
+}
+
+export type HttpRequestOptions = {
+  method?: string,
+  protocol?: string,
+  host: string,
+  port?: string,
+  path: string,
+  headers?: { [string]: string | number | void | null }
+}
+
+/**
+ * What a middleware hook sees of a request. Hooks may change the `options`
+ * (e.g. add headers) before the request is sent, replace the `response`
+ * before it is parsed, or replace the `error` before it is thrown.
+ */
+export type MiddlewareContext = {
+  exchange: string,
+  options: HttpRequestOptions,
+  body?: string,
+  request: RequestOptions,
+  startedAt: number,
+  duration?: number,
+  response?: { statusCode: number, data: string },
+  result?: any,
+  error?: Error
+}
+
+export type Middleware = {
+  beforeRequest?: (context: MiddlewareContext) => mixed,
+  afterResponse?: (context: MiddlewareContext) => mixed,
+  onError?: (context: MiddlewareContext) => mixed
+}
+
+export const USER_AGENT: string = 'github.com/kesor/crypto-exchange-api v0.0.1'
+
+type QueuedRequest = { resolve: (number) => void, reject: (Error) => void, timer: any, unwatch: () => void }
+type RateQueue = { waiting: QueuedRequest[], timer: any }
 
+/**
+ * Base class for all exchange clients.
+ *
+ * @param {object} [options] client options
+ * @param {object} [options.rateLimit] what to do with requests over the rate limit
+ * @param {'queue'|'throw'} [options.rateLimit.mode='queue'] hold excess requests
+ * in a FIFO queue, or reject them right away
+ * @param {number} [options.rateLimit.maxQueueLength=Infinity] reject requests
+ * when this many are already waiting
+ * @param {number} [options.rateLimit.maxWait=Infinity] reject requests that
+ * waited in the queue longer than this many milliseconds
+ * @param {object} [options.retry] retry policy for transient failures, only
+ * used for requests that are safe to send more than once
+ * @param {number} [options.retry.attempts=3] maximum attempts per request,
+ * `1` disables retries
+ * @param {number} [options.retry.minDelay=200] delay before the first retry
+ * in milliseconds
+ * @param {number} [options.retry.maxDelay=5000] upper bound for the delay
+ * between retries in milliseconds
+ * @param {number} [options.retry.factor=2] multiplier of the delay on each
+ * subsequent retry
+ * @param {boolean} [options.retry.jitter=true] randomize the second half of
+ * each delay
+ * @param {number[]} [options.retry.statusCodes] HTTP status codes to retry on
+ * @param {string[]} [options.retry.errorCodes] network error codes to retry on
+ * @param {object} [options.timeout] default timeouts for every request, can
+ * be overridden per call
+ * @param {number} [options.timeout.connect=10000] milliseconds to wait for
+ * the connection to be established
+ * @param {number} [options.timeout.total=30000] milliseconds to wait for the
+ * whole response
+ * @param {NonceProvider} [options.nonce] source of nonces for signed requests,
+ * by default an in-memory provider shared by all clients in the process
+ * @param {object} [options.transport] how requests are sent, by default through
+ * a keep-alive agent shared by all clients of the same exchange host
+ * @param {https.Agent} [options.transport.agent] agent to send requests with,
+ * e.g. to limit the number of sockets
+ * @param {string} [options.transport.proxy] URL of an HTTP or HTTPS proxy to
+ * tunnel requests through
+ * @param {RequestFunction} [options.transport.request] replaces `https.request`
+ * @param {string} [options.userAgent] User-Agent header sent with every request
+ * @param {object} [options.headers] extra headers sent with every request
+ * @param {Logger} [options.logger] receives everything the client logs, by
+ * default written with `debug`
+ * @param {string[]} [options.redactFields=['address', 'paymentId']] body
+ * fields masked in logs, besides keys, secrets and signatures which are
+ * always masked
+ * @param {boolean} [options.decimals=false] return the prices and amounts of
+ * responses as exact {@link Decimal} values instead of numbers and strings,
+ * see {@link parseJson}
+ */
 export class API {
   name: string
+  rateLimit: { mode: 'queue' | 'throw', maxQueueLength: number, maxWait: number }
+  retry: {
+    attempts: number,
+    minDelay: number,
+    maxDelay: number,
+    factor: number,
+    jitter: boolean,
+    statusCodes: number[],
+    errorCodes: string[]
+  }
+  timeout: { connect: number, total: number }
+  nonceProvider: NonceProvider
+  transport: TransportOptions
+  userAgent: string
+  headers: { [string]: string }
+  middleware: Middleware[]
+  logger: Logger
+  redactFields: string[]
+  decimals: boolean
+  _rateQueues: Map<number[], RateQueue>
 
-  constructor () {
+  constructor (options?: ApiOptions = {}) {
     this.name = 'undefined'
+    this.rateLimit = Object.assign({
+      mode: 'queue',
+      maxQueueLength: Infinity,
+      maxWait: Infinity
+    }, options.rateLimit)
+    this.retry = Object.assign({
+      attempts: 3,
+      minDelay: 200,
+      maxDelay: 5000,
+      factor: 2,
+      jitter: true,
+      statusCodes: [408, 429, 500, 502, 503, 504],
+      errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+    }, options.retry)
+    this.timeout = Object.assign({ connect: 10000, total: 30000 }, options.timeout)
+    this.nonceProvider = options.nonce || defaultNonceProvider
+    this.logger = options.logger || defaultLogger
+    this.redactFields = options.redactFields || SENSITIVE_FIELDS
+    this.decimals = options.decimals === true
+    this.transport = this._createTransport(options.transport)
+    this.userAgent = options.userAgent || USER_AGENT
+    this.headers = Object.assign({}, options.headers)
+    this.middleware = []
+    this._rateQueues = new Map()
+  }
+
+  /**
+   * Resolve the transport options, creating the agent for a proxy.
+   *
+   * @private
+   */
+  _createTransport (options?: TransportOptions): TransportOptions {
+    let transport = Object.assign({}, options)
+    if (transport.proxy && !transport.agent) {
+      transport.agent = new ProxyAgent(transport.proxy, { logger: this.logger })
+    }
+    return transport
+  }
+
+  /**
+   * Log a message with credentials and sensitive fields masked. The `body`
+   * and `data` of the details are raw bodies, they are parsed to be masked.
+   *
+   * @private
+   * @param {string} message what happened
+   * @param {object} [details] request options, responses and the like
+   */
+  _log (message: string, details?: Object) {
+    if (!isEnabled(this.logger)) return
+    let masked = details && redact(details, this.redactFields)
+    for (let field of ['body', 'data']) {
+      if (masked && typeof masked[field] === 'string') masked[field] = redactBody(masked[field], this.redactFields)
+    }
+    this.logger.debug(`(${this.name}) ${message}`, masked)
+  }
+
+  /**
+   * Register middleware that observes or changes the requests of this client.
+   * Hooks run in the order they were registered, once for every attempt of a
+   * request:
+   *
+   * - `beforeRequest` after the request is signed, before it is sent
+   * - `afterResponse` after the response is received, before it is parsed
+   * - `onError` when the request fails, before the error is thrown
+   *
+   * @param {Middleware} middleware object with any of the hooks
+   * @returns {API} this client, for chaining
+   * @example
+   * plx.use({
+   *   beforeRequest: (ctx) => { ctx.options.headers['X-Trace-Id'] = uuid() },
+   *   afterResponse: (ctx) => console.log(ctx.options.path, ctx.duration)
+   * })
+   */
+  use (middleware: Middleware): this {
+    this.middleware.push(middleware)
+    return this
   }
 
   /**
@@ -24,11 +287,140 @@ export class API {
     return rates.length <= limit
   }
 
+  /**
+   * Returns how many milliseconds to wait until the next request fits in the
+   * per-second rate limit, dropping timestamps that are out of the window.
+   *
+   * @private
+   */
+  _rateLimitDelay (ts: number, limit: number, rates: number[]): number {
+    let edge = rates.findIndex((d) => ts - 1000 < d)
+    rates.splice(0, edge < 0 ? rates.length : edge)
+    let allowed = Math.max(1, Math.floor(limit))
+    if (rates.length < allowed) return 0
+    return rates[rates.length - allowed] + 1000 - ts
+  }
+
+  /**
+   * Wait for a free slot in the per-second rate limit. Requests over the limit
+   * are held in a FIFO queue and sent as soon as a slot frees up, or rejected
+   * right away when the `throw` rate limit mode is used. Requests whose
+   * `signal` is aborted while they wait are dropped from the queue.
+   *
+   * @private
+   * @param {number[]} rates timestamps of recent requests
+   * @param {number} limit maximum amount of requests per second
+   * @param {string} message error message for rejected requests
+   * @param {AbortSignalLike} [signal] aborts waiting for a slot
+   * @returns {Promise<number>} timestamp at which the request was let through
+   */
+  _rateLimited (rates: number[], limit: number, message: string, signal?: AbortSignalLike): Promise<number> {
+    if (this.rateLimit.mode === 'throw') {
+      let ts = Date.now()
+      return this._checkRateLimit(ts, limit, rates) ? Promise.resolve(ts) : Promise.reject(new RateLimitError(message, { exchange: this.name }))
+    }
+    let queue = this._rateQueue(rates)
+    if (queue.waiting.length >= this.rateLimit.maxQueueLength) {
+      return Promise.reject(new RateLimitError(`${message}, request queue is full`, { exchange: this.name }))
+    }
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new AbortError(`(${this.name}) request aborted`, { exchange: this.name }))
+      }
+      let request: QueuedRequest = { resolve, reject, timer: null, unwatch: () => {} }
+      let drop = (err: Error) => {
+        queue.waiting.splice(queue.waiting.indexOf(request), 1)
+        clearTimeout(request.timer)
+        request.unwatch()
+        reject(err)
+      }
+      if (this.rateLimit.maxWait < Infinity) {
+        request.timer = setTimeout(() => {
+          drop(new RateLimitError(`${message}, waited more than ${this.rateLimit.maxWait}ms`, { exchange: this.name }))
+        }, this.rateLimit.maxWait)
+      }
+      request.unwatch = this._watchSignal(signal, drop, { exchange: this.name })
+      queue.waiting.push(request)
+      this._drainRateQueue(rates, limit)
+    })
+  }
+
+  /**
+   * Returns the queue of requests waiting on a set of rate limit timestamps.
+   *
+   * @private
+   */
+  _rateQueue (rates: number[]): RateQueue {
+    let queue = this._rateQueues.get(rates)
+    if (!queue) {
+      queue = { waiting: [], timer: null }
+      this._rateQueues.set(rates, queue)
+    }
+    return queue
+  }
+
+  /**
+   * Let through as many queued requests as the rate limit allows, and schedule
+   * another run for when the next slot frees up.
+   *
+   * @private
+   */
+  _drainRateQueue (rates: number[], limit: number) {
+    let queue = this._rateQueue(rates)
+    if (queue.timer) return // already scheduled
+    while (queue.waiting.length > 0) {
+      let ts = Date.now()
+      let delay = this._rateLimitDelay(ts, limit, rates)
+      if (delay > 0) {
+        queue.timer = setTimeout(() => {
+          queue.timer = null
+          this._drainRateQueue(rates, limit)
+        }, delay)
+        return
+      }
+      let request = queue.waiting.shift()
+      clearTimeout(request.timer)
+      request.unwatch()
+      rates.push(ts)
+      request.resolve(ts)
+    }
+  }
+
+  /**
+   * Run a request for each of a list, at most `concurrency` at once, and
+   * report how each of them went instead of failing on the first error. The
+   * requests are still scheduled within the rate limit by the client.
+   *
+   * @private
+   * @param {object[]} requests parameters of each request
+   * @param {function} send sends a request
+   * @param {number} concurrency maximum amount of requests in flight
+   * @returns {Promise<BulkReport[]>} reports in the order of the requests
+   */
+  async _bulk (requests: Object[], send: (request: Object) => Promise<any>, concurrency: number): Promise<BulkReport[]> {
+    let reports: BulkReport[] = new Array(requests.length)
+    let next = 0
+    let worker = async () => {
+      while (next < requests.length) {
+        let index = next++
+        let request = requests[index]
+        try {
+          reports[index] = { request: request, success: true, result: await send(request) }
+        } catch (err) {
+          reports[index] = { request: request, success: false, error: err }
+        }
+      }
+    }
+    let workers = Math.max(1, Math.min(Math.floor(concurrency), requests.length))
+    await Promise.all(Array.from({ length: workers }, worker))
+    return reports
+  }
+
   // eslint-disable-next-line complexity
-  _resErrorMessage (response: { statusCode: number, data: string }) {
+  _resErrorMessage (response: { statusCode: number, data: string }, path?: string) {
     let data: {}
     try {
-      data = JSON.parse(response.data)
+      data = parseJson(response.data, this.decimals, (key) => this._isDecimal(key, path))
     } catch (e) {
       data = { error: response.data }
     }
@@ -42,37 +434,295 @@ export class API {
    * Parse https.request responses
    *
    * @private
+   * @param {object} response status code and body of the response
+   * @param {string} [path] path of the request, reported with errors
    */
-  _resJsonParse (response: { statusCode: number, data: string }) {
+  _resJsonParse (response: { statusCode: number, data: string }, path?: string) {
     try {
-      debug('(%s) Successful response %o', this.name, response)
-      return this._resErrorMessage(response) // throw error, will be catched and re-thrown
+      this._log('successful response', response)
+      return this._resErrorMessage(response, path) // throw error, will be catched and re-thrown
     } catch (e) {
-      debug('(%s) Response error %o', this.name, response)
-      throw new Error(`(${this.name}) HTTP ${response.statusCode} Returned error: ${e.message}`)
+      this._log('response error', response)
+      let ErrorClass = this._errorClass(e.message, response.statusCode)
+      throw new ErrorClass(`(${this.name}) HTTP ${response.statusCode} Returned error: ${e.message}`, {
+        exchange: this.name,
+        statusCode: response.statusCode,
+        body: response.data,
+        path: path
+      })
     }
   }
 
   /**
-   * Execute https.request(s)
+   * Whether a field of a response holds a price, amount, total or fee,
+   * returned as a decimal in decimal mode. Exchange clients with positional
+   * responses override this to recognize the positions of their endpoints.
    *
    * @private
+   * @param {string} key key of the field, or position of an array element
+   * @param {string} [path] path of the request
    */
-  _httpsRequest (options: {}, body?: string): Promise<*> {
+  _isDecimal (key: string, path?: string): boolean {
+    return isDecimalKey(key)
+  }
+
+  /**
+   * Choose the error class for an error returned by the exchange. Exchange
+   * clients override this to recognize their own error messages.
+   *
+   * @private
+   * @param {string} message error message returned by the exchange
+   * @param {number} statusCode HTTP status code of the response
+   */
+  _errorClass (message: string, statusCode: number): Class<ExchangeError> {
+    if (statusCode === 401 || statusCode === 403) return AuthenticationError
+    if (statusCode === 429) return RateLimitError
+    return ExchangeError
+  }
+
+  /**
+   * Run a request, and run it again with exponential backoff when it fails
+   * with a transient error. Requests that are not idempotent are never
+   * retried, the exchange might have acted on them before the failure. No
+   * attempt is made once the `signal` is aborted, also while backing off.
+   *
+   * @private
+   * @param {function} send sends the request, called again for every attempt
+   * @param {boolean} idempotent whether the request is safe to send again
+   * @param {AbortSignalLike} [signal] aborts the request and its retries
+   * @param {number} [attempt=1] current attempt number
+   * @returns {Promise<*>} result of the first successful attempt
+   */
+  async _retry (send: () => Promise<*>, idempotent: boolean, signal?: AbortSignalLike, attempt: number = 1): Promise<*> {
+    this._checkAborted(signal)
+    try {
+      return await send()
+    } catch (err) {
+      if (!idempotent || !this._isRetryable(err, attempt)) throw err
+      let delay = this._retryDelay(attempt)
+      this._log(`attempt ${attempt} failed with ${err.message}, retrying in ${delay}ms`)
+      await this._backoff(delay, signal)
+      return this._retry(send, idempotent, signal, attempt + 1)
+    }
+  }
+
+  /**
+   * Throw an `AbortError` when the `signal` is already aborted.
+   *
+   * @private
+   */
+  _checkAborted (signal?: AbortSignalLike) {
+    if (signal && signal.aborted) {
+      throw new AbortError(`(${this.name}) request aborted`, { exchange: this.name })
+    }
+  }
+
+  /**
+   * Wait before the next attempt, or until the `signal` is aborted.
+   *
+   * @private
+   */
+  _backoff (delay: number, signal?: AbortSignalLike): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let timer = setTimeout(() => {
+        unwatch()
+        resolve()
+      }, delay)
+      let unwatch = this._watchSignal(signal, (err) => {
+        clearTimeout(timer)
+        unwatch()
+        reject(err)
+      }, { exchange: this.name })
+    })
+  }
+
+  /**
+   * Whether a failed attempt should be retried under the retry policy.
+   *
+   * @private
+   */
+  _isRetryable (err: Object, attempt: number): boolean {
+    if (attempt >= this.retry.attempts) return false
+    return this.retry.statusCodes.includes(err.statusCode) || this.retry.errorCodes.includes(err.code)
+  }
+
+  /**
+   * Returns the delay in milliseconds before the next attempt.
+   *
+   * @private
+   */
+  _retryDelay (attempt: number): number {
+    let delay = Math.min(this.retry.maxDelay, this.retry.minDelay * Math.pow(this.retry.factor, attempt - 1))
+    return this.retry.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay
+  }
+
+  /**
+   * Build the request options for a path on an endpoint of the exchange,
+   * with the User-Agent and extra headers of the client. Headers of the
+   * request itself take precedence over the extra headers.
+   *
+   * @private
+   * @param {string} method HTTP method
+   * @param {URL} url endpoint of the exchange
+   * @param {string} path path and query string of the request
+   * @param {object} [headers] headers of the request
+   */
+  _requestOptions (
+    method: string,
+    url: URL,
+    path: string,
+    headers?: { [string]: string | number | void | null }
+  ): HttpRequestOptions {
+    return {
+      method: method,
+      protocol: url.protocol,
+      host: url.hostname,
+      port: url.port || undefined,
+      path: path,
+      headers: Object.assign({}, { 'User-Agent': this.userAgent }, this.headers, headers)
+    }
+  }
+
+  /**
+   * Send a request through the middleware of the client and parse its
+   * response.
+   *
+   * @private
+   * @param {object} options https.request options, with signed headers
+   * @param {string} [body] request body
+   * @param {object} [request] per-call timeouts and `AbortSignal`
+   */
+  async _send (options: HttpRequestOptions, body?: string, request?: RequestOptions = {}): Promise<*> {
+    let context: MiddlewareContext = { exchange: this.name, options: options, body: body, request: request, startedAt: Date.now() }
+    try {
+      await this._runMiddleware('beforeRequest', context)
+      let response = await this._httpsRequest(context.options, context.body, context.request)
+      context.duration = Date.now() - context.startedAt
+      context.response = response
+      await this._runMiddleware('afterResponse', context)
+      context.result = this._resJsonParse(context.response || response, context.options.path)
+      return context.result
+    } catch (err) {
+      context.error = err
+      await this._runMiddleware('onError', context)
+      throw context.error
+    }
+  }
+
+  /**
+   * Run one hook of every middleware in order.
+   *
+   * @private
+   */
+  async _runMiddleware (hook: 'beforeRequest' | 'afterResponse' | 'onError', context: MiddlewareContext): Promise<void> {
+    for (let middleware of this.middleware) {
+      let fn = middleware[hook]
+      if (fn) await fn(context)
+    }
+  }
+
+  /**
+   * Execute https.request(s) through the configured transport. The request is
+   * aborted when it does not connect or complete in time, or when the `signal`
+   * of the call is aborted.
+   *
+   * @private
+   * @param {object} options https.request options, plain http is used for
+   * the `http:` protocol
+   * @param {string} [body] request body
+   * @param {object} [request] per-call timeouts and `AbortSignal`
+   */
+  _httpsRequest (options: HttpRequestOptions, body?: string, request?: RequestOptions = {}): Promise<*> {
+    let signal = request.signal
+    let timeout = Object.assign({}, this.timeout, request.timeout)
+    let details = { exchange: this.name, path: options.path }
     return new Promise((resolve, reject) => {
-      debug('(%s) sending https request with body: %o and options:\n%O', this.name, body, options)
-      let req : https.ClientRequest = https.request(options, (res: https.IncomingMessage) => {
+      if (signal && signal.aborted) {
+        return reject(new AbortError(`(${this.name}) request aborted`, details))
+      }
+      this._log('sending https request', { options: options, body: body })
+      let { send, agent } = this._transportFor(options)
+      let req : https.ClientRequest = send(Object.assign({}, options, { agent: agent }), (res: https.IncomingMessage) => {
         let rawData: string = ''
         res.on('data', (chunk) => { rawData += chunk })
         res.on('end', () => {
+          done()
           return resolve({ statusCode: res.statusCode, data: rawData })
         })
       })
-      req.on('error', reject)
+      let fail = (err: Error) => {
+        done()
+        req.abort()
+        reject(err)
+      }
+      let unwatch = [this._watchTimeouts(req, timeout, fail, details), this._watchSignal(signal, fail, details)]
+      let done = () => unwatch.forEach((stop) => stop())
+      req.on('error', (err) => {
+        done()
+        reject(new NetworkError(`(${this.name}) ${err.message}`, Object.assign({}, { code: err.code }, details)))
+      })
       if (body) {
         req.write(body)
       }
       req.end()
     })
   }
+
+  /**
+   * Pick the request function and agent for a request, plain http for the
+   * `http:` protocol and https otherwise.
+   *
+   * @private
+   */
+  _transportFor (options: HttpRequestOptions): { send: RequestFunction, agent: Agent } {
+    let protocol = options.protocol === 'http:' ? 'http:' : 'https:'
+    return {
+      send: this.transport.request || (protocol === 'http:' ? http : https).request,
+      agent: this.transport.agent || keepAliveAgent(options.host, protocol)
+    }
+  }
+
+  /**
+   * Fail a request that does not connect or complete in time.
+   *
+   * @private
+   * @returns {function} stops watching the request
+   */
+  _watchTimeouts (
+    req: events$EventEmitter,
+    timeout: { connect: number, total: number },
+    fail: (Error) => void,
+    details?: ErrorDetails
+  ): () => void {
+    let total = setTimeout(() => {
+      fail(new TimeoutError(`(${this.name}) request timed out after ${timeout.total}ms`, details))
+    }, timeout.total)
+    let connect = setTimeout(() => {
+      fail(new TimeoutError(`(${this.name}) connection timed out after ${timeout.connect}ms`, details))
+    }, timeout.connect)
+    req.once('socket', (socket) => {
+      if (socket.connecting) {
+        socket.once('connect', () => clearTimeout(connect))
+      } else {
+        clearTimeout(connect)
+      }
+    })
+    return () => {
+      clearTimeout(total)
+      clearTimeout(connect)
+    }
+  }
+
+  /**
+   * Fail a request when its `AbortSignal` is aborted.
+   *
+   * @private
+   * @returns {function} stops watching the signal
+   */
+  _watchSignal (signal?: AbortSignalLike, fail: (Error) => void, details?: ErrorDetails): () => void {
+    if (!signal) return () => {}
+    let abort = () => fail(new AbortError(`(${this.name}) request aborted`, details))
+    signal.addEventListener('abort', abort)
+    return () => signal && signal.removeEventListener('abort', abort)
+  }
 }
@@ -1,6 +1,17 @@
 /* @flow */
 
 import { API } from './api'
+import type { ApiOptions, RequestOptions } from './api'
+import { toPlainString } from './decimal'
+import type { Numeric } from './decimal'
+import {
+  AuthenticationError,
+  ExchangeError,
+  InsufficientFundsError,
+  InvalidNonceError,
+  OrderNotFoundError,
+  RateLimitError
+} from './errors'
 import { URL } from 'url'
 import crypto from 'crypto'
 import querystring from 'querystring'
@@ -8,8 +19,27 @@ import querystring from 'querystring'
 
 // const debug = Debug('crypto-exchange-api:bitfinex')
 
+// read-only authenticated endpoints, sending these twice does no harm
+const READ_ONLY_PATHS: string[] = ['account_infos', 'account_fees', 'summary', 'balances', 'orders', 'mytrades']
+
+// messages of Bitfinex v1 errors that have a more specific error class
+const ERROR_MESSAGES: Array<[RegExp, Class<ExchangeError>]> = [
+  [/not enough .*balance/i, InsufficientFundsError],
+  [/^Nonce is too small/i, InvalidNonceError],
+  [/^(Could not find a key matching|Invalid X-BFX-SIGNATURE)/i, AuthenticationError],
+  [/^(No such order found|Order could not be cancelled)/i, OrderNotFoundError],
+  [/^(ERR_RATE_LIMIT|Ratelimit)/i, RateLimitError]
+]
+
 /**
  * Returns a client for the Bitfinex v1 REST API.
+ *
+ * @param {string} [key] your API key
+ * @param {string} [secret] your API key secret
+ * @param {number} [tradingRate=1.5] rate limit for authenticated API
+ * @param {object} [options] client options, see {@link API}
+ * @param {string} [options.endpoint='https://api.bitfinex.com/v1/'] URL of
+ * the API, e.g. of a local mock server
  */
 export class Bitfinex extends API {
   endpoint: string
@@ -21,9 +51,9 @@ export class Bitfinex extends API {
   tradingRate: number
   _tradingRateCount: number[]
 
-  constructor (key?: string, secret?: string, tradingRate?: number) {
-    super()
-    this.endpoint = 'https://api.bitfinex.com/v1/'
+  constructor (key?: string, secret?: string, tradingRate?: number, options?: BitfinexOptions = {}) {
+    super(options)
+    this.endpoint = options.endpoint || 'https://api.bitfinex.com/v1/'
     this.endpointUrl = new URL(this.endpoint)
     this.endpointHost = this.endpointUrl.hostname
     this.endpointPath = this.endpointUrl.pathname
@@ -40,24 +70,77 @@ export class Bitfinex extends API {
    *
    * {@link https://docs.bitfinex.com/v1/reference#rest-public-symbols}
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<string[]>} list of symbols
    */
-  symbols (): Promise<string[]> {
-    return this._get('symbols')
+  symbols (options?: RequestOptions): Promise<string[]> {
+    return this._get('symbols', undefined, options)
+  }
+
+  /**
+   * Return the best bid and ask, the last trade price and the 24 hour high,
+   * low and volume of a symbol.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-public-ticker}
+   *
+   * @param {string} symbol the symbol, e.g. `btcusd`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  ticker (symbol: string, options?: RequestOptions): Promise<{
+    mid: string, bid: string, ask: string, last_price: string,
+    low: string, high: string, volume: string, timestamp: string
+  }> {
+    return this._get(`pubticker/${symbol}`, undefined, options)
+  }
+
+  /**
+   * Return the full order book of a symbol.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-public-orderbook}
+   *
+   * @param {string} symbol the symbol, e.g. `btcusd`
+   * @param {object} [query] `limit_bids`, `limit_asks` and `group`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  orderbook (symbol: string, query?: { [string]: string | number | boolean }, options?: RequestOptions): Promise<{
+    bids: Array<{ price: string, amount: string, timestamp: string }>,
+    asks: Array<{ price: string, amount: string, timestamp: string }>
+  }> {
+    return this._get(`book/${symbol}`, query, options)
+  }
+
+  /**
+   * Return the most recent trades of a symbol.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-public-trades}
+   *
+   * @param {string} symbol the symbol, e.g. `btcusd`
+   * @param {object} [query] `timestamp` to return trades since, and
+   * `limit_trades`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  trades (symbol: string, query?: { [string]: string | number | boolean }, options?: RequestOptions): Promise<Array<{
+    timestamp: number, tid: number, price: string, amount: string, exchange: string, type: string
+  }>> {
+    return this._get(`trades/${symbol}`, query, options)
   }
 
   /**
    * Return information about your account
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    */
-  accountInfo (): Promise<{}[]> {
-    return this._post('account_infos')
+  accountInfo (options?: RequestOptions): Promise<{}[]> {
+    return this._post('account_infos', undefined, options)
   }
 
   /**
    * Return your withdrawal fees
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    */
-  accountFees (): Promise<{}[]> {
-    return this._post('account_fees')
+  accountFees (options?: RequestOptions): Promise<{}[]> {
+    return this._post('account_fees', undefined, options)
   }
 
   /**
@@ -67,42 +150,101 @@ export class Bitfinex extends API {
    * * `funding_profit_30d` - Funding profits for any currency for the last 30 days
    * * `maker_fees` - Your current fees for maker orders (limit orders not marketable, in percent)
    * * `taker_fees` - Your current fees for taker orders (marketable order, in percent)
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    */
-  summary (): Promise<{trade_vol30d: string, funding_profit_30d: string, maker_fees: number, taker_fees: number}> {
-    return this._post('summary')
+  summary (options?: RequestOptions): Promise<{trade_vol30d: string, funding_profit_30d: string, maker_fees: number, taker_fees: number}> {
+    return this._post('summary', undefined, options)
   }
 
   /**
    * Return your balances.
    *
    * {@link https://docs.bitfinex.com/v1/reference#rest-auth-wallet-balances}
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    */
-  balances (): Promise<{}[]> {
-    return this._post('balances')
+  balances (options?: RequestOptions): Promise<{}[]> {
+    return this._post('balances', undefined, options)
   }
 
   /**
    * Submit a new order.
    *
    * {@link https://bitfinex.readme.io/v1/reference#rest-auth-orders}
+   *
+   * @param {string} symbol the market, e.g. `ethbtc`
+   * @param {Numeric} amount amount to buy or sell
+   * @param {Numeric} price price of the order
+   * @param {'buy'|'sell'} side side of the order
+   * @param {string} type type of the order, e.g. `exchange limit`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    */
   order (
     symbol: string,
-    amount: number,
-    price: number,
+    amount: Numeric,
+    price: Numeric,
     side: 'buy' | 'sell',
     type: 'market' | 'limit' | 'stop' | 'trailing-stop' | 'fill-or-kill' |
           'exchange market' | 'exchange limit' | 'exchange stop' |
-          'exchange trailing-stop' | 'exchange fill-or-kill'
+          'exchange trailing-stop' | 'exchange fill-or-kill',
+    options?: RequestOptions
   ): Promise<{}> {
     return this._post('order/new', {
       symbol: symbol,
-      amount: amount.toString(),
-      price: price.toString(),
+      amount: toPlainString(amount),
+      price: toPlainString(price),
       side: side,
       type: type,
       ocoorder: false
-    })
+    }, options)
+  }
+
+  /**
+   * Cancel an order.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-auth-cancel-order}
+   *
+   * @param {number} orderId the id of the order
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  cancelOrder (orderId: number, options?: RequestOptions): Promise<{}> {
+    return this._post('order/cancel', { order_id: orderId }, options)
+  }
+
+  /**
+   * Return your active orders.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-auth-active-orders}
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  activeOrders (options?: RequestOptions): Promise<{}[]> {
+    return this._post('orders', undefined, options)
+  }
+
+  /**
+   * Return your past trades of a symbol.
+   *
+   * {@link https://docs.bitfinex.com/v1/reference#rest-auth-past-trades}
+   *
+   * @param {string} symbol the symbol, e.g. `btcusd`
+   * @param {object} [query] `timestamp` and `until` to limit the trades to a
+   * period, `limit_trades` and `reverse`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   */
+  pastTrades (symbol: string, query?: { [string]: string | number | boolean }, options?: RequestOptions): Promise<{}[]> {
+    return this._post('mytrades', Object.assign({}, { symbol: symbol }, query), options)
+  }
+
+  /**
+   * Recognize Bitfinex error messages, e.g. `Nonce is too small.` is reported
+   * as an {@link InvalidNonceError}.
+   *
+   * @private
+   */
+  _errorClass (message: string, statusCode: number): Class<ExchangeError> {
+    let known = ERROR_MESSAGES.find(([pattern]) => pattern.test(message))
+    return known ? known[1] : super._errorClass(message, statusCode)
   }
 
   /**
@@ -111,55 +253,52 @@ export class Bitfinex extends API {
    * @private
    * @param {string} path api path
    * @param {{[string]:string}} [query] api query parameters
+   * @param {RequestOptions} [request] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>}
    */
   async _get (
     path: string,
-    query?: { [string]: string | number | boolean }
+    query?: { [string]: string | number | boolean },
+    request?: RequestOptions
   ): Promise<*> {
     let qs = query ? '?' + querystring.stringify(query) : ''
-    const options = {
-      method: 'GET',
-      host: this.endpointHost,
-      path: this.endpointPath + path + qs,
-      headers: {
-        'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1'
-      }
-    }
-    return this._resJsonParse(await this._httpsRequest(options))
+    const options = this._requestOptions('GET', this.endpointUrl, this.endpointPath + path + qs)
+    return this._retry(async () => this._send(options, undefined, request), true, request && request.signal)
   }
 
   /**
-   * Send a POST request to the API endpoint and return results.
+   * Send a POST request to the API endpoint and return results. Only paths
+   * that read data are retried on transient failures, each attempt is sent
+   * with a fresh nonce.
    *
    * @private
    * @param {string} path api path
    * @param {{[string]:string}} [query] api query
+   * @param {RequestOptions} [request] timeouts and `AbortSignal` for this call
    */
-  async _post (path: string, query?: { [string]: string | number | boolean }): Promise<*> {
-    let ts = Date.now()
+  async _post (path: string, query?: { [string]: string | number | boolean }, request?: RequestOptions): Promise<*> {
     if (this.key === undefined || this.secret === undefined) {
-      throw new Error('Key and secret are not available for POST requests.')
-    }
-    if (!await this._checkRateLimit(ts, this.tradingRate, this._tradingRateCount)) {
-      throw new Error(`restricting requests to Bitfinex to maximum of ${this.tradingRate} per second`)
+      throw new AuthenticationError('Key and secret are not available for POST requests.', { exchange: this.name })
     }
-    let nonce: number = (ts * 100 - 1) + this._tradingRateCount.filter((d: number) => ts === d).length
-    let body: string = JSON.stringify(Object.assign({}, { request: this.endpointPath + path, nonce: nonce.toString() }, query))
-    let payload: string = Buffer.from(body).toString('base64')
-    const options = {
-      method: 'POST',
-      host: this.endpointHost,
-      path: this.endpointPath + path,
-      headers: {
-        'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1',
+    let signal = request && request.signal
+    return this._retry(async () => {
+      await this._rateLimited(this._tradingRateCount, this.tradingRate,
+        `restricting requests to Bitfinex to maximum of ${this.tradingRate} per second`, signal)
+      let nonce: number = await this.nonceProvider.next(this.key || '')
+      let body: string = JSON.stringify(Object.assign({}, { request: this.endpointPath + path, nonce: nonce.toString() }, query))
+      let payload: string = Buffer.from(body).toString('base64')
+      const options = this._requestOptions('POST', this.endpointUrl, this.endpointPath + path, {
         'Content-Type': 'application/x-www-form-urlencoded',
         'Content-Length': Buffer.byteLength(body),
         'X-Bfx-ApiKey': this.key,
         'X-Bfx-Payload': payload,
         'X-Bfx-Signature': crypto.createHmac('sha384', this.secret || '').update(payload).digest('hex')
-      }
-    }
-    return this._resJsonParse(await this._httpsRequest(options, body))
+      })
+      return this._send(options, body, request)
+    }, READ_ONLY_PATHS.includes(path), signal)
   }
 }
+
+export type BitfinexOptions = ApiOptions & {
+  endpoint?: string
+}
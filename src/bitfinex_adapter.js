@@ -0,0 +1,176 @@
+/* @flow */
+
+import { NotSupportedError } from './errors'
+import { Bitfinex } from './bitfinex'
+import { UnifiedClient, chronological, splitSymbol, toNumber } from './unified'
+import type { RequestOptions } from './api'
+import type { Balances, Order, OrderBook, OrderBookEntry, OrderRequest, OrderStatus, Ticker, Trade } from './unified'
+
+/**
+ * Unified interface over a {@link Bitfinex} v1 client. Bitfinex names markets
+ * in lower case, `ethbtc` is the `ETH/BTC` market. Orders are placed in the
+ * exchange wallet, and balances are those of the exchange wallet.
+ *
+ * @param {Bitfinex} client the Bitfinex client to use
+ * @example
+ * let exchange = new BitfinexAdapter(new Bitfinex(key, secret))
+ * await exchange.fetchOrderBook('BTC/USD', 5)
+ * // => {"symbol":"BTC/USD","timestamp":1507000000000,"sequence":null,"bids":[{"price":4346.3,"amount":1.5}, ... ],"asks":[ ... ]}
+ */
+export class BitfinexAdapter extends UnifiedClient {
+  client: Bitfinex
+
+  constructor (client: Bitfinex) {
+    super(client.name)
+    this.client = client
+  }
+
+  async fetchTicker (symbol: string, options?: RequestOptions): Promise<Ticker> {
+    let ticker = await this.client.ticker(this._market(symbol), options)
+    return {
+      symbol: symbol,
+      timestamp: Math.round(toNumber(ticker.timestamp) * 1000),
+      bid: toNumber(ticker.bid),
+      ask: toNumber(ticker.ask),
+      last: toNumber(ticker.last_price),
+      high: toNumber(ticker.high),
+      low: toNumber(ticker.low),
+      change: null,
+      baseVolume: toNumber(ticker.volume),
+      quoteVolume: null
+    }
+  }
+
+  async fetchOrderBook (symbol: string, depth?: number, options?: RequestOptions): Promise<OrderBook> {
+    let limit = depth || 10
+    let book = await this.client.orderbook(this._market(symbol), { limit_bids: limit, limit_asks: limit }, options)
+    let entry = (level): OrderBookEntry => ({ price: toNumber(level.price), amount: toNumber(level.amount) })
+    return {
+      symbol: symbol,
+      timestamp: Date.now(),
+      sequence: null,
+      bids: book.bids.map(entry),
+      asks: book.asks.map(entry)
+    }
+  }
+
+  async fetchTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    let trades = await this.client.trades(this._market(symbol), undefined, options)
+    return chronological(trades.map((trade) => this._trade(symbol, trade)))
+  }
+
+  async fetchBalances (options?: RequestOptions): Promise<Balances> {
+    let balances: Object[] = await this.client.balances(options)
+    let result: Balances = {}
+    balances.filter((balance) => balance.type === 'exchange').forEach((balance) => {
+      let total = toNumber(balance.amount)
+      let free = toNumber(balance.available)
+      result[balance.currency.toUpperCase()] = { free: free, used: total - free, total: total }
+    })
+    return result
+  }
+
+  async createOrder (order: OrderRequest, options?: RequestOptions): Promise<Order> {
+    // Bitfinex requires a positive price for market orders too, and ignores it
+    let placed = await this.client.order(this._market(order.symbol), order.amount, order.price || 1, order.side, this._orderType(order), options)
+    return this._order(order.symbol, placed)
+  }
+
+  async cancelOrder (id: string, symbol?: string, options?: RequestOptions): Promise<void> {
+    await this.client.cancelOrder(Number(id), options)
+  }
+
+  async fetchOpenOrders (symbol?: string, options?: RequestOptions): Promise<Order[]> {
+    let orders: Object[] = await this.client.activeOrders(options)
+    return orders
+      .map((order) => this._order(this._symbol(order.symbol), order))
+      .filter((order) => !symbol || order.symbol === symbol)
+  }
+
+  async fetchMyTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    let trades = await this.client.pastTrades(this._market(symbol), undefined, options)
+    return chronological(trades.map((trade) => this._trade(symbol, trade)))
+  }
+
+  /**
+   * The Bitfinex symbol of a market, `ETH/BTC` is `ethbtc`.
+   *
+   * @private
+   */
+  _market (symbol: string): string {
+    let { base, quote } = splitSymbol(symbol)
+    return (base + quote).toLowerCase()
+  }
+
+  /**
+   * The market of a Bitfinex symbol, `ethbtc` is `ETH/BTC`.
+   *
+   * @private
+   */
+  _symbol (market: string): string {
+    return `${market.slice(0, 3)}/${market.slice(3)}`.toUpperCase()
+  }
+
+  /**
+   * The Bitfinex order type of an order placed in the exchange wallet.
+   *
+   * @private
+   */
+  _orderType (order: OrderRequest): 'exchange market' | 'exchange limit' | 'exchange fill-or-kill' {
+    if (order.postOnly || order.timeInForce === 'IOC') {
+      throw new NotSupportedError(`(${this.name}) post-only and immediate-or-cancel orders are not supported`, { exchange: this.name })
+    }
+    if (order.type === 'market') return 'exchange market'
+    return order.timeInForce === 'FOK' ? 'exchange fill-or-kill' : 'exchange limit'
+  }
+
+  /**
+   * Normalize a public or personal trade. Bitfinex reports the fee of
+   * personal trades as a negative amount.
+   *
+   * @private
+   */
+  _trade (symbol: string, trade: Object): Trade {
+    let price = toNumber(trade.price)
+    let amount = toNumber(trade.amount)
+    return {
+      id: String(trade.tid),
+      symbol: symbol,
+      timestamp: Math.round(toNumber(trade.timestamp) * 1000),
+      side: trade.type.toLowerCase(),
+      price: price,
+      amount: amount,
+      cost: price * amount,
+      orderId: trade.order_id === undefined ? null : String(trade.order_id),
+      fee: trade.fee_amount === undefined ? null : { cost: Math.abs(toNumber(trade.fee_amount)), currency: trade.fee_currency }
+    }
+  }
+
+  /**
+   * Normalize an order status.
+   *
+   * @private
+   */
+  _order (symbol: string, order: Object): Order {
+    return {
+      id: String(order.id),
+      symbol: symbol,
+      timestamp: Math.round(toNumber(order.timestamp) * 1000),
+      side: order.side,
+      type: order.type.includes('market') ? 'market' : 'limit',
+      price: toNumber(order.price),
+      amount: toNumber(order.original_amount),
+      filled: toNumber(order.executed_amount),
+      remaining: toNumber(order.remaining_amount),
+      status: orderStatus(order)
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function orderStatus (order: { is_live: boolean, is_cancelled: boolean }): OrderStatus {
+  if (order.is_cancelled) return 'canceled'
+  return order.is_live ? 'open' : 'closed'
+}
@@ -1,11 +1,26 @@
 /* @flow */
 
 import { API } from './api'
+import type { RequestOptions } from './api'
+import type { BitfinexOptions } from './bitfinex'
 import { URL } from 'url'
 import querystring from 'querystring'
 
+// positions of the prices and amounts in the rows of each endpoint, every
+// position of tickers, also the periods of funding currencies
+const DECIMAL_POSITIONS: Array<[RegExp, ?number[]]> = [
+  [/\/tickers?[/?]/, null],
+  [/\/book\/f/, [0, 3]],
+  [/\/book\//, [0, 2]],
+  [/\/trades\//, [2, 3]]
+]
+
 /**
  * Returns a client for the Bitfinex v2 REST API.
+ *
+ * @param {object} [options] client options, see {@link API}
+ * @param {string} [options.endpoint='https://api.bitfinex.com/v2/'] URL of
+ * the API, e.g. of a local mock server
  */
 export class BitfinexV2 extends API {
   endpoint: string
@@ -13,9 +28,9 @@ export class BitfinexV2 extends API {
   endpointHost: string
   endpointPath: string
 
-  constructor () {
-    super()
-    this.endpoint = 'https://api.bitfinex.com/v2/'
+  constructor (options?: BitfinexOptions = {}) {
+    super(options)
+    this.endpoint = options.endpoint || 'https://api.bitfinex.com/v2/'
     this.endpointUrl = new URL(this.endpoint)
     this.endpointHost = this.endpointUrl.hostname
     this.endpointPath = this.endpointUrl.pathname
@@ -32,11 +47,13 @@ export class BitfinexV2 extends API {
    *
    * Helper function {@link tickersJSON} annotates the result with attribute names.
    *
-   * @param {Array<string>} tickers list of trading pairs and funding currencies
+   * @param {Array<string>} tickers list of trading pairs and funding currencies,
+   * optionally followed by timeouts and `AbortSignal` for this call
    * @returns {Promise<Array<Array<string|number>>}
    */
-  tickers (...tickers: Array<string>) {
-    return this._get('tickers', { symbols: tickers.join(',') })
+  tickers (...tickers: Array<string | RequestOptions>) {
+    let [symbols, options] = this._splitOptions(tickers)
+    return this._get('tickers', { symbols: symbols.join(',') }, options)
   }
 
   /**
@@ -44,10 +61,11 @@ export class BitfinexV2 extends API {
    * into an array of key/value pairs with information about the trading pairs and
    * funding currencies. @see tickers
    *
-   * @param {Array<string>} tickers list of trading pairs and funding currencies
+   * @param {Array<string>} tickers list of trading pairs and funding currencies,
+   * optionally followed by timeouts and `AbortSignal` for this call
    * @returns Promise<{[string]:{[string]:number}}>
    */
-  async tickersJSON (...tickers: string[]): Promise<{ [string]: { [string]: number } }> {
+  async tickersJSON (...tickers: Array<string | RequestOptions>): Promise<{ [string]: { [string]: number } }> {
     let res = await this.tickers(...tickers)
     let json: { [string]: { [string]: number } } = {}
     for (let ticker of res) {
@@ -67,10 +85,11 @@ export class BitfinexV2 extends API {
    * Helper function {@link tickerJSON} annotates the result with attribute names.
    *
    * @param {string} ticker a single name of a trading pair or a funding currency
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<Array<number>>}
    */
-  ticker (ticker: string) {
-    return this._get(`ticker/${ticker}`, {})
+  ticker (ticker: string, options?: RequestOptions) {
+    return this._get(`ticker/${ticker}`, {}, options)
   }
 
   /**
@@ -79,14 +98,60 @@ export class BitfinexV2 extends API {
    * funding currency. @see ticker
    *
    * @param {string} ticker a single name of a trading pair or a funding currency
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns Promise<{[string]:number}>
    */
-  async tickerJSON (ticker: string) {
-    let res = await this.ticker(ticker)
+  async tickerJSON (ticker: string, options?: RequestOptions) {
+    let res = await this.ticker(ticker, options)
     let json = this._jsonTorF(ticker, ...res)
     return json
   }
 
+  /**
+   * The order book of a trading pair or funding currency, as a list of price
+   * levels. Positive amounts are bids, negative amounts are asks.
+   *
+   * {@link https://bitfinex.readme.io/v2/reference#rest-public-books}
+   *
+   * @param {string} symbol a trading pair or funding currency, e.g. `tBTCUSD`
+   * @param {string} [precision='P0'] level of price aggregation, `P0` to `P4`,
+   * or `R0` for raw orders
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Array<Array<number>>>} `[price, count, amount]` levels
+   */
+  book (symbol: string, precision?: string, options?: RequestOptions): Promise<Array<Array<number>>> {
+    return this._get(`book/${symbol}/${precision || 'P0'}`, {}, options)
+  }
+
+  /**
+   * The most recent trades of a trading pair or funding currency.
+   *
+   * {@link https://bitfinex.readme.io/v2/reference#rest-public-trades}
+   *
+   * @param {string} symbol a trading pair or funding currency, e.g. `tBTCUSD`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Array<Array<number>>>} `[id, mts, amount, price]` trades,
+   * negative amounts are sells
+   */
+  trades (symbol: string, options?: RequestOptions): Promise<Array<Array<number>>> {
+    return this._get(`trades/${symbol}/hist`, {}, options)
+  }
+
+  /**
+   * Separate the per-call request options from a list of symbols.
+   *
+   * @private
+   * @param {Array<string|RequestOptions>} args symbols, optionally followed by
+   * request options
+   */
+  _splitOptions (args: Array<string | RequestOptions>): [string[], RequestOptions | void] {
+    let last = args[args.length - 1]
+    if (typeof last === 'object') {
+      return [(args.slice(0, -1): any), last]
+    }
+    return [(args: any), undefined]
+  }
+
   /**
    * @private
    * @param {string} name ticker name
@@ -143,22 +208,28 @@ export class BitfinexV2 extends API {
     }
   }
 
+  /**
+   * Responses are rows of values by position, e.g. `[price, count, amount]`
+   * price levels, only the prices and amounts are decimals.
+   *
+   * @private
+   */
+  _isDecimal (key: string, path?: string): boolean {
+    let endpoint = DECIMAL_POSITIONS.find(([pattern]) => pattern.test(path || ''))
+    let positions = endpoint ? endpoint[1] : []
+    return !positions || positions.indexOf(Number(key)) !== -1
+  }
+
   /**
    * Send a GET request to the API endpoint and return results.
    *
    * @private
    * @param {string} path api path
    * @param {{[string]:string}} query api query parameters
+   * @param {RequestOptions} [request] timeouts and `AbortSignal` for this call
    */
-  async _get (path: string, query: {} | { [string]: string | number | boolean }): Promise<*> {
-    const options = {
-      method: 'GET',
-      host: this.endpointHost,
-      path: this.endpointPath + path + '?' + querystring.stringify(query),
-      headers: {
-        'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1'
-      }
-    }
-    return this._resJsonParse(await this._httpsRequest(options))
+  async _get (path: string, query: {} | { [string]: string | number | boolean }, request?: RequestOptions): Promise<*> {
+    const options = this._requestOptions('GET', this.endpointUrl, this.endpointPath + path + '?' + querystring.stringify(query))
+    return this._retry(async () => this._send(options, undefined, request), true, request && request.signal)
   }
 }
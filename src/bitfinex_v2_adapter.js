@@ -0,0 +1,77 @@
+/* @flow */
+
+import { BitfinexV2 } from './bitfinex_v2'
+import { UnifiedClient, chronological, splitSymbol, toNumber, toNumberOrNull } from './unified'
+import type { RequestOptions } from './api'
+import type { OrderBook, Ticker, Trade } from './unified'
+
+/**
+ * Unified interface over a {@link BitfinexV2} client. Bitfinex v2 names
+ * trading pairs with a `t` prefix, `tETHBTC` is the `ETH/BTC` market. The v2
+ * client only covers public market data, the account and order operations
+ * reject with a {@link NotSupportedError}.
+ *
+ * @param {BitfinexV2} client the Bitfinex v2 client to use
+ */
+export class BitfinexV2Adapter extends UnifiedClient {
+  client: BitfinexV2
+
+  constructor (client: BitfinexV2) {
+    super(client.name)
+    this.client = client
+  }
+
+  async fetchTicker (symbol: string, options?: RequestOptions): Promise<Ticker> {
+    let ticker = await this.client.tickerJSON(this._pair(symbol), options)
+    return {
+      symbol: symbol,
+      timestamp: Date.now(),
+      bid: toNumber(ticker.bid),
+      ask: toNumber(ticker.ask),
+      last: toNumber(ticker.last_price),
+      high: toNumberOrNull(ticker.high),
+      low: toNumberOrNull(ticker.low),
+      change: toNumberOrNull(ticker.daily_change_perc),
+      baseVolume: toNumberOrNull(ticker.volume),
+      quoteVolume: null
+    }
+  }
+
+  async fetchOrderBook (symbol: string, depth?: number, options?: RequestOptions): Promise<OrderBook> {
+    let book = await this.client.book(this._pair(symbol), 'P0', options)
+    let levels = book.map(([price, count, amount]) => [toNumber(price), count, toNumber(amount)])
+    let limit = depth || 10
+    return {
+      symbol: symbol,
+      timestamp: Date.now(),
+      sequence: null,
+      bids: levels.filter((level) => level[2] > 0).slice(0, limit).map((level) => ({ price: level[0], amount: level[2] })),
+      asks: levels.filter((level) => level[2] < 0).slice(0, limit).map((level) => ({ price: level[0], amount: -level[2] }))
+    }
+  }
+
+  async fetchTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    let trades = await this.client.trades(this._pair(symbol), options)
+    return chronological(trades.map(([id, timestamp, amount, price]) => ({
+      id: String(id),
+      symbol: symbol,
+      timestamp: timestamp,
+      side: toNumber(amount) < 0 ? 'sell' : 'buy',
+      price: toNumber(price),
+      amount: Math.abs(toNumber(amount)),
+      cost: toNumber(price) * Math.abs(toNumber(amount)),
+      orderId: null,
+      fee: null
+    })))
+  }
+
+  /**
+   * The Bitfinex v2 trading pair of a market, `ETH/BTC` is `tETHBTC`.
+   *
+   * @private
+   */
+  _pair (symbol: string): string {
+    let { base, quote } = splitSymbol(symbol)
+    return `t${base}${quote}`
+  }
+}
@@ -0,0 +1,148 @@
+/* @flow */
+
+import Big from 'big.js'
+
+/**
+ * Exact decimal numbers, the `Big` class of big.js, see
+ * http://mikemcl.github.io/big.js/. Prices and amounts are returned as
+ * decimals by clients created with the `decimals` option, and order methods
+ * take them as well as numbers and decimal strings.
+ *
+ * @example
+ * new Decimal('0.00007600').times('140').toFixed()
+ * // => '0.01064'
+ */
+export const Decimal = Big
+
+/**
+ * A price or amount: a number, a decimal string such as `"0.00007600"`, or
+ * a {@link Decimal}.
+ */
+export type Numeric = number | string | Big
+
+// a number, as a number literal or as a string
+const NUMERIC: RegExp = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/
+
+// the strings and number literals of JSON text
+const JSON_TOKENS: RegExp = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g
+
+// keys of the prices, amounts, totals and fees of responses, and of the
+// amounts keyed by currency such as balances, e.g. `BTC` and `totalBTC`
+const DECIMAL_KEYS: RegExp = new RegExp('^(' + [
+  'rate', 'amount', 'total', 'fee', 'fees', 'price', 'last', 'lowestAsk', 'highestBid', 'percentChange',
+  'baseVolume', 'quoteVolume', 'high24hr', 'low24hr', 'high', 'low', 'open', 'close', 'volume',
+  'weightedAverage', 'txFee', 'maxDailyWithdrawal', 'available', 'onOrders', 'btcValue', 'startingAmount',
+  'makerFee', 'takerFee', 'thirtyDayVolume', 'nextTier', 'totalValue', 'pl', 'lendingFees', 'netValue',
+  'totalBorrowedValue', 'currentMargin', 'basePrice', 'liquidationPrice', 'interest', 'earned',
+  'minQuantity', 'minAmount', 'asks', 'bids', 'mid', 'bid', 'ask', 'last_price', 'maker_fees', 'taker_fees',
+  'trade_vol_30d', 'funding_profit_30d', 'fee_amount', 'executed_amount', 'remaining_amount',
+  'original_amount', 'avg_execution_price', 'total[A-Z]+', '(?=[A-Z0-9]*[A-Z])[A-Z0-9]{2,12}'
+].join('|') + ')$')
+
+/**
+ * Whether a key of a response holds a price, amount, total or fee, or a
+ * list of them such as the price levels of `asks`.
+ *
+ * @param {string} key key of a response field
+ * @returns {boolean}
+ */
+export function isDecimalKey (key: string): boolean {
+  return DECIMAL_KEYS.test(key)
+}
+
+/**
+ * Parses JSON text. With `decimals`, the prices, amounts, totals and fees
+ * are parsed as exact {@link Decimal} values whatever their value, as number
+ * literals or as strings, and other fields are kept, e.g. ids, timestamps
+ * and sequence numbers. Fields are decided by their key, see
+ * {@link isDecimalKey}, and the scalar elements of arrays by their position
+ * as well. Integers too large for a float are kept as strings of their
+ * digits.
+ *
+ * @param {string} text JSON text
+ * @param {boolean} [decimals=false] whether to parse decimals exactly
+ * @param {function} [isDecimal=isDecimalKey] whether a key, or the position
+ * of an element, holds a decimal
+ * @returns {any}
+ * @example
+ * parseJson('{"rate":"0.00007600","amount":140,"tradeID":16164}', true)
+ * // => {"rate":Decimal(0.000076),"amount":Decimal(140),"tradeID":16164}
+ */
+export function parseJson (text: string, decimals?: boolean, isDecimal?: (key: string) => boolean = isDecimalKey): any {
+  if (!decimals) return JSON.parse(text)
+  // quote the number literals a float cannot hold, before JSON.parse turns them into floats
+  let quoted = text.replace(JSON_TOKENS, (token) => token[0] === '"' || Number.isSafeInteger(Number(token)) ? token : `"${token}"`)
+  return decimalFields(JSON.parse(quoted), false, isDecimal)
+}
+
+/**
+ * Turn the decimal fields of parsed JSON into decimals.
+ *
+ * @private
+ */
+function decimalFields (value: any, decimal: boolean, isDecimal: (key: string) => boolean): any {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => decimalFields(item, decimal || (!isObject(item) && isDecimal(String(index))), isDecimal))
+  }
+  if (isObject(value)) {
+    let object = value
+    Object.keys(object).forEach((key) => { object[key] = decimalFields(object[key], isDecimal(key), isDecimal) })
+    return object
+  }
+  return decimal && isNumeric(value) ? new Big(String(value)) : value
+}
+
+/**
+ * Objects and arrays.
+ *
+ * @private
+ */
+function isObject (value: mixed): boolean {
+  return value !== null && typeof value === 'object'
+}
+
+/**
+ * Numbers, and strings of numbers.
+ *
+ * @private
+ */
+function isNumeric (value: mixed): boolean {
+  return (typeof value === 'number' || typeof value === 'string') && NUMERIC.test(String(value))
+}
+
+/**
+ * A price or amount as a decimal.
+ *
+ * @param {Numeric} value number, decimal string or decimal
+ * @returns {Decimal}
+ */
+export function toDecimal (value: Numeric): Big {
+  return value instanceof Big ? value : new Big(value)
+}
+
+/**
+ * Formats a price or amount with a number of decimals, rounded half up.
+ * Numbers are formatted with their `toFixed`, decimal strings and decimals
+ * exactly.
+ *
+ * @param {Numeric} value number, decimal string or decimal
+ * @param {number} precision number of decimals
+ * @returns {string}
+ * @example
+ * toFixed('0.123456785', 8)
+ * // => '0.12345679'
+ */
+export function toFixed (value: Numeric, precision: number): string {
+  return typeof value === 'number' ? value.toFixed(precision) : toDecimal(value).toFixed(precision)
+}
+
+/**
+ * Formats a price or amount with all its decimals. Numbers are formatted
+ * with their `toString`, decimal strings and decimals without an exponent.
+ *
+ * @param {Numeric} value number, decimal string or decimal
+ * @returns {string}
+ */
+export function toPlainString (value: Numeric): string {
+  return typeof value === 'number' ? value.toString() : toDecimal(value).toFixed()
+}
@@ -0,0 +1,111 @@
+/* @flow */
+
+/**
+ * Base class for all errors returned by the exchange clients.
+ *
+ * @param {string} message error description
+ * @param {object} [details] what the error is about
+ * @param {string} [details.exchange] name of the exchange client
+ * @param {number} [details.statusCode] HTTP status code of the response
+ * @param {string} [details.body] raw body of the response
+ * @param {string} [details.path] path of the request
+ */
+export class ExchangeError extends Error {
+  exchange: string | void
+  statusCode: number | void
+  body: string | void
+  path: string | void
+
+  constructor (message: string, details?: ErrorDetails = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.exchange = details.exchange
+    this.statusCode = details.statusCode
+    this.body = details.body
+    this.path = details.path
+  }
+}
+
+/**
+ * The API key or secret are missing, invalid or lack a permission.
+ */
+export class AuthenticationError extends ExchangeError {}
+
+/**
+ * Too many requests, either rejected locally or by the exchange.
+ */
+export class RateLimitError extends ExchangeError {}
+
+/**
+ * The balance is not enough for the order, loan offer or withdrawal.
+ */
+export class InsufficientFundsError extends ExchangeError {}
+
+/**
+ * The nonce was not greater than the one of a previous request.
+ */
+export class InvalidNonceError extends ExchangeError {}
+
+/**
+ * The order does not exist, or does not belong to you.
+ */
+export class OrderNotFoundError extends ExchangeError {}
+
+/**
+ * The order, or loan offer, breaks a rule of its market, e.g. its minimum
+ * total, or the market is frozen.
+ */
+export class InvalidOrderError extends ExchangeError {}
+
+/**
+ * The exchange, or its client, does not offer the requested operation.
+ */
+export class NotSupportedError extends ExchangeError {}
+
+/**
+ * The withdrawal breaks a rule of its withdrawal guard, e.g. its address is
+ * not allowed or it exceeds a limit, and was not sent.
+ */
+export class WithdrawalRejectedError extends ExchangeError {}
+
+/**
+ * The request failed before a response was received. The `code` is the
+ * one of the underlying socket error, e.g. `ECONNRESET`.
+ */
+export class NetworkError extends ExchangeError {
+  code: string | void
+
+  constructor (message: string, details?: ErrorDetails = {}) {
+    super(message, details)
+    this.code = details.code
+  }
+}
+
+/**
+ * A request did not complete within its connect or total timeout.
+ */
+export class TimeoutError extends NetworkError {
+  constructor (message: string, details?: ErrorDetails = {}) {
+    super(message, Object.assign({}, { code: 'ETIMEDOUT' }, details))
+  }
+}
+
+/**
+ * A request was cancelled through its `AbortSignal`.
+ */
+export class AbortError extends ExchangeError {
+  code: string
+
+  constructor (message: string, details?: ErrorDetails = {}) {
+    super(message, details)
+    this.code = 'ABORT_ERR'
+  }
+}
+
+export type ErrorDetails = {
+  exchange?: string,
+  statusCode?: number,
+  body?: string,
+  path?: string,
+  code?: string
+}
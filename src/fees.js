@@ -0,0 +1,310 @@
+/* @flow */
+
+import { InvalidOrderError, NotSupportedError } from './errors'
+import { toNumber } from './unified'
+import type { Numeric } from './decimal'
+import type { RequestOptions } from './api'
+
+export type Liquidity = 'maker' | 'taker'
+
+/**
+ * The fee tier of an account, with `maker` and `taker` fee rates as
+ * fractions, e.g. 0.0015 for 0.15%, and the trailing 30-day `volume` and the
+ * volume of the `nextTier` when the exchange reports them.
+ */
+export type FeeTier = {
+  maker: number,
+  taker: number,
+  volume: ?number,
+  nextTier: ?number,
+  loadedAt: number
+}
+
+/**
+ * An order to estimate the fee of. Limit orders are taken to take liquidity,
+ * unless they are `postOnly` on an exchange that cancels post-only orders
+ * that would take.
+ */
+export type FeeOrder = {
+  side: 'buy' | 'sell',
+  price: Numeric,
+  amount: Numeric,
+  type?: 'limit' | 'market',
+  postOnly?: boolean
+}
+
+/**
+ * The predicted fee of an order. Fees are charged in the currency received,
+ * so `fee` and `net` are in the currency bought for buys, and in the
+ * currency prices are in for sells. `total` is the price times the amount,
+ * and `breakEven` the price at which closing the trade at the same fee rate
+ * makes up for the fees of both trades.
+ */
+export type FeeEstimate = {
+  liquidity: Liquidity,
+  feeRate: number,
+  total: number,
+  fee: number,
+  net: number,
+  breakEven: number
+}
+
+/**
+ * A trade of the account with its actual fee and the fee predicted for it,
+ * in the currency `received`. A positive `difference` is a fee higher than
+ * predicted.
+ */
+export type FeeReconciliation = {
+  id: string,
+  orderId: ?string,
+  side: 'buy' | 'sell',
+  price: number,
+  amount: number,
+  received: number,
+  feeRate: number,
+  fee: number,
+  predictedRate: number,
+  predictedFee: number,
+  difference: number
+}
+
+// fees differing less than this match their prediction
+const TOLERANCE = 1e-8
+
+/**
+ * How the fees of an exchange are loaded, whether its post-only orders are
+ * guaranteed to make liquidity, and how its trades report fees.
+ *
+ * @private
+ */
+const SCHEDULES: { [exchange: string]: {
+  postOnly: boolean,
+  load: (client: Object, options?: RequestOptions) => Promise<FeeTier>,
+  trade: (trade: Object) => { id: string, orderId: ?string, side: 'buy' | 'sell', price: number, amount: number, received: number, fee: number }
+} } = {
+  poloniex: {
+    postOnly: true,
+    async load (client, options) {
+      let info = await client.returnFeeInfo(options)
+      return {
+        maker: toNumber(info.makerFee),
+        taker: toNumber(info.takerFee),
+        volume: toNumber(info.thirtyDayVolume),
+        nextTier: toNumber(info.nextTier),
+        loadedAt: Date.now()
+      }
+    },
+    // the fee is a rate of the amount bought or the total sold
+    trade (trade) {
+      let amount = toNumber(trade.amount)
+      let received = trade.type === 'buy' ? amount : toNumber(trade.total)
+      return {
+        id: String(trade.tradeID),
+        orderId: trade.orderNumber === undefined ? null : String(trade.orderNumber),
+        side: trade.type,
+        price: toNumber(trade.rate),
+        amount: amount,
+        received: received,
+        fee: toNumber(trade.fee) * received
+      }
+    }
+  },
+  bitfinex: {
+    // the v1 client does not place post-only orders
+    postOnly: false,
+    async load (client, options) {
+      let summary = await client.summary(options)
+      return { maker: toNumber(summary.maker_fees) / 100, taker: toNumber(summary.taker_fees) / 100, volume: null, nextTier: null, loadedAt: Date.now() }
+    },
+    // the fee is a negative amount
+    trade (trade) {
+      let side = trade.type.toLowerCase()
+      let price = toNumber(trade.price)
+      let amount = toNumber(trade.amount)
+      return {
+        id: String(trade.tid),
+        orderId: trade.order_id === undefined ? null : String(trade.order_id),
+        side: side,
+        price: price,
+        amount: amount,
+        received: side === 'buy' ? amount : price * amount,
+        fee: Math.abs(toNumber(trade.fee_amount))
+      }
+    }
+  }
+}
+
+/**
+ * Predicts what orders cost in fees, with the current fee tier of the
+ * account on each exchange, and reconciles the predictions with the fees
+ * actually charged. Fee tiers are loaded when first needed, and again once
+ * they are older than `ttl`.
+ *
+ * Poloniex and Bitfinex are supported, with the fee tiers of
+ * `returnFeeInfo` and `summary`.
+ *
+ * @param {Object<string, object>} clients exchange clients with key and
+ * secret, by exchange name
+ * @param {object} [options]
+ * @param {number} [options.ttl=3600000] milliseconds fee tiers are cached for
+ * @example
+ * let fees = new FeeEngine({ poloniex: plx, bitfinex: bfx })
+ * await fees.estimate('poloniex', { side: 'buy', price: 0.079, amount: 20, postOnly: true })
+ * // => {"liquidity":"maker","feeRate":0.0015,"total":1.58,"fee":0.03,"net":19.97,"breakEven":0.07923...}
+ */
+export class FeeEngine {
+  clients: { [exchange: string]: Object }
+  ttl: number
+  _tiers: Map<string, { loadedAt: number, tier: Promise<FeeTier> }>
+
+  constructor (clients: { [exchange: string]: Object }, options?: { ttl?: number } = {}) {
+    this.clients = clients
+    this.ttl = options.ttl === undefined ? 60 * 60 * 1000 : options.ttl
+    this._tiers = new Map()
+  }
+
+  /**
+   * Returns the current fee tier of the account on an exchange, cached for
+   * `ttl`.
+   *
+   * @param {string} exchange exchange name, e.g. `poloniex`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<FeeTier>}
+   */
+  tier (exchange: string, options?: RequestOptions): Promise<FeeTier> {
+    let schedule = this._schedule(exchange)
+    let cached = this._tiers.get(exchange)
+    if (!cached || Date.now() - cached.loadedAt >= this.ttl) {
+      let loading = { loadedAt: Date.now(), tier: schedule.load(this.clients[exchange], options) }
+      // failures are not cached
+      loading.tier.catch(() => this._tiers.get(exchange) === loading && this._tiers.delete(exchange))
+      this._tiers.set(exchange, loading)
+      cached = loading
+    }
+    return cached.tier
+  }
+
+  /**
+   * Forgets the cached fee tier of an exchange, or of all exchanges, e.g.
+   * after a trade moved the account to another tier.
+   *
+   * @param {string} [exchange] exchange name
+   */
+  invalidate (exchange?: string) {
+    if (exchange) this._tiers.delete(exchange)
+    else this._tiers.clear()
+  }
+
+  /**
+   * Whether an order would make or take liquidity. Only post-only limit
+   * orders are guaranteed to make liquidity, on exchanges that cancel them
+   * instead of letting them take.
+   *
+   * @param {string} exchange exchange name
+   * @param {FeeOrder} order the prospective order
+   * @returns {Liquidity}
+   * @throws {InvalidOrderError} for post-only market orders
+   */
+  liquidity (exchange: string, order: FeeOrder): Liquidity {
+    let schedule = this._schedule(exchange)
+    if (order.postOnly && order.type === 'market') {
+      throw new InvalidOrderError(`(${exchange}) market orders cannot be post-only`, { exchange: exchange })
+    }
+    return order.postOnly && schedule.postOnly ? 'maker' : 'taker'
+  }
+
+  /**
+   * Predicts the fee, net proceeds and break-even price of an order.
+   *
+   * @param {string} exchange exchange name
+   * @param {FeeOrder} order the prospective order
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for loading
+   * the fee tier
+   * @returns {Promise<FeeEstimate>}
+   */
+  async estimate (exchange: string, order: FeeOrder, options?: RequestOptions): Promise<FeeEstimate> {
+    let liquidity = this.liquidity(exchange, order)
+    let tier = await this.tier(exchange, options)
+    return estimate(order, liquidity, tier[liquidity])
+  }
+
+  /**
+   * Compares the fees charged for trades with their predictions: the
+   * estimates of their orders when given, the current taker fee rate
+   * otherwise.
+   *
+   * @param {string} exchange exchange name
+   * @param {object|object[]} trades personal trades, the result of
+   * `returnTradeHistory(true, ...)` of Poloniex, or of `pastTrades` of
+   * Bitfinex
+   * @param {Object<string, FeeEstimate>} [estimates] estimates by order id
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for loading
+   * the fee tier
+   * @returns {Promise<{trades: FeeReconciliation[], mismatched: FeeReconciliation[]}>}
+   * all trades, and those whose fee differs from the prediction
+   */
+  async reconcile (exchange: string, trades: Object | Object[], estimates?: { [orderId: string]: FeeEstimate } = {}, options?: RequestOptions): Promise<{ trades: FeeReconciliation[], mismatched: FeeReconciliation[] }> {
+    let schedule = this._schedule(exchange)
+    let tier = await this.tier(exchange, options)
+    let reconciled = flatten(trades).map((trade) => reconcile(schedule.trade(trade), estimates[String(trade.orderNumber || trade.order_id)], tier))
+    return { trades: reconciled, mismatched: reconciled.filter((trade) => Math.abs(trade.difference) >= TOLERANCE) }
+  }
+
+  /**
+   * @private
+   */
+  _schedule (exchange: string) {
+    let schedule = SCHEDULES[exchange]
+    if (!schedule || !this.clients[exchange]) {
+      throw new NotSupportedError(`(${exchange}) fees are not supported without a client`, { exchange: exchange })
+    }
+    return schedule
+  }
+}
+
+/**
+ * The trades of one market, or of all markets grouped by market.
+ *
+ * @private
+ */
+function flatten (trades: Object | Object[]): Object[] {
+  if (Array.isArray(trades)) return trades
+  let grouped: Object = trades
+  return Object.keys(grouped).reduce((all, market) => all.concat(grouped[market]), [])
+}
+
+/**
+ * Predict the fee of an order at a fee rate.
+ *
+ * @private
+ */
+function estimate (order: FeeOrder, liquidity: Liquidity, feeRate: number): FeeEstimate {
+  let price = toNumber(order.price)
+  let amount = toNumber(order.amount)
+  let total = price * amount
+  let kept = 1 - feeRate
+  let received = order.side === 'buy' ? amount : total
+  return {
+    liquidity: liquidity,
+    feeRate: feeRate,
+    total: total,
+    fee: received * feeRate,
+    net: received * kept,
+    breakEven: order.side === 'buy' ? price / (kept * kept) : price * kept * kept
+  }
+}
+
+/**
+ * @private
+ */
+function reconcile (trade: Object, estimate: ?FeeEstimate, tier: FeeTier): FeeReconciliation {
+  let received = trade.received
+  let predictedRate = estimate ? estimate.feeRate : tier.taker
+  let predictedFee = received * predictedRate
+  return Object.assign({}, trade, {
+    feeRate: received > 0 ? trade.fee / received : 0,
+    predictedRate: predictedRate,
+    predictedFee: predictedFee,
+    difference: trade.fee - predictedFee
+  })
+}
@@ -1,5 +1,58 @@
+const errors = require('./errors')
+const nonce = require('./nonce')
+const transport = require('./transport')
+const log = require('./log')
+const history = require('./poloniex_history')
+const candles = require('./poloniex_candles')
+const store = require('./store')
+
 module.exports = {
   Poloniex: require('./poloniex').Poloniex,
   Bitfinex: require('./bitfinex').Bitfinex,
-  BitfinexV2: require('./bitfinex_v2').BitfinexV2
+  BitfinexV2: require('./bitfinex_v2').BitfinexV2,
+  PoloniexPush: require('./poloniex_push').PoloniexPush,
+  PoloniexOrderBook: require('./poloniex_order_book').PoloniexOrderBook,
+  PoloniexMarkets: require('./poloniex_markets').PoloniexMarkets,
+  PoloniexOrders: require('./poloniex_orders').PoloniexOrders,
+  PoloniexConditionalOrders: require('./poloniex_conditional').PoloniexConditionalOrders,
+  PoloniexLending: require('./poloniex_lending').PoloniexLending,
+  lendingStrategies: require('./poloniex_lending').lendingStrategies,
+  PoloniexMarginMonitor: require('./poloniex_margin').PoloniexMarginMonitor,
+  PoloniexFunding: require('./poloniex_funding').PoloniexFunding,
+  PoloniexPortfolio: require('./poloniex_portfolio').PoloniexPortfolio,
+  crossRates: require('./poloniex_portfolio').crossRates,
+  iterateTradeHistory: history.iterateTradeHistory,
+  iterateLendingHistory: history.iterateLendingHistory,
+  iterateDepositsWithdrawals: history.iterateDepositsWithdrawals,
+  fetchCandles: candles.fetchCandles,
+  resample: candles.resample,
+  fillGaps: candles.fillGaps,
+  candlesFromTrades: candles.candlesFromTrades,
+  PoloniexAdapter: require('./poloniex_adapter').PoloniexAdapter,
+  BitfinexAdapter: require('./bitfinex_adapter').BitfinexAdapter,
+  BitfinexV2Adapter: require('./bitfinex_v2_adapter').BitfinexV2Adapter,
+  ExchangeError: errors.ExchangeError,
+  AuthenticationError: errors.AuthenticationError,
+  RateLimitError: errors.RateLimitError,
+  InsufficientFundsError: errors.InsufficientFundsError,
+  InvalidNonceError: errors.InvalidNonceError,
+  OrderNotFoundError: errors.OrderNotFoundError,
+  InvalidOrderError: errors.InvalidOrderError,
+  NotSupportedError: errors.NotSupportedError,
+  WithdrawalRejectedError: errors.WithdrawalRejectedError,
+  NetworkError: errors.NetworkError,
+  TimeoutError: errors.TimeoutError,
+  AbortError: errors.AbortError,
+  FeeEngine: require('./fees').FeeEngine,
+  WithdrawalGuard: require('./withdrawals').WithdrawalGuard,
+  poloniexWithdrawals: require('./withdrawals').poloniexWithdrawals,
+  Decimal: require('./decimal').Decimal,
+  MemoryNonceProvider: nonce.MemoryNonceProvider,
+  FileNonceProvider: nonce.FileNonceProvider,
+  CallbackNonceProvider: nonce.CallbackNonceProvider,
+  MemoryStore: store.MemoryStore,
+  FileStore: store.FileStore,
+  ProxyAgent: transport.ProxyAgent,
+  redact: log.redact,
+  redactBody: log.redactBody
 }
@@ -0,0 +1,108 @@
+/* @flow */
+
+import Debug from 'debug'
+import querystring from 'querystring'
+
+const debug = Debug('crypto-exchange-api')
+
+/**
+ * Receives everything the library logs, with credentials already masked.
+ * Forward it to a structured logger of your own instead of `debug`.
+ */
+export type Logger = {
+  debug: (message: string, details?: Object) => mixed
+}
+
+// headers and fields that carry credentials, always masked
+export const SECRET_FIELDS: string[] = [
+  'key',
+  'secret',
+  'sign',
+  'authorization',
+  'proxy-authorization',
+  'x-bfx-apikey',
+  'x-bfx-payload',
+  'x-bfx-signature'
+]
+
+// body fields masked by default, can be replaced through client options
+export const SENSITIVE_FIELDS: string[] = ['address', 'paymentId']
+
+export const MASK: string = '[REDACTED]'
+
+/**
+ * Logs through `debug` under the `crypto-exchange-api` namespace, enable it
+ * with `DEBUG=crypto-exchange-api`.
+ */
+export const defaultLogger: Logger = {
+  debug: (message: string, details?: Object) => {
+    if (details === undefined) debug(message)
+    else debug('%s %O', message, details)
+  }
+}
+
+/**
+ * Whether anything logged to a logger is written anywhere, so that the work
+ * of masking can be skipped when `debug` is not enabled.
+ *
+ * @param {Logger} logger logger of a client
+ * @returns {boolean}
+ */
+export function isEnabled (logger: Logger): boolean {
+  return logger !== defaultLogger || Boolean(debug.enabled)
+}
+
+/**
+ * Reports an error of a background task, e.g. a poll, with an `error` event.
+ * Without an `error` listener the event would throw and stop the task, so
+ * the error is logged instead.
+ *
+ * @param {EventEmitter} emitter emitter of the task
+ * @param {Error} err the failure
+ * @param {Logger} [logger] where errors nobody listens to are logged
+ */
+export function emitError (emitter: events$EventEmitter, err: Error, logger?: Logger = defaultLogger) {
+  if (emitter.listenerCount('error') > 0) emitter.emit('error', err)
+  else logger.debug(`error without a listener: ${err.message}`)
+}
+
+/**
+ * Returns a copy of a value with the secret and sensitive fields masked, at
+ * any depth. Field names are matched case-insensitively.
+ *
+ * @param {*} value headers, request options or a parsed body
+ * @param {string[]} [fields] sensitive fields masked besides the secrets
+ * @returns {*}
+ */
+export function redact (value: any, fields?: string[] = SENSITIVE_FIELDS): any {
+  let masked = new Set(SECRET_FIELDS.concat(fields).map((field) => field.toLowerCase()))
+  return mask(value, masked)
+}
+
+/**
+ * Returns a request or response body with the secret and sensitive fields
+ * masked. JSON and url-encoded bodies are parsed, anything else is returned
+ * as is.
+ *
+ * @param {string} [body] raw body
+ * @param {string[]} [fields] sensitive fields masked besides the secrets
+ * @returns {*} masked body, parsed when possible
+ */
+export function redactBody (body?: string, fields?: string[]): any {
+  if (!body) return body
+  try {
+    return redact(JSON.parse(body), fields)
+  } catch (err) {
+    return body.includes('=') ? redact(Object.assign({}, querystring.parse(body)), fields) : body
+  }
+}
+
+function mask (value: any, masked: Set<string>): any {
+  if (Array.isArray(value)) return value.map((item) => mask(item, masked))
+  if (!value || typeof value !== 'object') return value
+  let copy = {}
+  Object.keys(value).forEach((name) => {
+    copy[name] = masked.has(name.toLowerCase()) ? MASK : mask(value[name], masked)
+  })
+  return copy
+}
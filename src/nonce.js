@@ -0,0 +1,171 @@
+/* @flow */
+
+import fs from 'fs'
+import { promisify } from 'util'
+
+const open = promisify(fs.open)
+const close = promisify(fs.close)
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const rename = promisify(fs.rename)
+const unlink = promisify(fs.unlink)
+const stat = promisify(fs.stat)
+
+/**
+ * Returns an ever increasing nonce for each API key. Every signed request
+ * asks the provider of its client for the next nonce.
+ */
+export type NonceProvider = {
+  +next: (key: string) => Promise<number>
+}
+
+/**
+ * Keeps the last nonce of each key in memory. Nonces are based on the
+ * current time, but never go backwards when the clock does.
+ */
+export class MemoryNonceProvider {
+  _last: Map<string, number>
+
+  constructor () {
+    this._last = new Map()
+  }
+
+  /**
+   * Returns the next nonce for a key.
+   *
+   * @param {string} key API key
+   * @returns {Promise<number>}
+   */
+  next (key: string): Promise<number> {
+    let nonce = Math.max(Date.now() * 100, (this._last.get(key) || 0) + 1)
+    this._last.set(key, nonce)
+    return Promise.resolve(nonce)
+  }
+}
+
+/**
+ * Keeps the last nonce of each key in a JSON file, so that nonces keep
+ * increasing across restarts and across processes that share an API key.
+ * Access to the file is serialized with a lock file next to it.
+ *
+ * @param {string} path JSON file holding the last nonce of each key
+ * @param {object} [options] locking options
+ * @param {number} [options.retryDelay=10] milliseconds between attempts to
+ * acquire the lock
+ * @param {number} [options.lockTimeout=5000] milliseconds to wait for the
+ * lock before giving up
+ * @param {number} [options.staleAfter=10000] a lock older than this many
+ * milliseconds was left behind by a crashed process and is removed
+ */
+export class FileNonceProvider {
+  path: string
+  lockPath: string
+  retryDelay: number
+  lockTimeout: number
+  staleAfter: number
+
+  constructor (path: string, options?: { retryDelay?: number, lockTimeout?: number, staleAfter?: number } = {}) {
+    this.path = path
+    this.lockPath = path + '.lock'
+    this.retryDelay = options.retryDelay || 10
+    this.lockTimeout = options.lockTimeout || 5000
+    this.staleAfter = options.staleAfter || 10000
+  }
+
+  /**
+   * Returns the next nonce for a key, and stores it in the file.
+   *
+   * @param {string} key API key
+   * @returns {Promise<number>}
+   */
+  async next (key: string): Promise<number> {
+    await this._lock(Date.now() + this.lockTimeout)
+    try {
+      let nonces = await this._read()
+      let nonce = Math.max(Date.now() * 100, (nonces[key] || 0) + 1)
+      nonces[key] = nonce
+      await writeFile(this.path + '.tmp', JSON.stringify(nonces))
+      await rename(this.path + '.tmp', this.path)
+      return nonce
+    } finally {
+      await unlink(this.lockPath)
+    }
+  }
+
+  /**
+   * Create the lock file, waiting for other holders to release it.
+   *
+   * @private
+   * @param {number} deadline timestamp after which to give up
+   */
+  async _lock (deadline: number): Promise<void> {
+    try {
+      await close(await open(this.lockPath, 'wx'))
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+      if (Date.now() > deadline) throw new Error(`timed out waiting for nonce lock ${this.lockPath}`)
+      await this._removeStaleLock()
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelay))
+      return this._lock(deadline)
+    }
+  }
+
+  /**
+   * Remove a lock file that was not released in time.
+   *
+   * @private
+   */
+  async _removeStaleLock (): Promise<void> {
+    try {
+      let lock = await stat(this.lockPath)
+      if (Date.now() - lock.mtime.getTime() > this.staleAfter) await unlink(this.lockPath)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+
+  /**
+   * Read the last nonces, an empty set when the file does not exist yet.
+   *
+   * @private
+   */
+  async _read (): Promise<{ [string]: number }> {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return {}
+      throw err
+    }
+  }
+}
+
+/**
+ * Asks a function of your own for nonces, e.g. to keep them in a shared
+ * database.
+ *
+ * @param {function(string): (number|Promise<number>)} callback returns the
+ * next nonce for an API key
+ */
+export class CallbackNonceProvider {
+  callback: (key: string) => number | Promise<number>
+
+  constructor (callback: (key: string) => number | Promise<number>) {
+    this.callback = callback
+  }
+
+  /**
+   * Returns the next nonce for a key.
+   *
+   * @param {string} key API key
+   * @returns {Promise<number>}
+   */
+  async next (key: string): Promise<number> {
+    return this.callback(key)
+  }
+}
+
+/**
+ * Shared by all clients that are not configured with a provider of their
+ * own, so clients using the same key in one process never collide.
+ */
+export const defaultNonceProvider: NonceProvider = new MemoryNonceProvider()
@@ -1,6 +1,19 @@
 /* @flow */
 
 import { API } from './api'
+import { PoloniexMarkets } from './poloniex_markets'
+import { toFixed } from './decimal'
+import type { Numeric } from './decimal'
+import type { ApiOptions, BulkOptions, BulkReport, RequestOptions } from './api'
+import {
+  AuthenticationError,
+  ExchangeError,
+  InsufficientFundsError,
+  InvalidNonceError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError
+} from './errors'
 
 import crypto from 'crypto'
 import { URL } from 'url'
@@ -11,6 +24,23 @@ import querystring from 'querystring'
 
 export const PUBLIC_API: string = 'https://poloniex.com/public'
 export const TRADING_API: string = 'https://poloniex.com/tradingApi'
+export const MARKETS_API: string = 'https://api.poloniex.com/markets'
+
+// candlestick periods of returnChartData, in seconds
+export const CHART_PERIODS: number[] = [300, 900, 1800, 7200, 14400, 86400]
+
+// Trading API commands that only read data, safe to retry after a failure
+const READ_ONLY_COMMANDS: RegExp = /^(return\w+|getMarginPosition)$/
+
+// error messages returned by Poloniex, and the errors they are reported as
+const ERROR_MESSAGES: Array<[RegExp, Class<ExchangeError>]> = [
+  [/^Not enough /i, InsufficientFundsError],
+  [/^Nonce must be greater than/i, InvalidNonceError],
+  [/^Invalid API key/i, AuthenticationError],
+  [/^(Invalid order number|Order not found)/i, OrderNotFoundError],
+  [/^Please do not make more than/i, RateLimitError],
+  [/^(Total must be at least|Amount must be at least|Invalid (rate|amount) parameter)/i, InvalidOrderError]
+]
 
 /**
  * Returns a client for the Poloniex REST API.
@@ -22,31 +52,81 @@ export const TRADING_API: string = 'https://poloniex.com/tradingApi'
  * @param {string} [secret] your API key secret
  * @param {number} [tradingRate=6] rate limit for trading API
  * @param {number} [precision=8] precision for sent prices and amounts
+ * @param {object} [options] client options, see {@link API}
+ * @param {string} [options.publicApi] URL of the public API, e.g. of a local
+ * mock server
+ * @param {string} [options.tradingApi] URL of the trading API
+ * @param {string} [options.marketsApi] URL of the trading limits of markets,
+ * see {@link Poloniex#returnMarketLimits}
+ * @param {?number} [options.marketsMaxAge=3600000] load the market metadata
+ * before orders, and again once it is older than this many milliseconds, see
+ * {@link Poloniex#loadMarkets}, `null` to only check orders once the markets
+ * are loaded explicitly
  */
 export class Poloniex extends API {
+  publicApi: string
+  tradingApi: string
+  marketsApi: string
   _publicRateCount: Array<number>
   _tradingRateCount: Array<number>
   key: string | null | void
   secret: string | null | void
   tradingRate: number
   precision: number
+  markets: PoloniexMarkets | void
+  marketsMaxAge: ?number
+  _loadingMarkets: ?Promise<PoloniexMarkets>
 
-  constructor (key?: string, secret?: string, tradingRate?: number, precision?: number) {
-    super()
+  constructor (key?: string, secret?: string, tradingRate?: number, precision?: number, options?: PoloniexOptions) {
+    super(options)
+    let endpoints = Object.assign({}, { publicApi: PUBLIC_API, tradingApi: TRADING_API, marketsApi: MARKETS_API, marketsMaxAge: 60 * 60 * 1000 }, options)
+    this.publicApi = endpoints.publicApi
+    this.tradingApi = endpoints.tradingApi
+    this.marketsApi = endpoints.marketsApi
     this._publicRateCount = []
     this._tradingRateCount = []
     this.key = key || process.env.CRYPTO_POLONIEX_KEY
     this.secret = secret || process.env.CRYPTO_POLONIEX_SECRET
     this.tradingRate = tradingRate || 6
     this.precision = precision || 8
+    this.marketsMaxAge = endpoints.marketsMaxAge
     this.name = 'poloniex'
   }
 
+  /**
+   * Loads the currencies and markets, with their precision and rules, from
+   * `returnCurrencies`, `returnTicker` and {@link Poloniex#returnMarketLimits}.
+   * Once loaded, orders and loan
+   * offers are rounded to the precision of their market and checked against
+   * its rules, and those Poloniex would reject are rejected with an
+   * {@link InvalidOrderError} without being sent. Orders load the markets
+   * themselves when they are missing or older than `marketsMaxAge`.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<PoloniexMarkets>} the loaded metadata, also kept as
+   * `markets`
+   * @example
+   * let plx = new Poloniex(key, secret)
+   * await plx.loadMarkets()
+   * await plx.buy('BTC_ETH', 0.079, 0.0001)
+   * // => InvalidOrderError: (poloniex) total 0.0000079 BTC of BTC_ETH is below the minimum of 0.0001 BTC
+   */
+  async loadMarkets (options?: RequestOptions): Promise<PoloniexMarkets> {
+    let [currencies, ticker, limits] = await Promise.all([
+      this.returnCurrencies(options),
+      this.returnTicker(options),
+      this.returnMarketLimits(options)
+    ])
+    this.markets = new PoloniexMarkets(currencies, ticker, this.precision, limits)
+    return this.markets
+  }
+
   // Public API Methods
 
   /**
    * Returns the ticker for all markets.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -54,14 +134,15 @@ export class Poloniex extends API {
    * await plx.returnTicker()
    * // => {"BTC_LTC":{"last":"0.0251","lowestAsk":"0.02589999","highestBid":"0.0251","percentChange":"0.02390438", "baseVolume":"6.16485315","quoteVolume":"245.82513926"},"BTC_NXT":{"last":"0.00005730","lowestAsk":"0.00005710", "highestBid":"0.00004903","percentChange":"0.16701570","baseVolume":"0.45347489","quoteVolume":"9094"}, ... }
    */
-  returnTicker () {
-    return this._get({ command: 'returnTicker' })
+  returnTicker (options?: RequestOptions) {
+    return this._get({ command: 'returnTicker' }, options)
   }
 
   /**
    * Returns the 24-hour volume for all markets, plus totals for primary
    * currencies.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -69,8 +150,8 @@ export class Poloniex extends API {
    * await plx.return24hVolume()
    * // => {"BTC_LTC":{"BTC":"2.23248854","LTC":"87.10381314"},"BTC_NXT":{"BTC":"0.981616","NXT":"14145"}, ... "totalBTC":"81.89657704","totalLTC":"78.52083806"}
    */
-  return24hVolume () {
-    return this._get({ command: 'return24hVolume' })
+  return24hVolume (options?: RequestOptions) {
+    return this._get({ command: 'return24hVolume' }, options)
   }
 
   /**
@@ -82,6 +163,7 @@ export class Poloniex extends API {
    * @param {string} currencyPair the market to query, or `all` for all markets
    * @param {number} [depth=10] how many order book items to return from bid
    * list and ask list
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -91,8 +173,8 @@ export class Poloniex extends API {
    * await plx.returnOrderBook() // `all` markets
    * // => {"BTC_NXT":{"asks":[[0.00007600,1164],[0.00007620,1300], ... ], "bids":[[0.00006901,200],[0.00006900,408], ... ], "isFrozen": 0, "seq": 149},"BTC_XMR":...}
    */
-  returnOrderBook (currencyPair?: string, depth?: number) {
-    return this._get({ command: 'returnOrderBook', currencyPair: currencyPair || 'all', depth: depth || 10 })
+  returnOrderBook (currencyPair?: string, depth?: number, options?: RequestOptions) {
+    return this._get({ command: 'returnOrderBook', currencyPair: currencyPair || 'all', depth: depth || 10 }, options)
   }
 
   /**
@@ -104,6 +186,7 @@ export class Poloniex extends API {
    * @param {string} currencyPair the market to query
    * @param {Date} [startDate] date for first event
    * @param {Date} [endDate] date for last event
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -112,13 +195,13 @@ export class Poloniex extends API {
    * // => [{"date":"2014-02-10 04:23:23","type":"buy","rate":"0.00007600","amount":"140","total":"0.01064"},{"date":"2014-02-10 01:19:37","type":"buy","rate":"0.00007600","amount":"655","total":"0.04978"}, ... ]
    * let plxPrivate = new Poloniex(key, secret)
    */
-  returnTradeHistory (personal: boolean, currencyPair: string, startDate?: Date, endDate?: Date) {
+  returnTradeHistory (personal: boolean, currencyPair: string, startDate?: Date, endDate?: Date, options?: RequestOptions) {
     let req: {
       command: string, currencyPair?: string, start?: string, end?: string
     } = { command: 'returnTradeHistory', currencyPair: currencyPair }
     if (startDate) { req['start'] = Math.floor(startDate / 1000).toString() }
     if (endDate) { req['end'] = Math.floor(endDate / 1000).toString() }
-    return (personal ? this._post(req) : this._get(req))
+    return (personal ? this._post(req, options) : this._get(req, options))
   }
 
   /**
@@ -132,6 +215,7 @@ export class Poloniex extends API {
    * 14400 and 86400
    * @param {Date} startDate date for first event
    * @param {Date} endDate date for last event
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -139,8 +223,8 @@ export class Poloniex extends API {
    * await plx.returnChartData('BTC_XMR', 300)
    * // => [{"date":1405699200,"high":0.0045388,"low":0.00403001,"open":0.00404545,"close":0.00427592,"volume":44.11655644,"quoteVolume":10259.29079097,"weightedAverage":0.00430015}, ...]
    */
-  async returnChartData (currencyPair: string, period: number, startDate: Date, endDate: Date) {
-    if (![300, 900, 1800, 7200, 14400, 86400].includes(period)) {
+  async returnChartData (currencyPair: string, period: number, startDate: Date, endDate: Date, options?: RequestOptions) {
+    if (!CHART_PERIODS.includes(period)) {
       throw (new Error('period must be one of 300, 900, 1800, 7200, 14400 or 86400'))
     }
     return this._get({
@@ -149,12 +233,13 @@ export class Poloniex extends API {
       start: Math.floor(startDate / 1000).toString(),
       end: Math.floor(endDate / 1000).toString(),
       period: period
-    })
+    }, options)
   }
 
   /**
    * Returns information about currencies.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -162,8 +247,25 @@ export class Poloniex extends API {
    * await plx.returnCurrencies()
    * // => {"1CR":{"maxDailyWithdrawal":10000,"txFee":0.01,"minConf":3,"disabled":0},"ABY":{"maxDailyWithdrawal":10000000,"txFee":0.01,"minConf":8,"disabled":0}, ... }
    */
-  returnCurrencies () {
-    return this._get({ command: 'returnCurrencies' })
+  returnCurrencies (options?: RequestOptions) {
+    return this._get({ command: 'returnCurrencies' }, options)
+  }
+
+  /**
+   * Returns the markets with their trading limits, from the markets endpoint
+   * of the newer Poloniex API as the public API does not report them. Markets
+   * are named the other way around there, `BTC_ETH` is `ETH_BTC`.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<object[], Error>} A promise that returns the result JSON
+   * as an array if resolved, or an Error if rejected.
+   * @example
+   * let plx = new Poloniex()
+   * await plx.returnMarketLimits()
+   * // => [{"symbol":"ETH_BTC","baseCurrencyName":"ETH","quoteCurrencyName":"BTC","state":"NORMAL","symbolTradeLimit":{"symbol":"ETH_BTC","priceScale":5,"quantityScale":4,"amountScale":8,"minQuantity":"0.0001","minAmount":"0.0001"}}, ... ]
+   */
+  returnMarketLimits (options?: RequestOptions) {
+    return this._get({}, options, this.marketsApi)
   }
 
   /**
@@ -173,6 +275,7 @@ export class Poloniex extends API {
    * @param {string} [currency] chosen currency, omit to receive loan orders for
    * all currencies
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -180,8 +283,8 @@ export class Poloniex extends API {
    * await plx.returnCurrencies()
    * // => {"1CR":{"maxDailyWithdrawal":10000,"txFee":0.01,"minConf":3,"disabled":0},"ABY":{"maxDailyWithdrawal":10000000,"txFee":0.01,"minConf":8,"disabled":0}, ... }
    */
-  returnLoanOrders (currency?: string) {
-    return this._get({ command: 'returnLoanOrders', currency: currency })
+  returnLoanOrders (currency?: string, options?: RequestOptions) {
+    return this._get({ command: 'returnLoanOrders', currency: currency }, options)
   }
 
   // Trading API Methods
@@ -189,6 +292,7 @@ export class Poloniex extends API {
   /**
    * Returns all of your available balances.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -196,8 +300,8 @@ export class Poloniex extends API {
    * await plx.returnBalances()
    * // => {"BTC":"0.59098578","LTC":"3.31117268", ... }
    */
-  returnBalances () {
-    return this._post({ command: 'returnBalances' })
+  returnBalances (options?: RequestOptions) {
+    return this._post({ command: 'returnBalances' }, options)
   }
 
   /**
@@ -208,6 +312,7 @@ export class Poloniex extends API {
    *
    * @param {boolean} all include margin and lending accounts as well as
    * exchange account
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -217,17 +322,18 @@ export class Poloniex extends API {
    * await plx.returnCompleteBalances(true)
    * // => {"exchange":{"LTC":{"available":"5.015","onOrders":"1.0025","btcValue":"0.078"},"NXT:{...} ... }, "margin": {...}, "lending": {...}}
    */
-  returnCompleteBalances (all?: boolean) {
+  returnCompleteBalances (all?: boolean, options?: RequestOptions) {
     let req: { command: string, account?: string } = { command: 'returnCompleteBalances' }
     if (all) {
       Object.assign(req, { 'account': 'all' })
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
    * Returns all of your deposit addresses.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -235,14 +341,15 @@ export class Poloniex extends API {
    * await plx.returnDepositAddresses()
    * // => {"BTC":"19YqztHmspv2egyD6jQM3yn81x5t5krVdJ","LTC":"LPgf9kjv9H1Vuh4XSaKhzBe8JHdou1WgUB", ... "ITC":"Press Generate.." ... }
    */
-  returnDepositAddresses () {
-    return this._post({ command: 'returnDepositAddresses' })
+  returnDepositAddresses (options?: RequestOptions) {
+    return this._post({ command: 'returnDepositAddresses' }, options)
   }
 
   /**
    * Generates a new deposit address for the currency specified by the
    * `currency` parameter.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -250,8 +357,8 @@ export class Poloniex extends API {
    * await plx.generateNewAddress('BTC')
    * // => {"success":1,"response":"CKXbbs8FAVbtEa397gJHSutmrdrBrhUMxe"}
    */
-  generateNewAddress (currency: string) {
-    return this._post({ command: 'generateNewAddress', currency: currency })
+  generateNewAddress (currency: string, options?: RequestOptions) {
+    return this._post({ command: 'generateNewAddress', currency: currency }, options)
   }
 
   /**
@@ -260,6 +367,7 @@ export class Poloniex extends API {
    *
    * @param {Date} startDate date for start of range
    * @param {Date} endDate date for end of range
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -268,12 +376,12 @@ export class Poloniex extends API {
    * // => {"deposits":[{"currency":"BTC","address":"...","amount":"0.01006132","confirmations":10,"txid":"17f819a91369a9ff6c4a34216d434597cfc1b4a3d0489b46bd6f924137a47701","timestamp":1399305798,"status":"COMPLETE"},{"currency":"BTC","address":"...","amount":"0.00404104","confirmations":10,"txid":"7acb90965b252e55a894b535ef0b0b65f45821f2899e4a379d3e43799604695c","timestamp":1399245916,"status":"COMPLETE"}],"withdrawals":[{"withdrawalNumber":134933,"currency":"BTC","address":"1N2i5n8DwTGzUq2Vmn9TUL8J1vdr1XBDFg","amount":"5.00010000","timestamp":1399267904,"status":"COMPLETE: 36e483efa6aff9fd53a235177579d98451c4eb237c210e66cd2b9a2d4a988f8e","ipAddress":"..."}]}
    *
    */
-  returnDepositsWithdrawals (startDate: Date, endDate: Date) {
+  returnDepositsWithdrawals (startDate: Date, endDate: Date, options?: RequestOptions) {
     return this._post({
       command: 'returnDepositsWithdrawals',
       start: Math.floor(startDate / 1000).toString(),
       end: Math.floor(endDate / 1000).toString()
-    })
+    }, options)
   }
 
   /**
@@ -283,6 +391,7 @@ export class Poloniex extends API {
    *
    * @param {string} [currencyPair='all'] which market to return, `all` for all markets
    * exchange account
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -292,11 +401,11 @@ export class Poloniex extends API {
    * await plx.returnOpenOrders()
    * // => {"BTC_1CR":[],"BTC_AC":[{"orderNumber":"120466","type":"sell","rate":"0.025","amount":"100","total":"2.5"},{"orderNumber":"120467","type":"sell","rate":"0.04","amount":"100","total":"4"}], ... }
    */
-  returnOpenOrders (currencyPair: 'all' | string) {
+  returnOpenOrders (currencyPair: 'all' | string, options?: RequestOptions) {
     return this._post({
       command: 'returnOpenOrders',
       currencyPair: currencyPair
-    })
+    }, options)
   }
 
   /**
@@ -306,6 +415,7 @@ export class Poloniex extends API {
    *
    * @param {number} orderNumber a specific order number, must be one of yours
    * exchange account
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -313,11 +423,31 @@ export class Poloniex extends API {
    * await plx.returnOrderTrades(1204660)
    * // => [{"globalTradeID": 20825863, "tradeID": 147142, "currencyPair": "BTC_XVC", "type": "buy", "rate": "0.00018500", "amount": "455.34206390", "total": "0.08423828", "fee": "0.00200000", "date": "2016-03-14 01:04:36"}, ...]
    */
-  returnOrderTrades (orderNumber: number) {
+  returnOrderTrades (orderNumber: number, options?: RequestOptions) {
     return this._post({
       command: 'returnOrderTrades',
       orderNumber: orderNumber.toString()
-    })
+    }, options)
+  }
+
+  /**
+   * Returns the status of an open order, specified by the `orderNumber`
+   * parameter, with its market, side, rate and remaining amount.
+   *
+   * @param {number} orderNumber a specific order number, must be one of yours
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<object, Error>} A promise that returns the result JSON as
+   * an object if resolved, or an Error if rejected.
+   * @example
+   * let plx = new Poloniex(key, secret)
+   * await plx.returnOrderStatus(31226040)
+   * // => {"result":{"31226040":{"status":"Open","rate":"0.07900000","amount":"20.00000000","currencyPair":"BTC_ETH","date":"2018-10-17 17:04:50","total":"1.58000000","type":"buy","startingAmount":"20.00000000"}},"success":1}
+   */
+  returnOrderStatus (orderNumber: number, options?: RequestOptions) {
+    return this._post({
+      command: 'returnOrderStatus',
+      orderNumber: orderNumber.toString()
+    }, options)
   }
 
   /**
@@ -340,10 +470,11 @@ export class Poloniex extends API {
    * of the order that fills.
    *
    * @param {string} currencyPair the market to buy
-   * @param {number} rate price in market base coin
-   * @param {number} amount amount of market coin to buy
+   * @param {Numeric} rate price in market base coin
+   * @param {Numeric} amount amount of market coin to buy
    * @param {string} [type] set to one of `fillOrKill`, `immediateOrCancel` or
    * `postOnly`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -351,19 +482,20 @@ export class Poloniex extends API {
    * await plx.buy('BTC_ETH', 0.079, 20, 'postOnly')
    * // => {"orderNumber":31226040,"resultingTrades":[{"amount":"338.8732","date":"2014-10-18 23:03:21","rate":"0.00000173","total":"0.00058625","tradeID":"16164","type":"buy"}]}
    */
-  buy (currencyPair: string, rate: number, amount: number, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly') {
+  async buy (currencyPair: string, rate: Numeric, amount: Numeric, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly', options?: RequestOptions) {
+    let order = await this._order(currencyPair, 'buy', rate, amount, options)
     let req : {
       command: string, currencyPair: string, rate: string, amount: string, [string]: string
     } = {
       command: 'buy',
       currencyPair: currencyPair,
-      rate: rate.toFixed(this.precision),
-      amount: amount.toFixed(this.precision)
+      rate: order.rate,
+      amount: order.amount
     }
     if (type) {
       req[type] = '1'
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
@@ -386,10 +518,11 @@ export class Poloniex extends API {
    * of the order that fills.
    *
    * @param {string} currencyPair the market to sell
-   * @param {number} rate price in market base coin
-   * @param {number} amount amount of market coin to sell
+   * @param {Numeric} rate price in market base coin
+   * @param {Numeric} amount amount of market coin to sell
    * @param {string} [type] set to one of `fillOrKill`, `immediateOrCancel` or
    * `postOnly`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -399,19 +532,20 @@ export class Poloniex extends API {
    * await plx.sell('BTC_ETH', 0.079, 20, 'postOnly')
    * // => {"orderNumber":31226040,"resultingTrades":[{"amount":"338.8732","date":"2014-10-18 23:03:21","rate":"0.00000173","total":"0.00058625","tradeID":"16164","type":"buy"}]}
    */
-  sell (currencyPair: string, rate: number, amount: number, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly') {
+  async sell (currencyPair: string, rate: Numeric, amount: Numeric, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly', options?: RequestOptions) {
+    let order = await this._order(currencyPair, 'sell', rate, amount, options)
     let req : {
       command: string, currencyPair: string, rate: string, amount: string, [string]: string
     } = {
       command: 'sell',
       currencyPair: currencyPair,
-      rate: rate.toFixed(this.precision),
-      amount: amount.toFixed(this.precision)
+      rate: order.rate,
+      amount: order.amount
     }
     if (type) {
       req[type] = '1'
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
@@ -419,6 +553,7 @@ export class Poloniex extends API {
    * `orderNumber`.
    *
    * @param {number} orderNumber a specific order number to cancel
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -426,11 +561,11 @@ export class Poloniex extends API {
    * await plx.cancelOrder(31226040)
    * // => {"success":1}
    */
-  cancelOrder (orderNumber: number) {
+  cancelOrder (orderNumber: number, options?: RequestOptions) {
     return this._post({
       command: 'cancelOrder',
       orderNumber: orderNumber.toString()
-    })
+    }, options)
   }
 
   /**
@@ -443,10 +578,17 @@ export class Poloniex extends API {
    * A `type` of `postOnly` or `immediateOrCancel` may be specified for exchange
    * orders, but will have no effect on margin orders.
    *
+   * Like orders, the new rate and amount are rounded to the precision of the
+   * market of the order and checked against its rules once the markets are
+   * loaded. The market, side and remaining amount of the order are looked up
+   * with {@link Poloniex#returnOrderStatus}, unless given as `options.order`.
+   *
    * @param {number} orderNumber a specific order number to modify
-   * @param {number} rate modified rate
-   * @param {number} [amount] modified amount
+   * @param {Numeric} rate modified rate
+   * @param {Numeric} [amount] modified amount
    * @param {'postOnly'|'immediateOrCancel'} [type] type of order modification
+   * @param {MoveOptions} [options] the order moved, timeouts and `AbortSignal`
+   * for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -454,7 +596,8 @@ export class Poloniex extends API {
    * await plx.moveOrder(31226040, 0.079, 20, 'postOnly')
    * // => {"success":1,"orderNumber":"239574176","resultingTrades":{"BTC_BTS":[]}}
    */
-  moveOrder (orderNumber: number, rate: number, amount?: number, type?: 'postOnly' | 'immediateOrCancel') {
+  async moveOrder (orderNumber: number, rate: Numeric, amount?: Numeric, type?: 'postOnly' | 'immediateOrCancel', options?: MoveOptions) {
+    let moved = await this._moved(orderNumber, rate, amount, options)
     let req: {
       command: string,
       orderNumber: string,
@@ -464,15 +607,99 @@ export class Poloniex extends API {
     } = {
       command: 'moveOrder',
       orderNumber: orderNumber.toString(),
-      rate: rate.toFixed(this.precision)
+      rate: moved.rate
     }
     if (amount) {
-      req['amount'] = amount.toFixed(this.precision)
+      req['amount'] = moved.amount
     }
     if (type) {
       req[type] = '1'
     }
-    return this._post(req)
+    return this._post(req, options)
+  }
+
+  /**
+   * Cancels all your open orders, of a market or of all markets. Orders are
+   * cancelled one by one within the trading rate limit, a few at once, and
+   * an order that cannot be cancelled does not stop the others, e.g. one
+   * that was filled in the meantime.
+   *
+   * @param {string} [currencyPair='all'] market of the orders to cancel, `all`
+   * for all markets
+   * @param {BulkOptions} [options] how many requests may be in flight at once,
+   * as many as the trading rate by default, timeouts and `AbortSignal`
+   * @returns {Promise<BulkReport[]>} how the cancellation of each order went,
+   * with its `orderNumber` and `currencyPair` as request
+   * @example
+   * let plx = new Poloniex(key, secret)
+   * await plx.cancelAllOrders('BTC_ETH')
+   * // => [{"request":{"orderNumber":"120466","currencyPair":"BTC_ETH"},"success":true,"result":{"success":1}},{"request":{"orderNumber":"120467","currencyPair":"BTC_ETH"},"success":false,"error":OrderNotFoundError}]
+   */
+  async cancelAllOrders (currencyPair?: 'all' | string = 'all', options?: BulkOptions = {}): Promise<BulkReport[]> {
+    let open = await this.returnOpenOrders(currencyPair, options)
+    let markets = Array.isArray(open) ? { [currencyPair]: open } : open
+    let requests = Object.keys(markets).reduce((all, pair) => all.concat(markets[pair].map((order) => ({
+      orderNumber: order.orderNumber,
+      currencyPair: pair
+    }))), [])
+    return this._bulk(requests, (request) => this.cancelOrder(Number(request.orderNumber), options), this._concurrency(options))
+  }
+
+  /**
+   * Places a list of limit orders, see {@link Poloniex#buy} and
+   * {@link Poloniex#sell}. Orders are placed within the trading rate limit, a
+   * few at once, and an order that fails does not stop the others.
+   *
+   * @param {object[]} orders `currencyPair`, `side`, `rate`, `amount` and
+   * optional `type` of each order
+   * @param {BulkOptions} [options] how many requests may be in flight at once,
+   * as many as the trading rate by default, timeouts and `AbortSignal`
+   * @returns {Promise<BulkReport[]>} how each order went, in the order of
+   * `orders`
+   * @example
+   * let plx = new Poloniex(key, secret)
+   * await plx.placeOrders([{ currencyPair: 'BTC_ETH', side: 'buy', rate: 0.079, amount: 20 }, { currencyPair: 'BTC_ETH', side: 'sell', rate: 0.081, amount: 20, type: 'postOnly' }])
+   * // => [{"request":{"currencyPair":"BTC_ETH","side":"buy", ... },"success":true,"result":{"orderNumber":31226040,"resultingTrades":[]}}, ... ]
+   */
+  placeOrders (orders: Array<{
+    currencyPair: string,
+    side: 'buy' | 'sell',
+    rate: Numeric,
+    amount: Numeric,
+    type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly'
+  }>, options?: BulkOptions = {}): Promise<BulkReport[]> {
+    return this._bulk(orders, (order) => {
+      let place = order.side === 'sell' ? this.sell : this.buy
+      return place.call(this, order.currencyPair, order.rate, order.amount, order.type, options)
+    }, this._concurrency(options))
+  }
+
+  /**
+   * Moves a list of orders, see {@link Poloniex#moveOrder}. Orders are moved
+   * within the trading rate limit, a few at once, and an order that fails
+   * does not stop the others.
+   *
+   * @param {object[]} moves `orderNumber`, `rate` and optional `amount`,
+   * `type` and moved `order` of each move
+   * @param {BulkOptions} [options] how many requests may be in flight at once,
+   * as many as the trading rate by default, timeouts and `AbortSignal`
+   * @returns {Promise<BulkReport[]>} how each move went, in the order of
+   * `moves`
+   * @example
+   * let plx = new Poloniex(key, secret)
+   * await plx.moveOrders([{ orderNumber: 31226040, rate: 0.078 }])
+   * // => [{"request":{"orderNumber":31226040,"rate":0.078},"success":true,"result":{"success":1,"orderNumber":"239574176","resultingTrades":{"BTC_ETH":[]}}}]
+   */
+  moveOrders (moves: Array<{
+    orderNumber: number,
+    rate: Numeric,
+    amount?: Numeric,
+    type?: 'postOnly' | 'immediateOrCancel',
+    order?: MovedOrder
+  }>, options?: BulkOptions = {}): Promise<BulkReport[]> {
+    return this._bulk(moves, (move) => {
+      return this.moveOrder(move.orderNumber, move.rate, move.amount, move.type, Object.assign({}, options, { order: move.order }))
+    }, this._concurrency(options))
   }
 
   /**
@@ -483,9 +710,10 @@ export class Poloniex extends API {
    * `paymentId`.
    *
    * @param {string} currency which currency to withdraw
-   * @param {number} amount amount of coins to withdraw
+   * @param {Numeric} amount amount of coins to withdraw
    * @param {string} address destination address for withdrawal
    * @param {string} [paymentId] paymendid for XMR
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -493,7 +721,7 @@ export class Poloniex extends API {
    * await plx.withdraw('BTC', 1.2, '18Npsu6qDjyD46S87DPU8YvAk1MWW6puBu')
    * // => {"response":"Withdrew 1.2 BTC."}
    */
-  withdraw (currency: string, amount: number, address: string, paymentId?: string) {
+  withdraw (currency: string, amount: Numeric, address: string, paymentId?: string, options?: RequestOptions) {
     let req: {
       command: string,
       currency: string,
@@ -503,13 +731,13 @@ export class Poloniex extends API {
     } = {
       command: 'withdraw',
       currency: currency,
-      amount: amount.toFixed(this.precision),
+      amount: toFixed(amount, this.precision),
       address: address
     }
     if (paymentId) {
       req['paymentId'] = paymentId
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
@@ -517,6 +745,7 @@ export class Poloniex extends API {
    * trading fees and trailing 30-day volume in BTC. This information is updated
    * once every 24 hours.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -524,8 +753,8 @@ export class Poloniex extends API {
    * await plx.returnFeeInfo()
    * // => {"makerFee": "0.00140000", "takerFee": "0.00240000", "thirtyDayVolume": "612.00248891", "nextTier": "1200.00000000"}
    */
-  returnFeeInfo () {
-    return this._post({ command: 'returnFeeInfo' })
+  returnFeeInfo (options?: RequestOptions) {
+    return this._post({ command: 'returnFeeInfo' }, options)
   }
 
   /**
@@ -536,6 +765,7 @@ export class Poloniex extends API {
    *
    * @param {string} [account] choose which account balance to show, default shows
    * all accounts
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -545,14 +775,14 @@ export class Poloniex extends API {
    * await plx.returnAvailableAccountBalances('exchange')
    * // => {"BTC":"1.19042859","BTM":"386.52379392","CHA":"0.50000000","DASH":"120.00000000","STR":"3205.32958001", "VNL":"9673.22570147"}
    */
-  returnAvailableAccountBalances (account?: string) {
+  returnAvailableAccountBalances (account?: string, options?: RequestOptions) {
     let req: {
       command: string, account?: string
     } = { command: 'returnAvailableAccountBalances' }
     if (account) {
       req['account'] = account
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
@@ -560,6 +790,7 @@ export class Poloniex extends API {
    * which margin trading is enabled. Please note that these balances may vary
    * continually with market conditions.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -567,8 +798,8 @@ export class Poloniex extends API {
    * await plx.returnTradableBalances()
    * // => {"BTC_DASH":{"BTC":"8.50274777","DASH":"654.05752077"},"BTC_LTC":{"BTC":"8.50274777","LTC":"1214.67825290"},"BTC_XMR":{"BTC":"8.50274777","XMR":"3696.84685650"}}
    */
-  returnTradableBalances () {
-    return this._post({ command: 'returnTradableBalances' })
+  returnTradableBalances (options?: RequestOptions) {
+    return this._post({ command: 'returnTradableBalances' }, options)
   }
 
   /**
@@ -577,9 +808,10 @@ export class Poloniex extends API {
    * `amount`, `fromAccount`, and `toAccount`.
    *
    * @param {string} currency which currency to transfer
-   * @param {number} amount amount of currency to transfer
+   * @param {Numeric} amount amount of currency to transfer
    * @param {'exchange'|'margin'|'lending'} fromAccount source account
    * @param {'exchange'|'margin'|'lending'} toAccount destination account
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -587,14 +819,14 @@ export class Poloniex extends API {
    * await plx.transferBalance('BTC', 2, 'exchange', 'margin')
    * // => {"success":1,"message":"Transferred 2 BTC from exchange to margin account."}
    */
-  transferBalance (currency: string, amount: number, fromAccount: 'exchange' | 'margin' | 'lending', toAccount: 'exchange' | 'margin' | 'lending') {
+  transferBalance (currency: string, amount: Numeric, fromAccount: 'exchange' | 'margin' | 'lending', toAccount: 'exchange' | 'margin' | 'lending', options?: RequestOptions) {
     return this._post({
       command: 'transferBalance',
       currency: currency,
-      amount: amount.toFixed(this.precision),
+      amount: toFixed(amount, this.precision),
       fromAccount: fromAccount,
       toAccount: toAccount
-    })
+    }, options)
   }
 
   /**
@@ -602,6 +834,7 @@ export class Poloniex extends API {
    * information you will find in the Margin Account section of the Margin
    * Trading page, under the Markets list.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -609,8 +842,8 @@ export class Poloniex extends API {
    * await plx.returnMarginAccountSummary()
    * // => {"totalValue": "0.00346561","pl": "-0.00001220","lendingFees": "0.00000000","netValue": "0.00345341","totalBorrowedValue": "0.00123220","currentMargin": "2.80263755"}
    */
-  returnMarginAccountSummary () {
-    return this._post({ command: 'returnMarginAccountSummary' })
+  returnMarginAccountSummary (options?: RequestOptions) {
+    return this._post({ command: 'returnMarginAccountSummary' }, options)
   }
 
   /**
@@ -621,9 +854,12 @@ export class Poloniex extends API {
    * order.
    *
    * @param {string} currencyPair the currency pair to margin buy
-   * @param {number} rate the price for buy order
-   * @param {number} amount the amount of currency to buy
-   * @param {number} [lendingRate] the maximum rate at which to lend currency
+   * @param {Numeric} rate the price for buy order
+   * @param {Numeric} amount the amount of currency to buy
+   * @param {Numeric} [lendingRate] the maximum rate at which to lend currency
+   * @param {string} [type] set to one of `fillOrKill`, `immediateOrCancel` or
+   * `postOnly`, see {@link Poloniex#buy}
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -631,21 +867,32 @@ export class Poloniex extends API {
    * await plx.marginBuy('BTC_DASH', 0.01383692, 1)
    * // => {"success":1,"message":"Margin order placed.","orderNumber":"154407998","resultingTrades":{"BTC_DASH":[{"amount":"1.00000000","date":"2015-05-10 22:47:05","rate":"0.01383692","total":"0.01383692","tradeID":"1213556","type":"buy"}]}}
    */
-  marginBuy (currencyPair: string, rate: number, amount: number, lendingRate?: number) {
+  async marginBuy (
+    currencyPair: string,
+    rate: Numeric,
+    amount: Numeric,
+    lendingRate?: Numeric,
+    type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly',
+    options?: RequestOptions
+  ) {
+    let order = await this._order(currencyPair, 'buy', rate, amount, options)
     let req: {
       command: string,
       rate: string,
       amount: string,
-      lendingRate?: string
+      [string]: string
     } = {
       command: 'marginBuy',
-      rate: rate.toFixed(this.precision),
-      amount: amount.toFixed(this.precision)
+      rate: order.rate,
+      amount: order.amount
     }
     if (lendingRate) {
-      req['lendingRate'] = lendingRate.toFixed(this.precision)
+      req['lendingRate'] = toFixed(lendingRate, this.precision)
     }
-    return this._post(req)
+    if (type) {
+      req[type] = '1'
+    }
+    return this._post(req, options)
   }
 
   /**
@@ -656,9 +903,12 @@ export class Poloniex extends API {
    * order.
    *
    * @param {string} currencyPair the currency pair to margin sell
-   * @param {number} rate the price for sell order
-   * @param {number} amount the amount of currency to sell
-   * @param {number} [lendingRate] the maximum rate at which to lend currency
+   * @param {Numeric} rate the price for sell order
+   * @param {Numeric} amount the amount of currency to sell
+   * @param {Numeric} [lendingRate] the maximum rate at which to lend currency
+   * @param {string} [type] set to one of `fillOrKill`, `immediateOrCancel` or
+   * `postOnly`, see {@link Poloniex#sell}
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -666,21 +916,32 @@ export class Poloniex extends API {
    * await plx.marginSell('BTC_DASH', 0.01383692, 1)
    * // => {"success":1,"message":"Margin order placed.","orderNumber":"154407998","resultingTrades":{"BTC_DASH":[{"amount":"1.00000000","date":"2015-05-10 22:47:05","rate":"0.01383692","total":"0.01383692","tradeID":"1213556","type":"sell"}]}}
    */
-  marginSell (currencyPair: string, rate: number, amount: number, lendingRate?: number) {
+  async marginSell (
+    currencyPair: string,
+    rate: Numeric,
+    amount: Numeric,
+    lendingRate?: Numeric,
+    type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly',
+    options?: RequestOptions
+  ) {
+    let order = await this._order(currencyPair, 'sell', rate, amount, options)
     let req: {
       command: string,
       rate: string,
       amount: string,
-      lendingRate?: string
+      [string]: string
     } = {
       command: 'marginSell',
-      rate: rate.toFixed(this.precision),
-      amount: amount.toFixed(this.precision)
+      rate: order.rate,
+      amount: order.amount
     }
     if (lendingRate) {
-      req['lendingRate'] = lendingRate.toFixed(this.precision)
+      req['lendingRate'] = toFixed(lendingRate, this.precision)
     }
-    return this._post(req)
+    if (type) {
+      req[type] = '1'
+    }
+    return this._post(req, options)
   }
 
   /**
@@ -694,6 +955,7 @@ export class Poloniex extends API {
    * liquidation price, the value will be -1.
    *
    * @param {string|'all'} currencyPair the currency pair to query
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -701,8 +963,8 @@ export class Poloniex extends API {
    * await plx.getMarginPosition('BTC_NXT')
    * // => {"amount":"40.94717831","total":"-0.09671314",""basePrice":"0.00236190","liquidationPrice":-1,"pl":"-0.00058655", "lendingFees":"-0.00000038","type":"long"}
    */
-  getMarginPosition (currencyPair?: string | 'all') {
-    return this._post({ command: 'getMarginPosition', currencyPair: currencyPair || 'all' })
+  getMarginPosition (currencyPair?: string | 'all', options?: RequestOptions) {
+    return this._post({ command: 'getMarginPosition', currencyPair: currencyPair || 'all' }, options)
   }
 
   /**
@@ -711,6 +973,7 @@ export class Poloniex extends API {
    * success if you do not have an open position in the specified market.
    *
    * @param {string} currencyPair the currency pair to close margin position for
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -718,8 +981,8 @@ export class Poloniex extends API {
    * await plx.closeMarginPosition('BTC_XMR')
    * // => {"success":1,"message":"Successfully closed margin position.","resultingTrades":{"BTC_XMR":[{"amount":"7.09215901","date":"2015-05-10 22:38:49","rate":"0.00235337","total":"0.01669047","tradeID":"1213346","type":"sell"},{"amount":"24.00289920","date":"2015-05-10 22:38:49","rate":"0.00235321","total":"0.05648386","tradeID":"1213347","type":"sell"}]}}
    */
-  closeMarginPosition (currencyPair: string) {
-    return this._post({ command: 'closeMarginPosition', currencyPair: currencyPair })
+  closeMarginPosition (currencyPair: string, options?: RequestOptions) {
+    return this._post({ command: 'closeMarginPosition', currencyPair: currencyPair }, options)
   }
 
   /**
@@ -727,10 +990,11 @@ export class Poloniex extends API {
    * `currency`, `amount`, `duration`, `autoRenew`, and `lendingRate`.
    *
    * @param {string} currency which currency to lend
-   * @param {number} amount amount of currency to lend
-   * @param {number} rate the rate at which lend is oferred
+   * @param {Numeric} amount amount of currency to lend
+   * @param {Numeric} rate the rate at which lend is oferred
    * @param {boolean} autoRenew should loan renew after expiry
    * @param {number} duration how long should the loan be oferred for
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -738,21 +1002,26 @@ export class Poloniex extends API {
    * await plx.createLoanOffer('BTC', 2, 0.02, false, 2)
    * // => {"success":1,"message":"Loan order placed.","orderID":10590}
    */
-  createLoanOffer (currency: string, amount: number, rate: number, autoRenew: boolean, duration: number) {
+  async createLoanOffer (currency: string, amount: Numeric, rate: Numeric, autoRenew: boolean, duration: number, options?: RequestOptions) {
+    let markets = await this._loadedMarkets(options)
+    let offer = markets
+      ? markets.loanOffer(currency, amount, rate, duration)
+      : { amount: toFixed(amount, this.precision), lendingRate: toFixed(rate, this.precision) }
     return this._post({
       command: 'createLoanOffer',
       currency: currency,
-      amount: amount.toFixed(this.precision),
+      amount: offer.amount,
       duration: duration.toString(),
-      lendingRate: rate.toFixed(this.precision),
+      lendingRate: offer.lendingRate,
       autoRenew: autoRenew ? '1' : '0'
-    })
+    }, options)
   }
 
   /**
    * Cancels a loan offer specified by the "orderNumber" parameter.
    *
    * @param {number} orderNumber which loan offer order to cancel
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -760,13 +1029,14 @@ export class Poloniex extends API {
    * await plx.cancelLoanOffer(10590)
    * // => {"success":1,"message":"Loan order placed.","orderID":10590}
    */
-  cancelLoanOffer (orderNumber: number) {
-    return this._post({ command: 'cancelLoanOffer', orderNumber: orderNumber.toString() })
+  cancelLoanOffer (orderNumber: number, options?: RequestOptions) {
+    return this._post({ command: 'cancelLoanOffer', orderNumber: orderNumber.toString() }, options)
   }
 
   /**
    * Returns your open loan offers for each currency.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -774,13 +1044,14 @@ export class Poloniex extends API {
    * await plx.returnOpenLoanOffers()
    * // => {"BTC":[{"id":10595,"rate":"0.00020000","amount":"3.00000000","duration":2,"autoRenew":1,"date":"2015-05-10 23:33:50"}],"LTC":[{"id":10598,"rate":"0.00002100","amount":"10.00000000","duration":2,"autoRenew":1,"date":"2015-05-10 23:34:35"}]}
    */
-  returnOpenLoanOffers () {
-    return this._post({ command: 'returnOpenLoanOffers' })
+  returnOpenLoanOffers (options?: RequestOptions) {
+    return this._post({ command: 'returnOpenLoanOffers' }, options)
   }
 
   /**
    * Returns your active loans for each currency.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -788,8 +1059,8 @@ export class Poloniex extends API {
    * await plx.returnActiveLoans()
    * // => {"provided":[{"id":75073,"currency":"LTC","rate":"0.00020000","amount":"0.72234880","range":2,"autoRenew":0,"date":"2015-05-10 23:45:05","fees":"0.00006000"},{"id":74961,"currency":"LTC","rate":"0.00002000","amount":"4.43860711","range":2,"autoRenew":0,"date":"2015-05-10 23:45:05","fees":"0.00006000"}],"used":[{"id":75238,"currency":"BTC","rate":"0.00020000","amount":"0.04843834","range":2,"date":"2015-05-10 23:51:12","fees":"-0.00000001"}]}
    */
-  returnActiveLoans () {
-    return this._post({ command: 'returnActiveLoans' })
+  returnActiveLoans (options?: RequestOptions) {
+    return this._post({ command: 'returnActiveLoans' }, options)
   }
 
   /**
@@ -800,6 +1071,7 @@ export class Poloniex extends API {
    * @param {Date} startDate date range start
    * @param {Date} endDate date range finish
    * @param {number} limit limit results to a specific number
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -807,7 +1079,7 @@ export class Poloniex extends API {
    * await plx.returnLendingHistory(new Date() - 3600, new Date())
    * // => [{ "id": 175589553, "currency": "BTC", "rate": "0.00057400", "amount": "0.04374404", "duration": "0.47610000", "interest": "0.00001196", "fee": "-0.00000179", "earned": "0.00001017", "open": "2016-09-28 06:47:26", "close": "2016-09-28 18:13:03" }]
    */
-  returnLendingHistory (startDate: Date, endDate: Date, limit?: number) {
+  returnLendingHistory (startDate: Date, endDate: Date, limit?: number, options?: RequestOptions) {
     let req: {
       command: string,
       start: string,
@@ -821,7 +1093,7 @@ export class Poloniex extends API {
     if (limit) {
       req['limit'] = limit.toString()
     }
-    return this._post(req)
+    return this._post(req, options)
   }
 
   /**
@@ -829,6 +1101,7 @@ export class Poloniex extends API {
    * `orderNumber` parameter. If successful, `message` will indicate the new
    * autoRenew setting.
    *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} A promise that returns the result JSON as
    * an object if resolved, or an Error if rejected.
    * @example
@@ -836,70 +1109,194 @@ export class Poloniex extends API {
    * await plx.toggleAutoRenew(10590)0
    * // => {"success":1,"message":0}
    */
-  toggleAutoRenew (orderNumber: number) {
-    return this._post({ command: 'toggleAutoRenew', orderNumber: orderNumber.toString() })
+  toggleAutoRenew (orderNumber: number, options?: RequestOptions) {
+    return this._post({ command: 'toggleAutoRenew', orderNumber: orderNumber.toString() }, options)
   }
 
   // Helper methods
 
   /**
-   * GET request data from the Public API endpoint
+   * The market metadata orders are checked against, loaded first when it is
+   * missing or older than `marketsMaxAge`, unless that is `null`. Orders
+   * placed while it loads wait for the same load.
+   *
+   * @private
+   */
+  async _loadedMarkets (options?: RequestOptions): Promise<PoloniexMarkets | void> {
+    let markets = this.markets
+    let maxAge = this.marketsMaxAge
+    if (typeof maxAge === 'number' && (!markets || Date.now() - markets.loadedAt > maxAge)) {
+      return this._loadingMarkets || this._loadMarketsOnce(options)
+    }
+    return markets
+  }
+
+  /**
+   * Load the markets, sharing the load until it is done.
+   *
+   * @private
+   */
+  _loadMarketsOnce (options?: RequestOptions): Promise<PoloniexMarkets> {
+    let loading = this.loadMarkets(options)
+    this._loadingMarkets = loading
+    // failures are not kept, the next order loads the markets again
+    let done = () => { if (this._loadingMarkets === loading) this._loadingMarkets = undefined }
+    loading.then(done, done)
+    return loading
+  }
+
+  /**
+   * The rate and amount of an order as sent, rounded to the precision of its
+   * market and checked against its rules once the markets are loaded.
+   *
+   * @private
+   */
+  async _order (currencyPair: string, side: 'buy' | 'sell', rate: Numeric, amount: Numeric, options?: RequestOptions): Promise<{ rate: string, amount: string }> {
+    let markets = await this._loadedMarkets(options)
+    if (markets) return markets.order(currencyPair, side, rate, amount)
+    return { rate: toFixed(rate, this.precision), amount: toFixed(amount, this.precision) }
+  }
+
+  /**
+   * The new rate and amount of a moved order as sent, rounded to the
+   * precision of the market of the order and checked against its rules once
+   * the markets are loaded. Without a new amount, the remaining amount of the
+   * order is checked.
+   *
+   * @private
+   */
+  async _moved (orderNumber: number, rate: Numeric, amount?: Numeric, options?: MoveOptions = {}): Promise<{ rate: string, amount: string }> {
+    let markets = await this._loadedMarkets(options)
+    if (!markets) return { rate: toFixed(rate, this.precision), amount: toFixed(amount || 0, this.precision) }
+    let order = options.order || await this._orderStatus(orderNumber, options)
+    return markets.order(order.currencyPair, order.side, rate, amount || order.amount)
+  }
+
+  /**
+   * The market, side and remaining amount of an open order.
+   *
+   * @private
+   */
+  async _orderStatus (orderNumber: number, options?: RequestOptions): Promise<MovedOrder> {
+    let status = await this.returnOrderStatus(orderNumber, options)
+    let order = status.result && status.result[orderNumber]
+    if (!order || !order.currencyPair) {
+      throw new OrderNotFoundError(`(poloniex) order ${orderNumber} is not open`, { exchange: this.name })
+    }
+    return { currencyPair: order.currencyPair, side: order.type, amount: order.amount }
+  }
+
+  /**
+   * Requests of bulk calls in flight at once, as many as are let through by
+   * the trading rate limit in a second unless told otherwise.
+   *
+   * @private
+   */
+  _concurrency (options: BulkOptions): number {
+    return options.concurrency || Math.max(1, Math.floor(this.tradingRate))
+  }
+
+  /**
+   * Recognize Poloniex error messages, e.g. `Not enough BTC.` is reported as
+   * an {@link InsufficientFundsError}.
+   *
+   * @private
+   */
+  _errorClass (message: string, statusCode: number): Class<ExchangeError> {
+    let known = ERROR_MESSAGES.find(([pattern]) => pattern.test(message))
+    return known ? known[1] : super._errorClass(message, statusCode)
+  }
+
+  /**
+   * GET request data from the Public API endpoint, transient failures are
+   * retried according to the retry policy.
    *
    * @private
    * @param {object} query command and parameters to GET request from the API endpoint
+   * @param {RequestOptions} [request] timeouts and `AbortSignal` for this call
+   * @param {string} [endpoint] URL to GET from, the public API by default
    * @returns {Promise<object, Error>} API results or an error
    */
   async _get (
-    query: {} | { command: string, [string]: string }
+    query: {} | { command: string, [string]: string },
+    request?: RequestOptions,
+    endpoint?: string = this.publicApi
   ): Promise<*> {
-    let ts = new Date().getTime()
-    if (!await this._checkRateLimit(ts, 6, this._publicRateCount)) { throw new Error('restricting requests to Poloniex to maximum of 6 per second') }
-    let url: URL = new URL(PUBLIC_API)
-    const options = {
-      method: 'GET',
-      host: url.hostname,
-      path: url.pathname + '?' + querystring.stringify(query),
-      headers: {
-        'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1'
-      }
-    }
-    return this._resJsonParse(await this._httpsRequest(options))
+    let signal = request && request.signal
+    return this._retry(async () => {
+      await this._rateLimited(this._publicRateCount, 6, 'restricting requests to Poloniex to maximum of 6 per second', signal)
+      let url: URL = new URL(endpoint)
+      let search = querystring.stringify(query)
+      const options = this._requestOptions('GET', url, search ? url.pathname + '?' + search : url.pathname)
+      return this._send(options, undefined, request)
+    }, true, signal)
   }
 
   /**
-   * POST data to the Trading API endpoint
+   * POST data to the Trading API endpoint. Only commands that read data are
+   * retried on transient failures, each attempt is sent with a fresh nonce.
    *
    * @private
    * @param {object} query command and parameters to POST to API endpoint
+   * @param {RequestOptions} [request] timeouts and `AbortSignal` for this call
    * @returns {Promise<object, Error>} API results or an error
    */
   async _post (query: {
     command: string,
     [string]: string
-  }) {
-    let ts = new Date().getTime()
+  }, request?: RequestOptions) {
     if (this.key === undefined || this.secret === undefined) {
-      throw new Error('Key and secret are not available for POST requests.')
-    }
-    if (!await this._checkRateLimit(ts, this.tradingRate, this._tradingRateCount)) {
-      throw new Error(`restricting requests to Poloniex to maximum of ${this.tradingRate} per second`)
+      throw new AuthenticationError('Key and secret are not available for POST requests.', { exchange: this.name })
     }
-    let url: URL = new URL(TRADING_API)
-    // unique nonce ever increasing never decreasing
-    let nonce: number = (ts * 100 - 1) + this._tradingRateCount.filter((d: number) => ts === d).length
-    let body: string = querystring.stringify(Object.assign({}, { nonce: nonce }, query))
-    const options = {
-      method: 'POST',
-      host: url.hostname,
-      path: url.pathname,
-      headers: {
-        'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1',
+    let signal = request && request.signal
+    return this._retry(async () => {
+      await this._rateLimited(this._tradingRateCount, this.tradingRate,
+        `restricting requests to Poloniex to maximum of ${this.tradingRate} per second`, signal)
+      let url: URL = new URL(this.tradingApi)
+      // unique nonce ever increasing never decreasing
+      let nonce: number = await this.nonceProvider.next(this.key || '')
+      let body: string = querystring.stringify(Object.assign({}, { nonce: nonce }, query))
+      const options = this._requestOptions('POST', url, url.pathname, {
         'Content-Type': 'application/x-www-form-urlencoded',
         'Content-Length': Buffer.byteLength(body),
         'Key': this.key,
         'Sign': crypto.createHmac('sha512', this.secret || '').update(body).digest('hex')
-      }
-    }
-    return this._resJsonParse(await this._httpsRequest(options, body))
+      })
+      return this._send(options, body, request)
+    }, READ_ONLY_COMMANDS.test(query.command), signal)
   }
 }
+
+/**
+ * Parse the UTC dates returned by Poloniex, e.g. `2014-02-10 04:23:23`.
+ *
+ * @param {string} date date of a trade, order or loan
+ * @returns {number} milliseconds since the epoch
+ */
+export function parseDate (date: string): number {
+  return Date.parse(date.replace(' ', 'T') + 'Z')
+}
+
+/**
+ * An order being moved: its market, side and remaining amount.
+ */
+export type MovedOrder = {
+  currencyPair: string,
+  side: 'buy' | 'sell',
+  amount: Numeric
+}
+
+/**
+ * Options of {@link Poloniex#moveOrder}: the order moved, looked up when not
+ * given, and the timeouts and `AbortSignal` of the requests.
+ */
+export type MoveOptions = RequestOptions & {
+  order?: MovedOrder
+}
+
+export type PoloniexOptions = ApiOptions & {
+  publicApi?: string,
+  tradingApi?: string,
+  marketsApi?: string,
+  marketsMaxAge?: ?number
+}
@@ -0,0 +1,228 @@
+/* @flow */
+
+import { ExchangeError, NotSupportedError } from './errors'
+import { Poloniex, parseDate } from './poloniex'
+import { UnifiedClient, chronological, splitSymbol, toNumber, toNumberOrNull } from './unified'
+import type { RequestOptions } from './api'
+import type { Balances, Order, OrderBook, OrderBookEntry, OrderRequest, OrderStatus, Ticker, Trade } from './unified'
+
+// flags of the Poloniex buy and sell commands for the unified order options
+const TIME_IN_FORCE: { [string]: string } = { IOC: 'immediateOrCancel', FOK: 'fillOrKill' }
+
+/**
+ * Unified interface over a {@link Poloniex} client. Poloniex names markets
+ * quote first, `BTC_ETH` is the `ETH/BTC` market. Only limit orders are
+ * supported.
+ *
+ * @param {Poloniex} client the Poloniex client to use
+ * @example
+ * let exchange = new PoloniexAdapter(new Poloniex(key, secret))
+ * await exchange.fetchTicker('ETH/BTC')
+ * // => {"symbol":"ETH/BTC","timestamp":1507000000000,"bid":0.0711,"ask":0.0712,"last":0.0711, ... }
+ */
+export class PoloniexAdapter extends UnifiedClient {
+  client: Poloniex
+
+  constructor (client: Poloniex) {
+    super(client.name)
+    this.client = client
+  }
+
+  async fetchTicker (symbol: string, options?: RequestOptions): Promise<Ticker> {
+    let tickers = await this.client.returnTicker(options)
+    let ticker = tickers[this._pair(symbol)]
+    if (!ticker) throw this._unknownMarket(symbol)
+    return {
+      symbol: symbol,
+      timestamp: Date.now(),
+      bid: toNumber(ticker.highestBid),
+      ask: toNumber(ticker.lowestAsk),
+      last: toNumber(ticker.last),
+      high: toNumberOrNull(ticker.high24hr),
+      low: toNumberOrNull(ticker.low24hr),
+      change: toNumberOrNull(ticker.percentChange),
+      // Poloniex counts the volume of the quote currency as base volume
+      baseVolume: toNumberOrNull(ticker.quoteVolume),
+      quoteVolume: toNumberOrNull(ticker.baseVolume)
+    }
+  }
+
+  async fetchOrderBook (symbol: string, depth?: number, options?: RequestOptions): Promise<OrderBook> {
+    let book = await this.client.returnOrderBook(this._pair(symbol), depth || 10, options)
+    let entry = ([price, amount]): OrderBookEntry => ({ price: toNumber(price), amount: toNumber(amount) })
+    return {
+      symbol: symbol,
+      timestamp: Date.now(),
+      sequence: toNumberOrNull(book.seq),
+      bids: book.bids.map(entry),
+      asks: book.asks.map(entry)
+    }
+  }
+
+  async fetchTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    let trades = await this.client.returnTradeHistory(false, this._pair(symbol), undefined, undefined, options)
+    return chronological(trades.map((trade) => this._trade(symbol, trade)))
+  }
+
+  async fetchBalances (options?: RequestOptions): Promise<Balances> {
+    let balances = await this.client.returnCompleteBalances(false, options)
+    let result: Balances = {}
+    Object.keys(balances).forEach((currency) => {
+      let free = toNumber(balances[currency].available)
+      let used = toNumber(balances[currency].onOrders)
+      result[currency] = { free: free, used: used, total: free + used }
+    })
+    return result
+  }
+
+  async createOrder (order: OrderRequest, options?: RequestOptions): Promise<Order> {
+    let price = this._limitPrice(order)
+    let place = order.side === 'buy' ? this.client.buy : this.client.sell
+    let result = await place.call(this.client, this._pair(order.symbol), price, order.amount, this._orderFlag(order), options)
+    let filled = (result.resultingTrades || []).reduce((sum, trade) => sum + toNumber(trade.amount), 0)
+    let remaining = Math.max(order.amount - filled, 0)
+    return {
+      id: String(result.orderNumber),
+      symbol: order.symbol,
+      timestamp: Date.now(),
+      side: order.side,
+      type: 'limit',
+      price: price,
+      amount: order.amount,
+      filled: filled,
+      remaining: remaining,
+      status: this._placedStatus(order, remaining)
+    }
+  }
+
+  async cancelOrder (id: string, symbol?: string, options?: RequestOptions): Promise<void> {
+    await this.client.cancelOrder(Number(id), options)
+  }
+
+  async fetchOpenOrders (symbol?: string, options?: RequestOptions): Promise<Order[]> {
+    if (symbol) {
+      let market: string = symbol
+      let orders = await this.client.returnOpenOrders(this._pair(market), options)
+      return orders.map((order) => this._order(market, order))
+    }
+    let markets = await this.client.returnOpenOrders('all', options)
+    return Object.keys(markets).reduce((all, pair) => {
+      return all.concat(markets[pair].map((order) => this._order(this._symbol(pair), order)))
+    }, [])
+  }
+
+  async fetchMyTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    let trades = await this.client.returnTradeHistory(true, this._pair(symbol), undefined, undefined, options)
+    return chronological(trades.map((trade) => this._trade(symbol, trade)))
+  }
+
+  /**
+   * The Poloniex currency pair of a market, `ETH/BTC` is `BTC_ETH`.
+   *
+   * @private
+   */
+  _pair (symbol: string): string {
+    let { base, quote } = splitSymbol(symbol)
+    return `${quote}_${base}`
+  }
+
+  /**
+   * The market of a Poloniex currency pair, `BTC_ETH` is `ETH/BTC`.
+   *
+   * @private
+   */
+  _symbol (pair: string): string {
+    let [quote, base] = pair.split('_')
+    return `${base}/${quote}`
+  }
+
+  /**
+   * The price of an order, Poloniex only takes limit orders.
+   *
+   * @private
+   */
+  _limitPrice (order: OrderRequest): number {
+    if (order.type !== 'limit' || order.price === undefined) {
+      throw new NotSupportedError(`(${this.name}) only limit orders with a price are supported`, { exchange: this.name })
+    }
+    return order.price
+  }
+
+  /**
+   * The status of a placed order, the unfilled part of immediate-or-cancel
+   * and fill-or-kill orders does not stay on the book.
+   *
+   * @private
+   */
+  _placedStatus (order: OrderRequest, remaining: number): OrderStatus {
+    if (remaining === 0) return 'closed'
+    return order.timeInForce === 'IOC' || order.timeInForce === 'FOK' ? 'canceled' : 'open'
+  }
+
+  /**
+   * The flag of the buy and sell commands for the options of an order.
+   *
+   * @private
+   */
+  _orderFlag (order: OrderRequest): any {
+    if (order.postOnly) return 'postOnly'
+    return order.timeInForce ? TIME_IN_FORCE[order.timeInForce] : undefined
+  }
+
+  /**
+   * Normalize a public or personal trade. Poloniex charges the fee of buys in
+   * the bought currency, and the fee of sells in the quote currency.
+   *
+   * @private
+   */
+  _trade (symbol: string, trade: Object): Trade {
+    let { base, quote } = splitSymbol(symbol)
+    let amount = toNumber(trade.amount)
+    let cost = toNumber(trade.total)
+    let fee = trade.fee === undefined ? null : {
+      cost: toNumber(trade.fee) * (trade.type === 'buy' ? amount : cost),
+      currency: trade.type === 'buy' ? base : quote
+    }
+    return {
+      id: String(trade.tradeID),
+      symbol: symbol,
+      timestamp: parseDate(trade.date),
+      side: trade.type,
+      price: toNumber(trade.rate),
+      amount: amount,
+      cost: cost,
+      orderId: trade.orderNumber === undefined ? null : String(trade.orderNumber),
+      fee: fee
+    }
+  }
+
+  /**
+   * Normalize an open order. Poloniex reports the remaining amount, and the
+   * original amount as `startingAmount` when part of the order was filled.
+   *
+   * @private
+   */
+  _order (symbol: string, order: Object): Order {
+    let remaining = toNumber(order.amount)
+    let amount = order.startingAmount === undefined ? remaining : toNumber(order.startingAmount)
+    return {
+      id: String(order.orderNumber),
+      symbol: symbol,
+      timestamp: order.date ? parseDate(order.date) : null,
+      side: order.type,
+      type: 'limit',
+      price: toNumber(order.rate),
+      amount: amount,
+      filled: amount - remaining,
+      remaining: remaining,
+      status: 'open'
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unknownMarket (symbol: string): ExchangeError {
+    return new ExchangeError(`(${this.name}) unknown market ${symbol}`, { exchange: this.name })
+  }
+}
@@ -0,0 +1,235 @@
+/* @flow */
+
+import { CHART_PERIODS, Poloniex, parseDate } from './poloniex'
+import { iterateTradeHistory } from './poloniex_history'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+
+/**
+ * A candlestick as returned by `returnChartData`. The `date` is the start of
+ * the candle in seconds, `volume` is in the base currency of the market, e.g.
+ * BTC for `BTC_ETH`, and `quoteVolume` in its traded currency.
+ */
+export type Candle = {
+  date: number,
+  high: number,
+  low: number,
+  open: number,
+  close: number,
+  volume: number,
+  quoteVolume: number,
+  weightedAverage: number
+}
+
+/**
+ * - `offset` seconds candles start after the multiples of their interval,
+ *   e.g. `345600` for weekly candles starting on Mondays instead of Thursdays
+ * - `fill` whether to fill gaps with flat candles, true by default
+ */
+export type CandleOptions = {
+  offset?: number,
+  fill?: boolean
+}
+
+/**
+ * Returns the candles of a market for any interval. Intervals that a period
+ * of `returnChartData` divides, along with their offset, are resampled from
+ * the largest such period, others, e.g. one minute, are built from the
+ * public trades of the market.
+ * Gaps are filled with flat candles at the close of the candle before.
+ *
+ * @param {Poloniex} client Poloniex client
+ * @param {string} currencyPair the market, e.g. `BTC_ETH`
+ * @param {number} interval candle interval in seconds, e.g. `3600`
+ * @param {Date} startDate date in the first candle, it starts at the
+ * multiple of the interval before
+ * @param {Date} endDate date in the last candle
+ * @param {CandleOptions} [candleOptions] alignment and gap filling
+ * @param {RequestOptions} [options] timeouts and `AbortSignal` for each call
+ * @returns {Promise<Candle[]>} candles in chronological order
+ * @example
+ * let plx = new Poloniex()
+ * await fetchCandles(plx, 'BTC_ETH', 3 * 3600, new Date('2017-09-01'), new Date('2017-09-02'))
+ * // => [{"date":1504224000,"high":0.0846,"low":0.0829,"open":0.0835,"close":0.0842,"volume":1843.21,"quoteVolume":22011.79,"weightedAverage":0.08373}, ... ]
+ */
+export async function fetchCandles (
+  client: Poloniex,
+  currencyPair: string,
+  interval: number,
+  startDate: Date,
+  endDate: Date,
+  candleOptions?: CandleOptions = {},
+  options?: RequestOptions
+): Promise<Candle[]> {
+  let offset = candleOptions.offset || 0
+  let start = new Date(bucket(Math.floor(startDate / 1000), interval, offset) * 1000)
+  let period = nativePeriod(interval, offset)
+  let candles = period
+    ? resample((await client.returnChartData(currencyPair, period, start, endDate, options)).map(chartCandle), interval, offset)
+    : candlesFromTrades(await collect(iterateTradeHistory(client, false, currencyPair, start, endDate, {}, options)), interval, offset)
+  if (candleOptions.fill === false) return candles
+  return fillGaps(candles, interval, bucket(Math.floor(endDate / 1000), interval, offset))
+}
+
+/**
+ * Combines candles into candles of a longer interval. The interval should be
+ * a multiple of the one of the candles.
+ *
+ * @param {Candle[]} candles candles of a shorter interval
+ * @param {number} interval interval in seconds
+ * @param {number} [offset=0] seconds candles start after the multiples of
+ * the interval
+ * @returns {Candle[]} candles in chronological order
+ */
+export function resample (candles: Candle[], interval: number, offset?: number = 0): Candle[] {
+  let resampled: Candle[] = []
+  chronological(candles.filter((candle) => candle.date > 0)).forEach((candle) => {
+    let date = bucket(candle.date, interval, offset)
+    let last = resampled[resampled.length - 1]
+    if (last && last.date === date) resampled[resampled.length - 1] = merge(last, candle)
+    else resampled.push(Object.assign({}, candle, { date: date }))
+  })
+  return resampled
+}
+
+/**
+ * Fills the intervals without trades with flat candles at the close of the
+ * candle before, without volume.
+ *
+ * @param {Candle[]} candles candles of an interval, in chronological order
+ * @param {number} interval interval in seconds
+ * @param {number} [until] date in seconds of the last candle to fill up to
+ * @returns {Candle[]}
+ */
+export function fillGaps (candles: Candle[], interval: number, until?: number): Candle[] {
+  let filled: Candle[] = []
+  candles.forEach((candle) => {
+    let last = filled[filled.length - 1]
+    for (let date = last ? last.date + interval : candle.date; date < candle.date; date += interval) {
+      filled.push(flat(last, date))
+    }
+    filled.push(candle)
+  })
+  let last = filled[filled.length - 1]
+  if (last && until !== undefined) {
+    for (let date = last.date + interval; date <= until; date += interval) filled.push(flat(last, date))
+  }
+  return filled
+}
+
+/**
+ * Builds candles from trades as returned by `returnTradeHistory`, for
+ * intervals shorter than the periods of `returnChartData`.
+ *
+ * @param {object[]} trades trades of one market
+ * @param {number} interval interval in seconds
+ * @param {number} [offset=0] seconds candles start after the multiples of
+ * the interval
+ * @returns {Candle[]} candles in chronological order, only of the intervals
+ * with trades
+ */
+export function candlesFromTrades (trades: Object[], interval: number, offset?: number = 0): Candle[] {
+  let candles = trades
+    .map((trade) => {
+      let rate = toNumber(trade.rate)
+      return {
+        date: Math.floor(parseDate(trade.date) / 1000),
+        high: rate,
+        low: rate,
+        open: rate,
+        close: rate,
+        volume: toNumber(trade.total),
+        quoteVolume: toNumber(trade.amount),
+        weightedAverage: rate
+      }
+    })
+  return resample(candles, interval, offset)
+}
+
+/**
+ * A candle of `returnChartData` with numbers, also of a client in decimal
+ * mode.
+ *
+ * @private
+ */
+function chartCandle (candle: Object): Candle {
+  return {
+    date: candle.date,
+    high: toNumber(candle.high),
+    low: toNumber(candle.low),
+    open: toNumber(candle.open),
+    close: toNumber(candle.close),
+    volume: toNumber(candle.volume),
+    quoteVolume: toNumber(candle.quoteVolume),
+    weightedAverage: toNumber(candle.weightedAverage)
+  }
+}
+
+/**
+ * The largest period of `returnChartData` that divides an interval and its
+ * offset, so that each chart candle falls within one candle.
+ *
+ * @private
+ */
+function nativePeriod (interval: number, offset: number): ?number {
+  return CHART_PERIODS.filter((period) => interval % period === 0 && offset % period === 0).pop()
+}
+
+/**
+ * Start of the candle of a date, all in seconds.
+ *
+ * @private
+ */
+function bucket (date: number, interval: number, offset: number): number {
+  return Math.floor((date - offset) / interval) * interval + offset
+}
+
+/**
+ * Add a later candle to a candle. Poloniex returns the weighted average as
+ * the base volume over the quote volume.
+ *
+ * @private
+ */
+function merge (candle: Candle, next: Candle): Candle {
+  let volume = candle.volume + next.volume
+  let quoteVolume = candle.quoteVolume + next.quoteVolume
+  return {
+    date: candle.date,
+    high: Math.max(candle.high, next.high),
+    low: Math.min(candle.low, next.low),
+    open: candle.open,
+    close: next.close,
+    volume: volume,
+    quoteVolume: quoteVolume,
+    weightedAverage: quoteVolume > 0 ? volume / quoteVolume : next.close
+  }
+}
+
+/**
+ * @private
+ */
+function flat (previous: Candle, date: number): Candle {
+  let price = previous.close
+  return { date: date, high: price, low: price, open: price, close: price, volume: 0, quoteVolume: 0, weightedAverage: price }
+}
+
+/**
+ * Sort candles by date, keeping the order of candles of the same date.
+ *
+ * @private
+ */
+function chronological (candles: Candle[]): Candle[] {
+  return candles
+    .map((candle, index) => [candle, index])
+    .sort(([a, i], [b, j]) => a.date - b.date || i - j)
+    .map(([candle]) => candle)
+}
+
+/**
+ * @private
+ */
+async function collect (records: AsyncIterator<Object>): Promise<Object[]> {
+  let all = []
+  for await (let record of records) all.push(record)
+  return all
+}
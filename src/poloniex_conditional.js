@@ -0,0 +1,492 @@
+/* @flow */
+
+import EventEmitter from 'events'
+import crypto from 'crypto'
+
+import { InvalidOrderError, NotSupportedError, OrderNotFoundError } from './errors'
+import { emitError } from './log'
+import { Poloniex } from './poloniex'
+import { PoloniexPush } from './poloniex_push'
+import { MemoryStore } from './store'
+import type { Store } from './store'
+import { toPlainString } from './decimal'
+import type { Numeric } from './decimal'
+import { toNumber, toNumberOrNull } from './unified'
+
+export type ConditionalType = 'stop' | 'stopLimit' | 'takeProfit' | 'trailingStop'
+
+export type ConditionalState = 'pending' | 'triggered' | 'cancelled' | 'failed'
+
+/**
+ * An order placed once the price of its market crosses its `stopPrice`:
+ *
+ * - `stop` sells when the price falls to the stop, buys when it rises to it
+ * - `stopLimit` like `stop`, but places a limit order at `limitPrice`
+ * - `takeProfit` sells when the price rises to the stop, buys when it falls
+ *   to it
+ * - `trailingStop` like `stop`, with the stop following the best price seen
+ *   since it was added at a distance of `trail`, or of `trailPercent` of the
+ *   price
+ *
+ * Orders with an `oco` are one of a one-cancels-the-other pair, the order of
+ * that id is cancelled when this one is triggered or cancelled.
+ */
+export type ConditionalOrder = {
+  id: string,
+  type: ConditionalType,
+  currencyPair: string,
+  side: 'buy' | 'sell',
+  amount: string,
+  stopPrice: ?number,
+  limitPrice: ?number,
+  trail: ?number,
+  trailPercent: ?number,
+  margin: boolean,
+  oco: ?string,
+  state: ConditionalState,
+  createdAt: number,
+  triggeredAt: ?number,
+  result: ?Object,
+  error: ?string
+}
+
+/**
+ * A conditional order to add, see {@link ConditionalOrder}. Margin orders
+ * are placed with `marginBuy` and `marginSell`.
+ */
+export type ConditionalOrderOptions = {
+  type: ConditionalType,
+  currencyPair: string,
+  side: 'buy' | 'sell',
+  amount: Numeric,
+  stopPrice?: Numeric,
+  limitPrice?: Numeric,
+  trail?: Numeric,
+  trailPercent?: number,
+  margin?: boolean
+}
+
+/**
+ * - `push` Push API client to watch prices with while it is connected, with
+ *   a REST `client` for the currency pairs of its ticker
+ * - `store` where pending orders are kept, in memory by default
+ * - `key` name of the pending orders in the store
+ * - `poll` milliseconds between polls of `returnTicker`
+ * - `slippage` how far past the best price stop orders may fill, as a
+ *   fraction of the price
+ */
+export type ConditionalOrdersOptions = {
+  push?: PoloniexPush,
+  store?: Store,
+  key?: string,
+  poll?: number,
+  slippage?: number
+}
+
+// prices an order type needs, besides trailing distances
+const PRICES: { [type: ConditionalType]: string[] } = {
+  stop: ['stopPrice'],
+  stopLimit: ['stopPrice', 'limitPrice'],
+  takeProfit: ['stopPrice'],
+  trailingStop: []
+}
+
+/**
+ * Stop, stop-limit, take-profit and trailing-stop orders, and
+ * one-cancels-the-other pairs of them, which Poloniex does not offer. The
+ * prices of markets are watched with the ticker of the Push API while it is
+ * connected, and by polling `returnTicker` otherwise. Once the last price
+ * crosses the stop of an order, a limit order is placed with `buy` or
+ * `sell`, or `marginBuy` or `marginSell`. Stop-limit orders are placed at
+ * their limit, the others immediate-or-cancel at the best price of the other
+ * side of the book plus the `slippage`.
+ *
+ * Pending orders are kept in the store and picked up again by
+ * {@link PoloniexConditionalOrders#start}. An order is no longer pending as
+ * soon as it is triggered, so that it is never placed twice, even when the
+ * process stops before its placement is known.
+ *
+ * Emits `triggered` with the order once it is placed, with the result in its
+ * `result`, `failed` with the order and the error when it could not be
+ * placed, `cancelled` with cancelled orders, `update` with trailing stops
+ * that moved, and `error` when prices or the store fail.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {ConditionalOrdersOptions} [options] push client, store and
+ * polling, prices are polled every 2 seconds and stop orders may fill up to
+ * 1% past the best price by default
+ * @throws {NotSupportedError} with a push client without a REST client
+ * @example
+ * let stops = new PoloniexConditionalOrders(plx, { store: new FileStore('state.json') })
+ * await stops.start()
+ * let [stop, profit] = await stops.oco(
+ *   { type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 },
+ *   { type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.08 }
+ * )
+ * stops.on('triggered', (order) => console.log(order.id, order.result))
+ */
+export class PoloniexConditionalOrders extends EventEmitter {
+  client: Poloniex
+  push: ?PoloniexPush
+  store: Store
+  key: string
+  poll: number
+  slippage: number
+  orders: Map<string, ConditionalOrder>
+  _timer: any
+  _started: boolean
+  _saving: Promise<void>
+  _listeners: { [event: string]: Function }
+
+  constructor (client: Poloniex, options?: ConditionalOrdersOptions = {}) {
+    super()
+    this.client = client
+    this.push = tickerPush(options.push)
+    this.store = options.store || new MemoryStore()
+    this.key = options.key || 'poloniex.conditionalOrders'
+    this.poll = options.poll || 2000
+    this.slippage = options.slippage === undefined ? 0.01 : options.slippage
+    this.orders = new Map()
+    this._started = false
+    this._saving = Promise.resolve()
+    this._listeners = {
+      ticker: (tick) => this._onTicker(tick),
+      disconnect: () => this._schedule()
+    }
+  }
+
+  /**
+   * Picks up the pending orders of the store and starts watching prices.
+   *
+   * @returns {Promise<void>}
+   */
+  async start (): Promise<void> {
+    let saved: ConditionalOrder[] = await this.store.get(this.key) || []
+    saved.forEach((order) => this.orders.set(order.id, order))
+    this._started = true
+    let push = this.push
+    if (push) {
+      for (let event of Object.keys(this._listeners)) push.on(event, this._listeners[event])
+      await push.subscribe('ticker')
+    }
+    this._schedule()
+  }
+
+  /**
+   * Stops watching prices, pending orders stay in the store.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop (): Promise<void> {
+    this._started = false
+    clearTimeout(this._timer)
+    let push = this.push
+    if (push) {
+      for (let event of Object.keys(this._listeners)) push.removeListener(event, this._listeners[event])
+      await push.unsubscribe('ticker')
+    }
+    await this._saving
+  }
+
+  /**
+   * Adds a conditional order.
+   *
+   * @param {ConditionalOrderOptions} options type, market, side, amount and
+   * prices of the order
+   * @returns {Promise<ConditionalOrder>} the pending order
+   * @throws {InvalidOrderError} when a price or the amount is missing
+   */
+  async add (options: ConditionalOrderOptions): Promise<ConditionalOrder> {
+    let order = this._add(options)
+    await this._save()
+    return order
+  }
+
+  /**
+   * Adds a one-cancels-the-other pair of conditional orders, e.g. a stop
+   * and a take-profit order of a position.
+   *
+   * @param {ConditionalOrderOptions} first one order of the pair
+   * @param {ConditionalOrderOptions} second the other order of the pair
+   * @returns {Promise<ConditionalOrder[]>} the pending orders
+   * @throws {InvalidOrderError} when a price or the amount is missing
+   */
+  async oco (first: ConditionalOrderOptions, second: ConditionalOrderOptions): Promise<ConditionalOrder[]> {
+    validate(second)
+    let pair = [this._add(first), this._add(second)]
+    pair[0].oco = pair[1].id
+    pair[1].oco = pair[0].id
+    await this._save()
+    return pair
+  }
+
+  /**
+   * Cancels a pending order, and the other order of its pair.
+   *
+   * @param {string} id id of the order
+   * @returns {Promise<ConditionalOrder>} the cancelled order
+   * @throws {OrderNotFoundError} when no such order is pending
+   */
+  async cancel (id: string): Promise<ConditionalOrder> {
+    let order = this.orders.get(id)
+    if (!order || order.state !== 'pending') {
+      throw new OrderNotFoundError(`(poloniex) conditional order ${id} is not pending`, { exchange: 'poloniex' })
+    }
+    this._cancel(order)
+    this._cancelOther(order)
+    await this._save()
+    return order
+  }
+
+  /**
+   * Returns an order.
+   *
+   * @param {string} id id of the order
+   * @returns {ConditionalOrder|void}
+   */
+  get (id: string): ?ConditionalOrder {
+    return this.orders.get(id)
+  }
+
+  /**
+   * Returns the orders that are waiting for their trigger.
+   *
+   * @returns {ConditionalOrder[]}
+   */
+  pending (): ConditionalOrder[] {
+    return Array.from(this.orders.values()).filter((order) => order.state === 'pending')
+  }
+
+  /**
+   * @private
+   */
+  _add (options: ConditionalOrderOptions): ConditionalOrder {
+    validate(options)
+    let order: ConditionalOrder = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: options.type,
+      currencyPair: options.currencyPair,
+      side: options.side,
+      amount: toPlainString(options.amount),
+      stopPrice: toNumberOrNull(options.stopPrice),
+      limitPrice: toNumberOrNull(options.limitPrice),
+      trail: toNumberOrNull(options.trail),
+      trailPercent: toNumberOrNull(options.trailPercent),
+      margin: options.margin === true,
+      oco: null,
+      state: 'pending',
+      createdAt: Date.now(),
+      triggeredAt: null,
+      result: null,
+      error: null
+    }
+    this.orders.set(order.id, order)
+    this._schedule()
+    return order
+  }
+
+  /**
+   * @private
+   */
+  _cancel (order: ConditionalOrder) {
+    order.state = 'cancelled'
+    this.emit('cancelled', order)
+  }
+
+  /**
+   * Cancel the other order of a pair, when it is still pending.
+   *
+   * @private
+   */
+  _cancelOther (order: ConditionalOrder) {
+    let other = order.oco ? this.orders.get(order.oco) : undefined
+    if (other && other.state === 'pending') this._cancel(other)
+  }
+
+  /**
+   * Check the pending orders of a market against its prices.
+   *
+   * @private
+   */
+  _onTicker (tick: Object) {
+    let last = toNumber(tick.last)
+    this.pending().filter((order) => order.currencyPair === tick.currencyPair).forEach((order) => {
+      if (order.type === 'trailingStop') this._trail(order, last)
+      if (crossed(order, last)) this._trigger(order, tick).catch((err) => emitError(this, err))
+    })
+  }
+
+  /**
+   * Move the stop of a trailing stop after the price, never back.
+   *
+   * @private
+   */
+  _trail (order: ConditionalOrder, price: number) {
+    let distance = order.trail || price * (order.trailPercent || 0) / 100
+    let stopPrice = order.side === 'sell' ? price - distance : price + distance
+    if (!tighter(order, stopPrice)) return
+    order.stopPrice = stopPrice
+    this.emit('update', order)
+    this._save().catch((err) => emitError(this, err))
+  }
+
+  /**
+   * Place the order of a crossed trigger, and cancel the other order of its
+   * pair once it is placed. The trigger is saved before the order is placed,
+   * so that it is not placed again after a restart, and saved again with the
+   * outcome.
+   *
+   * @private
+   */
+  async _trigger (order: ConditionalOrder, tick: Object): Promise<void> {
+    order.state = 'triggered'
+    order.triggeredAt = Date.now()
+    try {
+      await this._save()
+      order.result = await this._place(order, tick)
+      this._cancelOther(order)
+      this.emit('triggered', order)
+    } catch (err) {
+      order.state = 'failed'
+      order.error = err.message
+      this.emit('failed', order, err)
+    }
+    await this._save()
+  }
+
+  /**
+   * @private
+   */
+  _place (order: ConditionalOrder, tick: Object): Promise<Object> {
+    let client = this.client
+    let rate = this._rate(order, tick)
+    let type = order.type === 'stopLimit' ? undefined : 'immediateOrCancel'
+    if (order.margin) {
+      return order.side === 'sell'
+        ? client.marginSell(order.currencyPair, rate, order.amount, undefined, type)
+        : client.marginBuy(order.currencyPair, rate, order.amount, undefined, type)
+    }
+    return order.side === 'sell'
+      ? client.sell(order.currencyPair, rate, order.amount, type)
+      : client.buy(order.currencyPair, rate, order.amount, type)
+  }
+
+  /**
+   * The rate of a triggered order: the limit of stop-limit orders, the best
+   * price of the other side of the book with slippage for orders that have
+   * to fill now.
+   *
+   * @private
+   */
+  _rate (order: ConditionalOrder, tick: Object): number {
+    if (order.type === 'stopLimit') return order.limitPrice || 0
+    return order.side === 'sell'
+      ? toNumber(tick.highestBid) * (1 - this.slippage)
+      : toNumber(tick.lowestAsk) * (1 + this.slippage)
+  }
+
+  /**
+   * Keep the pending orders in the store, one write after the other.
+   *
+   * @private
+   */
+  _save (): Promise<void> {
+    let save = () => this.store.set(this.key, this.pending())
+    let saved = this._saving.then(save)
+    this._saving = saved.catch(() => {})
+    return saved
+  }
+
+  /**
+   * Poll the ticker while there are pending orders and no connected push
+   * client.
+   *
+   * @private
+   */
+  _schedule () {
+    clearTimeout(this._timer)
+    if (!this._started || this.pending().length === 0 || this._pushed()) return
+    this._timer = setTimeout(() => this._tick(), this.poll)
+  }
+
+  /**
+   * @private
+   */
+  async _tick () {
+    try {
+      let ticker = await this.client.returnTicker()
+      Object.keys(ticker).forEach((currencyPair) => this._onTicker(Object.assign({ currencyPair: currencyPair }, ticker[currencyPair])))
+    } catch (err) {
+      emitError(this, err)
+    } finally {
+      this._schedule()
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pushed (): boolean {
+    return Boolean(this.push && this.push.isConnected())
+  }
+}
+
+/**
+ * A push client only tells the markets of ticker updates apart with the
+ * currency pairs its REST client loads.
+ *
+ * @private
+ */
+function tickerPush (push: ?PoloniexPush): ?PoloniexPush {
+  if (push && !push.client) {
+    throw new NotSupportedError('(poloniex) conditional orders need a push client with a REST client, to tell the markets of ticker updates apart', { exchange: 'poloniex' })
+  }
+  return push
+}
+
+/**
+ * Whether a price crosses the stop of an order: sell stops and buy
+ * take-profits trigger at or below it, the others at or above it.
+ *
+ * @private
+ */
+function crossed (order: ConditionalOrder, price: number): boolean {
+  let stopPrice = order.stopPrice
+  if (stopPrice === null || stopPrice === undefined) return false
+  let below = (order.side === 'sell') !== (order.type === 'takeProfit')
+  return below ? price <= stopPrice : price >= stopPrice
+}
+
+/**
+ * Whether a stop is closer to the price than the stop of a trailing order,
+ * any stop is for an order without one.
+ *
+ * @private
+ */
+function tighter (order: ConditionalOrder, stopPrice: number): boolean {
+  let current = order.stopPrice
+  if (current === null || current === undefined) return true
+  return order.side === 'sell' ? stopPrice > current : stopPrice < current
+}
+
+/**
+ * Reject orders without the prices of their type, or without an amount.
+ *
+ * @private
+ */
+function validate (options: ConditionalOrderOptions) {
+  let prices = PRICES[options.type]
+  if (!prices) throw invalid(`unknown conditional order type ${options.type}`)
+  let missing = prices.concat('amount').find((field) => !(toNumber(options[field]) > 0))
+  if (missing) throw invalid(`${missing} of a ${options.type} order must be positive`)
+  if (options.type === 'trailingStop' && !(toNumber(options.trail) > 0 || toNumber(options.trailPercent) > 0)) {
+    throw invalid('trail or trailPercent of a trailingStop order must be positive')
+  }
+}
+
+/**
+ * @private
+ */
+function invalid (message: string): InvalidOrderError {
+  return new InvalidOrderError(`(poloniex) ${message}`, { exchange: 'poloniex' })
+}
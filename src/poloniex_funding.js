@@ -0,0 +1,290 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import { emitError } from './log'
+import { Poloniex } from './poloniex'
+import { iterateDepositsWithdrawals } from './poloniex_history'
+import { MemoryStore } from './store'
+import type { Store } from './store'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+/**
+ * How far a deposit or withdrawal got: deposits are `pending` until they
+ * have the confirmations their currency needs, withdrawals are `sent` until
+ * they are `complete`.
+ */
+export type FundingStage = 'pending' | 'confirmed' | 'sent' | 'complete'
+
+/**
+ * A deposit or withdrawal of `returnDepositsWithdrawals`, with numbers for
+ * its amount and its `timestamp` in milliseconds. Deposits have their
+ * `confirmations` and the `minConf` of their currency, withdrawals their
+ * `withdrawalNumber` and the `txid` once they are complete.
+ */
+export type FundingRecord = {
+  id: string,
+  type: 'deposit' | 'withdrawal',
+  currency: string,
+  address: string,
+  amount: number,
+  timestamp: number,
+  status: string,
+  stage: FundingStage,
+  txid: ?string,
+  confirmations: ?number,
+  minConf: ?number,
+  withdrawalNumber: ?number
+}
+
+/**
+ * The state of a watcher kept in its store: the date polls start from, and
+ * the stage of the records since then.
+ */
+export type FundingState = {
+  cursor: number,
+  records: { [id: string]: { timestamp: number, stage: FundingStage, confirmations: ?number } }
+}
+
+/**
+ * - `store` where the cursor is kept, in memory by default
+ * - `key` name of the cursor in the store
+ * - `since` date of the first poll without a cursor, a day ago by default
+ * - `interval` milliseconds between polls
+ * - `overlap` milliseconds polls reach back before the last one, for records
+ *   that show up late
+ */
+export type FundingOptions = {
+  store?: Store,
+  key?: string,
+  since?: Date,
+  interval?: number,
+  overlap?: number
+}
+
+/**
+ * Follows the deposits and withdrawals of the account. Each poll requests
+ * the records from a cursor on, the date of the oldest record still in
+ * progress, and compares them with the last poll. The cursor is kept in the
+ * store, so that a restarted watcher picks up where it stopped, and saved
+ * before the events of a poll are emitted.
+ *
+ * Emits `deposit:pending` with each {@link FundingRecord} of a deposit that
+ * arrived or gained confirmations, `deposit:confirmed` once it has the
+ * `minConf` confirmations of its currency of `returnCurrencies`, or is
+ * complete, `withdrawal:sent` with each withdrawal that was placed and
+ * `withdrawal:complete` once it has its txid, and `error` when a poll fails.
+ * A record that passed a stage between two polls skips its event.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {FundingOptions} [options] store and polling, polls every minute by
+ * default
+ * @example
+ * let funding = new PoloniexFunding(plx, { store: new FileStore('funding.json') })
+ * funding.on('deposit:confirmed', (deposit) => console.log(deposit.amount, deposit.currency))
+ * funding.start()
+ */
+export class PoloniexFunding extends EventEmitter {
+  client: Poloniex
+  store: Store
+  key: string
+  since: ?Date
+  interval: number
+  overlap: number
+  _currencies: ?Object
+  _timer: any
+  _started: boolean
+
+  constructor (client: Poloniex, options?: FundingOptions = {}) {
+    super()
+    let settings: Object = Object.assign({}, {
+      key: 'poloniex.funding',
+      interval: 60 * 1000,
+      overlap: HOUR
+    }, options)
+    this.client = client
+    this.store = settings.store || new MemoryStore()
+    this.key = settings.key
+    this.since = settings.since
+    this.interval = settings.interval
+    this.overlap = settings.overlap
+    this._started = false
+  }
+
+  /**
+   * Polls now and every `interval` from then on.
+   */
+  start () {
+    this._started = true
+    this._run()
+  }
+
+  /**
+   * Stops polling, the cursor stays in the store.
+   */
+  stop () {
+    this._started = false
+    clearTimeout(this._timer)
+  }
+
+  /**
+   * Polls the deposits and withdrawals since the cursor, and emits the
+   * events of those that moved on.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<FundingRecord[]>} the records that moved on
+   */
+  async poll (options?: RequestOptions): Promise<FundingRecord[]> {
+    let state = await this.state()
+    let end = Date.now()
+    let records = {}
+    let moved = []
+    for await (let raw of iterateDepositsWithdrawals(this.client, new Date(state.cursor), new Date(end), {}, options)) {
+      let record = await this._record(raw, options)
+      let previous = state.records[record.id]
+      records[record.id] = { timestamp: record.timestamp, stage: record.stage, confirmations: record.confirmations }
+      if (hasMoved(record, previous)) moved.push(record)
+    }
+    await this.store.set(this.key, advance(state, records, end - this.overlap))
+    for (let record of moved) this.emit(`${record.type}:${record.stage}`, record)
+    return moved
+  }
+
+  /**
+   * Returns the state kept in the store, a cursor at `since` when there is
+   * none yet.
+   *
+   * @returns {Promise<FundingState>}
+   */
+  async state (): Promise<FundingState> {
+    let saved = await this.store.get(this.key)
+    return saved || { cursor: (this.since ? this.since.getTime() : Date.now() - DAY), records: {} }
+  }
+
+  /**
+   * Poll, and schedule the next poll.
+   *
+   * @private
+   */
+  async _run () {
+    try {
+      await this.poll()
+    } catch (err) {
+      emitError(this, err)
+    } finally {
+      if (this._started) this._timer = setTimeout(() => this._run(), this.interval)
+    }
+  }
+
+  /**
+   * Normalize a deposit or withdrawal.
+   *
+   * @private
+   */
+  async _record (raw: Object, options?: RequestOptions): Promise<FundingRecord> {
+    if (raw.type !== 'deposit') return toWithdrawal(raw)
+    return toDeposit(raw, await this._minConf(raw.currency, options))
+  }
+
+  /**
+   * The confirmations deposits of a currency need, from `returnCurrencies`
+   * loaded again for currencies it did not have.
+   *
+   * @private
+   */
+  async _minConf (currency: string, options?: RequestOptions): Promise<?number> {
+    if (!this._currencies || !this._currencies[currency]) this._currencies = await this.client.returnCurrencies(options)
+    let info = (this._currencies || {})[currency]
+    return info ? info.minConf : null
+  }
+}
+
+/**
+ * Whether a record reached another stage, or a pending deposit gained
+ * confirmations, since the last poll.
+ *
+ * @private
+ */
+function hasMoved (record: FundingRecord, previous: ?{ stage: FundingStage, confirmations: ?number }): boolean {
+  if (!previous || previous.stage !== record.stage) return true
+  return record.stage === 'pending' && previous.confirmations !== record.confirmations
+}
+
+/**
+ * Move the cursor to the oldest record in progress, or to the overlap
+ * before the end of the poll, and forget the records before it.
+ *
+ * @private
+ */
+function advance (state: FundingState, polled: Object, recent: number): FundingState {
+  let records = Object.assign({}, state.records, polled)
+  let cursor = Object.keys(records)
+    .filter((id) => records[id].stage === 'pending' || records[id].stage === 'sent')
+    .reduce((oldest, id) => Math.min(oldest, records[id].timestamp), Math.max(state.cursor, recent))
+  Object.keys(records).filter((id) => records[id].timestamp < cursor).forEach((id) => delete records[id])
+  return { cursor: cursor, records: records }
+}
+
+/**
+ * A deposit is confirmed once it has the confirmations of its currency, or
+ * Poloniex reports it complete.
+ *
+ * @private
+ */
+function toDeposit (raw: Object, minConf: ?number): FundingRecord {
+  let confirmed = isComplete(raw.status) || (typeof minConf === 'number' && raw.confirmations >= minConf)
+  return Object.assign(toFunding(raw), {
+    id: `deposit ${raw.currency} ${raw.txid}`,
+    stage: confirmed ? 'confirmed' : 'pending',
+    txid: raw.txid,
+    confirmations: raw.confirmations,
+    minConf: minConf
+  })
+}
+
+/**
+ * A withdrawal is complete once its status has its txid, e.g.
+ * `COMPLETE: 36e483efa6aff9fd...`.
+ *
+ * @private
+ */
+function toWithdrawal (raw: Object): FundingRecord {
+  let match = /^COMPLETE: (\S+)/.exec(raw.status)
+  return Object.assign(toFunding(raw), {
+    id: `withdrawal ${raw.withdrawalNumber}`,
+    stage: isComplete(raw.status) ? 'complete' : 'sent',
+    txid: match ? match[1] : null,
+    withdrawalNumber: raw.withdrawalNumber
+  })
+}
+
+/**
+ * @private
+ */
+function toFunding (raw: Object): FundingRecord {
+  return {
+    id: '',
+    type: raw.type,
+    currency: raw.currency,
+    address: raw.address,
+    amount: toNumber(raw.amount),
+    timestamp: raw.timestamp * 1000,
+    status: raw.status,
+    stage: 'pending',
+    txid: null,
+    confirmations: null,
+    minConf: null,
+    withdrawalNumber: null
+  }
+}
+
+/**
+ * @private
+ */
+function isComplete (status: string): boolean {
+  return /^COMPLETE/.test(status)
+}
@@ -0,0 +1,187 @@
+/* @flow */
+
+import { Poloniex, parseDate } from './poloniex'
+import type { RequestOptions } from './api'
+
+const SECOND: number = 1000
+const DAY: number = 24 * 3600 * SECOND
+
+/**
+ * How a date range is split into the requests of its pages.
+ *
+ * - `window` milliseconds covered by a page, halved while pages come back
+ *   full and grown back once they do not
+ * - `pageSize` records in a full page, the limit of the endpoint
+ */
+export type PagingOptions = {
+  window?: number,
+  pageSize?: number
+}
+
+type Pages<T> = {
+  fetch: (start: Date, end: Date) => Promise<T[]>,
+  id: (record: T) => string,
+  time: (record: T) => number,
+  window: number,
+  pageSize: ?number
+}
+
+/**
+ * Iterates over your trades, or the public trades, of a market between two
+ * dates in chronological order. Set `currencyPair` to `all` for your trades
+ * of all markets, each trade then has its `currencyPair`.
+ *
+ * @param {Poloniex} client Poloniex client, with key and secret for your
+ * trades
+ * @param {boolean} personal true for your trades, false for public trades
+ * @param {string} currencyPair the market, or `all` for your trades
+ * @param {Date} startDate date of the first trade
+ * @param {Date} endDate date of the last trade
+ * @param {PagingOptions} [paging] a window of one day and pages of 50,000
+ * public or 500 personal trades by default
+ * @param {RequestOptions} [options] timeouts and `AbortSignal` for each call
+ * @returns {AsyncGenerator<object>}
+ * @example
+ * let plx = new Poloniex(key, secret)
+ * for await (let trade of iterateTradeHistory(plx, true, 'BTC_ETH', new Date('2017-01-01'), new Date('2018-01-01'))) {
+ *   console.log(trade)
+ * }
+ * // => {"globalTradeID":25129732,"tradeID":"6325758","date":"2017-01-02 03:58:17","rate":"0.01520000","amount":"0.98000000","total":"0.01489600","fee":"0.00150000","orderNumber":"34225313575","type":"sell","category":"exchange"}
+ */
+export function iterateTradeHistory (
+  client: Poloniex,
+  personal: boolean,
+  currencyPair: string,
+  startDate: Date,
+  endDate: Date,
+  paging?: PagingOptions = {},
+  options?: RequestOptions
+): AsyncGenerator<Object, void, void> {
+  return paginate(startDate, endDate, {
+    fetch: async (start, end) => flattenMarkets(await client.returnTradeHistory(personal, currencyPair, start, end, options)),
+    id: (trade) => String(trade.globalTradeID || trade.tradeID),
+    time: (trade) => parseDate(trade.date),
+    window: paging.window || DAY,
+    pageSize: paging.pageSize || (personal ? 500 : 50000)
+  })
+}
+
+/**
+ * Iterates over your closed loans between two dates, in the chronological
+ * order of their closing.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {Date} startDate date of the first loan
+ * @param {Date} endDate date of the last loan
+ * @param {PagingOptions} [paging] a window of 30 days and pages of 1,000
+ * loans by default, the page size is sent as `limit`
+ * @param {RequestOptions} [options] timeouts and `AbortSignal` for each call
+ * @returns {AsyncGenerator<object>}
+ */
+export function iterateLendingHistory (
+  client: Poloniex,
+  startDate: Date,
+  endDate: Date,
+  paging?: PagingOptions = {},
+  options?: RequestOptions
+): AsyncGenerator<Object, void, void> {
+  let pageSize = paging.pageSize || 1000
+  return paginate(startDate, endDate, {
+    fetch: (start, end) => client.returnLendingHistory(start, end, pageSize, options),
+    id: (loan) => String(loan.id),
+    time: (loan) => parseDate(loan.close),
+    window: paging.window || 30 * DAY,
+    pageSize: pageSize
+  })
+}
+
+/**
+ * Iterates over your deposits and withdrawals between two dates in
+ * chronological order, each with a `type` of `deposit` or `withdrawal`.
+ * Poloniex does not limit these pages, the window is only shrunk when a
+ * `pageSize` is given.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {Date} startDate date of the first deposit or withdrawal
+ * @param {Date} endDate date of the last deposit or withdrawal
+ * @param {PagingOptions} [paging] a window of 30 days by default
+ * @param {RequestOptions} [options] timeouts and `AbortSignal` for each call
+ * @returns {AsyncGenerator<object>}
+ */
+export function iterateDepositsWithdrawals (
+  client: Poloniex,
+  startDate: Date,
+  endDate: Date,
+  paging?: PagingOptions = {},
+  options?: RequestOptions
+): AsyncGenerator<Object, void, void> {
+  return paginate(startDate, endDate, {
+    fetch: async (start, end) => {
+      let { deposits, withdrawals } = await client.returnDepositsWithdrawals(start, end, options)
+      return deposits.map((deposit) => Object.assign({}, { type: 'deposit' }, deposit))
+        .concat(withdrawals.map((withdrawal) => Object.assign({}, { type: 'withdrawal' }, withdrawal)))
+    },
+    id: (record) => record.type === 'deposit' ? `deposit ${record.currency} ${record.txid}` : `withdrawal ${record.withdrawalNumber}`,
+    time: (record) => record.timestamp * SECOND,
+    window: paging.window || 30 * DAY,
+    pageSize: paging.pageSize
+  })
+}
+
+/**
+ * Request a date range in windows, from its start to its end. A full page
+ * may be missing records, so its window is halved and requested again.
+ * Consecutive windows share the second at their boundary, the records of
+ * that second returned twice are skipped.
+ *
+ * @private
+ */
+async function * paginate<T> (startDate: Date, endDate: Date, pages: Pages<T>): AsyncGenerator<T, void, void> {
+  let from = startDate.getTime()
+  let end = endDate.getTime()
+  let window = pages.window
+  let previous: Set<string> = new Set()
+  while (from <= end) {
+    let to = Math.min(from + window, end)
+    let records = await pages.fetch(new Date(from), new Date(to))
+    if (isFull(records, pages.pageSize) && to - from > SECOND) {
+      window = Math.max(Math.floor((to - from) / 2), SECOND)
+      continue
+    }
+    let fresh = records.filter((record) => !previous.has(pages.id(record)))
+    for (let record of chronological(fresh, pages)) yield record
+    if (to === end) return
+    previous = new Set(records.map(pages.id))
+    from = to
+    window = Math.min(window * 2, pages.window)
+  }
+}
+
+/**
+ * @private
+ */
+function isFull (records: Array<any>, pageSize: ?number): boolean {
+  return typeof pageSize === 'number' && records.length >= pageSize
+}
+
+/**
+ * Sort records by time, and records of the same time by id.
+ *
+ * @private
+ */
+function chronological<T> (records: T[], pages: Pages<T>): T[] {
+  return records.sort((a, b) => pages.time(a) - pages.time(b) || Number(pages.id(a)) - Number(pages.id(b)) || 0)
+}
+
+/**
+ * Trades of all markets are returned by currency pair.
+ *
+ * @private
+ */
+function flattenMarkets (trades: Object[] | { [string]: Object[] }): Object[] {
+  if (Array.isArray(trades)) return trades
+  let markets: { [string]: Object[] } = trades
+  return Object.keys(markets).reduce((all, currencyPair) => {
+    return all.concat(markets[currencyPair].map((trade) => Object.assign({}, { currencyPair: currencyPair }, trade)))
+  }, [])
+}
@@ -0,0 +1,363 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import { Poloniex, parseDate } from './poloniex'
+import { iterateLendingHistory } from './poloniex_history'
+import { emitError } from './log'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+
+/**
+ * A loan offer or demand of `returnLoanOrders`, with numbers for its rate and
+ * amount. Rates are daily interest rates.
+ */
+export type LoanOrder = {
+  rate: number,
+  amount: number,
+  rangeMin: number,
+  rangeMax: number
+}
+
+/**
+ * The loan order book of a currency, offers from the lowest rate up and
+ * demands from the highest rate down.
+ */
+export type LoanBook = {
+  offers: LoanOrder[],
+  demands: LoanOrder[]
+}
+
+/**
+ * Prices an offer from the loan order book of its currency, returns the daily
+ * rate to offer at.
+ */
+export type LendingStrategy = (book: LoanBook, currency: string) => number
+
+/**
+ * - `currencies` which currencies to lend
+ * - `strategy` prices offers, the lowest offer of the book by default
+ * - `minRate` and `maxRate` bounds of the daily rates offered
+ * - `minDuration` and `maxDuration` days loans are offered for, the longest
+ *   for rates of at least `longRate`
+ * - `minAmount` smallest idle balance worth offering
+ * - `autoRenew` whether loans are renewed when they end
+ * - `staleAfter` milliseconds after which offers that were not taken are
+ *   cancelled and offered again at a new rate
+ * - `interval` milliseconds between sweeps
+ * - `transfer` whether to move the available balances of the exchange
+ *   account to the lending account first
+ */
+export type LendingOptions = {
+  currencies: string[],
+  strategy?: LendingStrategy,
+  minRate?: number,
+  maxRate?: number,
+  minDuration?: number,
+  maxDuration?: number,
+  longRate?: number,
+  minAmount?: number,
+  autoRenew?: boolean,
+  staleAfter?: number,
+  interval?: number,
+  transfer?: boolean
+}
+
+/**
+ * A loan offer made or cancelled by a sweep.
+ */
+export type LendingOffer = {
+  id: ?number,
+  currency: string,
+  amount: number,
+  rate: number,
+  duration: number
+}
+
+/**
+ * Interest earned with the loans of a currency, net of fees in `earned`.
+ */
+export type LendingEarnings = {
+  loans: number,
+  amount: number,
+  interest: number,
+  fees: number,
+  earned: number
+}
+
+/**
+ * Strategies that price loan offers from the loan order book:
+ *
+ * - `lowestOffer` at the rate of the lowest offer, to be lent out next
+ * - `highestDemand` at the rate of the highest demand, to be lent out now
+ * - `depth(amount)` at the rate of the offer an `amount` deep into the book,
+ *   to wait for a better rate behind cheaper offers
+ */
+export const lendingStrategies = {
+  lowestOffer (book: LoanBook): number {
+    return book.offers.length > 0 ? book.offers[0].rate : 0
+  },
+  highestDemand (book: LoanBook): number {
+    return book.demands.length > 0 ? book.demands[0].rate : 0
+  },
+  depth (amount: number): LendingStrategy {
+    return (book) => {
+      let total = 0
+      let deep = book.offers.find((offer) => (total += offer.amount) >= amount)
+      return deep ? deep.rate : lendingStrategies.lowestOffer(book)
+    }
+  }
+}
+
+/**
+ * Keeps idle lending balances lent out. Every `interval` a sweep cancels the
+ * offers that were not taken within `staleAfter`, and offers the available
+ * balances of the lending account at a rate priced by the strategy from the
+ * loan order book, bounded by `minRate` and `maxRate`. Balances left on the
+ * exchange account are moved to the lending account first with the
+ * `transfer` option.
+ *
+ * Emits `offer` and `cancel` with each {@link LendingOffer} made and
+ * cancelled, `sweep` with the offers of a sweep once it is done, and `error`
+ * when a sweep or the offer of a currency fails. Currencies without a
+ * positive rate to offer at are skipped.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {LendingOptions} options currencies to lend, and how; offers are
+ * made for 2 days, swept every minute and stale after 10 minutes by default
+ * @example
+ * let bot = new PoloniexLending(plx, { currencies: ['BTC', 'ETH'], minRate: 0.0001, strategy: lendingStrategies.depth(50) })
+ * bot.on('offer', (offer) => console.log(offer))
+ * bot.start()
+ * await bot.earnings(new Date('2017-10-01'), new Date())
+ * // => {"BTC":{"loans":12,"amount":3.2,"interest":0.00042,"fees":-0.000063,"earned":0.000357}}
+ */
+export class PoloniexLending extends EventEmitter {
+  client: Poloniex
+  currencies: string[]
+  strategy: LendingStrategy
+  minRate: number
+  maxRate: number
+  minDuration: number
+  maxDuration: number
+  longRate: number
+  minAmount: number
+  autoRenew: boolean
+  staleAfter: number
+  interval: number
+  transfer: boolean
+  _timer: any
+  _started: boolean
+
+  constructor (client: Poloniex, options: LendingOptions) {
+    super()
+    let settings: Object = Object.assign({}, {
+      strategy: lendingStrategies.lowestOffer,
+      minRate: 0,
+      maxRate: Infinity,
+      minDuration: 2,
+      maxDuration: 2,
+      longRate: Infinity,
+      minAmount: 0.01,
+      autoRenew: false,
+      staleAfter: 10 * 60 * 1000,
+      interval: 60 * 1000,
+      transfer: false
+    }, options)
+    this.client = client
+    this.currencies = settings.currencies
+    this.strategy = settings.strategy
+    this.minRate = settings.minRate
+    this.maxRate = settings.maxRate
+    this.minDuration = settings.minDuration
+    this.maxDuration = settings.maxDuration
+    this.longRate = settings.longRate
+    this.minAmount = settings.minAmount
+    this.autoRenew = settings.autoRenew
+    this.staleAfter = settings.staleAfter
+    this.interval = settings.interval
+    this.transfer = settings.transfer
+    this._started = false
+  }
+
+  /**
+   * Sweeps now and every `interval` from then on.
+   */
+  start () {
+    this._started = true
+    this._run()
+  }
+
+  /**
+   * Stops sweeping, offers that were made stay open.
+   */
+  stop () {
+    this._started = false
+    clearTimeout(this._timer)
+  }
+
+  /**
+   * Cancels stale offers, and offers the idle balances of the currencies.
+   * A currency that fails is reported as an `error` without holding up the
+   * others.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<{cancelled: LendingOffer[], offered: LendingOffer[]}>}
+   * the offers cancelled and made
+   */
+  async sweep (options?: RequestOptions): Promise<{ cancelled: LendingOffer[], offered: LendingOffer[] }> {
+    let cancelled = await this._cancelStale(options)
+    let balances = await this.client.returnAvailableAccountBalances(undefined, options)
+    let offered = []
+    for (let currency of this.currencies) {
+      let offer = await this._lend(currency, balances, options)
+      if (offer) offered.push(offer)
+    }
+    let result = { cancelled: cancelled, offered: offered }
+    this.emit('sweep', result)
+    return result
+  }
+
+  /**
+   * Returns the rate and duration an amount of a currency would be offered
+   * at now.
+   *
+   * @param {string} currency which currency to lend
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<?{rate: number, duration: number}>} `null` when there
+   * is no positive rate to offer at, e.g. for an empty book without `minRate`
+   */
+  async quote (currency: string, options?: RequestOptions): Promise<?{ rate: number, duration: number }> {
+    let loanOrders = await this.client.returnLoanOrders(currency, options)
+    let book = { offers: loanOrders.offers.map(toLoanOrder), demands: loanOrders.demands.map(toLoanOrder) }
+    let rate = Math.min(Math.max(this.strategy(book, currency), this.minRate), this.maxRate)
+    if (!(rate > 0)) return null
+    return { rate: rate, duration: rate >= this.longRate ? this.maxDuration : this.minDuration }
+  }
+
+  /**
+   * Sums up the interest earned with loans closed between two dates, by
+   * currency.
+   *
+   * @param {Date} startDate date of the first loan
+   * @param {Date} endDate date of the last loan
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<Object<string, LendingEarnings>>}
+   */
+  async earnings (startDate: Date, endDate: Date, options?: RequestOptions): Promise<{ [currency: string]: LendingEarnings }> {
+    let earnings = {}
+    for await (let loan of iterateLendingHistory(this.client, startDate, endDate, {}, options)) {
+      let sum = earnings[loan.currency] || { loans: 0, amount: 0, interest: 0, fees: 0, earned: 0 }
+      sum.loans += 1
+      sum.amount += toNumber(loan.amount)
+      sum.interest += toNumber(loan.interest)
+      sum.fees += toNumber(loan.fee)
+      sum.earned += toNumber(loan.earned)
+      earnings[loan.currency] = sum
+    }
+    return earnings
+  }
+
+  /**
+   * Sweep, and schedule the next sweep.
+   *
+   * @private
+   */
+  async _run () {
+    try {
+      await this.sweep()
+    } catch (err) {
+      emitError(this, err)
+    } finally {
+      if (this._started) this._timer = setTimeout(() => this._run(), this.interval)
+    }
+  }
+
+  /**
+   * Offer the idle balance of a currency when it is worth offering, failures
+   * are reported as `error`.
+   *
+   * @private
+   */
+  async _lend (currency: string, balances: Object, options?: RequestOptions): Promise<?LendingOffer> {
+    try {
+      let amount = await this._idle(currency, balances, options)
+      return amount >= this.minAmount ? await this._offer(currency, amount, options) : null
+    } catch (err) {
+      emitError(this, err)
+      return null
+    }
+  }
+
+  /**
+   * The idle balance of a currency, its available lending balance and, with
+   * the `transfer` option, its available exchange balance.
+   *
+   * @private
+   */
+  async _idle (currency: string, balances: Object, options?: RequestOptions): Promise<number> {
+    let lending = toNumber((balances.lending || {})[currency] || 0)
+    return lending + await this._transfer(currency, (balances.exchange || {})[currency], options)
+  }
+
+  /**
+   * Move the available exchange balance of a currency to lending, with the
+   * `transfer` option.
+   *
+   * @private
+   * @returns {Promise<number>} the amount moved
+   */
+  async _transfer (currency: string, available: ?string, options?: RequestOptions): Promise<number> {
+    let amount = toNumber(available || 0)
+    if (!this.transfer || !(amount > 0)) return 0
+    await this.client.transferBalance(currency, amount, 'exchange', 'lending', options)
+    return amount
+  }
+
+  /**
+   * Cancel the offers of the currencies that were not taken in time.
+   *
+   * @private
+   */
+  async _cancelStale (options?: RequestOptions): Promise<LendingOffer[]> {
+    let open = await this.client.returnOpenLoanOffers(options)
+    let since = Date.now() - this.staleAfter
+    let stale = this.currencies.reduce((all, currency) => all.concat((open[currency] || [])
+      .filter((offer) => parseDate(offer.date) < since)
+      .map((offer) => toOffer(currency, offer))), [])
+    for (let offer of stale) {
+      await this.client.cancelLoanOffer(offer.id || 0, options)
+      this.emit('cancel', offer)
+    }
+    return stale
+  }
+
+  /**
+   * Offer an amount at the quote of its currency, unless there is none.
+   *
+   * @private
+   */
+  async _offer (currency: string, amount: number, options?: RequestOptions): Promise<?LendingOffer> {
+    let quote = await this.quote(currency, options)
+    if (!quote) return null
+    let { rate, duration } = quote
+    let result = await this.client.createLoanOffer(currency, amount, rate, this.autoRenew, duration, options)
+    let offer = { id: result.orderID, currency: currency, amount: amount, rate: rate, duration: duration }
+    this.emit('offer', offer)
+    return offer
+  }
+}
+
+/**
+ * @private
+ */
+function toLoanOrder (order: Object): LoanOrder {
+  return { rate: toNumber(order.rate), amount: toNumber(order.amount), rangeMin: order.rangeMin, rangeMax: order.rangeMax }
+}
+
+/**
+ * @private
+ */
+function toOffer (currency: string, offer: Object): LendingOffer {
+  return { id: offer.id, currency: currency, amount: toNumber(offer.amount), rate: toNumber(offer.rate), duration: offer.duration }
+}
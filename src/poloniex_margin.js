@@ -0,0 +1,346 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import { emitError } from './log'
+import { Poloniex } from './poloniex'
+import { toNumber } from './unified'
+import type { Numeric } from './decimal'
+import type { RequestOptions } from './api'
+
+export type RiskLevel = 'ok' | 'warning' | 'critical' | 'unknown'
+
+// escalation order of risk levels
+const LEVELS: RiskLevel[] = ['ok', 'warning', 'critical']
+
+/**
+ * A margin position with its risk. The `distance` to liquidation is how far
+ * the last price may move against the position before it is liquidated, as
+ * a fraction of the price, `null` when Poloniex reports no liquidation price.
+ * The `exposure` is the value of the position in the base currency. Without
+ * a last price of its market in the ticker, the `price`, `distance` and
+ * `exposure` of a position are `null` and its risk is `unknown`.
+ */
+export type PositionRisk = {
+  currencyPair: string,
+  type: 'long' | 'short',
+  amount: number,
+  total: number,
+  basePrice: number,
+  liquidationPrice: ?number,
+  pl: number,
+  lendingFees: number,
+  price: ?number,
+  distance: ?number,
+  exposure: ?number,
+  level: RiskLevel
+}
+
+/**
+ * The risk of the margin account at a point in time: its summary with the
+ * current margin level, its open positions, the exposure per market in the
+ * base currency of the positions with a price, and the balances still
+ * tradable on margin per market.
+ */
+export type MarginRisk = {
+  date: number,
+  totalValue: number,
+  pl: number,
+  lendingFees: number,
+  netValue: number,
+  totalBorrowedValue: number,
+  currentMargin: number,
+  level: RiskLevel,
+  positions: PositionRisk[],
+  exposure: { [currencyPair: string]: number },
+  tradable: { [currencyPair: string]: { [currency: string]: number } }
+}
+
+/**
+ * - `interval` milliseconds between polls
+ * - `marginWarning` and `marginCritical` current margin levels of the
+ *   account at or below which it is at risk, Poloniex liquidates at 0.2
+ * - `distanceWarning` and `distanceCritical` distances of positions to their
+ *   liquidation price at or below which they are at risk
+ * - `topUp` amount of a currency to move from the exchange to the margin
+ *   account when the account is critical, opt-in
+ * - `autoClose` whether to close critical positions, and the largest
+ *   position when the account is critical without a top-up, opt-in
+ */
+export type MarginMonitorOptions = {
+  interval?: number,
+  marginWarning?: number,
+  marginCritical?: number,
+  distanceWarning?: number,
+  distanceCritical?: number,
+  topUp?: { currency: string, amount: Numeric },
+  autoClose?: boolean
+}
+
+/**
+ * Polls the margin account summary, positions, tradable balances and the
+ * ticker, and computes the risk of the account and its positions.
+ *
+ * Emits `update` with each {@link MarginRisk}, `warning` and `critical` with
+ * an alert of `currencyPair`, `null` for the account, `level` and `risk`
+ * when the account or a position reaches that level, once until it
+ * recovers or is closed, `action` with each top-up or closed position and its result,
+ * and `error` when a poll or an action fails.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {MarginMonitorOptions} [options] thresholds and actions, polls every
+ * minute, warns at a margin of 0.5 or 10% from liquidation and is critical
+ * at a margin of 0.3 or 5% from liquidation by default
+ * @example
+ * let monitor = new PoloniexMarginMonitor(plx, { topUp: { currency: 'BTC', amount: 0.5 } })
+ * monitor.on('critical', (alert) => console.log(alert.currencyPair || 'account', alert.risk))
+ * monitor.start()
+ */
+export class PoloniexMarginMonitor extends EventEmitter {
+  client: Poloniex
+  interval: number
+  marginWarning: number
+  marginCritical: number
+  distanceWarning: number
+  distanceCritical: number
+  topUp: ?{ currency: string, amount: Numeric }
+  autoClose: boolean
+  levels: Map<string, RiskLevel>
+  _timer: any
+  _started: boolean
+
+  constructor (client: Poloniex, options?: MarginMonitorOptions = {}) {
+    super()
+    let settings: Object = Object.assign({}, {
+      interval: 60 * 1000,
+      marginWarning: 0.5,
+      marginCritical: 0.3,
+      distanceWarning: 0.1,
+      distanceCritical: 0.05,
+      autoClose: false
+    }, options)
+    this.client = client
+    this.interval = settings.interval
+    this.marginWarning = settings.marginWarning
+    this.marginCritical = settings.marginCritical
+    this.distanceWarning = settings.distanceWarning
+    this.distanceCritical = settings.distanceCritical
+    this.topUp = settings.topUp
+    this.autoClose = settings.autoClose
+    this.levels = new Map()
+    this._started = false
+  }
+
+  /**
+   * Checks the risk now and every `interval` from then on.
+   */
+  start () {
+    this._started = true
+    this._run()
+  }
+
+  /**
+   * Stops checking the risk.
+   */
+  stop () {
+    this._started = false
+    clearTimeout(this._timer)
+  }
+
+  /**
+   * Checks the risk once: alerts of levels that were reached, and acts on
+   * critical levels when told to.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<MarginRisk>}
+   */
+  async check (options?: RequestOptions): Promise<MarginRisk> {
+    let risk = await this.risk(options)
+    this.emit('update', risk)
+    let critical = this._alert(null, risk.level, risk)
+    // positions of unknown risk keep the level they had
+    let positions = risk.positions.filter((position) => position.level !== 'unknown' && this._alert(position.currencyPair, position.level, risk))
+    this._forgetClosed(risk)
+    // closing critical positions already reduces the exposure of the account
+    if (critical && !(this.autoClose && positions.length > 0)) await this._act(() => this._rescue(risk, options))
+    for (let position of positions) await this._act(() => this._close(position, options))
+    return risk
+  }
+
+  /**
+   * Computes the risk of the margin account, without alerts or actions.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<MarginRisk>}
+   */
+  async risk (options?: RequestOptions): Promise<MarginRisk> {
+    let [summary, positions, tradable, ticker] = await Promise.all([
+      this.client.returnMarginAccountSummary(options),
+      this.client.getMarginPosition('all', options),
+      this.client.returnTradableBalances(options),
+      this.client.returnTicker(options)
+    ])
+    let open = Object.keys(positions)
+      .filter((currencyPair) => positions[currencyPair].type === 'long' || positions[currencyPair].type === 'short')
+      .map((currencyPair) => this._position(currencyPair, positions[currencyPair], toNumber((ticker[currencyPair] || {}).last)))
+    let currentMargin = toNumber(summary.currentMargin)
+    return {
+      date: Date.now(),
+      totalValue: toNumber(summary.totalValue),
+      pl: toNumber(summary.pl),
+      lendingFees: toNumber(summary.lendingFees),
+      netValue: toNumber(summary.netValue),
+      totalBorrowedValue: toNumber(summary.totalBorrowedValue),
+      currentMargin: currentMargin,
+      level: level(currentMargin, this.marginWarning, this.marginCritical),
+      positions: open,
+      exposure: exposures(open),
+      tradable: mapValues(tradable, (balances) => mapValues(balances, toNumber))
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run () {
+    try {
+      await this.check()
+    } catch (err) {
+      emitError(this, err)
+    } finally {
+      if (this._started) this._timer = setTimeout(() => this._run(), this.interval)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _position (currencyPair: string, position: Object, last: number): PositionRisk {
+    let liquidationPrice = toNumber(position.liquidationPrice)
+    let liquidates = liquidationPrice > 0 ? liquidationPrice : null
+    let price = last > 0 ? last : null
+    let distance = distanceTo(position.type, price, liquidates)
+    let amount = toNumber(position.amount)
+    return {
+      currencyPair: currencyPair,
+      type: position.type,
+      amount: amount,
+      total: toNumber(position.total),
+      basePrice: toNumber(position.basePrice),
+      liquidationPrice: liquidates,
+      pl: toNumber(position.pl),
+      lendingFees: toNumber(position.lendingFees),
+      price: price,
+      distance: distance,
+      exposure: price === null ? null : Math.abs(amount) * price,
+      level: price === null ? 'unknown' : level(distance, this.distanceWarning, this.distanceCritical)
+    }
+  }
+
+  /**
+   * Emit an alert when the account or a position reached a higher level
+   * than before, and remember its level.
+   *
+   * @private
+   * @returns {boolean} whether it just became critical
+   */
+  _alert (currencyPair: ?string, reached: RiskLevel, risk: MarginRisk): boolean {
+    let key = currencyPair || ''
+    let previous = this.levels.get(key) || 'ok'
+    this.levels.set(key, reached)
+    if (LEVELS.indexOf(reached) <= LEVELS.indexOf(previous)) return false
+    this.emit(reached, { currencyPair: currencyPair || null, level: reached, risk: risk })
+    return reached === 'critical'
+  }
+
+  /**
+   * Forget the levels of closed positions, a new position in their market
+   * starts over.
+   *
+   * @private
+   */
+  _forgetClosed (risk: MarginRisk) {
+    let open = new Set(risk.positions.map((position) => position.currencyPair))
+    Array.from(this.levels.keys()).filter((key) => key !== '' && !open.has(key)).forEach((key) => this.levels.delete(key))
+  }
+
+  /**
+   * Take an action, reporting its result or failure.
+   *
+   * @private
+   */
+  async _act (action: () => Promise<?Object>) {
+    try {
+      let taken = await action()
+      if (taken) this.emit('action', taken)
+    } catch (err) {
+      emitError(this, err)
+    }
+  }
+
+  /**
+   * Top up a critical account, or close its largest position.
+   *
+   * @private
+   */
+  async _rescue (risk: MarginRisk, options?: RequestOptions): Promise<?Object> {
+    let topUp = this.topUp
+    if (topUp) {
+      let result = await this.client.transferBalance(topUp.currency, topUp.amount, 'exchange', 'margin', options)
+      return { type: 'topUp', currency: topUp.currency, amount: topUp.amount, result: result }
+    }
+    let largest = risk.positions.slice().sort((a, b) => (b.exposure || 0) - (a.exposure || 0))[0]
+    return largest ? this._close(largest, options) : null
+  }
+
+  /**
+   * Close a critical position.
+   *
+   * @private
+   */
+  async _close (position: PositionRisk, options?: RequestOptions): Promise<?Object> {
+    if (!this.autoClose) return null
+    let result = await this.client.closeMarginPosition(position.currencyPair, options)
+    return { type: 'close', currencyPair: position.currencyPair, result: result }
+  }
+}
+
+/**
+ * The risk level of a value that is the riskier the lower it is.
+ *
+ * @private
+ */
+function level (value: ?number, warning: number, critical: number): RiskLevel {
+  if (value === null || value === undefined) return 'ok'
+  if (value <= critical) return 'critical'
+  return value <= warning ? 'warning' : 'ok'
+}
+
+/**
+ * How far the price may move against a position before it is liquidated,
+ * as a fraction of the price.
+ *
+ * @private
+ */
+function distanceTo (type: 'long' | 'short', price: ?number, liquidates: ?number): ?number {
+  if (!price || !liquidates) return null
+  return (type === 'long' ? price - liquidates : liquidates - price) / price
+}
+
+/**
+ * The exposure per market of the positions with a price.
+ *
+ * @private
+ */
+function exposures (positions: PositionRisk[]): { [currencyPair: string]: number } {
+  return positions.reduce((exposure, position) => {
+    return typeof position.exposure === 'number' ? Object.assign(exposure, { [position.currencyPair]: position.exposure }) : exposure
+  }, {})
+}
+
+/**
+ * @private
+ */
+function mapValues<T, U> (object: { [string]: T }, map: (T) => U): { [string]: U } {
+  return Object.keys(object).reduce((mapped, key) => Object.assign(mapped, { [key]: map(object[key]) }), {})
+}
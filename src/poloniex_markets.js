@@ -0,0 +1,279 @@
+/* @flow */
+
+import { Decimal, toDecimal, toFixed } from './decimal'
+import type { Numeric } from './decimal'
+import { InvalidOrderError } from './errors'
+import { toNumber } from './unified'
+
+// smallest totals of orders accepted by Poloniex, by the currency of prices,
+// for markets missing from the trading limits
+export const MIN_TOTALS: { [currency: string]: number } = { BTC: 0.0001, ETH: 0.0001, XMR: 0.0001, USDT: 1, USDC: 1 }
+
+// days a loan offer may be offered for
+const LOAN_DURATIONS: [number, number] = [2, 60]
+
+/**
+ * A currency as returned by `returnCurrencies`. Deposits and withdrawals of
+ * `disabled` currencies are suspended, trading of `frozen` currencies is
+ * suspended, and `delisted` currencies are no longer traded.
+ */
+export type CurrencyInfo = {
+  currency: string,
+  id: number,
+  name: string,
+  txFee: number,
+  minConf: number,
+  depositAddress: ?string,
+  disabled: boolean,
+  delisted: boolean,
+  frozen: boolean
+}
+
+/**
+ * A market of the ticker. Poloniex prices the `quote` currency in the `base`
+ * currency, `BTC_ETH` has base `BTC` and quote `ETH`. Totals are in the base
+ * currency.
+ *
+ * Precision and minimums come from the trading limits of the market, see
+ * {@link Poloniex#returnMarketLimits}. A market missing from them has the
+ * precision of the client, the minimum total of {@link MIN_TOTALS} for its
+ * base currency, `0` for other base currencies, and no minimum amount.
+ */
+export type MarketInfo = {
+  currencyPair: string,
+  id: number,
+  base: string,
+  quote: string,
+  isFrozen: boolean,
+  ratePrecision: number,
+  amountPrecision: number,
+  minAmount: number,
+  minTotal: number
+}
+
+type MarketRules = { ratePrecision: number, amountPrecision: number, minAmount: number, minTotal: number }
+
+/**
+ * The currencies and markets of Poloniex with the rules orders have to
+ * follow, see {@link Poloniex#loadMarkets}. Orders breaking the rules are
+ * rejected with an {@link InvalidOrderError}, before they are sent.
+ *
+ * @param {object} currencies result of `returnCurrencies`
+ * @param {object} ticker result of `returnTicker`
+ * @param {number} [precision=8] decimals of rates and amounts of markets
+ * without trading limits, and of loan offers
+ * @param {object[]} [limits=[]] result of `returnMarketLimits`
+ */
+export class PoloniexMarkets {
+  currencies: { [currency: string]: CurrencyInfo }
+  markets: { [currencyPair: string]: MarketInfo }
+  precision: number
+  loadedAt: number
+
+  constructor (currencies: Object, ticker: Object, precision?: number = 8, limits?: Object[] = []) {
+    this.precision = precision
+    this.loadedAt = Date.now()
+    this.currencies = {}
+    Object.keys(currencies).forEach((currency) => {
+      let info = currencies[currency]
+      this.currencies[currency] = {
+        currency: currency,
+        id: info.id,
+        name: info.name,
+        txFee: toNumber(info.txFee),
+        minConf: info.minConf,
+        depositAddress: info.depositAddress,
+        disabled: flag(info.disabled),
+        delisted: flag(info.delisted),
+        frozen: flag(info.frozen)
+      }
+    })
+    let tradeLimits = {}
+    limits.forEach((market) => {
+      tradeLimits[market.symbol.split('_').reverse().join('_')] = market.symbolTradeLimit
+    })
+    this.markets = {}
+    Object.keys(ticker).forEach((currencyPair) => {
+      let [base, quote] = currencyPair.split('_')
+      let limit = tradeLimits[currencyPair]
+      let rules = limit ? marketRules(limit) : defaultRules(base, precision)
+      this.markets[currencyPair] = {
+        currencyPair: currencyPair,
+        id: ticker[currencyPair].id,
+        base: base,
+        quote: quote,
+        isFrozen: flag(ticker[currencyPair].isFrozen),
+        ratePrecision: rules.ratePrecision,
+        amountPrecision: rules.amountPrecision,
+        minAmount: rules.minAmount,
+        minTotal: rules.minTotal
+      }
+    })
+  }
+
+  /**
+   * Returns a market.
+   *
+   * @param {string} currencyPair the market, e.g. `BTC_ETH`
+   * @returns {MarketInfo}
+   * @throws {InvalidOrderError} when there is no such market
+   */
+  market (currencyPair: string): MarketInfo {
+    let market = this.markets[currencyPair]
+    if (!market) throw invalid(`unknown market ${currencyPair}`)
+    return market
+  }
+
+  /**
+   * Returns a currency.
+   *
+   * @param {string} currency the currency, e.g. `BTC`
+   * @returns {CurrencyInfo}
+   * @throws {InvalidOrderError} when there is no such currency
+   */
+  currency (currency: string): CurrencyInfo {
+    let info = this.currencies[currency]
+    if (!info) throw invalid(`unknown currency ${currency}`)
+    return info
+  }
+
+  /**
+   * Checks an order against the rules of its market, and rounds its rate and
+   * amount to the precision of the market. Amounts are rounded down, and
+   * rates away from the other side of the book: down for buys and up for
+   * sells.
+   *
+   * @param {string} currencyPair the market, e.g. `BTC_ETH`
+   * @param {'buy'|'sell'} side side of the order
+   * @param {Numeric} rate price in the base currency
+   * @param {Numeric} amount amount of the quote currency
+   * @returns {{rate: string, amount: string}} rate and amount to send
+   * @throws {InvalidOrderError} when the order would be rejected
+   * @example
+   * markets.order('BTC_ETH', 'buy', 0.0712345678, 1.123456789)
+   * // => {"rate":"0.07123456","amount":"1.12345678"}
+   */
+  order (currencyPair: string, side: 'buy' | 'sell', rate: Numeric, amount: Numeric): { rate: string, amount: string } {
+    let market = this._tradableMarket(currencyPair)
+    let rounded = {
+      rate: round(rate, market.ratePrecision, side === 'buy' ? Decimal.roundDown : Decimal.roundUp),
+      amount: round(amount, market.amountPrecision, Decimal.roundDown)
+    }
+    let reason = brokenRule(market, rounded, rate, amount)
+    if (reason) throw invalid(reason)
+    return rounded
+  }
+
+  /**
+   * Checks a loan offer, and rounds its amount down and its rate to the
+   * precision of rates.
+   *
+   * @param {string} currency which currency to lend
+   * @param {Numeric} amount amount of currency to lend
+   * @param {Numeric} rate daily interest rate
+   * @param {number} duration days the loan is offered for
+   * @returns {{amount: string, lendingRate: string}} amount and rate to send
+   * @throws {InvalidOrderError} when the offer would be rejected
+   */
+  loanOffer (currency: string, amount: Numeric, rate: Numeric, duration: number): { amount: string, lendingRate: string } {
+    this._tradable(currency)
+    let [shortest, longest] = LOAN_DURATIONS
+    if (!(Number.isInteger(duration) && duration >= shortest && duration <= longest)) {
+      throw invalid(`duration ${duration} of a ${currency} loan must be ${shortest} to ${longest} days`)
+    }
+    let rounded = { amount: round(amount, this.precision, Decimal.roundDown), lendingRate: toFixed(rate, this.precision) }
+    if (!(Number(rounded.amount) > 0)) throw invalid(`amount ${String(amount)} of a ${currency} loan rounds to zero`)
+    if (!(Number(rounded.lendingRate) > 0)) throw invalid(`rate ${String(rate)} of a ${currency} loan must be positive`)
+    return rounded
+  }
+
+  /**
+   * Reject markets that cannot be traded.
+   *
+   * @private
+   */
+  _tradableMarket (currencyPair: string): MarketInfo {
+    let market = this.market(currencyPair)
+    if (market.isFrozen) throw invalid(`market ${currencyPair} is frozen`)
+    this._tradable(market.base)
+    this._tradable(market.quote)
+    return market
+  }
+
+  /**
+   * Reject currencies that cannot be traded.
+   *
+   * @private
+   */
+  _tradable (currency: string) {
+    let info = this.currency(currency)
+    if (info.delisted) throw invalid(`${currency} is delisted`)
+    if (info.frozen) throw invalid(`trading of ${currency} is frozen`)
+  }
+}
+
+/**
+ * Precision and minimums of a market from its trading limits.
+ *
+ * @private
+ */
+function marketRules (limit: Object): MarketRules {
+  return {
+    ratePrecision: Number(limit.priceScale),
+    amountPrecision: Number(limit.quantityScale),
+    minAmount: toNumber(limit.minQuantity),
+    minTotal: toNumber(limit.minAmount)
+  }
+}
+
+/**
+ * Precision and minimums of a market without trading limits.
+ *
+ * @private
+ */
+function defaultRules (base: string, precision: number): MarketRules {
+  return { ratePrecision: precision, amountPrecision: precision, minAmount: 0, minTotal: MIN_TOTALS[base] || 0 }
+}
+
+/**
+ * The rule of its market a rounded order breaks, if any.
+ *
+ * @private
+ */
+function brokenRule (market: MarketInfo, rounded: { rate: string, amount: string }, rate: Numeric, amount: Numeric): ?string {
+  let { currencyPair, base, quote } = market
+  if (!(Number(rounded.rate) > 0)) return `rate ${String(rate)} of ${currencyPair} must be positive`
+  if (!(Number(rounded.amount) > 0)) return `amount ${String(amount)} of ${currencyPair} rounds to zero`
+  if (toDecimal(rounded.amount).lt(market.minAmount)) {
+    return `amount ${rounded.amount} ${quote} of ${currencyPair} is below the minimum of ${market.minAmount} ${quote}`
+  }
+  let total = toDecimal(rounded.rate).times(rounded.amount)
+  return total.lt(market.minTotal) ? `total ${total} ${base} of ${currencyPair} is below the minimum of ${market.minTotal} ${base}` : null
+}
+
+/**
+ * Poloniex flags are `0` and `1`, as numbers or strings.
+ *
+ * @private
+ */
+function flag (value: mixed): boolean {
+  return Number(value) === 1
+}
+
+/**
+ * Round a price or amount to a precision in a direction, as a decimal so
+ * that e.g. `0.29` is not rounded down to `0.28999999` because of its binary
+ * representation.
+ *
+ * @private
+ */
+function round (value: Numeric, precision: number, roundingMode: number): string {
+  return toDecimal(value).round(precision, roundingMode).toFixed(precision)
+}
+
+/**
+ * @private
+ */
+function invalid (message: string): InvalidOrderError {
+  return new InvalidOrderError(`(poloniex) ${message}`, { exchange: 'poloniex' })
+}
@@ -0,0 +1,364 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import { ExchangeError } from './errors'
+import { emitError } from './log'
+import { Poloniex } from './poloniex'
+import { PoloniexPush } from './poloniex_push'
+import { toNumber } from './unified'
+import type { OrderBookEntry, Side } from './unified'
+
+// a push message, of order book changes or of trades only, by sequence number
+type Step = {
+  seq: number,
+  type?: 'bid' | 'ask',
+  rate?: number,
+  amount?: number
+}
+
+/**
+ * Order book of a Poloniex market kept in memory. It is seeded from a
+ * `returnOrderBook` snapshot and kept up to date by the order book updates of
+ * the Push API. Updates are applied in the order of their sequence numbers,
+ * a missing or out of order sequence number resynchronizes the book from a
+ * fresh snapshot.
+ *
+ * Price levels further than `depth` from the best prices of the snapshot are
+ * only known from the updates received since, choose a depth that covers the
+ * prices you query.
+ *
+ * Emits `sync` once seeded or resynchronized, `update` for every applied
+ * change, `resync` when a sequence number is missed, `frozen` when trading in
+ * the market is halted or resumed, and `error` when a resync fails. A failed
+ * resync is tried again with the next update.
+ *
+ * @param {string} currencyPair market, e.g. `BTC_ETH`
+ * @param {Poloniex} client REST client of the snapshots
+ * @param {PoloniexPush} push Push API client of the updates
+ * @param {object} [options]
+ * @param {number} [options.depth=100] depth of the snapshots
+ * @param {number} [options.attempts=3] snapshots taken to synchronize before
+ * giving up, when they are older than the received updates
+ * @example
+ * let push = new PoloniexPush()
+ * await push.connect()
+ * let book = new PoloniexOrderBook('BTC_ETH', new Poloniex(), push)
+ * await book.start()
+ * book.bestAsk()
+ * // => {"price":0.073315,"amount":10.929727}
+ * book.vwap('buy', 25)
+ * // => 0.07335102
+ */
+export class PoloniexOrderBook extends EventEmitter {
+  currencyPair: string
+  client: Poloniex
+  push: PoloniexPush
+  depth: number
+  attempts: number
+  seq: number
+  isFrozen: boolean
+  bids: BookSide
+  asks: BookSide
+  _partial: boolean
+  _syncing: boolean
+  _stale: boolean
+  _buffer: Step[]
+  _onUpdate: (update: Object) => void
+  _onTrade: (trade: Object) => void
+  _onTicker: (ticker: Object) => void
+
+  constructor (currencyPair: string, client: Poloniex, push: PoloniexPush, options?: { depth?: number, attempts?: number } = {}) {
+    super()
+    this.currencyPair = currencyPair
+    this.client = client
+    this.push = push
+    this.depth = options.depth || 100
+    this.attempts = options.attempts || 3
+    this.seq = 0
+    this.isFrozen = false
+    this.bids = new BookSide((a, b) => a > b)
+    this.asks = new BookSide((a, b) => a < b)
+    this._partial = false
+    this._syncing = false
+    this._stale = true
+    this._buffer = []
+    this._onUpdate = (update) => {
+      if (update.currencyPair !== this.currencyPair) return
+      this._receive({ seq: update.seq, type: update.type, rate: toNumber(update.rate), amount: toNumber(update.amount) })
+    }
+    // trades share the sequence numbers of the order book updates
+    this._onTrade = (trade) => {
+      if (trade.currencyPair === this.currencyPair) this._receive({ seq: trade.seq })
+    }
+    this._onTicker = (ticker) => {
+      if (ticker.currencyPair === this.currencyPair) this._setFrozen(Boolean(Number(ticker.isFrozen)))
+    }
+  }
+
+  /**
+   * Subscribes to the updates of the market, and to the ticker to follow the
+   * market being frozen, then seeds the book from a snapshot. The ticker
+   * subscription is left in place by {@link PoloniexOrderBook#stop}.
+   *
+   * @returns {Promise<void>} resolved once the book is synchronized
+   */
+  async start (): Promise<void> {
+    // buffer the updates received until the first snapshot
+    this._syncing = true
+    this._buffer = []
+    this.push.on('orderBookUpdate', this._onUpdate)
+    this.push.on('trade', this._onTrade)
+    this.push.on('ticker', this._onTicker)
+    try {
+      await this.push.subscribe(this.currencyPair)
+      await this.push.subscribe('ticker')
+    } catch (err) {
+      this._syncing = false
+      throw err
+    }
+    await this.sync()
+  }
+
+  /**
+   * Stops following the updates of the market.
+   *
+   * @returns {Promise<void>}
+   */
+  stop (): Promise<void> {
+    this.push.removeListener('orderBookUpdate', this._onUpdate)
+    this.push.removeListener('trade', this._onTrade)
+    this.push.removeListener('ticker', this._onTicker)
+    this._stale = true
+    return this.push.unsubscribe(this.currencyPair)
+  }
+
+  /**
+   * Seeds the book from a fresh snapshot, and applies the updates received
+   * meanwhile.
+   *
+   * @returns {Promise<void>} resolved once synchronized, rejected when the
+   * snapshot fails or stays older than the received updates
+   */
+  async sync (): Promise<void> {
+    this._syncing = true
+    try {
+      for (let attempt = 1; attempt <= this.attempts; attempt++) {
+        this._load(await this.client.returnOrderBook(this.currencyPair, this.depth))
+        if (this._replay()) {
+          this._stale = false
+          this.emit('sync', this.seq)
+          return
+        }
+      }
+      throw new ExchangeError(`(poloniex) order book of ${this.currencyPair} is missing updates after ${this.attempts} snapshots`, { exchange: 'poloniex' })
+    } finally {
+      this._syncing = false
+    }
+  }
+
+  /**
+   * Returns the highest bid.
+   *
+   * @returns {?OrderBookEntry}
+   */
+  bestBid (): ?OrderBookEntry {
+    return this.bids.levels[0]
+  }
+
+  /**
+   * Returns the lowest ask.
+   *
+   * @returns {?OrderBookEntry}
+   */
+  bestAsk (): ?OrderBookEntry {
+    return this.asks.levels[0]
+  }
+
+  /**
+   * Returns the amount offered at a price.
+   *
+   * @param {string} side `bids` or `asks`
+   * @param {number} price price level
+   * @returns {number} amount at the price, 0 when none
+   */
+  depthAt (side: 'bids' | 'asks', price: number): number {
+    let level = this._side(side).get(price)
+    return level ? level.amount : 0
+  }
+
+  /**
+   * Returns the amount offered from the best price up to and including a
+   * price, i.e. bids at or above it, or asks at or below it.
+   *
+   * @param {string} side `bids` or `asks`
+   * @param {number} price furthest price
+   * @returns {number} cumulative amount
+   */
+  volumeTo (side: 'bids' | 'asks', price: number): number {
+    let book = this._side(side)
+    return book.levels
+      .filter((level) => !book.better(price, level.price))
+      .reduce((sum, level) => sum + level.amount, 0)
+  }
+
+  /**
+   * Returns the average price of filling an amount at market, buying from
+   * the asks or selling to the bids.
+   *
+   * @param {string} side `buy` or `sell`
+   * @param {number} amount amount to fill
+   * @returns {?number} volume-weighted average price, `null` when the book is
+   * too thin to fill the amount
+   * @throws {ExchangeError} when the market is frozen
+   */
+  vwap (side: Side, amount: number): ?number {
+    if (this.isFrozen) throw new ExchangeError(`(poloniex) market ${this.currencyPair} is frozen`, { exchange: 'poloniex' })
+    let remaining = amount
+    let cost = 0
+    for (let level of (side === 'buy' ? this.asks : this.bids).levels) {
+      let filled = Math.min(remaining, level.amount)
+      cost += filled * level.price
+      remaining -= filled
+      if (remaining <= 0) return cost / amount
+    }
+    return null
+  }
+
+  /**
+   * @private
+   */
+  _side (side: 'bids' | 'asks'): BookSide {
+    return side === 'bids' ? this.bids : this.asks
+  }
+
+  /**
+   * @private
+   */
+  _receive (step: Step) {
+    if (this._syncing) return this._buffer.push(step)
+    if (this._stale || !this._apply(step, false)) this._resync(step)
+  }
+
+  /**
+   * @private
+   */
+  _resync (step: Step) {
+    this.emit('resync', this.seq + 1, step.seq)
+    this._buffer = [step]
+    this.sync().catch((err) => {
+      this._stale = true
+      emitError(this, err)
+    })
+  }
+
+  /**
+   * Replace the book by a snapshot, and drop the buffered updates it covers.
+   *
+   * @private
+   */
+  _load (snapshot: Object) {
+    this.seq = toNumber(snapshot.seq)
+    this._partial = false
+    this.bids.load(snapshot.bids)
+    this.asks.load(snapshot.asks)
+    this._buffer = this._buffer.filter((step) => step.seq > this.seq)
+    this._setFrozen(Boolean(Number(snapshot.isFrozen)))
+  }
+
+  /**
+   * Apply the updates buffered while synchronizing.
+   *
+   * @private
+   * @returns {boolean} false when an update is missing
+   */
+  _replay (): boolean {
+    return this._buffer.every((step) => this._apply(step, true))
+  }
+
+  /**
+   * Apply an update when it is the next in sequence. The updates of one push
+   * message share its sequence number. Updates already in the snapshot are
+   * skipped while replaying.
+   *
+   * @private
+   * @returns {boolean} false when the update is out of sequence
+   */
+  _apply (step: Step, replaying: boolean): boolean {
+    let next = step.seq === this.seq + 1
+    if (!next && !(this._partial && step.seq === this.seq)) return replaying && step.seq <= this.seq
+    this.seq = step.seq
+    this._partial = true
+    if (step.type && step.rate !== undefined && step.amount !== undefined) {
+      (step.type === 'bid' ? this.bids : this.asks).set(step.rate, step.amount)
+      this.emit('update', step)
+    }
+    return true
+  }
+
+  /**
+   * @private
+   */
+  _setFrozen (frozen: boolean) {
+    if (frozen === this.isFrozen) return
+    this.isFrozen = frozen
+    this.emit('frozen', frozen)
+  }
+}
+
+/**
+ * Price levels of one side of the book, best first.
+ *
+ * @private
+ * @param {function} better whether a price is better than another
+ */
+class BookSide {
+  levels: OrderBookEntry[]
+  better: (a: number, b: number) => boolean
+
+  constructor (better: (a: number, b: number) => boolean) {
+    this.levels = []
+    this.better = better
+  }
+
+  /**
+   * Replace the levels by those of a snapshot, `[price, amount]` pairs.
+   */
+  load (levels: Array<[string | number, string | number]>) {
+    this.levels = levels
+      .map(([price, amount]) => ({ price: toNumber(price), amount: toNumber(amount) }))
+      .sort((a, b) => this.better(a.price, b.price) ? -1 : 1)
+  }
+
+  /**
+   * Returns the level of a price.
+   */
+  get (price: number): ?OrderBookEntry {
+    let level = this.levels[this._index(price)]
+    return level && level.price === price ? level : null
+  }
+
+  /**
+   * Set the amount of a price level, an amount of zero removes it.
+   */
+  set (price: number, amount: number) {
+    let index = this._index(price)
+    let found = this.get(price) !== null
+    if (amount > 0) this.levels.splice(index, found ? 1 : 0, { price: price, amount: amount })
+    else if (found) this.levels.splice(index, 1)
+  }
+
+  /**
+   * Position of a price, the first level that is not better.
+   */
+  _index (price: number): number {
+    let low = 0
+    let high = this.levels.length
+    while (low < high) {
+      let middle = (low + high) >>> 1
+      if (this.better(this.levels[middle].price, price)) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+}
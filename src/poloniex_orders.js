@@ -0,0 +1,494 @@
+/* @flow */
+
+import EventEmitter from 'events'
+
+import { OrderNotFoundError } from './errors'
+import { emitError } from './log'
+import { Poloniex, parseDate } from './poloniex'
+import { PoloniexPush } from './poloniex_push'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+import type { Numeric } from './decimal'
+
+// remaining amounts below this are errors of floats, Poloniex amounts have 8 decimals
+const DUST: number = 1e-10
+
+export type OrderState = 'new' | 'partial' | 'filled' | 'cancelled' | 'replaced'
+
+// states an order does not leave
+const FINAL_STATES: OrderState[] = ['filled', 'cancelled', 'replaced']
+
+/**
+ * A trade filling part of an order, `date` in milliseconds when known.
+ */
+export type Fill = {
+  tradeID: string,
+  rate: number,
+  amount: number,
+  date: ?number
+}
+
+/**
+ * An order followed by {@link PoloniexOrders}. The `amount` is the amount
+ * placed, `averagePrice` is the volume-weighted rate of its fills, `null`
+ * until it is filled in part. A moved order is `replaced` by the order of
+ * `replacedBy`, the new order `replaces` it.
+ */
+export type TrackedOrder = {
+  orderNumber: string,
+  currencyPair: string,
+  side: 'buy' | 'sell',
+  rate: number,
+  amount: number,
+  filled: number,
+  remaining: number,
+  averagePrice: ?number,
+  state: OrderState,
+  fills: Fill[],
+  replaces: ?string,
+  replacedBy: ?string
+}
+
+/**
+ * - `push` Push API client, with the REST client as its `client`, to follow
+ *   orders with account notifications while it is connected
+ * - `poll` delays of polling in milliseconds, doubled while nothing changes
+ */
+export type PoloniexOrdersOptions = {
+  push?: PoloniexPush,
+  poll?: { delay?: number, maxDelay?: number }
+}
+
+/**
+ * Places orders and follows them until they are filled, cancelled or moved.
+ * Each order goes from `new` to `partial` to `filled`, or ends `cancelled`
+ * or `replaced` by {@link PoloniexOrders#move}, and every state it enters
+ * is emitted as an event of that name with the order. Each fill is emitted
+ * as a `fill` event with the order and the fill, and failures of updates as
+ * `error` events.
+ *
+ * Orders are followed with the account notifications of the Push API while
+ * it is connected, and by polling `returnOpenOrders` and `returnOrderTrades`
+ * otherwise, less often while nothing changes.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {PoloniexOrdersOptions} [options] push client and polling delays,
+ * polling starts every second and slows down to every 30 seconds
+ * @example
+ * let orders = new PoloniexOrders(plx, { push: new PoloniexPush({ client: plx }) })
+ * orders.on('filled', (order) => console.log(order))
+ * await orders.start()
+ * await orders.buy('BTC_ETH', 0.0712, 2)
+ * // => {"orderNumber":"31226040","currencyPair":"BTC_ETH","side":"buy","rate":0.0712,"amount":2,"filled":2,"remaining":0,"averagePrice":0.0711,"state":"filled", ... }
+ */
+export class PoloniexOrders extends EventEmitter {
+  client: Poloniex
+  push: ?PoloniexPush
+  poll: { delay: number, maxDelay: number }
+  orders: Map<string, TrackedOrder>
+  _delay: number
+  _timer: any
+  _started: boolean
+  _moving: Map<string, boolean>
+  _listeners: { [event: string]: Function }
+
+  constructor (client: Poloniex, options?: PoloniexOrdersOptions = {}) {
+    super()
+    this.client = client
+    this.push = options.push
+    this.poll = Object.assign({}, { delay: 1000, maxDelay: 30000 }, options.poll)
+    this.orders = new Map()
+    this._delay = this.poll.delay
+    this._started = false
+    this._moving = new Map()
+    this._listeners = {
+      account: (notification) => this._onAccount(notification),
+      open: () => this._tick(),
+      disconnect: () => this._schedule(0)
+    }
+  }
+
+  /**
+   * Starts following the orders, with account notifications when there is
+   * a push client.
+   *
+   * @returns {Promise<void>}
+   */
+  async start (): Promise<void> {
+    this._started = true
+    let push = this.push
+    if (push) {
+      for (let event of Object.keys(this._listeners)) push.on(event, this._listeners[event])
+      await push.subscribe('account')
+    }
+    this._schedule(0)
+  }
+
+  /**
+   * Stops following the orders, they keep their last known state.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop (): Promise<void> {
+    this._started = false
+    clearTimeout(this._timer)
+    let push = this.push
+    if (push) {
+      for (let event of Object.keys(this._listeners)) push.removeListener(event, this._listeners[event])
+      await push.unsubscribe('account')
+    }
+  }
+
+  /**
+   * Places a limit buy order and follows it, see {@link Poloniex#buy}.
+   *
+   * @param {string} currencyPair the market to buy
+   * @param {Numeric} rate price in market base coin
+   * @param {Numeric} amount amount of market coin to buy
+   * @param {string} [type] `fillOrKill`, `immediateOrCancel` or `postOnly`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<TrackedOrder>} the order, with the trades filling it
+   * right away
+   */
+  async buy (currencyPair: string, rate: Numeric, amount: Numeric, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly', options?: RequestOptions): Promise<TrackedOrder> {
+    let result = await this.client.buy(currencyPair, rate, amount, type, options)
+    return this._placed(result, { currencyPair: currencyPair, side: 'buy', rate: rate, amount: amount }, type)
+  }
+
+  /**
+   * Places a limit sell order and follows it, see {@link Poloniex#sell}.
+   *
+   * @param {string} currencyPair the market to sell
+   * @param {Numeric} rate price in market base coin
+   * @param {Numeric} amount amount of market coin to sell
+   * @param {string} [type] `fillOrKill`, `immediateOrCancel` or `postOnly`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<TrackedOrder>} the order, with the trades filling it
+   * right away
+   */
+  async sell (currencyPair: string, rate: Numeric, amount: Numeric, type?: 'fillOrKill' | 'immediateOrCancel' | 'postOnly', options?: RequestOptions): Promise<TrackedOrder> {
+    let result = await this.client.sell(currencyPair, rate, amount, type, options)
+    return this._placed(result, { currencyPair: currencyPair, side: 'sell', rate: rate, amount: amount }, type)
+  }
+
+  /**
+   * Moves a followed order to a new rate, and amount, see
+   * {@link Poloniex#moveOrder}. Poloniex replaces the order with a new one
+   * of a new order number. The order is not settled while it is moved, as
+   * it leaves the book to be replaced.
+   *
+   * @param {string} orderNumber number of a followed order
+   * @param {Numeric} rate new rate
+   * @param {Numeric} [amount] new amount, the remaining amount by default
+   * @param {'postOnly'|'immediateOrCancel'} [type] type of the new order
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<TrackedOrder>} the new order
+   */
+  async move (orderNumber: string, rate: Numeric, amount?: Numeric, type?: 'postOnly' | 'immediateOrCancel', options?: RequestOptions): Promise<TrackedOrder> {
+    let order = this._get(orderNumber)
+    let result = await this._moveOrder(order, rate, amount, type, options)
+    let replacement = this._placed(result, {
+      currencyPair: order.currencyPair,
+      side: order.side,
+      rate: rate,
+      amount: amount === undefined ? order.remaining : amount,
+      replaces: orderNumber
+    }, type)
+    order.replacedBy = replacement.orderNumber
+    this._transition(order, 'replaced')
+    return replacement
+  }
+
+  /**
+   * Cancels a followed order, see {@link Poloniex#cancelOrder}.
+   *
+   * @param {string} orderNumber number of a followed order
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<TrackedOrder>} the cancelled order
+   */
+  async cancel (orderNumber: string, options?: RequestOptions): Promise<TrackedOrder> {
+    let order = this._get(orderNumber)
+    await this.client.cancelOrder(Number(orderNumber), options)
+    this._transition(order, 'cancelled')
+    return order
+  }
+
+  /**
+   * Follows an order placed otherwise, e.g. before a restart.
+   *
+   * @param {object} order `orderNumber`, `currencyPair`, `side`, `rate` and
+   * `amount` of the order
+   * @returns {TrackedOrder}
+   */
+  track (order: { orderNumber: string | number, currencyPair: string, side: 'buy' | 'sell', rate: Numeric, amount: Numeric }): TrackedOrder {
+    return this._add(order)
+  }
+
+  /**
+   * Returns a followed order.
+   *
+   * @param {string} orderNumber number of the order
+   * @returns {TrackedOrder|void}
+   */
+  get (orderNumber: string | number): ?TrackedOrder {
+    return this.orders.get(String(orderNumber))
+  }
+
+  /**
+   * Returns the followed orders that are still open.
+   *
+   * @returns {TrackedOrder[]}
+   */
+  open (): TrackedOrder[] {
+    return Array.from(this.orders.values()).filter((order) => !isFinal(order))
+  }
+
+  /**
+   * Polls the open orders once, and returns when done.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<boolean>} whether an order changed
+   */
+  async update (options?: RequestOptions): Promise<boolean> {
+    let open = this.open()
+    if (open.length === 0) return false
+    let markets = await this.client.returnOpenOrders('all', options)
+    let changed = await Promise.all(open.map((order) => this._poll(order, markets[order.currencyPair] || [], options)))
+    return changed.includes(true)
+  }
+
+  /**
+   * Follow a placed order, with the trades that filled it right away. The
+   * unfilled part of immediate-or-cancel and fill-or-kill orders is not
+   * left on the book.
+   *
+   * @private
+   */
+  _placed (result: Object, order: Object, type?: string): TrackedOrder {
+    let placed = this._add(Object.assign({}, order, { orderNumber: result.orderNumber }))
+    this._fill(placed, resultingTrades(result))
+    if ((type === 'immediateOrCancel' || type === 'fillOrKill') && !isFinal(placed)) this._transition(placed, 'cancelled')
+    this._schedule(0)
+    return placed
+  }
+
+  /**
+   * Move an order, an order that left the book while its move failed is
+   * settled then.
+   *
+   * @private
+   */
+  async _moveOrder (order: TrackedOrder, rate: Numeric, amount?: Numeric, type?: 'postOnly' | 'immediateOrCancel', options?: RequestOptions): Promise<Object> {
+    let moved = { currencyPair: order.currencyPair, side: order.side, amount: order.remaining }
+    this._moving.set(order.orderNumber, false)
+    try {
+      return await this.client.moveOrder(Number(order.orderNumber), rate, amount, type, Object.assign({}, options, { order: moved }))
+    } catch (err) {
+      let left = this._moving.get(order.orderNumber)
+      this._moving.delete(order.orderNumber)
+      if (left) this._settle(order).catch((err) => emitError(this, err))
+      throw err
+    } finally {
+      this._moving.delete(order.orderNumber)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _add (order: Object): TrackedOrder {
+    let tracked: TrackedOrder = {
+      orderNumber: String(order.orderNumber),
+      currencyPair: order.currencyPair,
+      side: order.side,
+      rate: toNumber(order.rate),
+      amount: toNumber(order.amount),
+      filled: 0,
+      remaining: toNumber(order.amount),
+      averagePrice: null,
+      state: 'new',
+      fills: [],
+      replaces: order.replaces,
+      replacedBy: null
+    }
+    this.orders.set(tracked.orderNumber, tracked)
+    this.emit('new', tracked)
+    return tracked
+  }
+
+  /**
+   * @private
+   */
+  _get (orderNumber: string): TrackedOrder {
+    let order = this.orders.get(String(orderNumber))
+    if (!order) throw new OrderNotFoundError(`(poloniex) order ${orderNumber} is not followed`, { exchange: 'poloniex' })
+    return order
+  }
+
+  /**
+   * Add the trades of an order that are new, and update its state.
+   *
+   * @private
+   * @returns {boolean} whether there were new trades
+   */
+  _fill (order: TrackedOrder, trades: Object[]): boolean {
+    let known = new Set(order.fills.map((fill) => fill.tradeID))
+    let fills = trades.map(toFill).filter((fill) => !known.has(fill.tradeID))
+    fills.forEach((fill) => {
+      order.fills.push(fill)
+      order.filled += fill.amount
+      order.remaining = Math.max(order.amount - order.filled, 0)
+      order.averagePrice = order.fills.reduce((total, fill) => total + fill.rate * fill.amount, 0) / order.filled
+      this.emit('fill', order, fill)
+    })
+    if (fills.length > 0) this._transition(order, order.remaining < DUST ? 'filled' : 'partial')
+    return fills.length > 0
+  }
+
+  /**
+   * Enter a state, final states are never left.
+   *
+   * @private
+   */
+  _transition (order: TrackedOrder, state: OrderState) {
+    if (isFinal(order) || order.state === state) return
+    order.state = state
+    this.emit(state, order)
+  }
+
+  /**
+   * Follow an order with account notifications, the trades of an order that
+   * left the book are fetched to tell filled and cancelled orders apart.
+   *
+   * @private
+   */
+  _onAccount (notification: Object) {
+    let order = this.orders.get(String(notification.orderNumber))
+    if (!order || isFinal(order)) return
+    if (notification.type === 'trade') {
+      this._fill(order, [{ tradeID: notification.tradeID, rate: notification.rate, amount: notification.amount }])
+    } else if (notification.type === 'orderUpdate' && toNumber(notification.amount) === 0) {
+      this._settle(order).catch((err) => emitError(this, err))
+    }
+  }
+
+  /**
+   * Compare an order with its entry of the open orders.
+   *
+   * @private
+   * @returns {Promise<boolean>} whether the order changed
+   */
+  async _poll (order: TrackedOrder, open: Object[], options?: RequestOptions): Promise<boolean> {
+    let entry = open.find((open) => String(open.orderNumber) === order.orderNumber)
+    if (!entry) return this._settle(order, options)
+    if (toNumber(entry.amount) < order.remaining - DUST) return this._fill(order, await this._trades(order, options))
+    return false
+  }
+
+  /**
+   * An order left the book, it is filled unless its trades fall short. An
+   * order being moved is settled once the move failed, it is replaced
+   * otherwise.
+   *
+   * @private
+   * @returns {Promise<boolean>} whether the order changed
+   */
+  async _settle (order: TrackedOrder, options?: RequestOptions): Promise<boolean> {
+    if (this._whileMoving(order)) return false
+    this._fill(order, await this._trades(order, options))
+    if (!this._whileMoving(order)) this._transition(order, 'cancelled')
+    return true
+  }
+
+  /**
+   * Whether an order is being moved, noting that it left the book.
+   *
+   * @private
+   */
+  _whileMoving (order: TrackedOrder): boolean {
+    if (!this._moving.has(order.orderNumber)) return false
+    this._moving.set(order.orderNumber, true)
+    return true
+  }
+
+  /**
+   * The trades of an order, Poloniex reports orders without trades as not
+   * found.
+   *
+   * @private
+   */
+  async _trades (order: TrackedOrder, options?: RequestOptions): Promise<Object[]> {
+    try {
+      return await this.client.returnOrderTrades(Number(order.orderNumber), options)
+    } catch (err) {
+      if (err instanceof OrderNotFoundError) return []
+      throw err
+    }
+  }
+
+  /**
+   * Poll while there are open orders and no connected push client.
+   *
+   * @private
+   */
+  _schedule (delay: number) {
+    clearTimeout(this._timer)
+    if (!this._started || this.open().length === 0 || this._pushed()) return
+    this._timer = setTimeout(() => this._tick(), delay)
+  }
+
+  /**
+   * Poll once, sooner again after a change and less often while nothing
+   * changes. Updates missed while disconnected are caught up with once
+   * connected again.
+   *
+   * @private
+   */
+  async _tick () {
+    try {
+      this._delay = await this.update() ? this.poll.delay : Math.min(this._delay * 2, this.poll.maxDelay)
+    } catch (err) {
+      this._delay = Math.min(this._delay * 2, this.poll.maxDelay)
+      emitError(this, err)
+    } finally {
+      this._schedule(this._delay)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _pushed (): boolean {
+    return Boolean(this.push && this.push.isConnected())
+  }
+}
+
+/**
+ * @private
+ */
+function isFinal (order: TrackedOrder): boolean {
+  return FINAL_STATES.includes(order.state)
+}
+
+/**
+ * The trades of a placed order, moved orders list them by market.
+ *
+ * @private
+ */
+function resultingTrades (result: Object): Object[] {
+  let trades = result.resultingTrades || []
+  if (Array.isArray(trades)) return trades
+  return Object.keys(trades).reduce((all, currencyPair) => all.concat(trades[currencyPair]), [])
+}
+
+/**
+ * @private
+ */
+function toFill (trade: Object): Fill {
+  return {
+    tradeID: String(trade.tradeID),
+    rate: toNumber(trade.rate),
+    amount: toNumber(trade.amount),
+    date: trade.date ? parseDate(trade.date) : null
+  }
+}
@@ -0,0 +1,202 @@
+/* @flow */
+
+import { Poloniex } from './poloniex'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+
+export type Account = 'exchange' | 'margin' | 'lending'
+
+/**
+ * The rate of a currency in a reference currency, and the markets of the
+ * ticker it was crossed through, from the currency to the reference.
+ */
+export type CrossRate = {
+  rate: number,
+  path: string[]
+}
+
+/**
+ * A currency held across the accounts, with its amount per account. `rate`
+ * and `value` are in the reference currency, `null` when no market leads
+ * from the currency to the reference.
+ */
+export type PortfolioAsset = {
+  amount: number,
+  accounts: { [account: string]: number },
+  rate: ?number,
+  path: string[],
+  value: ?number
+}
+
+/**
+ * The value of the portfolio in a reference `currency` at a point in time,
+ * per asset, per account and in total. Currencies that could not be valued
+ * are listed in `unpriced` and left out of the account values and the total.
+ */
+export type PortfolioSnapshot = {
+  date: number,
+  currency: string,
+  assets: { [currency: string]: PortfolioAsset },
+  accounts: { [account: string]: number },
+  total: number,
+  unpriced: string[]
+}
+
+/**
+ * Finds the rates of all currencies reachable through the markets of a
+ * ticker in a reference currency, at their last prices. Each currency is
+ * crossed through as few markets as possible, e.g. XMR to USDT through
+ * `BTC_XMR` and `USDT_BTC` when there is no `USDT_XMR` market.
+ *
+ * @param {object} ticker result of `returnTicker`
+ * @param {string} currency reference currency
+ * @returns {Object<string, CrossRate>} rates by currency, the reference
+ * currency included at a rate of 1
+ * @example
+ * crossRates(await plx.returnTicker(), 'USDT').XMR
+ * // => {"rate":142.5,"path":["BTC_XMR","USDT_BTC"]}
+ */
+export function crossRates (ticker: Object, currency: string): { [currency: string]: CrossRate } {
+  let rates = { [currency]: { rate: 1, path: [] } }
+  let markets = Object.keys(ticker).filter((currencyPair) => toNumber(ticker[currencyPair].last) > 0)
+  // breadth first, so that rates are crossed through the fewest markets
+  let queue = [currency]
+  while (queue.length > 0) {
+    let known = queue.shift()
+    for (let currencyPair of markets) {
+      let next = hop(currencyPair, toNumber(ticker[currencyPair].last), known)
+      if (!next || rates[next.currency]) continue
+      rates[next.currency] = { rate: rates[known].rate * next.rate, path: [currencyPair].concat(rates[known].path) }
+      queue.push(next.currency)
+    }
+  }
+  return rates
+}
+
+/**
+ * Values the holdings of all Poloniex accounts in a reference currency:
+ * available and on order balances of the exchange account, available
+ * balances of the margin account with the profit or loss of open margin
+ * positions, and available balances of the lending account with open loan
+ * offers and active loans. Currencies are valued with cross rates of the
+ * ticker, see {@link crossRates}.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret
+ * @param {object} [options]
+ * @param {string} [options.currency='BTC'] reference currency of snapshots
+ * @example
+ * let portfolio = new PoloniexPortfolio(plx, { currency: 'USDT' })
+ * await portfolio.snapshot()
+ * // => {"date":1507032000000,"currency":"USDT","assets":{"BTC":{"amount":1.5,"accounts":{"exchange":1,"margin":0.5},"rate":4300,"path":["USDT_BTC"],"value":6450}, ...},"accounts":{"exchange":5200,"margin":2150,"lending":310},"total":7660,"unpriced":[]}
+ */
+export class PoloniexPortfolio {
+  client: Poloniex
+  currency: string
+
+  constructor (client: Poloniex, options?: { currency?: string } = {}) {
+    this.client = client
+    this.currency = options.currency || 'BTC'
+  }
+
+  /**
+   * Takes a snapshot of the holdings of all accounts and their value.
+   *
+   * @param {string} [currency] reference currency, that of the portfolio by
+   * default
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<PortfolioSnapshot>}
+   */
+  async snapshot (currency?: string, options?: RequestOptions): Promise<PortfolioSnapshot> {
+    let reference = currency || this.currency
+    let [holdings, ticker] = await Promise.all([this.holdings(options), this.client.returnTicker(options)])
+    let rates = crossRates(ticker, reference)
+    let snapshot = { date: Date.now(), currency: reference, assets: {}, accounts: {}, total: 0, unpriced: [] }
+    for (let currency of Object.keys(holdings)) {
+      let asset = value(holdings[currency], rates[currency])
+      snapshot.assets[currency] = asset
+      if (asset.rate === null || asset.rate === undefined) snapshot.unpriced.push(currency)
+      else addValues(snapshot, asset.accounts, asset.rate)
+    }
+    return snapshot
+  }
+
+  /**
+   * Returns the amounts held of each currency per account, without valuing
+   * them.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<Object<string, Object<Account, number>>>} amounts by
+   * currency and account
+   */
+  async holdings (options?: RequestOptions): Promise<{ [currency: string]: { [account: string]: number } }> {
+    let [complete, available, offers, loans, positions] = await Promise.all([
+      this.client.returnCompleteBalances(false, options),
+      this.client.returnAvailableAccountBalances(undefined, options),
+      this.client.returnOpenLoanOffers(options),
+      this.client.returnActiveLoans(options),
+      this.client.getMarginPosition('all', options)
+    ])
+    let holdings = {}
+    let add = (account: Account, currency: string, amount: mixed) => {
+      let number = toNumber(amount)
+      if (!number) return
+      let accounts = holdings[currency] || (holdings[currency] = {})
+      accounts[account] = (accounts[account] || 0) + number
+    }
+    Object.keys(complete).forEach((currency) => {
+      add('exchange', currency, complete[currency].available)
+      add('exchange', currency, complete[currency].onOrders)
+    })
+    ;['margin', 'lending'].forEach((account) => {
+      let balances = available[account] || {}
+      Object.keys(balances).forEach((currency) => add(account, currency, balances[currency]))
+    })
+    Object.keys(positions).filter((currencyPair) => positions[currencyPair].type !== 'none').forEach((currencyPair) => {
+      // positions are worth their profit or loss net of fees, in the base currency
+      let position = positions[currencyPair]
+      add('margin', currencyPair.split('_')[0], toNumber(position.pl) + toNumber(position.lendingFees))
+    })
+    Object.keys(offers).forEach((currency) => offers[currency].forEach((offer) => add('lending', currency, offer.amount)))
+    ;(loans.provided || []).forEach((loan) => add('lending', loan.currency, loan.amount))
+    return holdings
+  }
+}
+
+/**
+ * The currency a market leads to from a known currency with its rate in the
+ * known currency, `null` when the market does not trade the known currency.
+ *
+ * @private
+ */
+function hop (currencyPair: string, last: number, known: string): ?{ currency: string, rate: number } {
+  let [base, quote] = currencyPair.split('_')
+  if (base === known) return { currency: quote, rate: last }
+  return quote === known ? { currency: base, rate: 1 / last } : null
+}
+
+/**
+ * @private
+ */
+function value (accounts: { [account: string]: number }, crossRate: ?CrossRate): PortfolioAsset {
+  let amount = Object.keys(accounts).reduce((sum, account) => sum + accounts[account], 0)
+  return {
+    amount: amount,
+    accounts: accounts,
+    rate: crossRate ? crossRate.rate : null,
+    path: crossRate ? crossRate.path : [],
+    value: crossRate ? amount * crossRate.rate : null
+  }
+}
+
+/**
+ * Add the value of an asset to the values of its accounts and the total.
+ *
+ * @private
+ */
+function addValues (snapshot: PortfolioSnapshot, accounts: { [account: string]: number }, rate: number) {
+  Object.keys(accounts).forEach((account) => {
+    let amount = accounts[account] * rate
+    snapshot.accounts[account] = (snapshot.accounts[account] || 0) + amount
+    snapshot.total += amount
+  })
+}
@@ -0,0 +1,511 @@
+/* @flow */
+
+import EventEmitter from 'events'
+import crypto from 'crypto'
+import WebSocket from 'ws'
+
+import { AuthenticationError, ExchangeError, NetworkError } from './errors'
+import { Poloniex } from './poloniex'
+import { defaultLogger, emitError, isEnabled, redact } from './log'
+import type { Logger } from './log'
+import type { Agent } from './transport'
+
+export const PUSH_API: string = 'wss://api2.poloniex.com'
+
+// numbered channels of the Push API, markets are subscribed by currency pair
+const CHANNELS: { [string]: number } = { account: 1000, ticker: 1002, volume: 1003 }
+
+// wallets of balance notifications
+const WALLETS: { [string]: string } = { e: 'exchange', m: 'margin', l: 'lending' }
+
+/**
+ * Streaming client for the Poloniex Push API. Subscribe to the `ticker`,
+ * 24-hour `volume` and `account` channels, or to the order book and trades of
+ * a market by its currency pair, e.g. `BTC_ETH`.
+ *
+ * Updates are emitted as events, or read with {@link PoloniexPush#iterate}:
+ *
+ * - `ticker` ticker of a market, with the fields of `returnTicker`
+ * - `volume` 24-hour volume of the primary currencies
+ * - `orderBook` order book of a market as subscribed, with its `seq`
+ * - `orderBookUpdate` a price level of a market changed, an `amount` of zero
+ *   removes it
+ * - `trade` a trade in a market
+ * - `account` balance, order and trade notifications of your account
+ *
+ * The client reconnects when the connection drops, or when no message nor
+ * heartbeat arrives in time, and subscribes to its channels again. The
+ * connection is reported with `open`, `disconnect`, `reconnect` and `close`
+ * events, errors of an open connection with `error` events.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] URL of the Push API, e.g. of a local server
+ * @param {Poloniex} [options.client] REST client, its key and secret sign the
+ * `account` subscription and the currency pairs of its ticker name the
+ * markets of ticker updates
+ * @param {object|false} [options.reconnect] backoff between reconnects, doubled
+ * after each failed attempt, or `false` to not reconnect
+ * @param {number} [options.reconnect.delay=1000] first delay in milliseconds
+ * @param {number} [options.reconnect.maxDelay=30000] longest delay
+ * @param {number} [options.heartbeatTimeout=10000] milliseconds without any
+ * message after which the connection is considered lost, `0` to never
+ * @param {http.Agent} [options.agent] agent of the connection, e.g. a
+ * {@link ProxyAgent}
+ * @param {Logger} [options.logger] receives connection events and sent
+ * commands, with credentials masked
+ * @example
+ * let push = new PoloniexPush()
+ * push.on('trade', (trade) => console.log(trade))
+ * await push.connect()
+ * await push.subscribe('BTC_ETH')
+ * // => {"currencyPair":"BTC_ETH","seq":540672082,"tradeID":"43781170","type":"sell","rate":"0.07313000","amount":"0.00199702","timestamp":1528900825}
+ */
+export class PoloniexPush extends EventEmitter {
+  url: string
+  client: ?Poloniex
+  reconnect: { delay: number, maxDelay: number } | false
+  heartbeatTimeout: number
+  agent: ?Agent
+  logger: Logger
+  subscriptions: Set<string>
+  pairs: Map<number, string>
+  _socket: any
+  _closing: boolean
+  _established: boolean
+  _attempt: number
+  _watchdog: any
+  _reconnectTimer: any
+
+  constructor (options?: PoloniexPushOptions = {}) {
+    super()
+    this.url = options.url || PUSH_API
+    this.client = options.client
+    this.reconnect = options.reconnect === false ? false : Object.assign({}, { delay: 1000, maxDelay: 30000 }, options.reconnect)
+    this.heartbeatTimeout = options.heartbeatTimeout === undefined ? 10000 : options.heartbeatTimeout
+    this.agent = options.agent
+    this.logger = options.logger || defaultLogger
+    this.subscriptions = new Set()
+    this.pairs = new Map()
+    this._closing = true
+    this._established = false
+    this._attempt = 0
+  }
+
+  /**
+   * Connects to the Push API and subscribes to the channels subscribed so
+   * far. With a REST client, the currency pairs of its ticker are loaded
+   * first.
+   *
+   * @returns {Promise<void>} resolved once connected, rejected with a
+   * {@link NetworkError} when the connection fails
+   */
+  async connect (): Promise<void> {
+    this._closing = false
+    try {
+      if (this.client && this.pairs.size === 0) await this._loadPairs(this.client)
+      await this._open()
+    } catch (err) {
+      this._closing = true
+      throw err
+    }
+  }
+
+  /**
+   * Closes the connection for good, ending all iterators.
+   *
+   * @returns {Promise<void>} resolved once closed
+   */
+  close (): Promise<void> {
+    this._closing = true
+    clearTimeout(this._reconnectTimer)
+    let socket = this._socket
+    if (socket && socket.readyState !== WebSocket.CLOSED) {
+      return new Promise((resolve) => {
+        socket.once('close', () => resolve())
+        socket.close()
+      })
+    }
+    if (this._established) this._end()
+    return Promise.resolve()
+  }
+
+  /**
+   * Subscribes to a channel, now when connected and again after every
+   * reconnect.
+   *
+   * @param {string} channel `ticker`, `volume`, `account` or a currency pair,
+   * e.g. `BTC_ETH`
+   * @returns {Promise<void>} resolved once the subscription is sent,
+   * rejected with an {@link AuthenticationError} for `account` without a
+   * client
+   */
+  subscribe (channel: string): Promise<void> {
+    if (channel === 'account' && !this.client) {
+      return Promise.reject(new AuthenticationError('A client with key and secret is needed for account notifications.', { exchange: 'poloniex' }))
+    }
+    this.subscriptions.add(channel)
+    return this._isOpen() ? this._command('subscribe', channel) : Promise.resolve()
+  }
+
+  /**
+   * Unsubscribes from a channel.
+   *
+   * @param {string} channel a subscribed channel
+   * @returns {Promise<void>} resolved once the unsubscription is sent
+   */
+  unsubscribe (channel: string): Promise<void> {
+    this.subscriptions.delete(channel)
+    return this._isOpen() ? this._command('unsubscribe', channel) : Promise.resolve()
+  }
+
+  /**
+   * Whether the connection is open, updates may be missed while it is not.
+   *
+   * @returns {boolean}
+   */
+  isConnected (): boolean {
+    return this._isOpen()
+  }
+
+  /**
+   * Returns an async iterator over the updates of an event, e.g.
+   * `for await (let trade of push.iterate('trade'))`. Updates are buffered
+   * until read, and the iterator ends when the client is closed.
+   *
+   * @param {string} event `ticker`, `volume`, `orderBook`, `orderBookUpdate`,
+   * `trade` or `account`
+   * @returns {AsyncIterator<object>}
+   */
+  iterate (event: string): EventIterator {
+    return new EventIterator(this, event)
+  }
+
+  /**
+   * Open a connection, and subscribe once open.
+   *
+   * @private
+   */
+  _open (): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let socket = new WebSocket(this.url, { agent: this.agent || undefined })
+      let opened = false
+      this._socket = socket
+      socket.on('open', () => {
+        opened = true
+        this._onOpen()
+        resolve()
+      })
+      socket.on('message', (data) => this._onMessage(data))
+      socket.on('error', (err) => opened ? this._onError(this._networkError(err)) : reject(this._networkError(err)))
+      socket.on('close', (code, reason) => this._onClose(code, reason, opened))
+    })
+  }
+
+  /**
+   * @private
+   */
+  _onOpen () {
+    this._log(`connected to ${this.url}`)
+    this._attempt = 0
+    this._established = true
+    this._watch()
+    this.subscriptions.forEach((channel) => {
+      this._command('subscribe', channel).catch((err) => this._onError(err))
+    })
+    this.emit('open')
+  }
+
+  /**
+   * Reconnect unless closed on purpose, or when the first connection failed.
+   *
+   * @private
+   */
+  _onClose (code: number, reason: string, opened: boolean) {
+    clearTimeout(this._watchdog)
+    if (this._closing || !this.reconnect || !this._established) return this._end()
+    if (opened) this.emit('disconnect', code, reason)
+    this._scheduleReconnect(this.reconnect)
+  }
+
+  /**
+   * @private
+   */
+  _scheduleReconnect (backoff: { delay: number, maxDelay: number }) {
+    let delay = Math.min(backoff.delay * Math.pow(2, this._attempt), backoff.maxDelay)
+    this._attempt++
+    this._log(`reconnecting in ${delay} ms, attempt ${this._attempt}`)
+    this.emit('reconnect', this._attempt, delay)
+    this._reconnectTimer = setTimeout(() => {
+      this._open().catch((err) => this._log(`reconnect failed: ${err.message}`))
+    }, delay)
+  }
+
+  /**
+   * @private
+   */
+  _end () {
+    this._closing = true
+    this._established = false
+    this._log('closed')
+    this.emit('close')
+  }
+
+  /**
+   * Drop the connection when no message nor heartbeat arrives in time.
+   * Heartbeats are only sent while subscribed to a channel.
+   *
+   * @private
+   */
+  _watch () {
+    clearTimeout(this._watchdog)
+    if (!this.heartbeatTimeout || this.subscriptions.size === 0) return
+    this._watchdog = setTimeout(() => {
+      this._log(`no message for ${this.heartbeatTimeout} ms, dropping the connection`)
+      this._socket.terminate()
+    }, this.heartbeatTimeout)
+  }
+
+  /**
+   * @private
+   */
+  _isOpen (): boolean {
+    return Boolean(this._socket) && this._socket.readyState === WebSocket.OPEN
+  }
+
+  /**
+   * Send a subscribe or unsubscribe command, the account channel is signed
+   * with a fresh nonce.
+   *
+   * @private
+   */
+  async _command (command: 'subscribe' | 'unsubscribe', channel: string): Promise<void> {
+    let message: Object = { command: command, channel: CHANNELS[channel] || channel }
+    let client = this.client
+    if (channel === 'account' && client) {
+      let payload = 'nonce=' + await client.nonceProvider.next(client.key || '')
+      Object.assign(message, {
+        key: client.key,
+        payload: payload,
+        sign: crypto.createHmac('sha512', client.secret || '').update(payload).digest('hex')
+      })
+    }
+    this._log(`sending ${command}`, message)
+    this._socket.send(JSON.stringify(message))
+  }
+
+  /**
+   * @private
+   */
+  _onMessage (data: string) {
+    this._watch()
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch (err) {
+      return this._onError(new ExchangeError(`(poloniex) invalid push message ${data}`, { exchange: 'poloniex', body: data }))
+    }
+    if (!Array.isArray(message)) {
+      return this._onError(new ExchangeError(`(poloniex) ${message.error}`, { exchange: 'poloniex', body: data }))
+    }
+    let [channel, seq, updates] = message
+    // heartbeats and subscription acknowledgements carry no updates
+    if (Array.isArray(updates)) this._dispatch(channel, seq, updates)
+  }
+
+  /**
+   * @private
+   */
+  _dispatch (channel: number, seq: ?number, updates: Array<any>) {
+    if (channel === CHANNELS.ticker) return this.emit('ticker', this._ticker(updates))
+    if (channel === CHANNELS.volume) return this.emit('volume', { date: updates[0], users: updates[1], volumes: updates[2] })
+    updates.forEach((update) => {
+      let [event, value] = channel === CHANNELS.account ? this._account(update) : this._market(channel, seq || 0, update)
+      if (event) this.emit(event, value)
+    })
+  }
+
+  /**
+   * @private
+   */
+  _ticker (update: Array<any>): Object {
+    let [id, last, lowestAsk, highestBid, percentChange, baseVolume, quoteVolume, isFrozen, high24hr, low24hr] = update
+    return {
+      id: id,
+      currencyPair: this.pairs.get(id),
+      last: last,
+      lowestAsk: lowestAsk,
+      highestBid: highestBid,
+      percentChange: percentChange,
+      baseVolume: baseVolume,
+      quoteVolume: quoteVolume,
+      isFrozen: isFrozen,
+      high24hr: high24hr,
+      low24hr: low24hr
+    }
+  }
+
+  /**
+   * The event of a market update. The order book as subscribed names the
+   * currency pair of the market's channel.
+   *
+   * @private
+   */
+  _market (channel: number, seq: number, update: Array<any>): [?string, ?Object] {
+    switch (update[0]) {
+      case 'i':
+        this.pairs.set(channel, update[1].currencyPair)
+        return ['orderBook', {
+          currencyPair: update[1].currencyPair,
+          seq: seq,
+          asks: update[1].orderBook[0],
+          bids: update[1].orderBook[1]
+        }]
+      case 'o':
+        return ['orderBookUpdate', { currencyPair: this.pairs.get(channel), seq: seq, type: side(update[1], 'bid', 'ask'), rate: update[2], amount: update[3] }]
+      case 't':
+        return ['trade', { currencyPair: this.pairs.get(channel), seq: seq, tradeID: update[1], type: side(update[2], 'buy', 'sell'), rate: update[3], amount: update[4], timestamp: update[5] }]
+    }
+    return [null, null]
+  }
+
+  /**
+   * The event of an account notification.
+   *
+   * @private
+   */
+  _account (update: Array<any>): [?string, ?Object] {
+    switch (update[0]) {
+      case 'b':
+        return ['account', { type: 'balance', currencyId: update[1], wallet: WALLETS[update[2]], amount: update[3] }]
+      case 'n':
+        return ['account', { type: 'newOrder', currencyPair: this.pairs.get(update[1]), orderNumber: update[2], side: side(update[3], 'buy', 'sell'), rate: update[4], amount: update[5], date: update[6] }]
+      case 'o':
+        return ['account', { type: 'orderUpdate', orderNumber: update[1], amount: update[2] }]
+      case 't':
+        return ['account', { type: 'trade', tradeID: update[1], rate: update[2], amount: update[3], feeMultiplier: update[4], fundingType: update[5], orderNumber: update[6] }]
+    }
+    return [null, null]
+  }
+
+  /**
+   * Name the markets of ticker updates after the currency pairs of the REST
+   * ticker.
+   *
+   * @private
+   */
+  async _loadPairs (client: Poloniex) {
+    let tickers = await client.returnTicker()
+    Object.keys(tickers).forEach((pair) => {
+      if (tickers[pair].id !== undefined) this.pairs.set(Number(tickers[pair].id), pair)
+    })
+  }
+
+  /**
+   * @private
+   */
+  _onError (err: Error) {
+    this._log(`error: ${err.message}`)
+    emitError(this, err, this.logger)
+  }
+
+  /**
+   * @private
+   */
+  _networkError (err: Object): NetworkError {
+    return new NetworkError(`(poloniex) push api ${err.message}`, { exchange: 'poloniex', code: err.code })
+  }
+
+  /**
+   * @private
+   */
+  _log (message: string, details?: Object) {
+    if (!isEnabled(this.logger)) return
+    this.logger.debug(`(poloniex push) ${message}`, details === undefined ? undefined : redact(details))
+  }
+}
+
+/**
+ * Async iterator over the updates of an event, see {@link PoloniexPush#iterate}.
+ */
+class EventIterator {
+  _emitter: EventEmitter
+  _event: string
+  _values: Array<any>
+  _waiting: Array<(result: IteratorResult<any, void>) => void>
+  _done: boolean
+  _push: (value: any) => void
+  _finish: () => void
+
+  constructor (emitter: EventEmitter, event: string) {
+    this._emitter = emitter
+    this._event = event
+    this._values = []
+    this._waiting = []
+    this._done = false
+    this._push = (value) => {
+      let waiting = this._waiting.shift()
+      if (waiting) waiting({ value: value, done: false })
+      else this._values.push(value)
+    }
+    this._finish = () => this._stop()
+    emitter.on(event, this._push)
+    emitter.once('close', this._finish)
+  }
+
+  /**
+   * Returns the next update, waiting for it when none is buffered.
+   *
+   * @returns {Promise<{value: object, done: boolean}>}
+   */
+  next (): Promise<IteratorResult<any, void>> {
+    if (this._values.length > 0) return Promise.resolve({ value: this._values.shift(), done: false })
+    if (this._done) return Promise.resolve({ value: undefined, done: true })
+    return new Promise((resolve) => this._waiting.push(resolve))
+  }
+
+  /**
+   * Stops iterating and drops the buffered updates, called when a
+   * `for await` loop is left early.
+   *
+   * @returns {Promise<{value: void, done: boolean}>}
+   */
+  return (): Promise<IteratorResult<any, void>> {
+    this._values = []
+    this._stop()
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * Stop listening, buffered updates are still returned.
+   *
+   * @private
+   */
+  _stop () {
+    this._done = true
+    this._emitter.removeListener(this._event, this._push)
+    this._emitter.removeListener('close', this._finish)
+    this._waiting.forEach((resolve) => resolve({ value: undefined, done: true }))
+    this._waiting = []
+  }
+}
+
+// flow does not support computed keys of class methods
+Object.defineProperty(EventIterator.prototype, (Symbol: any).asyncIterator, {
+  value: function () { return this }
+})
+
+/**
+ * @private
+ */
+function side (flag: number, one: string, zero: string): string {
+  return flag === 1 ? one : zero
+}
+
+export type PoloniexPushOptions = {
+  url?: string,
+  client?: Poloniex,
+  reconnect?: false | { delay?: number, maxDelay?: number },
+  heartbeatTimeout?: number,
+  agent?: Agent,
+  logger?: Logger
+}
@@ -0,0 +1,112 @@
+/* @flow */
+
+import fs from 'fs'
+import { promisify } from 'util'
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const rename = promisify(fs.rename)
+
+/**
+ * Keeps state that has to survive restarts, e.g. pending conditional orders,
+ * as JSON values by key.
+ */
+export type Store = {
+  +get: (key: string) => Promise<any>,
+  +set: (key: string, value: any) => Promise<void>
+}
+
+/**
+ * Keeps values in memory, for tests and for state that may be lost.
+ */
+export class MemoryStore {
+  _values: Map<string, string>
+
+  constructor () {
+    this._values = new Map()
+  }
+
+  /**
+   * Returns the value of a key, `undefined` when there is none.
+   *
+   * @param {string} key name of the value
+   * @returns {Promise<any>}
+   */
+  get (key: string): Promise<any> {
+    let value = this._values.get(key)
+    return Promise.resolve(value === undefined ? undefined : JSON.parse(value))
+  }
+
+  /**
+   * Stores the value of a key, as a copy.
+   *
+   * @param {string} key name of the value
+   * @param {any} value JSON value
+   * @returns {Promise<void>}
+   */
+  set (key: string, value: any): Promise<void> {
+    this._values.set(key, JSON.stringify(value))
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Keeps values in a JSON file. The file is replaced as a whole, so it is
+ * never left half written by a crash. Writes of one store are serialized,
+ * the file should not be shared by processes.
+ *
+ * @param {string} path JSON file holding the values by key
+ */
+export class FileStore {
+  path: string
+  _writing: Promise<void>
+
+  constructor (path: string) {
+    this.path = path
+    this._writing = Promise.resolve()
+  }
+
+  /**
+   * Returns the value of a key, `undefined` when there is none.
+   *
+   * @param {string} key name of the value
+   * @returns {Promise<any>}
+   */
+  async get (key: string): Promise<any> {
+    await this._writing
+    return (await this._read())[key]
+  }
+
+  /**
+   * Stores the value of a key.
+   *
+   * @param {string} key name of the value
+   * @param {any} value JSON value
+   * @returns {Promise<void>}
+   */
+  set (key: string, value: any): Promise<void> {
+    let write = async () => {
+      let values = await this._read()
+      values[key] = value
+      await writeFile(this.path + '.tmp', JSON.stringify(values))
+      await rename(this.path + '.tmp', this.path)
+    }
+    let written = this._writing.then(write)
+    this._writing = written.catch(() => {})
+    return written
+  }
+
+  /**
+   * Read the values, none when the file does not exist yet.
+   *
+   * @private
+   */
+  async _read (): Promise<{ [string]: any }> {
+    try {
+      return JSON.parse(await readFile(this.path, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return {}
+      throw err
+    }
+  }
+}
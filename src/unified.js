@@ -0,0 +1,232 @@
+/* @flow */
+
+import { NotSupportedError } from './errors'
+import type { RequestOptions } from './api'
+
+export type Side = 'buy' | 'sell'
+
+export type OrderType = 'limit' | 'market'
+
+export type OrderStatus = 'open' | 'closed' | 'canceled'
+
+export type Ticker = {
+  symbol: string,
+  timestamp: number,
+  bid: number,
+  ask: number,
+  last: number,
+  high: ?number,
+  low: ?number,
+  change: ?number,
+  baseVolume: ?number,
+  quoteVolume: ?number
+}
+
+export type OrderBookEntry = { price: number, amount: number }
+
+export type OrderBook = {
+  symbol: string,
+  timestamp: number,
+  sequence: ?number,
+  bids: OrderBookEntry[],
+  asks: OrderBookEntry[]
+}
+
+export type Trade = {
+  id: string,
+  symbol: string,
+  timestamp: number,
+  side: Side,
+  price: number,
+  amount: number,
+  cost: number,
+  orderId: ?string,
+  fee: ?{ cost: number, currency: string }
+}
+
+export type Balances = {
+  [currency: string]: { free: number, used: number, total: number }
+}
+
+export type OrderRequest = {
+  symbol: string,
+  side: Side,
+  type: OrderType,
+  amount: number,
+  price?: number,
+  postOnly?: boolean,
+  timeInForce?: 'GTC' | 'IOC' | 'FOK'
+}
+
+export type Order = {
+  id: string,
+  symbol: string,
+  timestamp: ?number,
+  side: Side,
+  type: OrderType,
+  price: ?number,
+  amount: number,
+  filled: number,
+  remaining: number,
+  status: OrderStatus
+}
+
+/**
+ * Exchange-agnostic interface over the exchange clients. Markets are named
+ * `BASE/QUOTE` after the currency codes of the exchange, e.g. `ETH/BTC` is
+ * priced in BTC. Prices, amounts and volumes are numbers, timestamps are
+ * milliseconds since the epoch, and lists of trades are in chronological
+ * order.
+ *
+ * Adapters implement the operations their exchange offers, the others reject
+ * with a {@link NotSupportedError}.
+ *
+ * @param {string} name name of the exchange client
+ */
+export class UnifiedClient {
+  name: string
+
+  constructor (name: string) {
+    this.name = name
+  }
+
+  /**
+   * Returns the ticker of a market.
+   *
+   * @param {string} symbol market, e.g. `ETH/BTC`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Ticker>}
+   */
+  fetchTicker (symbol: string, options?: RequestOptions): Promise<Ticker> {
+    return this._notSupported('fetchTicker')
+  }
+
+  /**
+   * Returns the best bids and asks of a market, best first.
+   *
+   * @param {string} symbol market, e.g. `ETH/BTC`
+   * @param {number} [depth=10] how many bids and asks to return
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<OrderBook>}
+   */
+  fetchOrderBook (symbol: string, depth?: number, options?: RequestOptions): Promise<OrderBook> {
+    return this._notSupported('fetchOrderBook')
+  }
+
+  /**
+   * Returns the recent trades of a market.
+   *
+   * @param {string} symbol market, e.g. `ETH/BTC`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Trade[]>}
+   */
+  fetchTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    return this._notSupported('fetchTrades')
+  }
+
+  /**
+   * Returns your balances of the exchange (spot) account by currency.
+   *
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Balances>}
+   */
+  fetchBalances (options?: RequestOptions): Promise<Balances> {
+    return this._notSupported('fetchBalances')
+  }
+
+  /**
+   * Places an order.
+   *
+   * @param {OrderRequest} order market, side, type, amount and price
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Order>} the order as placed
+   */
+  createOrder (order: OrderRequest, options?: RequestOptions): Promise<Order> {
+    return this._notSupported('createOrder')
+  }
+
+  /**
+   * Cancels an order.
+   *
+   * @param {string} id id of the order
+   * @param {string} [symbol] market of the order, needed by some exchanges
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<void>}
+   */
+  cancelOrder (id: string, symbol?: string, options?: RequestOptions): Promise<void> {
+    return this._notSupported('cancelOrder')
+  }
+
+  /**
+   * Returns your open orders, of one market or of all markets.
+   *
+   * @param {string} [symbol] market, all markets when left out
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Order[]>}
+   */
+  fetchOpenOrders (symbol?: string, options?: RequestOptions): Promise<Order[]> {
+    return this._notSupported('fetchOpenOrders')
+  }
+
+  /**
+   * Returns your recent trades of a market.
+   *
+   * @param {string} symbol market, e.g. `ETH/BTC`
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for this call
+   * @returns {Promise<Trade[]>}
+   */
+  fetchMyTrades (symbol: string, options?: RequestOptions): Promise<Trade[]> {
+    return this._notSupported('fetchMyTrades')
+  }
+
+  /**
+   * Reject an operation the exchange does not offer.
+   *
+   * @private
+   */
+  _notSupported (operation: string): Promise<any> {
+    return Promise.reject(new NotSupportedError(`(${this.name}) ${operation} is not supported`, { exchange: this.name }))
+  }
+}
+
+/**
+ * Split a market symbol into its currencies.
+ *
+ * @param {string} symbol market, e.g. `ETH/BTC`
+ * @returns {{base: string, quote: string}}
+ */
+export function splitSymbol (symbol: string): { base: string, quote: string } {
+  let match = /^([A-Z0-9]+)\/([A-Z0-9]+)$/.exec(symbol)
+  if (!match) throw new Error(`invalid market symbol ${symbol}, expected BASE/QUOTE`)
+  return { base: match[1], quote: match[2] }
+}
+
+/**
+ * Convert a price or amount returned by an exchange to a number.
+ *
+ * @param {string|number} value number or numeric string
+ * @returns {number}
+ */
+export function toNumber (value: mixed): number {
+  return typeof value === 'number' ? value : parseFloat(String(value))
+}
+
+/**
+ * Like {@link toNumber}, but keeps missing values as `null`.
+ *
+ * @param {string|number} [value] number or numeric string
+ * @returns {?number}
+ */
+export function toNumberOrNull (value: mixed): ?number {
+  return value === undefined || value === null ? null : toNumber(value)
+}
+
+/**
+ * Sort trades in chronological order.
+ *
+ * @param {Trade[]} trades trades in any order
+ * @returns {Trade[]}
+ */
+export function chronological (trades: Trade[]): Trade[] {
+  return trades.sort((a, b) => a.timestamp - b.timestamp)
+}
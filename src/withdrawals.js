@@ -0,0 +1,416 @@
+/* @flow */
+
+import EventEmitter from 'events'
+import crypto from 'crypto'
+
+import { WithdrawalRejectedError } from './errors'
+import { Poloniex } from './poloniex'
+import { MemoryStore } from './store'
+import type { Store } from './store'
+import { toPlainString } from './decimal'
+import type { Numeric } from './decimal'
+import { toNumber } from './unified'
+import type { RequestOptions } from './api'
+
+// withdrawals within this many milliseconds count towards the daily limits
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * A withdrawal of an `amount` of a currency to an address, with the
+ * `paymentId` of the address for currencies that need one.
+ */
+export type WithdrawalRequest = {
+  currency: string,
+  amount: Numeric,
+  address: string,
+  paymentId?: string
+}
+
+/**
+ * The withdrawal rules of a currency on its exchange: whether withdrawals are
+ * `disabled`, whether they need a `paymentId`, and the fee taken from them.
+ */
+export type WithdrawalCurrency = {
+  disabled: boolean,
+  paymentId: boolean,
+  txFee: number
+}
+
+/**
+ * The exchange a guard withdraws from: its name, how to withdraw, and the
+ * withdrawal rules of a currency, `null` for unknown currencies. See
+ * {@link poloniexWithdrawals}.
+ */
+export type WithdrawalTarget = {
+  exchange: string,
+  withdraw: (request: WithdrawalRequest, options?: RequestOptions) => Promise<Object>,
+  currency: (currency: string, options?: RequestOptions) => Promise<?WithdrawalCurrency>
+}
+
+/**
+ * An address withdrawals are allowed to. Addresses with a `paymentId` only
+ * allow withdrawals with that payment id.
+ */
+export type AllowedAddress = string | { address: string, paymentId?: string }
+
+/**
+ * - `allowlist` addresses withdrawals are allowed to by currency, the
+ *   withdrawals of other currencies and to other addresses are rejected
+ * - `limits` the most of a currency withdrawn at once, `max`, and within
+ *   the last 24 hours, `daily`
+ * - `confirm` whether withdrawals are held until they are confirmed with
+ *   their token
+ * - `confirmTtl` milliseconds a token may be confirmed within
+ * - `store` where the audit log is kept, in memory by default
+ * - `key` of the audit log in the store, after the exchange by default
+ */
+export type WithdrawalRules = {
+  allowlist: { [currency: string]: AllowedAddress[] },
+  limits?: { [currency: string]: { max?: number, daily?: number } },
+  confirm?: boolean,
+  confirmTtl?: number,
+  store?: Store,
+  key?: string
+}
+
+export type WithdrawalStatus = 'rejected' | 'pending' | 'expired' | 'sent' | 'failed'
+
+/**
+ * An attempt to withdraw, as recorded in the audit log. Attempts held for
+ * confirmation are recorded as `pending`, and again once they are sent,
+ * rejected or expired, under the same `id`. The `reason` of a rejected or
+ * failed attempt tells why, the `result` of a sent one is the response of
+ * the exchange. Confirmations of unknown tokens are recorded as `rejected`
+ * without a `currency`, `amount` and `address`.
+ */
+export type WithdrawalEntry = {
+  id: string,
+  date: number,
+  exchange: string,
+  currency: ?string,
+  amount: ?string,
+  address: ?string,
+  paymentId: ?string,
+  status: WithdrawalStatus,
+  reason: ?string,
+  result: ?Object
+}
+
+/**
+ * The outcome of a withdrawal that was not rejected: `sent` with the
+ * `result` of the exchange, or `pending` until its `token` is confirmed
+ * before `expires`.
+ */
+export type WithdrawalResult = {
+  id: string,
+  status: 'sent' | 'pending',
+  token: ?string,
+  expires: ?number,
+  result: ?Object
+}
+
+/**
+ * The withdrawals of a Poloniex client, with the withdrawal rules of
+ * currencies from `returnCurrencies`: currencies with a shared deposit
+ * address need a payment id.
+ *
+ * @param {Poloniex} client Poloniex client with key and secret, and the
+ * withdrawal privilege
+ * @returns {WithdrawalTarget}
+ */
+export function poloniexWithdrawals (client: Poloniex): WithdrawalTarget {
+  return {
+    exchange: client.name,
+    withdraw (request, options) {
+      return client.withdraw(request.currency, request.amount, request.address, request.paymentId, options)
+    },
+    async currency (currency, options) {
+      let info = own(await client.returnCurrencies(options), currency)
+      if (!info) return null
+      return { disabled: Boolean(Number(info.disabled)), paymentId: Boolean(info.depositAddress), txFee: toNumber(info.txFee) }
+    }
+  }
+}
+
+/**
+ * Guards the withdrawals of an exchange: only withdrawals to allowed
+ * addresses, within the limits of their currency and with the payment id
+ * their currency needs are sent, optionally only once confirmed. Every
+ * attempt is recorded in the audit log, and withdrawals are checked and sent
+ * one at a time so that concurrent ones cannot exceed the daily limits
+ * together. Failed withdrawals count towards the daily limits, since a
+ * request that timed out may still have been sent.
+ *
+ * Emits `audit` with each {@link WithdrawalEntry} recorded.
+ *
+ * @param {WithdrawalTarget} target the exchange to withdraw from
+ * @param {WithdrawalRules} rules allowed addresses and limits, tokens may be
+ * confirmed within 5 minutes by default
+ * @example
+ * let guard = new WithdrawalGuard(poloniexWithdrawals(plx), {
+ *   allowlist: { BTC: ['18Npsu6qDjyD46S87DPU8YvAk1MWW6puBu'] },
+ *   limits: { BTC: { max: 1, daily: 2 } },
+ *   confirm: true,
+ *   store: new FileStore('withdrawals.json')
+ * })
+ * let { token } = await guard.withdraw({ currency: 'BTC', amount: 0.5, address: '18Npsu6qDjyD46S87DPU8YvAk1MWW6puBu' })
+ * await guard.confirm(token)
+ * // => {"id":"3f9a1c0e7b2d4a65","status":"sent","token":null,"expires":null,"result":{"response":"Withdrew 0.5 BTC."}}
+ */
+export class WithdrawalGuard extends EventEmitter {
+  target: WithdrawalTarget
+  allowlist: { [currency: string]: AllowedAddress[] }
+  limits: { [currency: string]: { max?: number, daily?: number } }
+  confirmations: boolean
+  confirmTtl: number
+  store: Store
+  key: string
+  _pending: Map<string, { id: string, request: WithdrawalRequest, expires: number }>
+  _queue: Promise<any>
+
+  constructor (target: WithdrawalTarget, rules: WithdrawalRules) {
+    super()
+    this.target = target
+    this.allowlist = rules.allowlist
+    this.limits = rules.limits || {}
+    this.confirmations = Boolean(rules.confirm)
+    this.confirmTtl = rules.confirmTtl || 5 * 60 * 1000
+    this.store = rules.store || new MemoryStore()
+    this.key = rules.key || `${target.exchange}.withdrawals`
+    this._pending = new Map()
+    this._queue = Promise.resolve()
+  }
+
+  /**
+   * Withdraws when the rules allow it, or holds the withdrawal until it is
+   * confirmed with the `confirm` rule.
+   *
+   * @param {WithdrawalRequest} request what to withdraw, and where to
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<WithdrawalResult>}
+   * @throws {WithdrawalRejectedError} when the withdrawal breaks a rule
+   */
+  withdraw (request: WithdrawalRequest, options?: RequestOptions): Promise<WithdrawalResult> {
+    return this._exclusive(async () => {
+      let id = crypto.randomBytes(8).toString('hex')
+      await this._check(id, request, options)
+      return this.confirmations ? this._hold(id, request) : this._send(id, request, options)
+    })
+  }
+
+  /**
+   * Sends a withdrawal held for confirmation, once it is checked against
+   * the rules again. A withdrawal rejected then stays pending until its
+   * token expires, e.g. to be confirmed once the daily limit allows it.
+   *
+   * @param {string} token the token of the withdrawal
+   * @param {RequestOptions} [options] timeouts and `AbortSignal` for the calls
+   * @returns {Promise<WithdrawalResult>}
+   * @throws {WithdrawalRejectedError} when the token is unknown or expired,
+   * or the withdrawal breaks a rule
+   */
+  confirm (token: string, options?: RequestOptions): Promise<WithdrawalResult> {
+    return this._exclusive(async () => {
+      let pending = this._pending.get(token)
+      if (!pending) {
+        await this._record(crypto.randomBytes(8).toString('hex'), null, 'rejected', 'no withdrawal is pending for this token')
+        throw this._rejected('no withdrawal is pending for this token')
+      }
+      if (Date.now() > pending.expires) {
+        this._pending.delete(token)
+        await this._record(pending.id, pending.request, 'expired', 'the confirmation expired')
+        throw this._rejected(`${withdrawal(pending.request)} rejected: the confirmation expired`)
+      }
+      await this._check(pending.id, pending.request, options)
+      this._pending.delete(token)
+      return this._send(pending.id, pending.request, options)
+    })
+  }
+
+  /**
+   * Returns the audit log, oldest attempt first.
+   *
+   * @returns {Promise<WithdrawalEntry[]>}
+   */
+  async audit (): Promise<WithdrawalEntry[]> {
+    return (await this.store.get(this.key)) || []
+  }
+
+  /**
+   * Run a task once the tasks before it are done.
+   *
+   * @private
+   */
+  _exclusive<T> (task: () => Promise<T>): Promise<T> {
+    let run = this._queue.then(task)
+    this._queue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Record and reject a withdrawal that breaks a rule, or that could not be
+   * checked.
+   *
+   * @private
+   */
+  async _check (id: string, request: WithdrawalRequest, options?: RequestOptions) {
+    let reason
+    try {
+      reason = await this._reason(request, options)
+    } catch (err) {
+      await this._record(id, request, 'rejected', err.message)
+      throw err
+    }
+    if (reason) {
+      await this._record(id, request, 'rejected', reason)
+      throw this._rejected(`${withdrawal(request)} rejected: ${reason}`)
+    }
+  }
+
+  /**
+   * The rule a withdrawal breaks, if any.
+   *
+   * @private
+   */
+  async _reason (request: WithdrawalRequest, options?: RequestOptions): Promise<?string> {
+    let amount = toNumber(request.amount)
+    if (!(amount > 0)) return 'the amount is not positive'
+    let disallowed = allowlistReason(own(this.allowlist, request.currency), request)
+    if (disallowed) return disallowed
+    let invalid = currencyReason(await this.target.currency(request.currency, options), request, amount)
+    return invalid || limitReason(own(this.limits, request.currency) || {}, amount, await this._withdrawn(request.currency))
+  }
+
+  /**
+   * The amount of a currency withdrawn within the last 24 hours.
+   *
+   * @private
+   */
+  async _withdrawn (currency: string): Promise<number> {
+    let since = Date.now() - DAY
+    return (await this.audit())
+      .filter((entry) => entry.currency === currency && entry.date > since && (entry.status === 'sent' || entry.status === 'failed'))
+      .reduce((sum, entry) => sum + toNumber(entry.amount), 0)
+  }
+
+  /**
+   * @private
+   */
+  async _hold (id: string, request: WithdrawalRequest): Promise<WithdrawalResult> {
+    let token = crypto.randomBytes(16).toString('hex')
+    let expires = Date.now() + this.confirmTtl
+    this._pending.set(token, { id: id, request: request, expires: expires })
+    await this._record(id, request, 'pending')
+    return { id: id, status: 'pending', token: token, expires: expires, result: null }
+  }
+
+  /**
+   * @private
+   */
+  async _send (id: string, request: WithdrawalRequest, options?: RequestOptions): Promise<WithdrawalResult> {
+    let result
+    try {
+      result = await this.target.withdraw(request, options)
+    } catch (err) {
+      await this._record(id, request, 'failed', err.message)
+      throw err
+    }
+    await this._record(id, request, 'sent', null, result)
+    return { id: id, status: 'sent', token: null, expires: null, result: result }
+  }
+
+  /**
+   * Append an attempt to the audit log.
+   *
+   * @private
+   */
+  async _record (id: string, request: ?WithdrawalRequest, status: WithdrawalStatus, reason?: ?string, result?: Object) {
+    let fields = requested(request)
+    let entry = {
+      id: id,
+      date: Date.now(),
+      exchange: this.target.exchange,
+      currency: fields.currency,
+      amount: fields.amount,
+      address: fields.address,
+      paymentId: fields.paymentId,
+      status: status,
+      reason: reason || null,
+      result: result || null
+    }
+    await this.store.set(this.key, (await this.audit()).concat([entry]))
+    this.emit('audit', entry)
+  }
+
+  /**
+   * @private
+   */
+  _rejected (message: string): WithdrawalRejectedError {
+    return new WithdrawalRejectedError(`(${this.target.exchange}) ${message}`, { exchange: this.target.exchange })
+  }
+}
+
+/**
+ * @private
+ */
+function withdrawal (request: WithdrawalRequest): string {
+  return `withdrawal of ${toPlainString(request.amount)} ${request.currency} to ${request.address}`
+}
+
+/**
+ * What an audit entry records of a request, nothing of an unknown one.
+ *
+ * @private
+ */
+function requested (request: ?WithdrawalRequest): { currency: ?string, amount: ?string, address: ?string, paymentId: ?string } {
+  if (!request) return { currency: null, amount: null, address: null, paymentId: null }
+  return { currency: request.currency, amount: toPlainString(request.amount), address: request.address, paymentId: request.paymentId || null }
+}
+
+/**
+ * The value of a key of an object, only when it is its own, so that e.g.
+ * `__proto__` is not taken for a currency.
+ *
+ * @private
+ */
+function own<T> (values: { [key: string]: T }, key: string): ?T {
+  return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : undefined
+}
+
+/**
+ * Why an address is not allowed, if it is not.
+ *
+ * @private
+ */
+function allowlistReason (allowed: ?AllowedAddress[], request: WithdrawalRequest): ?string {
+  let match = (allowed || [])
+    .map((entry): { address: string, paymentId?: string } => typeof entry === 'string' ? { address: entry } : entry)
+    .find((entry) => entry.address === request.address)
+  if (!match) return `${request.address} is not an allowed ${request.currency} address`
+  let paymentId = match.paymentId
+  return paymentId === undefined || paymentId === request.paymentId ? null : `the payment id is not the one allowed for ${request.address}`
+}
+
+/**
+ * Why the currency does not allow a withdrawal, if it does not.
+ *
+ * @private
+ */
+function currencyReason (info: ?WithdrawalCurrency, request: WithdrawalRequest, amount: number): ?string {
+  if (!info) return `${request.currency} is not a known currency`
+  if (info.disabled) return `withdrawals of ${request.currency} are disabled`
+  if (info.paymentId && !request.paymentId) return `withdrawals of ${request.currency} need a payment id`
+  return amount > info.txFee ? null : `the amount does not cover the withdrawal fee of ${info.txFee} ${request.currency}`
+}
+
+/**
+ * Why a withdrawal exceeds a limit, if it does.
+ *
+ * @private
+ */
+function limitReason (limits: { max?: number, daily?: number }, amount: number, withdrawn: number): ?string {
+  let max = limits.max === undefined ? Infinity : limits.max
+  let daily = limits.daily === undefined ? Infinity : limits.daily
+  if (amount > max) return `the amount exceeds the limit of ${max} per withdrawal`
+  return amount + withdrawn > daily ? `the amount exceeds the daily limit of ${daily}, ${withdrawn} were withdrawn within 24 hours` : null
+}
@@ -4,11 +4,42 @@ import t from 'assert'
 import { describe, it, beforeEach, afterEach } from 'mocha'
 import * as sinon from 'sinon'
 import nock from 'nock'
+import EventEmitter from 'events'
+import http from 'http'
+import https from 'https'
+import { URL } from 'url'
 
 import { API } from '../src/api'
+import { defaultNonceProvider, MemoryNonceProvider } from '../src/nonce'
+import { keepAliveAgent, ProxyAgent } from '../src/transport'
+import { defaultLogger } from '../src/log'
+import { Decimal } from '../src/decimal'
+import {
+  AbortError,
+  AuthenticationError,
+  ExchangeError,
+  NetworkError,
+  RateLimitError,
+  TimeoutError
+} from '../src/errors'
 
 const sandbox = sinon.createSandbox()
 
+class FakeSignal extends EventEmitter {
+  aborted: boolean = false
+  addEventListener (type: string, listener: () => void) { this.on(type, listener) }
+  removeEventListener (type: string, listener: () => void) { this.removeListener(type, listener) }
+  abort () {
+    this.aborted = true
+    this.emit('abort')
+  }
+}
+
+function failure (message: string, properties: {}): Error {
+  let err: Object = new Error(message)
+  return Object.assign(err, properties)
+}
+
 describe('API', () => {
   let api: API
   beforeEach(() => {
@@ -21,6 +52,50 @@ describe('API', () => {
     it('should set the api name', () => {
       t.equal(api.name, 'undefined')
     })
+    it('should queue requests over the rate limit by default', () => {
+      t.deepEqual(api.rateLimit, { mode: 'queue', maxQueueLength: Infinity, maxWait: Infinity })
+    })
+    it('should set default timeouts', () => {
+      t.deepEqual(api.timeout, { connect: 10000, total: 30000 })
+    })
+    it('should accept rate limit options', () => {
+      api = new API({ rateLimit: { mode: 'throw', maxWait: 500 } })
+      t.deepEqual(api.rateLimit, { mode: 'throw', maxQueueLength: Infinity, maxWait: 500 })
+    })
+    it('should share the default nonce provider', () => {
+      t.equal(api.nonceProvider, defaultNonceProvider)
+    })
+    it('should use the default transport', () => {
+      t.deepEqual(api.transport, {})
+    })
+    it('should tunnel requests through the configured proxy', () => {
+      api = new API({ transport: { proxy: 'http://proxy.local:3128' } })
+      let agent: any = api.transport.agent
+      t.ok(agent instanceof ProxyAgent)
+      t.equal(agent.proxy.host, 'proxy.local:3128')
+    })
+    it('should send the library user-agent by default', () => {
+      t.equal(api.userAgent, 'github.com/kesor/crypto-exchange-api v0.0.1')
+      t.deepEqual(api.headers, {})
+    })
+    it('should accept a user-agent and extra headers', () => {
+      api = new API({ userAgent: 'my-bot/1.0', headers: { 'X-Team': 'desk' } })
+      t.equal(api.userAgent, 'my-bot/1.0')
+      t.deepEqual(api.headers, { 'X-Team': 'desk' })
+    })
+    it('should log through debug by default', () => {
+      t.equal(api.logger, defaultLogger)
+      t.deepEqual(api.redactFields, ['address', 'paymentId'])
+    })
+    it('should pass the logger to the proxy agent', () => {
+      let logger = { debug: () => {} }
+      api = new API({ logger: logger, transport: { proxy: 'http://proxy.local:3128' } })
+      t.equal((api.transport.agent: any).logger, logger)
+    })
+    it('should accept a nonce provider', () => {
+      let nonce = new MemoryNonceProvider()
+      t.equal(new API({ nonce: nonce }).nonceProvider, nonce)
+    })
   })
   describe('#_checkRateLimit', () => {
     it('should add provided timestamp to end of provided array', () => {
@@ -45,8 +120,424 @@ describe('API', () => {
       api._checkRateLimit(1666, 3, rates)
     })
   })
+  describe('#_rateLimitDelay', () => {
+    it('should return zero when there is a free slot', () => {
+      t.equal(api._rateLimitDelay(1000, 3, [500, 600]), 0)
+    })
+    it('should return the time until the oldest request in the window expires', () => {
+      t.equal(api._rateLimitDelay(1000, 2, [500, 600]), 500)
+    })
+    it('should drop timestamps that are out of the window', () => {
+      let rates = [100, 500, 600]
+      api._rateLimitDelay(1200, 2, rates)
+      t.deepEqual(rates, [500, 600])
+    })
+    it('should allow at least one request per second for fractional limits', () => {
+      t.equal(api._rateLimitDelay(1000, 1.5, []), 0)
+      t.equal(api._rateLimitDelay(1000, 1.5, [600]), 600)
+    })
+  })
+  describe('#_rateLimited', () => {
+    let clock
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(10000)
+    })
+    afterEach(() => {
+      clock.restore()
+    })
+    it('should let requests through under the limit', async () => {
+      let rates = []
+      t.equal(await api._rateLimited(rates, 2, 'limited'), 10000)
+      t.equal(await api._rateLimited(rates, 2, 'limited'), 10000)
+      t.deepEqual(rates, [10000, 10000])
+    })
+    it('should hold requests over the limit until a slot frees up', async () => {
+      let rates = [9500, 9600]
+      let released = []
+      let first = api._rateLimited(rates, 2, 'limited').then((ts) => released.push(['first', ts]))
+      let second = api._rateLimited(rates, 2, 'limited').then((ts) => released.push(['second', ts]))
+      clock.tick(499)
+      await Promise.resolve()
+      t.deepEqual(released, [])
+      clock.tick(1)
+      await first
+      clock.tick(100)
+      await second
+      t.deepEqual(released, [['first', 10500], ['second', 10600]])
+    })
+    it('should keep requests in FIFO order even when a slot is free', async () => {
+      let rates = [9500]
+      let order = []
+      let first = api._rateLimited(rates, 1, 'limited').then(() => order.push(1))
+      rates.shift() // a slot frees up while the first request still waits
+      let second = api._rateLimited(rates, 1, 'limited').then(() => order.push(2))
+      clock.tick(1500)
+      await Promise.all([first, second])
+      t.deepEqual(order, [1, 2])
+    })
+    it('should reject requests over the limit in throw mode', async () => {
+      api = new API({ rateLimit: { mode: 'throw' } })
+      let rates = [9500, 9600]
+      await api._rateLimited(rates, 2, 'limited').then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof RateLimitError)
+        t.equal(err.message, 'limited')
+      })
+    })
+    it('should reject requests when the queue is full', async () => {
+      api = new API({ rateLimit: { maxQueueLength: 1 } })
+      let rates = [9500]
+      let first = api._rateLimited(rates, 1, 'limited')
+      await api._rateLimited(rates, 1, 'limited').then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, 'limited, request queue is full')
+      })
+      clock.tick(500)
+      t.equal(await first, 10500)
+    })
+    it('should reject requests that waited longer than the maximum wait time', async () => {
+      api = new API({ rateLimit: { maxWait: 100 } })
+      let rates = [9500]
+      let waiting = api._rateLimited(rates, 1, 'limited')
+      clock.tick(100)
+      await waiting.then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, 'limited, waited more than 100ms')
+      })
+      t.equal(api._rateQueue(rates).waiting.length, 0)
+    })
+    it('should drop requests from the queue when their signal is aborted', async () => {
+      let rates = [9500]
+      let signal = new FakeSignal()
+      let waiting = api._rateLimited(rates, 1, 'limited', signal)
+      let next = api._rateLimited(rates, 1, 'limited')
+      signal.abort()
+      await waiting.then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AbortError)
+        t.equal(err.message, '(undefined) request aborted')
+      })
+      t.equal(api._rateQueue(rates).waiting.length, 1)
+      t.equal(signal.listenerCount('abort'), 0)
+      clock.tick(500)
+      t.equal(await next, 10500)
+    })
+    it('should not queue requests whose signal is already aborted', async () => {
+      let signal = new FakeSignal()
+      signal.abort()
+      await api._rateLimited([9500], 1, 'limited', signal).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AbortError)
+      })
+      t.equal(api._rateQueue([]).waiting.length, 0)
+    })
+    it('should stop watching the signal once a request is let through', async () => {
+      let signal = new FakeSignal()
+      await api._rateLimited([], 1, 'limited', signal)
+      t.equal(signal.listenerCount('abort'), 0)
+    })
+  })
+  describe('#_bulk', () => {
+    it('should report the result or error of each request in order', async () => {
+      let reports = await api._bulk([{ n: 1 }, { n: 2 }, { n: 3 }], async ({ n }) => {
+        if (n === 2) throw new Error('failed 2')
+        return n * 10
+      }, 2)
+      t.deepEqual(reports.map((report) => [report.request.n, report.success, report.result]), [[1, true, 10], [2, false, undefined], [3, true, 30]])
+      t.equal(reports[1].error && reports[1].error.message, 'failed 2')
+    })
+    it('should keep at most as many requests in flight as allowed', async () => {
+      let inFlight = 0
+      let most = 0
+      await api._bulk([{}, {}, {}, {}, {}], async () => {
+        most = Math.max(most, ++inFlight)
+        await new Promise((resolve) => setImmediate(resolve))
+        inFlight--
+      }, 2)
+      t.equal(most, 2)
+    })
+    it('should report nothing without requests', async () => {
+      t.deepEqual(await api._bulk([], () => Promise.resolve(), 3), [])
+    })
+  })
+  describe('#_retry', () => {
+    beforeEach(() => {
+      api = new API({ retry: { minDelay: 0, jitter: false } })
+    })
+    it('should return the result of a successful attempt', async () => {
+      let send = sinon.stub().resolves('ok')
+      t.equal(await api._retry(send, true), 'ok')
+      t.ok(send.calledOnce)
+    })
+    it('should retry idempotent requests on retryable status codes', async () => {
+      let send = sinon.stub()
+      send.onFirstCall().rejects(failure('bad gateway', { statusCode: 502 }))
+      send.onSecondCall().resolves('ok')
+      t.equal(await api._retry(send, true), 'ok')
+      t.ok(send.calledTwice)
+    })
+    it('should retry idempotent requests on retryable network errors', async () => {
+      let send = sinon.stub()
+      send.onFirstCall().rejects(failure('socket hang up', { code: 'ECONNRESET' }))
+      send.onSecondCall().resolves('ok')
+      t.equal(await api._retry(send, true), 'ok')
+      t.ok(send.calledTwice)
+    })
+    it('should never retry requests that are not idempotent', async () => {
+      let send = sinon.stub().rejects(failure('bad gateway', { statusCode: 502 }))
+      await api._retry(send, false).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, 'bad gateway')
+      })
+      t.ok(send.calledOnce)
+    })
+    it('should not retry errors that are not transient', async () => {
+      let send = sinon.stub().rejects(failure('not found', { statusCode: 404 }))
+      await api._retry(send, true).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, 'not found')
+      })
+      t.ok(send.calledOnce)
+    })
+    it('should give up after the maximum amount of attempts', async () => {
+      let send = sinon.stub().rejects(failure('unavailable', { statusCode: 503 }))
+      await api._retry(send, true).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, 'unavailable')
+      })
+      t.equal(send.callCount, 3)
+    })
+    it('should not make an attempt once the signal is aborted', async () => {
+      let signal = new FakeSignal()
+      signal.abort()
+      let send = sinon.stub().resolves('ok')
+      await api._retry(send, true, signal).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AbortError)
+      })
+      t.ok(send.notCalled)
+    })
+    it('should stop retrying when the signal is aborted while backing off', async () => {
+      api = new API({ retry: { minDelay: 1000, jitter: false } })
+      let signal = new FakeSignal()
+      let send = sinon.stub().callsFake(() => {
+        setImmediate(() => signal.abort())
+        return Promise.reject(failure('unavailable', { statusCode: 503 }))
+      })
+      await api._retry(send, true, signal).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AbortError)
+      })
+      t.ok(send.calledOnce)
+      t.equal(signal.listenerCount('abort'), 0)
+    })
+  })
+  describe('#_retryDelay', () => {
+    it('should grow the delay exponentially up to the maximum delay', () => {
+      api = new API({ retry: { minDelay: 100, maxDelay: 300, jitter: false } })
+      t.deepEqual([1, 2, 3].map((attempt) => api._retryDelay(attempt)), [100, 200, 300])
+    })
+    it('should randomize the second half of the delay with jitter', () => {
+      api = new API({ retry: { minDelay: 100 } })
+      for (let i = 0; i < 20; i++) {
+        let delay = api._retryDelay(2)
+        t.ok(delay >= 100 && delay <= 200, `${delay} is between 100 and 200`)
+      }
+    })
+  })
   describe('#_resJsonParse', () => {
     it('should be tested')
+    it('should throw an ExchangeError with the details of the response', () => {
+      t.throws(() => api._resJsonParse({ statusCode: 502, data: 'Bad Gateway' }, '/path'), (err) => {
+        t.ok(err instanceof ExchangeError)
+        t.equal(err.message, '(undefined) HTTP 502 Returned error: Bad Gateway')
+        t.equal(err.exchange, 'undefined')
+        t.equal(err.statusCode, 502)
+        t.equal(err.body, 'Bad Gateway')
+        t.equal(err.path, '/path')
+        return true
+      })
+    })
+    it('should throw an error returned with a successful status code', () => {
+      t.throws(() => api._resJsonParse({ statusCode: 200, data: '{"error":"failed"}' }), ExchangeError)
+    })
+    it('should return prices and amounts as numbers and strings by default', () => {
+      t.deepEqual(api._resJsonParse({ statusCode: 200, data: '{"rate":"0.00007600","amount":0.1}' }), { rate: '0.00007600', amount: 0.1 })
+    })
+    it('should return prices and amounts as decimals with the decimals option', () => {
+      api = new API({ decimals: true })
+      let data: Object = api._resJsonParse({ statusCode: 200, data: '{"rate":"0.00007600","amount":0.1,"seq":18849}' })
+      t.ok(data.rate instanceof Decimal)
+      t.equal(data.rate.toFixed(), '0.000076')
+      t.equal(data.amount.toFixed(), '0.1')
+      t.equal(data.seq, 18849)
+    })
+  })
+  describe('#_errorClass', () => {
+    it('should recognize authentication errors by status code', () => {
+      t.equal(api._errorClass('Unauthorized', 401), AuthenticationError)
+      t.equal(api._errorClass('Forbidden', 403), AuthenticationError)
+    })
+    it('should recognize rate limit errors by status code', () => {
+      t.equal(api._errorClass('Too Many Requests', 429), RateLimitError)
+    })
+    it('should default to ExchangeError', () => {
+      t.equal(api._errorClass('Not found', 404), ExchangeError)
+    })
+  })
+  describe('#_watchTimeouts', () => {
+    let clock, req, fail
+    let socket: Object
+    beforeEach(() => {
+      clock = sinon.useFakeTimers()
+      req = new EventEmitter()
+      socket = (new EventEmitter(): Object)
+      socket.connecting = true
+      fail = sinon.spy()
+    })
+    afterEach(() => {
+      clock.restore()
+    })
+    it('should fail requests that do not connect in time', () => {
+      api._watchTimeouts(req, { connect: 100, total: 1000 }, fail)
+      req.emit('socket', socket)
+      clock.tick(100)
+      t.ok(fail.calledOnce)
+      t.ok(fail.firstCall.args[0] instanceof TimeoutError)
+      t.equal(fail.firstCall.args[0].message, '(undefined) connection timed out after 100ms')
+    })
+    it('should stop the connect timeout once connected', () => {
+      api._watchTimeouts(req, { connect: 100, total: 1000 }, fail)
+      req.emit('socket', socket)
+      socket.emit('connect')
+      clock.tick(999)
+      t.ok(fail.notCalled)
+      clock.tick(1)
+      t.equal(fail.firstCall.args[0].message, '(undefined) request timed out after 1000ms')
+    })
+    it('should stop all timeouts when the request is done', () => {
+      let stop = api._watchTimeouts(req, { connect: 100, total: 1000 }, fail)
+      stop()
+      clock.tick(1000)
+      t.ok(fail.notCalled)
+    })
+  })
+  describe('#_log', () => {
+    let logger
+    beforeEach(() => {
+      logger = { debug: sandbox.spy() }
+      api = new API({ logger: logger })
+    })
+    it('should log to the configured logger with the client name', () => {
+      api._log('something happened')
+      t.ok(logger.debug.calledWithExactly('(undefined) something happened', undefined))
+    })
+    it('should mask credentials in the details', () => {
+      api._log('sending https request', { options: { path: '/tradingApi', headers: { Key: 'key', Sign: 'signature' } } })
+      t.deepEqual(logger.debug.firstCall.args[1], { options: { path: '/tradingApi', headers: { Key: '[REDACTED]', Sign: '[REDACTED]' } } })
+    })
+    it('should parse and mask raw bodies', () => {
+      api._log('sending https request', { body: 'command=withdraw&address=1abc' })
+      api._log('successful response', { statusCode: 200, data: '{"response":"ok","paymentId":"42"}' })
+      t.deepEqual(logger.debug.firstCall.args[1], { body: { command: 'withdraw', address: '[REDACTED]' } })
+      t.deepEqual(logger.debug.secondCall.args[1], { statusCode: 200, data: { response: 'ok', paymentId: '[REDACTED]' } })
+    })
+    it('should mask the configured fields', () => {
+      api = new API({ logger: logger, redactFields: ['amount'] })
+      api._log('sending https request', { body: 'amount=1&address=1abc' })
+      t.deepEqual(logger.debug.firstCall.args[1], { body: { amount: '[REDACTED]', address: '1abc' } })
+    })
+    it('should log requests through the configured logger', async () => {
+      nock.disableNetConnect()
+      nock('https://example.com').get('/ok').reply(200, '{}')
+      await api._send({ host: 'example.com', path: '/ok', headers: { Sign: 'signature' } })
+      t.equal(logger.debug.firstCall.args[0], '(undefined) sending https request')
+      t.equal(logger.debug.firstCall.args[1].options.headers.Sign, '[REDACTED]')
+      t.equal(logger.debug.secondCall.args[0], '(undefined) successful response')
+      nock.cleanAll()
+    })
+  })
+  describe('#use', () => {
+    it('should register middleware and return the client', () => {
+      let middleware = { beforeRequest: () => {} }
+      t.equal(api.use(middleware), api)
+      t.deepEqual(api.middleware, [middleware])
+    })
+  })
+  describe('#_send', () => {
+    let options = { host: 'example.com', path: '/ok', headers: {} }
+    beforeEach(() => {
+      nock.disableNetConnect()
+    })
+    afterEach(() => {
+      nock.cleanAll()
+    })
+    it('should parse the response', async () => {
+      nock('https://example.com').get('/ok').reply(200, { hello: 'world' })
+      t.deepEqual(await api._send(options), { hello: 'world' })
+    })
+    it('should run the hooks of all middleware in order', async () => {
+      let calls = []
+      api.use({ beforeRequest: () => calls.push('first before'), afterResponse: () => calls.push('first after') })
+      api.use({ beforeRequest: () => calls.push('second before'), afterResponse: () => calls.push('second after') })
+      nock('https://example.com').get('/ok').reply(200, {})
+      await api._send(options)
+      t.deepEqual(calls, ['first before', 'second before', 'first after', 'second after'])
+    })
+    it('should let beforeRequest change the request', async () => {
+      api.use({
+        beforeRequest: (ctx) => {
+          ctx.options.headers = Object.assign({}, ctx.options.headers, { 'X-Trace-Id': 'abc' })
+        }
+      })
+      nock('https://example.com').matchHeader('X-Trace-Id', 'abc').get('/ok').reply(200, {})
+      t.deepEqual(await api._send(options), {})
+    })
+    it('should wait for asynchronous hooks', async () => {
+      api.use({ beforeRequest: async (ctx) => { ctx.options = Object.assign({}, ctx.options, { path: '/moved' }) } })
+      nock('https://example.com').get('/moved').reply(200, { moved: true })
+      t.deepEqual(await api._send(options), { moved: true })
+    })
+    it('should let afterResponse see and replace the response', async () => {
+      let seen
+      api.use({
+        afterResponse: (ctx) => {
+          seen = ctx
+          ctx.response = { statusCode: 200, data: '{"rewritten":true}' }
+        }
+      })
+      nock('https://example.com').get('/ok').reply(200, { hello: 'world' })
+      t.deepEqual(await api._send(options, undefined, { timeout: { total: 1000 } }), { rewritten: true })
+      t.deepEqual(seen && seen.request, { timeout: { total: 1000 } })
+      t.equal(seen && seen.exchange, 'undefined')
+      t.ok(seen && typeof seen.duration === 'number')
+    })
+    it('should run onError and throw the error it leaves behind', async () => {
+      let onError = sandbox.spy((ctx) => { ctx.error = new Error('replaced') })
+      api.use({ onError: onError })
+      nock('https://example.com').get('/ok').reply(500, { error: 'boom' })
+      await api._send(options).then(() => t.ok(false, 'should reject'), (err) => t.equal(err.message, 'replaced'))
+      t.ok(onError.firstCall.args[0].response)
+    })
+    it('should run onError when a hook fails', async () => {
+      let onError = sandbox.spy()
+      api.use({ beforeRequest: () => { throw new Error('hook failed') }, onError: onError })
+      await api._send(options).then(() => t.ok(false, 'should reject'), (err) => t.equal(err.message, 'hook failed'))
+      t.equal(onError.firstCall.args[0].error.message, 'hook failed')
+    })
+  })
+  describe('#_requestOptions', () => {
+    it('should build request options for an endpoint', () => {
+      t.deepEqual(api._requestOptions('GET', new URL('https://example.com/api'), '/api/ticker'), {
+        method: 'GET',
+        protocol: 'https:',
+        host: 'example.com',
+        port: undefined,
+        path: '/api/ticker',
+        headers: { 'User-Agent': 'github.com/kesor/crypto-exchange-api v0.0.1' }
+      })
+    })
+    it('should keep the port of the endpoint', () => {
+      t.equal(api._requestOptions('GET', new URL('http://localhost:8080/'), '/').port, '8080')
+    })
+    it('should let request headers take precedence over extra headers', () => {
+      api = new API({ userAgent: 'my-bot/1.0', headers: { 'X-Team': 'desk', 'Key': 'extra' } })
+      t.deepEqual(api._requestOptions('POST', new URL('https://example.com/'), '/', { 'Key': 'signed' }).headers, {
+        'User-Agent': 'my-bot/1.0',
+        'X-Team': 'desk',
+        'Key': 'signed'
+      })
+    })
   })
   describe('#_httpsRequest', () => {
     beforeEach(() => {
@@ -54,10 +545,91 @@ describe('API', () => {
     })
     afterEach(() => {
       nock.cleanAll()
+      sandbox.restore()
+    })
+    it('should resolve with the status code and body', async () => {
+      nock('https://example.com').get('/ok').reply(200, 'hello')
+      t.deepEqual(await api._httpsRequest({ host: 'example.com', path: '/ok' }), { statusCode: 200, data: 'hello' })
+    })
+    it('should send plain http requests to http endpoints', async () => {
+      let request = sandbox.spy(http, 'request')
+      nock('http://localhost:8080').get('/ok').reply(200, 'local')
+      t.deepEqual(await api._httpsRequest({ protocol: 'http:', host: 'localhost', port: '8080', path: '/ok' }), { statusCode: 200, data: 'local' })
+      t.equal(request.firstCall.args[0].agent, keepAliveAgent('localhost', 'http:'))
+      t.ok(request.firstCall.args[0].agent instanceof http.Agent)
+      t.ok(!(request.firstCall.args[0].agent instanceof https.Agent))
+    })
+    it('should reject with a NetworkError on socket errors', async () => {
+      nock('https://example.com').get('/reset').replyWithError({ message: 'socket hang up', code: 'ECONNRESET' })
+      await api._httpsRequest({ host: 'example.com', path: '/reset' }).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof NetworkError)
+        t.equal(err.message, '(undefined) socket hang up')
+        t.equal(err.code, 'ECONNRESET')
+        t.equal(err.path, '/reset')
+      })
+    })
+    it('should reject with a TimeoutError when the response takes too long', async () => {
+      api = new API({ timeout: { total: 10 } })
+      nock('https://example.com').get('/slow').delayConnection(200).reply(200, 'late')
+      await api._httpsRequest({ host: 'example.com', path: '/slow' }).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof TimeoutError)
+        t.equal(err.message, '(undefined) request timed out after 10ms')
+      })
+    })
+    it('should let a call override the default timeouts', async () => {
+      nock('https://example.com').get('/slow').delayConnection(200).reply(200, 'late')
+      await api._httpsRequest({ host: 'example.com', path: '/slow' }, undefined, { timeout: { total: 10 } })
+        .then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof TimeoutError))
+    })
+    it('should reject with an AbortError when the signal is aborted', async () => {
+      let signal = new FakeSignal()
+      nock('https://example.com').get('/slow').delayConnection(200).reply(200, 'late')
+      let req = api._httpsRequest({ host: 'example.com', path: '/slow' }, undefined, { signal: signal })
+      signal.abort()
+      await req.then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AbortError)
+        t.equal(err.message, '(undefined) request aborted')
+      })
+      t.equal(signal.listenerCount('abort'), 0)
+    })
+    it('should not send a request when the signal is already aborted', async () => {
+      let signal = new FakeSignal()
+      let scope = nock('https://example.com').get('/ok').reply(200, 'hello')
+      signal.abort()
+      await api._httpsRequest({ host: 'example.com', path: '/ok' }, undefined, { signal: signal })
+        .then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof AbortError))
+      t.ok(!scope.isDone())
+    })
+    it('should use the same keep-alive agent for all requests to a host', async () => {
+      let request = sandbox.spy(https, 'request')
+      nock('https://example.com').get('/ok').times(2).reply(200, 'hello')
+      await api._httpsRequest({ host: 'example.com', path: '/ok' })
+      await new API()._httpsRequest({ host: 'example.com', path: '/ok' })
+      t.equal(request.firstCall.args[0].agent, keepAliveAgent('example.com'))
+      t.equal(request.secondCall.args[0].agent, keepAliveAgent('example.com'))
+      t.ok(request.firstCall.args[0].agent.keepAlive)
+    })
+    it('should send requests with the configured agent', async () => {
+      let agent = new https.Agent({ maxSockets: 1 })
+      let request = sandbox.spy(https, 'request')
+      nock('https://example.com').get('/ok').reply(200, 'hello')
+      await new API({ transport: { agent: agent } })._httpsRequest({ host: 'example.com', path: '/ok' })
+      t.equal(request.firstCall.args[0].agent, agent)
+    })
+    it('should send requests with the configured request function', async () => {
+      let res = new EventEmitter()
+      let req: Object = new EventEmitter()
+      req.write = sandbox.spy()
+      req.end = () => {
+        request.firstCall.args[1](res)
+        res.emit('data', 'fake')
+        res.emit('end')
+      }
+      let request = sandbox.stub().returns(req)
+      api = new API({ transport: { request: request } })
+      t.deepEqual(await api._httpsRequest({ host: 'example.com', path: '/ok' }, 'body'), { statusCode: undefined, data: 'fake' })
+      t.equal(request.firstCall.args[0].path, '/ok')
+      t.ok(req.write.calledWithExactly('body'))
     })
-    it('should be tested')
-    it('should use the same http agent for all requests')
-    // agent = new http.Agent({ keepAlive: true })
-    // http.request({ agent: agent })
   })
 })
@@ -3,8 +3,18 @@
 import t from 'assert'
 import { describe, it, beforeEach, afterEach } from 'mocha'
 import * as sinon from 'sinon'
+import nock from 'nock'
 
 import { Bitfinex } from '../src/bitfinex'
+import { Decimal } from '../src/decimal'
+import {
+  AuthenticationError,
+  ExchangeError,
+  InsufficientFundsError,
+  InvalidNonceError,
+  OrderNotFoundError,
+  RateLimitError
+} from '../src/errors'
 
 process.on('unhandledRejection', (err) => {
   console.error(err) // eslint-disable-line no-console
@@ -21,6 +31,11 @@ describe('Bitfinex API', () => {
     it('should define the API endpoint', () => {
       t.equal(new Bitfinex().endpoint, 'https://api.bitfinex.com/v1/')
     })
+    it('should accept the API endpoint from options', () => {
+      let bfx = new Bitfinex(undefined, undefined, undefined, { endpoint: 'http://localhost:8080/v1/' })
+      t.equal(bfx.endpoint, 'http://localhost:8080/v1/')
+      t.equal(bfx.endpointPath, '/v1/')
+    })
     it('should set key and secret from arguments', () => {
       let bfx = new Bitfinex('key', 'secret')
       t.equal(bfx.key, 'key')
@@ -36,8 +51,49 @@ describe('Bitfinex API', () => {
       delete process.env.CRYPTO_BITFINEX_SECRET
     })
   })
+  describe('#_errorClass', () => {
+    let bfx = new Bitfinex()
+    it('should recognize insufficient funds', () => {
+      t.equal(bfx._errorClass('Invalid order: not enough exchange balance for 1.0 BTCUSD at 4000.0', 400), InsufficientFundsError)
+    })
+    it('should recognize bad nonces', () => {
+      t.equal(bfx._errorClass('Nonce is too small.', 400), InvalidNonceError)
+    })
+    it('should recognize invalid keys', () => {
+      t.equal(bfx._errorClass('Could not find a key matching the given X-BFX-APIKEY.', 400), AuthenticationError)
+      t.equal(bfx._errorClass('Invalid X-BFX-SIGNATURE.', 400), AuthenticationError)
+    })
+    it('should recognize unknown orders', () => {
+      t.equal(bfx._errorClass('No such order found.', 400), OrderNotFoundError)
+    })
+    it('should recognize rate limits', () => {
+      t.equal(bfx._errorClass('ERR_RATE_LIMIT', 429), RateLimitError)
+    })
+    it('should fall back to the status code', () => {
+      t.equal(bfx._errorClass('Unknown symbol', 400), ExchangeError)
+    })
+  })
   describe('#_get', () => {
-    it('should be tested')
+    beforeEach(() => {
+      nock.disableNetConnect()
+    })
+    afterEach(() => {
+      nock.cleanAll()
+    })
+    it('should send requests to the configured endpoint', async () => {
+      let bfx = new Bitfinex(undefined, undefined, undefined, { endpoint: 'http://localhost:8080/v1/' })
+      nock('http://localhost:8080').get('/v1/symbols').reply(200, ['btcusd'])
+      t.deepEqual(await bfx._get('symbols'), ['btcusd'])
+    })
+    it('should send the configured user-agent and headers', async () => {
+      let bfx = new Bitfinex(undefined, undefined, undefined, { userAgent: 'my-bot/1.0', headers: { 'X-Team': 'desk' } })
+      nock('https://api.bitfinex.com')
+        .matchHeader('User-Agent', 'my-bot/1.0')
+        .matchHeader('X-Team', 'desk')
+        .get('/v1/symbols')
+        .reply(200, [])
+      t.deepEqual(await bfx._get('symbols'), [])
+    })
   })
   describe('#_post', () => {
     it('should be tested')
@@ -52,17 +108,38 @@ describe('Bitfinex API', () => {
       t.ok(fakeGet.calledOnce)
       sandbox.reset()
     })
-    it('should implement ticker')
+    it('should implement ticker', async () => {
+      let res = { mid: '244.755', bid: '244.75', ask: '244.76', last_price: '244.82', low: '244.2', high: '248.19', volume: '7842.11542563', timestamp: '1444253422.348340958' }
+      fakeGet.returns(res)
+      t.deepEqual(await bfx.ticker('btcusd'), res)
+      t.ok(fakeGet.calledWithExactly('pubticker/btcusd', undefined, undefined))
+    })
     it('should implement stats')
     it('should implement fundingbook')
-    it('should implement orderbook')
-    it('should implement trades')
+    it('should implement orderbook', async () => {
+      let res = { bids: [{ price: '574.61', amount: '0.1439327', timestamp: '1472506127.0' }], asks: [{ price: '574.62', amount: '19.1334', timestamp: '1472506126.0' }] }
+      fakeGet.returns(res)
+      t.deepEqual(await bfx.orderbook('btcusd', { limit_bids: 1, limit_asks: 1 }), res)
+      t.ok(fakeGet.calledWithExactly('book/btcusd', { limit_bids: 1, limit_asks: 1 }, undefined))
+    })
+    it('should implement trades', async () => {
+      let res = [{ timestamp: 1444266681, tid: 11988919, price: '244.8', amount: '0.03297384', exchange: 'bitfinex', type: 'sell' }]
+      fakeGet.returns(res)
+      t.deepEqual(await bfx.trades('btcusd'), res)
+      t.ok(fakeGet.calledWithExactly('trades/btcusd', undefined, undefined))
+    })
     it('should implement lends')
     it('should implement symbols', async () => {
       let res = ['btcusd', 'ltcusd', 'ltcbtc', 'ethusd', 'ethbtc', 'etcbtc', 'etcusd', 'rrtusd', 'rrtbtc', 'zecusd', 'zecbtc', 'xmrusd', 'xmrbtc', 'dshusd', 'dshbtc', 'bccbtc', 'bcubtc', 'bccusd', 'bcuusd', 'xrpusd', 'xrpbtc', 'iotusd', 'iotbtc', 'ioteth', 'eosusd', 'eosbtc', 'eoseth', 'sanusd', 'sanbtc', 'saneth', 'omgusd', 'omgbtc', 'omgeth', 'bchusd', 'bchbtc', 'bcheth']
       fakeGet.returns(res)
       t.deepEqual(await bfx.symbols(), res)
-      t.ok(fakeGet.calledWithExactly('symbols'))
+      t.ok(fakeGet.calledWithExactly('symbols', undefined, undefined))
+    })
+    it('should pass request options through', async () => {
+      let options = { timeout: { total: 1000 } }
+      fakeGet.returns([])
+      await bfx.symbols(options)
+      t.ok(fakeGet.calledWithExactly('symbols', undefined, options))
     })
     it('should implement symbol details')
   })
@@ -88,7 +165,7 @@ describe('Bitfinex API', () => {
       }]
       fakePost.returns(res)
       t.deepEqual(res, await bfx.accountInfo())
-      sinon.assert.calledWithExactly(fakePost, 'account_infos')
+      sinon.assert.calledWithExactly(fakePost, 'account_infos', undefined, undefined)
     })
     it('should implement account fees', async () => {
       let res = {
@@ -96,7 +173,7 @@ describe('Bitfinex API', () => {
       }
       fakePost.returns(res)
       t.deepEqual(res, await bfx.accountFees())
-      sinon.assert.calledWithExactly(fakePost, 'account_fees')
+      sinon.assert.calledWithExactly(fakePost, 'account_fees', undefined, undefined)
     })
     it('should implement summary', async () => {
       let res = {
@@ -117,7 +194,7 @@ describe('Bitfinex API', () => {
       }
       fakePost.returns(res)
       t.deepEqual(res, await bfx.summary())
-      sinon.assert.calledWithExactly(fakePost, 'summary')
+      sinon.assert.calledWithExactly(fakePost, 'summary', undefined, undefined)
     })
     it('should implement deposit')
     it('should implement key permissions')
@@ -132,19 +209,38 @@ describe('Bitfinex API', () => {
       }]
       fakePost.returns(res)
       t.deepEqual(res, await bfx.balances())
-      sinon.assert.calledWithExactly(fakePost, 'balances')
+      sinon.assert.calledWithExactly(fakePost, 'balances', undefined, undefined)
     })
     it('should implement transfer between wallets')
     it('should implement withdrawal')
     describe('orders', () => {
-      it('should implement new order')
+      it('should implement new order', async () => {
+        fakePost.returns({ id: 448364249, symbol: 'ethbtc', price: '0.0712' })
+        await bfx.order('ethbtc', 0.5, new Decimal('0.0000001'), 'buy', 'exchange limit')
+        sinon.assert.calledWithExactly(fakePost, 'order/new', {
+          symbol: 'ethbtc',
+          amount: '0.5',
+          price: '0.0000001',
+          side: 'buy',
+          type: 'exchange limit',
+          ocoorder: false
+        }, undefined)
+      })
       it('should implement multiple new orders')
-      it('should implement cancel order')
+      it('should implement cancel order', async () => {
+        fakePost.returns({ id: 446915287, is_live: true, is_cancelled: false })
+        await bfx.cancelOrder(446915287)
+        sinon.assert.calledWithExactly(fakePost, 'order/cancel', { order_id: 446915287 }, undefined)
+      })
       it('should implement cancel multiple orders')
       it('should implement cancel all orders')
       it('should implement replace order')
       it('should implement order status')
-      it('should implement active orders')
+      it('should implement active orders', async () => {
+        fakePost.returns([])
+        t.deepEqual(await bfx.activeOrders(), [])
+        sinon.assert.calledWithExactly(fakePost, 'orders', undefined, undefined)
+      })
       it('should implement orders history')
     })
     describe('positions', () => {
@@ -154,7 +250,11 @@ describe('Bitfinex API', () => {
     describe('historical data', () => {
       it('should implement balance history')
       it('should implement deposit-withdrawal history')
-      it('should implement past trades')
+      it('should implement past trades', async () => {
+        fakePost.returns([])
+        t.deepEqual(await bfx.pastTrades('btcusd', { limit_trades: 10 }), [])
+        sinon.assert.calledWithExactly(fakePost, 'mytrades', { symbol: 'btcusd', limit_trades: 10 }, undefined)
+      })
     })
     describe('margin funding', () => {
       it('should implement new offer')
@@ -0,0 +1,174 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Bitfinex } from '../src/bitfinex'
+import { BitfinexAdapter } from '../src/bitfinex_adapter'
+import { NotSupportedError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+describe('BitfinexAdapter', () => {
+  let bfx, exchange
+  let placed = {
+    id: 448364249,
+    symbol: 'btcusd',
+    exchange: 'bitfinex',
+    price: '4000.0',
+    avg_execution_price: '0.0',
+    side: 'buy',
+    type: 'exchange limit',
+    timestamp: '1444272165.252370982',
+    is_live: true,
+    is_cancelled: false,
+    is_hidden: false,
+    was_forced: false,
+    original_amount: '0.01',
+    remaining_amount: '0.01',
+    executed_amount: '0.0',
+    order_id: 448364249
+  }
+  beforeEach(() => {
+    bfx = new Bitfinex('key', 'secret')
+    exchange = new BitfinexAdapter(bfx)
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  it('should be named after the client', () => {
+    t.equal(exchange.name, 'bitfinex v1')
+  })
+  describe('#fetchTicker', () => {
+    it('should normalize the ticker of a market', async () => {
+      let ticker = sandbox.stub(bfx, 'ticker').resolves({
+        mid: '244.755', bid: '244.75', ask: '244.76', last_price: '244.82', low: '244.2', high: '248.19', volume: '7842.11542563', timestamp: '1444253422.348'
+      })
+      t.deepEqual(await exchange.fetchTicker('BTC/USD'), {
+        symbol: 'BTC/USD',
+        timestamp: 1444253422348,
+        bid: 244.75,
+        ask: 244.76,
+        last: 244.82,
+        high: 248.19,
+        low: 244.2,
+        change: null,
+        baseVolume: 7842.11542563,
+        quoteVolume: null
+      })
+      t.ok(ticker.calledWithExactly('btcusd', undefined))
+    })
+  })
+  describe('#fetchOrderBook', () => {
+    it('should normalize the order book of a market', async () => {
+      let orderbook = sandbox.stub(bfx, 'orderbook').resolves({
+        bids: [{ price: '574.61', amount: '0.1439327', timestamp: '1472506127.0' }],
+        asks: [{ price: '574.62', amount: '19.1334', timestamp: '1472506126.0' }]
+      })
+      let book = await exchange.fetchOrderBook('BTC/USD', 1)
+      t.deepEqual(book.bids, [{ price: 574.61, amount: 0.1439327 }])
+      t.deepEqual(book.asks, [{ price: 574.62, amount: 19.1334 }])
+      t.equal(book.sequence, null)
+      t.ok(orderbook.calledWithExactly('btcusd', { limit_bids: 1, limit_asks: 1 }, undefined))
+    })
+  })
+  describe('#fetchTrades', () => {
+    it('should normalize public trades in chronological order', async () => {
+      sandbox.stub(bfx, 'trades').resolves([
+        { timestamp: 1444266682, tid: 11988920, price: '245', amount: '2', exchange: 'bitfinex', type: 'buy' },
+        { timestamp: 1444266681, tid: 11988919, price: '244.8', amount: '0.5', exchange: 'bitfinex', type: 'sell' }
+      ])
+      t.deepEqual(await exchange.fetchTrades('BTC/USD'), [
+        { id: '11988919', symbol: 'BTC/USD', timestamp: 1444266681000, side: 'sell', price: 244.8, amount: 0.5, cost: 122.4, orderId: null, fee: null },
+        { id: '11988920', symbol: 'BTC/USD', timestamp: 1444266682000, side: 'buy', price: 245, amount: 2, cost: 490, orderId: null, fee: null }
+      ])
+    })
+  })
+  describe('#fetchBalances', () => {
+    it('should normalize the exchange wallet balances', async () => {
+      sandbox.stub(bfx, 'balances').resolves([
+        { type: 'deposit', currency: 'btc', amount: '5', available: '5' },
+        { type: 'exchange', currency: 'btc', amount: '1', available: '0.25' },
+        { type: 'exchange', currency: 'usd', amount: '100', available: '100' }
+      ])
+      t.deepEqual(await exchange.fetchBalances(), {
+        BTC: { free: 0.25, used: 0.75, total: 1 },
+        USD: { free: 100, used: 0, total: 100 }
+      })
+    })
+  })
+  describe('#createOrder', () => {
+    it('should place a limit order in the exchange wallet', async () => {
+      let order = sandbox.stub(bfx, 'order').resolves(placed)
+      t.deepEqual(await exchange.createOrder({ symbol: 'BTC/USD', side: 'buy', type: 'limit', amount: 0.01, price: 4000 }), {
+        id: '448364249',
+        symbol: 'BTC/USD',
+        timestamp: 1444272165252,
+        side: 'buy',
+        type: 'limit',
+        price: 4000,
+        amount: 0.01,
+        filled: 0,
+        remaining: 0.01,
+        status: 'open'
+      })
+      t.ok(order.calledWithExactly('btcusd', 0.01, 4000, 'buy', 'exchange limit', undefined))
+    })
+    it('should place market and fill-or-kill orders', async () => {
+      let order = sandbox.stub(bfx, 'order').resolves(placed)
+      await exchange.createOrder({ symbol: 'BTC/USD', side: 'sell', type: 'market', amount: 0.01 })
+      await exchange.createOrder({ symbol: 'BTC/USD', side: 'sell', type: 'limit', amount: 0.01, price: 4000, timeInForce: 'FOK' })
+      t.ok(order.firstCall.calledWithExactly('btcusd', 0.01, 1, 'sell', 'exchange market', undefined))
+      t.equal(order.secondCall.args[4], 'exchange fill-or-kill')
+    })
+    it('should reject post-only orders', async () => {
+      await exchange.createOrder({ symbol: 'BTC/USD', side: 'sell', type: 'limit', amount: 0.01, price: 4000, postOnly: true })
+        .then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof NotSupportedError))
+    })
+  })
+  describe('#cancelOrder', () => {
+    it('should cancel an order by its id', async () => {
+      let cancelOrder = sandbox.stub(bfx, 'cancelOrder').resolves(placed)
+      await exchange.cancelOrder('448364249')
+      t.ok(cancelOrder.calledWithExactly(448364249, undefined))
+    })
+  })
+  describe('#fetchOpenOrders', () => {
+    it('should normalize the active orders', async () => {
+      sandbox.stub(bfx, 'activeOrders').resolves([placed, Object.assign({}, placed, { id: 1, symbol: 'ethbtc' })])
+      let orders = await exchange.fetchOpenOrders()
+      t.deepEqual(orders.map((order) => order.symbol), ['BTC/USD', 'ETH/BTC'])
+    })
+    it('should only return the orders of a market', async () => {
+      sandbox.stub(bfx, 'activeOrders').resolves([placed, Object.assign({}, placed, { id: 1, symbol: 'ethbtc' })])
+      let orders = await exchange.fetchOpenOrders('ETH/BTC')
+      t.deepEqual(orders.map((order) => order.id), ['1'])
+    })
+    it('should report the status of orders', async () => {
+      let order = (changes) => exchange._order('BTC/USD', Object.assign({}, placed, changes)).status
+      t.equal(order({}), 'open')
+      t.equal(order({ is_live: false }), 'closed')
+      t.equal(order({ is_live: false, is_cancelled: true }), 'canceled')
+    })
+  })
+  describe('#fetchMyTrades', () => {
+    it('should normalize personal trades with their fees', async () => {
+      let pastTrades = sandbox.stub(bfx, 'pastTrades').resolves([
+        { price: '246.94', amount: '1.0', timestamp: '1444141857.0', exchange: '', type: 'Buy', fee_currency: 'USD', fee_amount: '-0.49388', tid: 11970839, order_id: 446913929 }
+      ])
+      t.deepEqual(await exchange.fetchMyTrades('BTC/USD'), [{
+        id: '11970839',
+        symbol: 'BTC/USD',
+        timestamp: 1444141857000,
+        side: 'buy',
+        price: 246.94,
+        amount: 1,
+        cost: 246.94,
+        orderId: '446913929',
+        fee: { cost: 0.49388, currency: 'USD' }
+      }])
+      t.ok(pastTrades.calledWithExactly('btcusd', undefined, undefined))
+    })
+  })
+})
@@ -5,6 +5,7 @@ import { describe, it, beforeEach, afterEach } from 'mocha'
 import * as sinon from 'sinon'
 
 import { BitfinexV2 } from '../src/bitfinex_v2'
+import { Decimal } from '../src/decimal'
 
 process.on('unhandledRejection', (err) => {
   console.error(err) // eslint-disable-line no-console
@@ -21,6 +22,30 @@ describe('BitfinexV2 API', () => {
     it('should define the API endpoint', () => {
       t.equal(new BitfinexV2().endpoint, 'https://api.bitfinex.com/v2/')
     })
+    it('should accept the API endpoint from options', () => {
+      let bfx = new BitfinexV2({ endpoint: 'http://localhost:8080/v2/' })
+      t.equal(bfx.endpoint, 'http://localhost:8080/v2/')
+      t.equal(bfx.endpointUrl.port, '8080')
+    })
+  })
+  describe('decimal mode', () => {
+    let bfx = new BitfinexV2({ decimals: true })
+    // which values of a response to a path are decimals
+    function decimals (path: string, data: string): mixed[] {
+      let rows: Object = bfx._resJsonParse({ statusCode: 200, data: data }, path)
+      return rows.map((row) => Array.isArray(row) ? row.map((value) => value instanceof Decimal) : row instanceof Decimal)
+    }
+    it('should parse the prices and amounts of price levels as decimals', () => {
+      t.deepEqual(decimals('/v2/book/tBTCUSD/P0?', '[[4346.3,2,1.5],[4346,1,-1]]'), [[true, false, true], [true, false, true]])
+      t.deepEqual(decimals('/v2/book/fUSD/P0?', '[[0.0002,30,4,1500]]'), [[true, false, false, true]])
+    })
+    it('should keep the ids and timestamps of trades', () => {
+      t.deepEqual(decimals('/v2/trades/tBTCUSD/hist?', '[[388063448,1567526214876,1.918524,10682]]'), [[false, false, true, true]])
+    })
+    it('should parse every value of tickers as decimals', () => {
+      t.deepEqual(decimals('/v2/ticker/tBTCUSD?', '[4346.3,16.7770791,4346.4,12,-32,-0.0074,4346.3,26592,4464.2,4250]'), Array(10).fill(true))
+      t.deepEqual(decimals('/v2/tickers?symbols=tBTCUSD', '[["tBTCUSD",4346.3,16]]'), [[false, true, true]])
+    })
   })
   describe('public api', () => {
     let bfx, fakeGet
@@ -38,6 +63,12 @@ describe('BitfinexV2 API', () => {
       t.deepEqual(await bfx.tickers('fUSD'), res)
       t.ok(fakeGet.calledWith('tickers', { symbols: 'fUSD' }))
     })
+    it('should accept request options after the list of /tickers', async () => {
+      let options = { timeout: { total: 1000 } }
+      fakeGet.returns([])
+      await bfx.tickers('fUSD', 'tBTCUSD', options)
+      t.ok(fakeGet.calledWith('tickers', { symbols: 'fUSD,tBTCUSD' }, options))
+    })
     it('should implement /tickers json parsing', async () => {
       let res = [
         ['fUSD', 0.00084679, 0.00073, 30, 39587.73068079, 0.0007967, 2, 5005375.15195307, -0.00003324, -0.0401, 0.0007967, 78546356.045701, 0, 0],
@@ -82,6 +113,18 @@ describe('BitfinexV2 API', () => {
       t.deepEqual(await bfx.ticker('fUSD'), res)
       t.ok(fakeGet.calledWith('ticker/fUSD'))
     })
+    it('should implement /book', async () => {
+      let res = [[4346.3, 2, 1.5], [4346.4, 1, -0.7]]
+      fakeGet.returns(res)
+      t.deepEqual(await bfx.book('tBTCUSD'), res)
+      t.ok(fakeGet.calledWith('book/tBTCUSD/P0', {}))
+    })
+    it('should implement /trades', async () => {
+      let res = [[388063448, 1567526214876, 1.918524, 10682]]
+      fakeGet.returns(res)
+      t.deepEqual(await bfx.trades('tBTCUSD'), res)
+      t.ok(fakeGet.calledWith('trades/tBTCUSD/hist', {}))
+    })
     it('should implement /ticker json parsing', async () => {
       let res = [4346.3, 16.7770791, 4346.4, 12.74414776, -32.2, -0.0074, 4346.3, 26592.11456399, 4464.2, 4250]
       let expected = {
@@ -0,0 +1,74 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { BitfinexV2 } from '../src/bitfinex_v2'
+import { BitfinexV2Adapter } from '../src/bitfinex_v2_adapter'
+import { Decimal } from '../src/decimal'
+import { NotSupportedError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+describe('BitfinexV2Adapter', () => {
+  let bfx, exchange, clock
+  beforeEach(() => {
+    bfx = new BitfinexV2()
+    exchange = new BitfinexV2Adapter(bfx)
+    clock = sandbox.useFakeTimers(1507000000000)
+  })
+  afterEach(() => {
+    clock.restore()
+    sandbox.restore()
+  })
+  describe('#fetchTicker', () => {
+    it('should normalize the ticker of a market', async () => {
+      let get = sandbox.stub(bfx, '_get').resolves([4346.3, 16.7770791, 4346.4, 12.74414776, -32.2, -0.0074, 4346.3, 26592.11456399, 4464.2, 4250])
+      t.deepEqual(await exchange.fetchTicker('BTC/USD'), {
+        symbol: 'BTC/USD',
+        timestamp: 1507000000000,
+        bid: 4346.3,
+        ask: 4346.4,
+        last: 4346.3,
+        high: 4464.2,
+        low: 4250,
+        change: -0.0074,
+        baseVolume: 26592.11456399,
+        quoteVolume: null
+      })
+      t.ok(get.calledWith('ticker/tBTCUSD'))
+    })
+  })
+  describe('#fetchOrderBook', () => {
+    it('should split the price levels into bids and asks', async () => {
+      sandbox.stub(bfx, 'book').resolves([[4346.3, 2, 1.5], [4346.2, 1, 0.5], [4346.4, 1, -0.7]])
+      let book = await exchange.fetchOrderBook('BTC/USD', 1)
+      t.deepEqual(book.bids, [{ price: 4346.3, amount: 1.5 }])
+      t.deepEqual(book.asks, [{ price: 4346.4, amount: 0.7 }])
+    })
+    it('should return numbers for the decimals of a client in decimal mode', async () => {
+      sandbox.stub(bfx, 'book').resolves([[new Decimal('4346.3'), 2, new Decimal('1.5')], [4346.4, 1, new Decimal('-0.7')]])
+      let book = await exchange.fetchOrderBook('BTC/USD')
+      t.deepEqual(book.bids, [{ price: 4346.3, amount: 1.5 }])
+      t.deepEqual(book.asks, [{ price: 4346.4, amount: 0.7 }])
+    })
+  })
+  describe('#fetchTrades', () => {
+    it('should normalize trades in chronological order', async () => {
+      sandbox.stub(bfx, 'trades').resolves([[2, 1507000001000, -0.5, 4000], [1, 1507000000000, 2, 4001]])
+      t.deepEqual(await exchange.fetchTrades('BTC/USD'), [
+        { id: '1', symbol: 'BTC/USD', timestamp: 1507000000000, side: 'buy', price: 4001, amount: 2, cost: 8002, orderId: null, fee: null },
+        { id: '2', symbol: 'BTC/USD', timestamp: 1507000001000, side: 'sell', price: 4000, amount: 0.5, cost: 2000, orderId: null, fee: null }
+      ])
+    })
+  })
+  describe('account operations', () => {
+    it('should reject them as not supported', async () => {
+      await exchange.fetchBalances().then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof NotSupportedError)
+        t.equal(err.message, '(bitfinex v2) fetchBalances is not supported')
+      })
+    })
+  })
+})
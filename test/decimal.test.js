@@ -0,0 +1,91 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it } from 'mocha'
+
+import { Decimal, isDecimalKey, parseJson, toDecimal, toFixed, toPlainString } from '../src/decimal'
+
+describe('decimal', () => {
+  describe('parseJson', () => {
+    it('should parse JSON like JSON.parse without decimals', () => {
+      t.deepEqual(parseJson('{"rate":"0.00007600","amount":0.1,"ids":[1,2]}'), { rate: '0.00007600', amount: 0.1, ids: [1, 2] })
+    })
+    it('should parse prices and amounts as decimals whatever their value', () => {
+      let book = parseJson('{"asks":[["0.07331500",10.123456789012345678]],"bids":[[0.0731,-3]],"seq":18849}', true)
+      t.ok(book.asks[0][0] instanceof Decimal)
+      t.equal(book.asks[0][0].toFixed(), '0.073315')
+      t.equal(book.asks[0][1].toFixed(), '10.123456789012345678')
+      t.equal(book.bids[0][0].toFixed(), '0.0731')
+      t.ok(book.bids[0][1] instanceof Decimal)
+      t.equal(book.bids[0][1].toFixed(), '-3')
+      t.strictEqual(book.seq, 18849)
+    })
+    it('should parse numbers with an exponent as decimals', () => {
+      let values = parseJson('{"rate":1e-8,"amount":"2.5E-7","total":-1.5e+3}', true)
+      t.deepEqual([values.rate, values.amount, values.total].map((value) => value.toFixed()), ['0.00000001', '0.00000025', '-1500'])
+    })
+    it('should keep ids, timestamps and other numbers', () => {
+      let trade = parseJson('{"globalTradeID":25129732,"tradeID":"6325758","orderNumber":"34225313575","date":1405699200,"duration":"0.47610000","amount":"100"}', true)
+      t.deepEqual(Object.assign({}, trade, { amount: trade.amount.toFixed() }), {
+        globalTradeID: 25129732,
+        tradeID: '6325758',
+        orderNumber: '34225313575',
+        date: 1405699200,
+        duration: '0.47610000',
+        amount: '100'
+      })
+    })
+    it('should parse amounts keyed by currency as decimals', () => {
+      let balances = parseJson('{"BTC":"0.59098578","1CR":"3","totalBTC":"81.89657704","USDT_BTC":{"last":"6500","id":121}}', true)
+      t.deepEqual([balances.BTC, balances['1CR'], balances.totalBTC, balances.USDT_BTC.last].map(String), ['0.59098578', '3', '81.89657704', '6500'])
+      t.strictEqual(balances.USDT_BTC.id, 121)
+    })
+    it('should parse the positions of rows that hold decimals', () => {
+      let levels = parseJson('[[4346.3,2,1.5],[4346.4,1,-0.7]]', true, (key) => key === '0' || key === '2')
+      t.deepEqual(levels.map((level) => level.map((value) => value instanceof Decimal)), [[true, false, true], [true, false, true]])
+    })
+    it('should keep integers too large for a float as strings', () => {
+      t.deepEqual(parseJson('{"id":123456789012345678901,"small":9007199254740991}', true), { id: '123456789012345678901', small: 9007199254740991 })
+    })
+    it('should keep other strings', () => {
+      let trade = parseJson('{"date":"2014-02-10 04:23:23","tradeID":"16164","note":"rate 0.5, \\"quoted\\" 1.5","currency":"1CR"}', true)
+      t.deepEqual(trade, { date: '2014-02-10 04:23:23', tradeID: '16164', note: 'rate 0.5, "quoted" 1.5', currency: '1CR' })
+    })
+  })
+  describe('isDecimalKey', () => {
+    it('should recognize prices, amounts, totals and fees', () => {
+      t.deepEqual(['rate', 'amount', 'total', 'fee', 'last_price', 'asks', 'BTC'].map(isDecimalKey), [true, true, true, true, true, true, true])
+    })
+    it('should not recognize ids, timestamps, sequence numbers and positions', () => {
+      t.deepEqual(['id', 'tradeID', 'orderNumber', 'date', 'timestamp', 'seq', 'BTC_ETH', '0', '10'].map(isDecimalKey), [false, false, false, false, false, false, false, false, false])
+    })
+  })
+  describe('toDecimal', () => {
+    it('should convert numbers and strings', () => {
+      t.equal(toDecimal(0.1).plus(toDecimal('0.2')).toFixed(), '0.3')
+    })
+    it('should keep decimals', () => {
+      let value = new Decimal('1.5')
+      t.equal(toDecimal(value), value)
+    })
+  })
+  describe('toFixed', () => {
+    it('should format numbers with their toFixed', () => {
+      t.equal(toFixed(0.000002, 8), '0.00000200')
+    })
+    it('should format strings and decimals exactly', () => {
+      t.equal(toFixed('0.123456785', 8), '0.12345679')
+      t.equal(toFixed('123456789.123456789', 8), '123456789.12345679')
+      t.equal(toFixed(new Decimal('1e-8'), 8), '0.00000001')
+    })
+  })
+  describe('toPlainString', () => {
+    it('should format numbers with their toString', () => {
+      t.equal(toPlainString(0.5), '0.5')
+    })
+    it('should format strings and decimals without an exponent', () => {
+      t.equal(toPlainString(new Decimal('1e-8')), '0.00000001')
+      t.equal(toPlainString('2.50'), '2.5')
+    })
+  })
+})
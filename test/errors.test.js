@@ -0,0 +1,81 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it } from 'mocha'
+
+import {
+  AbortError,
+  AuthenticationError,
+  ExchangeError,
+  InsufficientFundsError,
+  InvalidNonceError,
+  InvalidOrderError,
+  NetworkError,
+  NotSupportedError,
+  OrderNotFoundError,
+  RateLimitError,
+  TimeoutError,
+  WithdrawalRejectedError
+} from '../src/errors'
+
+describe('errors', () => {
+  describe('ExchangeError', () => {
+    it('should be an Error', () => {
+      let err = new ExchangeError('failed')
+      t.ok(err instanceof Error)
+      t.ok(err instanceof ExchangeError)
+      t.equal(err.message, 'failed')
+      t.ok(err.stack)
+    })
+    it('should carry the exchange, status, body and path of the request', () => {
+      let err = new ExchangeError('failed', { exchange: 'poloniex', statusCode: 404, body: 'Not found', path: '/public' })
+      t.equal(err.exchange, 'poloniex')
+      t.equal(err.statusCode, 404)
+      t.equal(err.body, 'Not found')
+      t.equal(err.path, '/public')
+    })
+  })
+  describe('subclasses', () => {
+    [
+      AuthenticationError,
+      RateLimitError,
+      InsufficientFundsError,
+      InvalidNonceError,
+      OrderNotFoundError,
+      InvalidOrderError,
+      NotSupportedError,
+      WithdrawalRejectedError,
+      NetworkError,
+      TimeoutError,
+      AbortError
+    ].forEach((ErrorClass) => {
+      it(`should make ${ErrorClass.name} an ExchangeError named after its class`, () => {
+        let err = new ErrorClass('failed', { exchange: 'poloniex' })
+        t.ok(err instanceof ErrorClass)
+        t.ok(err instanceof ExchangeError)
+        t.equal(err.name, ErrorClass.name)
+        t.equal(err.exchange, 'poloniex')
+        t.equal(String(err), `${ErrorClass.name}: failed`)
+      })
+    })
+  })
+  describe('NetworkError', () => {
+    it('should carry the socket error code', () => {
+      t.equal(new NetworkError('reset', { code: 'ECONNRESET' }).code, 'ECONNRESET')
+    })
+  })
+  describe('TimeoutError', () => {
+    it('should be a NetworkError with the ETIMEDOUT code', () => {
+      let err = new TimeoutError('timed out')
+      t.ok(err instanceof NetworkError)
+      t.equal(err.code, 'ETIMEDOUT')
+    })
+  })
+  describe('AbortError', () => {
+    it('should not be a NetworkError', () => {
+      let err = new AbortError('aborted')
+      t.ok(!(err instanceof NetworkError))
+      t.equal(err.code, 'ABORT_ERR')
+    })
+  })
+})
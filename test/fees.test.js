@@ -0,0 +1,123 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { Bitfinex } from '../src/bitfinex'
+import { FeeEngine } from '../src/fees'
+import { InvalidOrderError, NetworkError, NotSupportedError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+// compare floating point values
+function near (actual: number, expected: number) {
+  t.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`)
+}
+
+describe('FeeEngine', () => {
+  let plx, bfx, fees, returnFeeInfo
+  beforeEach(() => {
+    plx = new Poloniex('key', 'secret')
+    bfx = new Bitfinex('key', 'secret')
+    returnFeeInfo = sandbox.stub(plx, 'returnFeeInfo').resolves({ makerFee: '0.00150000', takerFee: '0.00250000', thirtyDayVolume: '612.00248891', nextTier: '1200.00000000' })
+    sandbox.stub(bfx, 'summary').resolves({ trade_vol_30d: [], funding_profit_30d: [], maker_fees: '0.1', taker_fees: '0.2' })
+    fees = new FeeEngine({ poloniex: plx, bitfinex: bfx })
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  describe('#tier', () => {
+    it('should load the fee tier of each exchange', async () => {
+      let tier = await fees.tier('poloniex')
+      t.equal(tier.maker, 0.0015)
+      t.equal(tier.taker, 0.0025)
+      t.equal(tier.volume, 612.00248891)
+      t.equal(tier.nextTier, 1200)
+      let bitfinex = await fees.tier('bitfinex')
+      t.equal(bitfinex.maker, 0.001)
+      t.equal(bitfinex.taker, 0.002)
+    })
+    it('should cache fee tiers until they expire', async () => {
+      let clock = sandbox.useFakeTimers()
+      await Promise.all([fees.tier('poloniex'), fees.tier('poloniex')])
+      clock.tick(60 * 60 * 1000 - 1)
+      await fees.tier('poloniex')
+      t.equal(returnFeeInfo.callCount, 1)
+      clock.tick(1)
+      await fees.tier('poloniex')
+      t.equal(returnFeeInfo.callCount, 2)
+      fees.invalidate('poloniex')
+      await fees.tier('poloniex')
+      t.equal(returnFeeInfo.callCount, 3)
+    })
+    it('should not cache failures', async () => {
+      returnFeeInfo.onFirstCall().rejects(new NetworkError('(poloniex) connection reset'))
+      await fees.tier('poloniex').then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof NetworkError))
+      t.equal((await fees.tier('poloniex')).maker, 0.0015)
+    })
+    it('should reject exchanges without a client', () => {
+      t.throws(() => fees.tier('kraken'), NotSupportedError)
+      t.throws(() => new FeeEngine({ poloniex: plx }).tier('bitfinex'), NotSupportedError)
+    })
+  })
+  describe('#estimate', () => {
+    it('should predict the fee of a buy in the bought currency', async () => {
+      let estimate = await fees.estimate('poloniex', { side: 'buy', price: 0.08, amount: 20 })
+      t.equal(estimate.liquidity, 'taker')
+      t.equal(estimate.feeRate, 0.0025)
+      near(estimate.total, 1.6)
+      near(estimate.fee, 0.05)
+      near(estimate.net, 19.95)
+      near(estimate.breakEven, 0.08 / (0.9975 * 0.9975))
+    })
+    it('should predict the fee of a sell in the total', async () => {
+      let estimate = await fees.estimate('poloniex', { side: 'sell', price: '0.08', amount: '20', postOnly: true })
+      t.equal(estimate.liquidity, 'maker')
+      near(estimate.fee, 0.0024)
+      near(estimate.net, 1.5976)
+      near(estimate.breakEven, 0.08 * 0.9985 * 0.9985)
+    })
+  })
+  describe('#liquidity', () => {
+    it('should guarantee maker fees to post-only orders where they are cancelled instead of taking', () => {
+      t.equal(fees.liquidity('poloniex', { side: 'buy', price: 0.08, amount: 20, postOnly: true }), 'maker')
+      t.equal(fees.liquidity('poloniex', { side: 'buy', price: 0.08, amount: 20 }), 'taker')
+      t.equal(fees.liquidity('bitfinex', { side: 'buy', price: 0.08, amount: 20, postOnly: true }), 'taker')
+    })
+    it('should reject post-only market orders', () => {
+      t.throws(() => fees.liquidity('poloniex', { side: 'buy', price: 0.08, amount: 20, type: 'market', postOnly: true }), InvalidOrderError)
+    })
+  })
+  describe('#reconcile', () => {
+    let trades = {
+      BTC_ETH: [
+        { globalTradeID: 25129732, tradeID: '6325758', date: '2016-04-05 08:08:40', rate: '0.02565498', amount: '0.10000000', total: '0.00256549', fee: '0.00150000', orderNumber: '34225313575', type: 'sell', category: 'exchange' },
+        { globalTradeID: 25129628, tradeID: '6325741', date: '2016-04-05 08:07:55', rate: '0.02565499', amount: '0.10000000', total: '0.00256549', fee: '0.00250000', orderNumber: '34225195693', type: 'buy', category: 'exchange' }
+      ]
+    }
+    it('should compare the fees of trades with their estimates', async () => {
+      let estimate = await fees.estimate('poloniex', { side: 'sell', price: 0.02565498, amount: 0.1, postOnly: true })
+      let result = await fees.reconcile('poloniex', trades, { '34225313575': estimate })
+      t.deepEqual(result.trades.map((trade) => trade.id), ['6325758', '6325741'])
+      let [sell, buy] = result.trades
+      t.equal(sell.predictedRate, 0.0015)
+      near(sell.fee, 0.00256549 * 0.0015)
+      near(buy.fee, 0.00025)
+      t.equal(buy.predictedRate, 0.0025)
+      t.deepEqual(result.mismatched, [])
+    })
+    it('should report fees that differ from the prediction', async () => {
+      let result = await fees.reconcile('poloniex', trades.BTC_ETH)
+      t.deepEqual(result.mismatched.map((trade) => trade.id), ['6325758'])
+      t.ok(result.mismatched[0].difference < 0)
+    })
+    it('should reconcile Bitfinex trades', async () => {
+      let result = await fees.reconcile('bitfinex', [{ price: '250.0', amount: '2.0', timestamp: '1444141857.0', exchange: '', type: 'Buy', fee_currency: 'ETH', fee_amount: '-0.008', tid: 11970839, order_id: 446913929 }])
+      t.equal(result.trades[0].side, 'buy')
+      near(result.trades[0].feeRate, 0.004)
+      near(result.mismatched[0].difference, 0.004)
+    })
+  })
+})
@@ -0,0 +1,11 @@
+/* @flow */
+
+/**
+ * Settles pending promise callbacks, e.g. of a poll that a fake timer
+ * started, so that what they do can be checked.
+ *
+ * @returns {Promise<void>}
+ */
+export async function flush () {
+  for (let i = 0; i < 20; i++) await Promise.resolve()
+}
@@ -0,0 +1,78 @@
+/* @flow */
+
+import t from 'assert'
+import EventEmitter from 'events'
+import { describe, it } from 'mocha'
+
+import { defaultLogger, emitError, isEnabled, redact, redactBody, MASK } from '../src/log'
+
+describe('log', () => {
+  describe('redact', () => {
+    it('should mask credentials at any depth', () => {
+      t.deepEqual(redact({ headers: { 'Key': 'k', 'Sign': 's', 'User-Agent': 'ua' }, path: '/tradingApi' }), {
+        headers: { 'Key': MASK, 'Sign': MASK, 'User-Agent': 'ua' },
+        path: '/tradingApi'
+      })
+    })
+    it('should match field names case-insensitively', () => {
+      t.deepEqual(redact({ 'X-Bfx-ApiKey': 'k', 'x-bfx-payload': 'p', 'X-BFX-SIGNATURE': 's' }), {
+        'X-Bfx-ApiKey': MASK,
+        'x-bfx-payload': MASK,
+        'X-BFX-SIGNATURE': MASK
+      })
+    })
+    it('should mask addresses and payment ids by default', () => {
+      t.deepEqual(redact({ currency: 'XMR', address: 'addr', paymentId: 'id' }), { currency: 'XMR', address: MASK, paymentId: MASK })
+    })
+    it('should mask the configured fields besides the credentials', () => {
+      t.deepEqual(redact({ address: 'addr', amount: '1', secret: 's' }, ['amount']), { address: 'addr', amount: MASK, secret: MASK })
+    })
+    it('should mask fields inside arrays', () => {
+      t.deepEqual(redact([{ address: 'addr' }, 'plain', 1]), [{ address: MASK }, 'plain', 1])
+    })
+    it('should not change the original value', () => {
+      let value = { headers: { Key: 'k' } }
+      redact(value)
+      t.deepEqual(value, { headers: { Key: 'k' } })
+    })
+  })
+  describe('redactBody', () => {
+    it('should mask fields of JSON bodies', () => {
+      t.deepEqual(redactBody('{"BTC":{"address":"1abc"}}'), { BTC: { address: MASK } })
+    })
+    it('should mask fields of url-encoded bodies', () => {
+      t.deepEqual(redactBody('command=withdraw&currency=BTC&address=1abc&nonce=1'), {
+        command: 'withdraw',
+        currency: 'BTC',
+        address: MASK,
+        nonce: '1'
+      })
+    })
+    it('should return other bodies as they are', () => {
+      t.equal(redactBody('Not Found'), 'Not Found')
+      t.equal(redactBody(undefined), undefined)
+    })
+  })
+  describe('isEnabled', () => {
+    it('should always log to a logger of your own', () => {
+      t.ok(isEnabled({ debug: () => {} }))
+    })
+    it('should log to debug only when its namespace is enabled', () => {
+      t.equal(isEnabled(defaultLogger), Boolean(process.env.DEBUG && process.env.DEBUG.includes('crypto-exchange-api')))
+    })
+  })
+  describe('emitError', () => {
+    it('should emit errors to their listeners', () => {
+      let emitter = new EventEmitter()
+      let errors = []
+      emitter.on('error', (err) => errors.push(err.message))
+      emitError(emitter, new Error('failed'))
+      t.deepEqual(errors, ['failed'])
+    })
+    it('should log errors nobody listens to instead of throwing', () => {
+      let logged = []
+      emitError(new EventEmitter(), new Error('failed'), { debug: (message) => logged.push(message) })
+      t.deepEqual(logged, ['error without a listener: failed'])
+    })
+  })
+})
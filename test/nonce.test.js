@@ -0,0 +1,99 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { MemoryNonceProvider, FileNonceProvider, CallbackNonceProvider } from '../src/nonce'
+
+describe('nonce providers', () => {
+  describe('MemoryNonceProvider', () => {
+    let clock
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(1000)
+    })
+    afterEach(() => {
+      clock.restore()
+    })
+    it('should base nonces on the current time', async () => {
+      t.equal(await new MemoryNonceProvider().next('key'), 100000)
+    })
+    it('should never repeat a nonce within the same millisecond', async () => {
+      let nonces = new MemoryNonceProvider()
+      t.equal(await nonces.next('key'), 100000)
+      t.equal(await nonces.next('key'), 100001)
+    })
+    it('should keep increasing when the clock steps backwards', async () => {
+      let nonces = new MemoryNonceProvider()
+      clock.tick(1000)
+      t.equal(await nonces.next('key'), 200000)
+      clock.setSystemTime(500)
+      t.equal(await nonces.next('key'), 200001)
+    })
+    it('should keep separate nonces per key', async () => {
+      let nonces = new MemoryNonceProvider()
+      t.equal(await nonces.next('one'), 100000)
+      t.equal(await nonces.next('two'), 100000)
+    })
+  })
+  describe('FileNonceProvider', () => {
+    let dir, file
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonce-'))
+      file = path.join(dir, 'nonces.json')
+    })
+    afterEach(() => {
+      fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)))
+      fs.rmdirSync(dir)
+    })
+    it('should store the last nonce of each key', async () => {
+      let nonce = await new FileNonceProvider(file).next('key')
+      t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { key: nonce })
+      t.ok(!fs.existsSync(file + '.lock'))
+    })
+    it('should continue from the stored nonce after a restart', async () => {
+      let stored = Date.now() * 200
+      fs.writeFileSync(file, JSON.stringify({ key: stored }))
+      t.equal(await new FileNonceProvider(file).next('key'), stored + 1)
+    })
+    it('should never hand out the same nonce to providers sharing a file', async () => {
+      let first = new FileNonceProvider(file, { retryDelay: 1 })
+      let second = new FileNonceProvider(file, { retryDelay: 1 })
+      let nonces = await Promise.all([1, 2, 3, 4, 5].map((i) => (i % 2 ? first : second).next('key')))
+      t.equal(new Set(nonces).size, nonces.length)
+      t.equal(JSON.parse(fs.readFileSync(file, 'utf8')).key, Math.max(...nonces))
+    })
+    it('should wait for a held lock', async () => {
+      fs.writeFileSync(file + '.lock', '')
+      let nonce = new FileNonceProvider(file, { retryDelay: 1 }).next('key')
+      setTimeout(() => fs.unlinkSync(file + '.lock'), 20)
+      t.ok(await nonce)
+    })
+    it('should give up waiting for a held lock after the lock timeout', async () => {
+      fs.writeFileSync(file + '.lock', '')
+      await new FileNonceProvider(file, { retryDelay: 1, lockTimeout: 20 }).next('key')
+        .then(() => t.ok(false, 'should reject'), (err) => {
+          t.equal(err.message, `timed out waiting for nonce lock ${file}.lock`)
+        })
+    })
+    it('should remove a stale lock', async () => {
+      fs.writeFileSync(file + '.lock', '')
+      let old = new Date(Date.now() - 60000)
+      fs.utimesSync(file + '.lock', old, old)
+      t.ok(await new FileNonceProvider(file, { retryDelay: 1 }).next('key'))
+    })
+  })
+  describe('CallbackNonceProvider', () => {
+    it('should ask the callback for nonces', async () => {
+      let callback = sinon.stub().returns(7)
+      t.equal(await new CallbackNonceProvider(callback).next('key'), 7)
+      t.ok(callback.calledWith('key'))
+    })
+    it('should accept callbacks that return promises', async () => {
+      t.equal(await new CallbackNonceProvider(() => Promise.resolve(8)).next('key'), 8)
+    })
+  })
+})
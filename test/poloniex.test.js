@@ -5,7 +5,18 @@ import { describe, it, beforeEach, afterEach } from 'mocha'
 import * as sinon from 'sinon'
 import nock from 'nock'
 
-import { Poloniex, PUBLIC_API, TRADING_API } from '../src/poloniex'
+import { Poloniex, MARKETS_API, PUBLIC_API, TRADING_API } from '../src/poloniex'
+import { MemoryNonceProvider } from '../src/nonce'
+import { Decimal } from '../src/decimal'
+import {
+  AuthenticationError,
+  ExchangeError,
+  InsufficientFundsError,
+  InvalidNonceError,
+  InvalidOrderError,
+  OrderNotFoundError,
+  RateLimitError
+} from '../src/errors'
 import { URL } from 'url'
 import crypto from 'crypto'
 import querystring from 'querystring'
@@ -39,6 +50,19 @@ describe('Poloniex', () => {
       delete process.env.CRYPTO_POLONIEX_KEY
       delete process.env.CRYPTO_POLONIEX_SECRET
     })
+    it('should use the poloniex endpoints by default', () => {
+      let plx = new Poloniex()
+      t.equal(plx.publicApi, PUBLIC_API)
+      t.equal(plx.tradingApi, TRADING_API)
+    })
+    it('should accept endpoints from options', () => {
+      let plx = new Poloniex(undefined, undefined, undefined, undefined, {
+        publicApi: 'http://localhost:8080/public',
+        tradingApi: 'http://localhost:8080/tradingApi'
+      })
+      t.equal(plx.publicApi, 'http://localhost:8080/public')
+      t.equal(plx.tradingApi, 'http://localhost:8080/tradingApi')
+    })
   })
   describe('#_get', () => {
     let plx, scope, query
@@ -50,9 +74,10 @@ describe('Poloniex', () => {
     })
     afterEach(() => {
       nock.cleanAll()
-      sandbox.reset()
+      sandbox.restore()
     })
-    it('should fail when more than 6 requests per second are made', async () => {
+    it('should fail when more than 6 requests per second are made in throw mode', async () => {
+      plx = new Poloniex(undefined, undefined, undefined, undefined, { rateLimit: { mode: 'throw' } })
       sandbox.useFakeTimers(new Date())
       for (let i = 1; i < 8; i++) {
         try {
@@ -61,11 +86,23 @@ describe('Poloniex', () => {
           sandbox.clock.tick(10) // add 10ms to time
           t.ok(i < 7, 'the 7th request must fail')
         } catch (err) {
-          t.equal(err, 'Error: restricting requests to Poloniex to maximum of 6 per second')
+          t.equal(err, 'RateLimitError: restricting requests to Poloniex to maximum of 6 per second')
           t.equal(i, 7, 'the 7th request failed')
         }
       }
     })
+    it('should queue requests over 6 per second until a slot frees up', async () => {
+      sandbox.useFakeTimers(new Date())
+      for (let i = 1; i < 8; i++) { scope.reply(200, {}) }
+      let results = []
+      for (let i = 1; i < 8; i++) {
+        results.push(plx._get(query))
+      }
+      await new Promise((resolve) => process.nextTick(resolve))
+      t.equal(plx._rateQueue(plx._publicRateCount).waiting.length, 1)
+      sandbox.clock.tick(1000)
+      t.equal((await Promise.all(results)).length, 7)
+    })
     it('should allow to request less than 6 requests per second', async () => {
       sandbox.useFakeTimers(new Date())
       for (let i = 1; i < 10; i++) {
@@ -90,27 +127,88 @@ describe('Poloniex', () => {
         .reply(200, {})
       t.deepEqual({}, await plx._get(query))
     })
+    it('should send requests to the configured endpoint', async () => {
+      plx = new Poloniex(undefined, undefined, undefined, undefined, { publicApi: 'http://localhost:8080/public' })
+      nock('http://localhost:8080').get('/public').query(query).reply(200, { local: true })
+      t.deepEqual(await plx._get(query), { local: true })
+    })
+    it('should get the trading limits of markets from the markets endpoint', async () => {
+      let limits = [{ symbol: 'ETH_BTC', symbolTradeLimit: { symbol: 'ETH_BTC', priceScale: 5, quantityScale: 4, minQuantity: '0.0001', minAmount: '0.0001' } }]
+      t.equal(MARKETS_API, 'https://api.poloniex.com/markets')
+      nock('https://api.poloniex.com').get('/markets').reply(200, limits)
+      t.deepEqual(await plx.returnMarketLimits(), limits)
+    })
+    it('should send the configured user-agent and headers', async () => {
+      plx = new Poloniex(undefined, undefined, undefined, undefined, { userAgent: 'my-bot/1.0', headers: { 'X-Team': 'desk' } })
+      nock(URL_PUBLIC_API.origin)
+        .matchHeader('User-Agent', 'my-bot/1.0')
+        .matchHeader('X-Team', 'desk')
+        .get(URL_PUBLIC_API.pathname)
+        .query(query)
+        .reply(200, {})
+      t.deepEqual({}, await plx._get(query))
+    })
     it('should return an error on bad http status codes', (done) => {
       scope.reply(404, '{ "error": "Not found" }')
       plx._get(query).catch((result) => {
-        t.equal(result, 'Error: (poloniex) HTTP 404 Returned error: Not found')
+        t.equal(result, 'ExchangeError: (poloniex) HTTP 404 Returned error: Not found')
         done()
       })
     })
     it('should return an error on errors during connection', (done) => {
       scope.replyWithError('request error')
       plx._get(query).catch((result) => {
-        t.equal(result, 'Error: request error')
+        t.equal(result, 'NetworkError: (poloniex) request error')
         done()
       })
     })
+    it('should retry transient errors', async () => {
+      let retry = sandbox.spy(plx, '_retry')
+      scope.reply(200, {})
+      await plx._get(query)
+      t.ok(retry.calledWith(sinon.match.func, true))
+    })
     it('should return an error on errors from poloniex', (done) => {
       scope.reply(200, { error: 'poloniex has problems' })
       plx._get(query).catch((result) => {
-        t.equal('Error: (poloniex) HTTP 200 Returned error: poloniex has problems', result)
+        t.equal('ExchangeError: (poloniex) HTTP 200 Returned error: poloniex has problems', result)
         done()
       })
     })
+    it('should return exact decimals in decimal mode', async () => {
+      plx = new Poloniex(undefined, undefined, undefined, undefined, { decimals: true })
+      scope.reply(200, '{"asks":[["0.00007600",1164.12345678901234]],"bids":[],"isFrozen":"0","seq":18849}')
+      let book = await plx._get(query)
+      t.ok(book.asks[0][0] instanceof Decimal)
+      t.deepEqual(book.asks[0].map(String), ['0.000076', '1164.12345678901234'])
+      t.equal(book.seq, 18849)
+    })
+  })
+  describe('#_errorClass', () => {
+    let plx = new Poloniex()
+    it('should recognize insufficient funds', () => {
+      t.equal(plx._errorClass('Not enough BTC.', 200), InsufficientFundsError)
+    })
+    it('should recognize bad nonces', () => {
+      t.equal(plx._errorClass('Nonce must be greater than 150647185237800. You provided 150647185237799.', 200), InvalidNonceError)
+    })
+    it('should recognize invalid keys', () => {
+      t.equal(plx._errorClass('Invalid API key/secret pair.', 403), AuthenticationError)
+    })
+    it('should recognize unknown orders', () => {
+      t.equal(plx._errorClass('Invalid order number, or you are not the person who placed the order.', 200), OrderNotFoundError)
+    })
+    it('should recognize rate limits', () => {
+      t.equal(plx._errorClass('Please do not make more than 6 API calls per second.', 200), RateLimitError)
+    })
+    it('should recognize orders breaking the rules of their market', () => {
+      t.equal(plx._errorClass('Total must be at least 0.0001.', 200), InvalidOrderError)
+      t.equal(plx._errorClass('Invalid rate parameter.', 200), InvalidOrderError)
+    })
+    it('should fall back to the status code', () => {
+      t.equal(plx._errorClass('Unauthorized', 401), AuthenticationError)
+      t.equal(plx._errorClass('Internal error. Please try again.', 200), ExchangeError)
+    })
   })
   describe('public api commands - call .get() just once', () => {
     let plx, fakeGet, startDate, endDate
@@ -134,6 +232,12 @@ describe('Poloniex', () => {
       t.deepEqual(res, await plx.returnTicker())
       t.ok(fakeGet.calledWith({ command: 'returnTicker' }))
     })
+    it('should pass request options through', async () => {
+      let options = { timeout: { total: 1000 } }
+      fakeGet.returns({})
+      await plx.returnTicker(options)
+      t.ok(fakeGet.calledWith({ command: 'returnTicker' }, options))
+    })
     it('should implement return24hVolume', async () => {
       let res = { 'BTC_LTC': { 'BTC': '2.23248854', 'LTC': '87.10381314' }, 'BTC_NXT': { 'BTC': '0.981616', 'NXT': '14145' }, 'totalBTC': '81.89657704', 'totalLTC': '78.52083806' }
       fakeGet.returns(res)
@@ -233,7 +337,7 @@ describe('Poloniex', () => {
     let secret = 'very secret part that is private'
     beforeEach(() => {
       nock.disableNetConnect()
-      plx = new Poloniex(key, secret)
+      plx = new Poloniex(key, secret, undefined, undefined, { nonce: new MemoryNonceProvider() })
       pathname = URL_TRADING_API.pathname
       scope = nock(URL_TRADING_API.origin)
       sandbox.useFakeTimers(new Date())
@@ -243,7 +347,7 @@ describe('Poloniex', () => {
     })
     afterEach(() => {
       nock.cleanAll()
-      sandbox.reset()
+      sandbox.restore()
     })
     it('should use the correct trade api url', () => {
       t.equal(TRADING_API, 'https://poloniex.com/tradingApi')
@@ -265,7 +369,8 @@ describe('Poloniex', () => {
         .reply(200, {})
       t.deepEqual({}, await plx._post(query))
     })
-    it('should limit requests to a configurable limit per second', async () => {
+    it('should limit requests to a configurable limit per second in throw mode', async () => {
+      plx = new Poloniex(key, secret, undefined, undefined, { rateLimit: { mode: 'throw' }, nonce: new MemoryNonceProvider() })
       for (let i = 1; i < plx.tradingRate + 2; i++) {
         try {
           if (i < plx.tradingRate + 1) {
@@ -277,7 +382,7 @@ describe('Poloniex', () => {
           queryNoncePost = querystring.stringify(queryNonce)
           t.ok(i < plx.tradingRate + 1, 'the amount of requests is limited')
         } catch (err) {
-          t.equal(err, `Error: restricting requests to Poloniex to maximum of ${plx.tradingRate} per second`)
+          t.equal(err, `RateLimitError: restricting requests to Poloniex to maximum of ${plx.tradingRate} per second`)
           t.equal(i, plx.tradingRate + 1, 'the last request failed')
         }
       }
@@ -303,38 +408,79 @@ describe('Poloniex', () => {
       await plx._post(query)
       await plx._post(query)
     })
+    it('should run middleware with the signed headers', async () => {
+      let beforeRequest = sandbox.spy()
+      plx.use({ beforeRequest: beforeRequest })
+      scope.post(pathname, queryNoncePost).reply(200, {})
+      await plx._post(query)
+      let headers = beforeRequest.firstCall.args[0].options.headers
+      t.equal(headers.Key, key)
+      t.equal(headers.Sign, crypto.createHmac('sha512', secret).update(queryNoncePost).digest('hex'))
+      t.equal(beforeRequest.firstCall.args[0].body, queryNoncePost)
+    })
+    it('should take nonces from the configured nonce provider', async () => {
+      let next = sandbox.stub().resolves(42)
+      plx = new Poloniex(key, secret, undefined, undefined, { nonce: { next: next } })
+      scope.post(pathname, querystring.stringify(Object.assign({}, { nonce: 42 }, query))).reply(200, {})
+      await plx._post(query)
+      t.ok(next.calledWith(key))
+    })
     it('should raise an error on poloniex errors', (done) => {
       scope.post(pathname, queryNoncePost).reply(200, { error: 'poloniex has problems' })
       plx._post(query).catch((result) => {
-        t.equal('Error: (poloniex) HTTP 200 Returned error: poloniex has problems', result)
+        t.equal('ExchangeError: (poloniex) HTTP 200 Returned error: poloniex has problems', result)
         done()
       })
     })
     it('should raise an error on http connection errors', (done) => {
       scope.post(pathname, queryNoncePost).replyWithError('request error')
       plx._post(query).catch((result) => {
-        t.equal('Error: request error', result)
+        t.equal('NetworkError: (poloniex) request error', result)
         done()
       })
     })
     it('should raise an error on status codes other that 2xx with JSON response', (done) => {
       scope.post(pathname, queryNoncePost).reply(404, '{ "error": "Not found" }')
       plx._post(query).catch((result) => {
-        t.equal('Error: (poloniex) HTTP 404 Returned error: Not found', result) // Failed to load page, status code: 404', result)
+        t.equal('ExchangeError: (poloniex) HTTP 404 Returned error: Not found', result) // Failed to load page, status code: 404', result)
         done()
       })
     })
     it('should raise an error on status codes other that 2xx with non-JSON response', (done) => {
       scope.post(pathname, queryNoncePost).reply(404, 'Not found')
       plx._post(query).catch((result) => {
-        t.equal(result, 'Error: (poloniex) HTTP 404 Returned error: Not found') // Failed to load page, status code: 404', result)
+        t.equal(result, 'ExchangeError: (poloniex) HTTP 404 Returned error: Not found') // Failed to load page, status code: 404', result)
         done()
       })
     })
+    it('should retry commands that only read data', async () => {
+      let retry = sandbox.spy(plx, '_retry')
+      query = { command: 'returnBalances' }
+      scope.post(pathname, querystring.stringify(Object.assign({}, { nonce: sandbox.clock.now * 100 }, query))).reply(200, {})
+      await plx._post(query)
+      t.ok(retry.calledWith(sinon.match.func, true))
+    })
+    it('should never retry commands that create orders', async () => {
+      let retry = sandbox.spy(plx, '_retry')
+      query = { command: 'buy' }
+      scope.post(pathname, querystring.stringify(Object.assign({}, { nonce: sandbox.clock.now * 100 }, query))).reply(200, {})
+      await plx._post(query)
+      t.ok(retry.calledWith(sinon.match.func, false))
+    })
+    it('should raise typed errors for known poloniex error messages', async () => {
+      scope.post(pathname, queryNoncePost).reply(200, { error: 'Not enough BTC.' })
+      await plx._post(query).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InsufficientFundsError)
+        t.equal(err.exchange, 'poloniex')
+        t.equal(err.statusCode, 200)
+        t.equal(err.body, '{"error":"Not enough BTC."}')
+        t.equal(err.path, '/tradingApi')
+      })
+    })
     it('should reject a post when key/secret are not available', (done) => {
       plx = new Poloniex()
       plx._post(query).catch((result) => {
-        t.equal('Error: Key and secret are not available for POST requests.', result)
+        t.equal('AuthenticationError: Key and secret are not available for POST requests.', result)
         done()
       })
     })
@@ -345,7 +491,8 @@ describe('Poloniex', () => {
     let secret = 'very secret part that is private'
     beforeEach(() => {
       nock.disableNetConnect()
-      plx = new Poloniex(key, secret)
+      // the commands are sent as given, without checking them against the markets
+      plx = new Poloniex(key, secret, undefined, undefined, { marketsMaxAge: null })
       fakePost = sandbox.stub(plx, '_post')
       startDate = new Date()
       startDate.setFullYear(startDate.getFullYear() - 1)
@@ -361,6 +508,12 @@ describe('Poloniex', () => {
       t.deepEqual(res, await plx.returnBalances())
       t.ok(fakePost.calledWith({ command: 'returnBalances' }))
     })
+    it('should pass request options through', async () => {
+      let options = { timeout: { total: 1000 } }
+      fakePost.returns({})
+      await plx.cancelOrder(31226040, options)
+      t.ok(fakePost.calledWith({ command: 'cancelOrder', orderNumber: '31226040' }, options))
+    })
     it('should implement returnCompleteBalances', async () => {
       let res = {
         'LTC': { 'available': '5.015', 'onOrders': '1.0025', 'btcValue': '0.078' },
@@ -469,6 +622,15 @@ describe('Poloniex', () => {
         orderNumber: '120466'
       }))
     })
+    it('should implement returnOrderStatus for a provided orderNumber', async () => {
+      let res = { result: { '31226040': { status: 'Open', rate: '0.07900000', amount: '20.00000000', currencyPair: 'BTC_ETH', date: '2018-10-17 17:04:50', total: '1.58000000', type: 'buy', startingAmount: '20.00000000' } }, success: 1 }
+      fakePost.returns(res)
+      t.deepEqual(res, await plx.returnOrderStatus(31226040))
+      t.ok(fakePost.calledWith({
+        command: 'returnOrderStatus',
+        orderNumber: '31226040'
+      }))
+    })
     it('should implement buy for currencyPair at the rate and amount specified', async () => {
       let res = { orderNumber: 31226040, resultingTrades: [ { amount: '338.8732', date: '2014-10-18 23: 03:21', rate: '0.00000173', total: '0.00058625', tradeID: '16164', type: 'buy' } ] }
       fakePost.returns(res)
@@ -516,6 +678,17 @@ describe('Poloniex', () => {
         postOnly: '1'
       }))
     })
+    it('should implement buy with decimal strings and decimals', async () => {
+      let res = { orderNumber: 31226040, resultingTrades: [] }
+      fakePost.returns(res)
+      t.deepEqual(res, await plx.buy('BTC_ETH', '0.000001234567891', new Decimal('123456789.123456789')))
+      t.ok(fakePost.calledWith({
+        command: 'buy',
+        currencyPair: 'BTC_ETH',
+        rate: '0.00000123',
+        amount: '123456789.12345679'
+      }))
+    })
     it('should implement sell for currencyPair at the rate and amount specified', async () => {
       let res = { orderNumber: 31226040, resultingTrades: [ { amount: '338.8732', date: '2014-10-18 23: 03:21', rate: '0.00000173', total: '0.00058625', tradeID: '16164', type: 'buy' } ] }
       fakePost.returns(res)
@@ -771,6 +944,16 @@ describe('Poloniex', () => {
         lendingRate: '0.00200000'
       }))
     })
+    it('should implement marginSell optional type parameter', async () => {
+      fakePost.returns({ success: 1, message: 'Margin order placed.', orderNumber: '154407998', resultingTrades: {} })
+      await plx.marginSell('BTC_DASH', 0.01383692, 1, undefined, 'immediateOrCancel')
+      t.ok(fakePost.calledWith({
+        command: 'marginSell',
+        rate: '0.01383692',
+        amount: '1.00000000',
+        immediateOrCancel: '1'
+      }))
+    })
     it('should implement getMarginPosition for all currency pairs', async () => {
       let res = {
         'amount': '40.94717831', 'total': '-0.09671314', 'basePrice': '0.00236190', 'liquidationPrice': -1, 'pl': '-0.00058655', 'lendingFees': '-0.00000038', 'type': 'long'
@@ -895,4 +1078,224 @@ describe('Poloniex', () => {
       }))
     })
   })
+  describe('bulk order operations', () => {
+    let plx
+    beforeEach(() => {
+      plx = new Poloniex('key', 'secret', undefined, undefined, { marketsMaxAge: null })
+    })
+    afterEach(() => {
+      sandbox.restore()
+    })
+    it('should cancel all open orders of all markets', async () => {
+      sandbox.stub(plx, 'returnOpenOrders').resolves({
+        BTC_1CR: [],
+        BTC_AC: [{ orderNumber: '120466', type: 'sell', rate: '0.025', amount: '100', total: '2.5' }],
+        BTC_ETH: [{ orderNumber: '120467', type: 'buy', rate: '0.071', amount: '1', total: '0.071' }]
+      })
+      let cancelOrder = sandbox.stub(plx, 'cancelOrder')
+      cancelOrder.withArgs(120466).resolves({ success: 1 })
+      cancelOrder.withArgs(120467).rejects(new OrderNotFoundError('Invalid order number, or you are not the person who placed the order.'))
+      let reports = await plx.cancelAllOrders()
+      t.deepEqual(reports.map((report) => [report.request, report.success]), [
+        [{ orderNumber: '120466', currencyPair: 'BTC_AC' }, true],
+        [{ orderNumber: '120467', currencyPair: 'BTC_ETH' }, false]
+      ])
+      t.deepEqual(reports[0].result, { success: 1 })
+      t.ok(reports[1].error instanceof OrderNotFoundError)
+    })
+    it('should cancel the open orders of a market', async () => {
+      let returnOpenOrders = sandbox.stub(plx, 'returnOpenOrders').resolves([{ orderNumber: '120466', type: 'sell', rate: '0.025', amount: '100', total: '2.5' }])
+      sandbox.stub(plx, 'cancelOrder').resolves({ success: 1 })
+      let reports = await plx.cancelAllOrders('BTC_AC')
+      t.equal(returnOpenOrders.firstCall.args[0], 'BTC_AC')
+      t.deepEqual(reports, [{ request: { orderNumber: '120466', currencyPair: 'BTC_AC' }, success: true, result: { success: 1 } }])
+    })
+    it('should cancel as many orders at once as the trading rate', async () => {
+      let orders = Array.from({ length: 20 }, (_, i) => ({ orderNumber: String(i + 1) }))
+      sandbox.stub(plx, 'returnOpenOrders').resolves(orders)
+      let bulk = sandbox.spy(plx, '_bulk')
+      sandbox.stub(plx, 'cancelOrder').resolves({ success: 1 })
+      await plx.cancelAllOrders('BTC_ETH')
+      t.equal(bulk.firstCall.args[2], 6)
+      await plx.cancelAllOrders('BTC_ETH', { concurrency: 2 })
+      t.equal(bulk.secondCall.args[2], 2)
+    })
+    it('should place orders and report each of them', async () => {
+      let buy = sandbox.stub(plx, 'buy').resolves({ orderNumber: 31226040, resultingTrades: [] })
+      let sell = sandbox.stub(plx, 'sell').rejects(new InsufficientFundsError('Not enough ETH.'))
+      let orders = [
+        { currencyPair: 'BTC_ETH', side: 'buy', rate: 0.079, amount: 20 },
+        { currencyPair: 'BTC_ETH', side: 'sell', rate: 0.081, amount: 20, type: 'postOnly' }
+      ]
+      let options = { concurrency: 1 }
+      let reports = await plx.placeOrders(orders, options)
+      t.deepEqual(buy.firstCall.args, ['BTC_ETH', 0.079, 20, undefined, options])
+      t.deepEqual(sell.firstCall.args, ['BTC_ETH', 0.081, 20, 'postOnly', options])
+      t.deepEqual(reports.map((report) => report.success), [true, false])
+      t.deepEqual(reports[0].result, { orderNumber: 31226040, resultingTrades: [] })
+      t.ok(reports[1].error instanceof InsufficientFundsError)
+      t.equal(reports[1].request, orders[1])
+    })
+    it('should move orders and report each of them', async () => {
+      let moveOrder = sandbox.stub(plx, 'moveOrder').resolves({ success: 1, orderNumber: '239574176', resultingTrades: { BTC_ETH: [] } })
+      let order = { currencyPair: 'BTC_ETH', side: 'buy', amount: 2 }
+      let reports = await plx.moveOrders([{ orderNumber: 31226040, rate: 0.078 }, { orderNumber: 31226041, rate: 0.077, amount: 2, type: 'postOnly', order: order }])
+      t.deepEqual(moveOrder.firstCall.args, [31226040, 0.078, undefined, undefined, { order: undefined }])
+      t.deepEqual(moveOrder.secondCall.args, [31226041, 0.077, 2, 'postOnly', { order: order }])
+      t.deepEqual(reports.map((report) => report.success), [true, true])
+    })
+    it('should schedule bulk requests within the trading rate limit', async () => {
+      let clock = sandbox.useFakeTimers(10000)
+      let sent = []
+      sandbox.stub(plx, '_send').callsFake(async () => {
+        sent.push(Date.now())
+        return { success: 1 }
+      })
+      let done = plx.moveOrders(Array.from({ length: 8 }, (_, i) => ({ orderNumber: i + 1, rate: 0.078 })))
+      for (let i = 0; i < 10; i++) await Promise.resolve()
+      clock.tick(1000)
+      let reports = await done
+      t.equal(reports.filter((report) => report.success).length, 8)
+      t.deepEqual(sent, [10000, 10000, 10000, 10000, 10000, 10000, 11000, 11000])
+    })
+  })
+  describe('market rules', () => {
+    let plx, fakePost
+    let currencies = {
+      BTC: { id: 28, name: 'Bitcoin', txFee: '0.00050000', minConf: 1, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 },
+      ETH: { id: 267, name: 'Ethereum', txFee: '0.00500000', minConf: 35, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 }
+    }
+    let ticker = { BTC_ETH: { id: 148, last: '0.07100000', isFrozen: '0' } }
+    beforeEach(() => {
+      plx = new Poloniex('key', 'secret')
+      fakePost = sandbox.stub(plx, '_post').resolves({ orderNumber: 31226040, resultingTrades: [] })
+      sandbox.stub(plx, 'returnCurrencies').resolves(currencies)
+      sandbox.stub(plx, 'returnTicker').resolves(ticker)
+      sandbox.stub(plx, 'returnMarketLimits').resolves([])
+    })
+    afterEach(() => {
+      sandbox.restore()
+    })
+    it('should load the currencies and markets', async () => {
+      let markets = await plx.loadMarkets()
+      t.equal(plx.markets, markets)
+      t.equal(markets.market('BTC_ETH').minTotal, 0.0001)
+      t.equal(markets.currency('ETH').minConf, 35)
+    })
+    it('should round orders to the precision of their market once loaded', async () => {
+      await plx.loadMarkets()
+      await plx.buy('BTC_ETH', 0.0712345678, 1.123456789)
+      await plx.sell('BTC_ETH', 0.0712345671, 1.123456789)
+      t.deepEqual(fakePost.args.map(([req]) => [req.rate, req.amount]), [['0.07123456', '1.12345678'], ['0.07123457', '1.12345678']])
+    })
+    it('should round and check orders by the trading limits of their market', async () => {
+      plx.returnMarketLimits.resolves([{ symbol: 'ETH_BTC', symbolTradeLimit: { symbol: 'ETH_BTC', priceScale: 5, quantityScale: 4, minQuantity: '0.01', minAmount: '0.0002' } }])
+      await plx.loadMarkets()
+      await plx.buy('BTC_ETH', 0.0712345678, 1.123456789)
+      t.deepEqual([fakePost.lastCall.args[0].rate, fakePost.lastCall.args[0].amount], ['0.07123', '1.1234'])
+      await plx.sell('BTC_ETH', 0.0712, 0.009).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InvalidOrderError)
+        t.equal(err.message, '(poloniex) amount 0.0090 ETH of BTC_ETH is below the minimum of 0.01 ETH')
+      })
+      t.ok(fakePost.calledOnce)
+    })
+    it('should check moved orders against the market of the order', async () => {
+      fakePost.withArgs(sinon.match({ command: 'returnOrderStatus' })).resolves({ result: { '31226040': { status: 'Open', rate: '0.07100000', amount: '0.001', currencyPair: 'BTC_ETH', type: 'sell' } }, success: 1 })
+      await plx.loadMarkets()
+      await plx.moveOrder(31226040, 0.0712345671, 2)
+      t.deepEqual(fakePost.lastCall.args[0], { command: 'moveOrder', orderNumber: '31226040', rate: '0.07123457', amount: '2.00000000' })
+      await plx.moveOrder(31226040, 0.071).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InvalidOrderError)
+        t.equal(err.message, '(poloniex) total 0.000071 BTC of BTC_ETH is below the minimum of 0.0001 BTC')
+      })
+      t.equal(fakePost.withArgs(sinon.match({ command: 'returnOrderStatus' })).callCount, 2)
+    })
+    it('should check moved orders against the given market without looking it up', async () => {
+      await plx.loadMarkets()
+      await plx.moveOrder(31226040, 0.0712345678, undefined, undefined, { order: { currencyPair: 'BTC_ETH', side: 'buy', amount: 2 } })
+      t.deepEqual(fakePost.args.map(([req]) => req), [{ command: 'moveOrder', orderNumber: '31226040', rate: '0.07123456' }])
+      await plx.moveOrder(31226040, 0.071, undefined, undefined, { order: { currencyPair: 'BTC_XMR', side: 'buy', amount: 2 } }).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, '(poloniex) unknown market BTC_XMR')
+      })
+      t.ok(fakePost.calledOnce)
+    })
+    it('should reject moving orders that are not open', async () => {
+      fakePost.withArgs(sinon.match({ command: 'returnOrderStatus' })).resolves({ result: { error: 'Order not found, or you are not the person who placed it.' }, success: 0 })
+      await plx.loadMarkets()
+      await plx.moveOrder(31226040, 0.071).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof OrderNotFoundError)
+        t.equal(err.message, '(poloniex) order 31226040 is not open')
+      })
+    })
+    it('should round decimal strings and decimals without floats', async () => {
+      await plx.loadMarkets()
+      await plx.buy('BTC_ETH', '0.071234569999999999', new Decimal('0.1').plus('0.2'))
+      t.equal(fakePost.args[0][0].rate, '0.07123456')
+      t.equal(fakePost.args[0][0].amount, '0.30000000')
+    })
+    it('should reject orders breaking the rules without sending them', async () => {
+      await plx.loadMarkets()
+      await plx.buy('BTC_ETH', 0.071, 0.001).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InvalidOrderError)
+        t.equal(err.message, '(poloniex) total 0.000071 BTC of BTC_ETH is below the minimum of 0.0001 BTC')
+      })
+      await plx.marginSell('BTC_XMR', 0.02, 1).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, '(poloniex) unknown market BTC_XMR')
+      })
+      await plx.createLoanOffer('BTC', 1, 0.0002, false, 90).then(() => t.ok(false, 'should reject'), (err) => {
+        t.equal(err.message, '(poloniex) duration 90 of a BTC loan must be 2 to 60 days')
+      })
+      t.ok(fakePost.notCalled)
+    })
+    it('should load the markets before the first order by default', async () => {
+      await plx.buy('BTC_ETH', 0.071, 0.001).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InvalidOrderError)
+      })
+      t.ok(plx.returnTicker.calledOnce)
+      t.ok(fakePost.notCalled)
+    })
+    it('should not check orders before the markets are loaded when their maximum age is null', async () => {
+      plx.marketsMaxAge = null
+      await plx.buy('BTC_ETH', 0.071, 0.001)
+      t.ok(fakePost.calledOnce)
+      t.ok(plx.returnTicker.notCalled)
+    })
+    it('should load the markets before orders when they are missing or stale', async () => {
+      plx.marketsMaxAge = 60000
+      let clock = sandbox.useFakeTimers(new Date())
+      await plx.buy('BTC_ETH', 0.071, 1)
+      await plx.sell('BTC_ETH', 0.071, 1)
+      t.ok(plx.returnTicker.calledOnce)
+      clock.tick(60001)
+      await plx.createLoanOffer('BTC', 1, 0.0002, false, 2)
+      t.ok(plx.returnTicker.calledTwice)
+      t.deepEqual(fakePost.lastCall.args[0], {
+        command: 'createLoanOffer',
+        currency: 'BTC',
+        amount: '1.00000000',
+        duration: '2',
+        lendingRate: '0.00020000',
+        autoRenew: '0'
+      })
+    })
+    it('should load the markets once for orders placed while they load', async () => {
+      let order = { currencyPair: 'BTC_ETH', side: 'buy', amount: 1 }
+      await Promise.all([plx.buy('BTC_ETH', 0.071, 1), plx.sell('BTC_ETH', 0.072, 1), plx.moveOrder(31226040, 0.071, 1, undefined, { order: order })])
+      t.ok(plx.returnTicker.calledOnce)
+      t.ok(plx.returnCurrencies.calledOnce)
+      t.equal(fakePost.callCount, 3)
+    })
+    it('should load the markets again after a failed load', async () => {
+      plx.returnTicker.onFirstCall().rejects(new ExchangeError('(poloniex) HTTP 502 Returned error: Bad Gateway'))
+      let results = await Promise.all([plx.buy('BTC_ETH', 0.071, 1), plx.sell('BTC_ETH', 0.072, 1)].map((order) => order.then(() => 'placed', (err) => err.message)))
+      t.deepEqual(results, ['(poloniex) HTTP 502 Returned error: Bad Gateway', '(poloniex) HTTP 502 Returned error: Bad Gateway'])
+      await plx.buy('BTC_ETH', 0.071, 1)
+      t.ok(plx.returnTicker.calledTwice)
+      t.ok(fakePost.calledOnce)
+    })
+    it('should take the maximum age of the markets from options', () => {
+      t.equal(new Poloniex(undefined, undefined, undefined, undefined, { marketsMaxAge: 1000 }).marketsMaxAge, 1000)
+      t.equal(new Poloniex().marketsMaxAge, 3600000)
+    })
+  })
 })
@@ -0,0 +1,180 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexAdapter } from '../src/poloniex_adapter'
+import { ExchangeError, NotSupportedError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexAdapter', () => {
+  let plx, exchange, clock
+  beforeEach(() => {
+    plx = new Poloniex('key', 'secret')
+    exchange = new PoloniexAdapter(plx)
+    clock = sandbox.useFakeTimers(1507000000000)
+  })
+  afterEach(() => {
+    clock.restore()
+    sandbox.restore()
+  })
+  it('should be named after the client', () => {
+    t.equal(exchange.name, 'poloniex')
+  })
+  describe('#fetchTicker', () => {
+    it('should normalize the ticker of a market', async () => {
+      sandbox.stub(plx, 'returnTicker').resolves({
+        BTC_ETH: { last: '0.0711', lowestAsk: '0.0712', highestBid: '0.0711', percentChange: '0.0239', baseVolume: '1234.5', quoteVolume: '17000.1', high24hr: '0.072', low24hr: '0.070' }
+      })
+      t.deepEqual(await exchange.fetchTicker('ETH/BTC'), {
+        symbol: 'ETH/BTC',
+        timestamp: 1507000000000,
+        bid: 0.0711,
+        ask: 0.0712,
+        last: 0.0711,
+        high: 0.072,
+        low: 0.070,
+        change: 0.0239,
+        baseVolume: 17000.1,
+        quoteVolume: 1234.5
+      })
+    })
+    it('should reject unknown markets', async () => {
+      sandbox.stub(plx, 'returnTicker').resolves({})
+      await exchange.fetchTicker('ETH/BTC').then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof ExchangeError)
+        t.equal(err.message, '(poloniex) unknown market ETH/BTC')
+      })
+    })
+    it('should pass request options through', async () => {
+      let options = { timeout: { total: 1000 } }
+      let returnTicker = sandbox.stub(plx, 'returnTicker').resolves({ BTC_ETH: {} })
+      await exchange.fetchTicker('ETH/BTC', options)
+      t.ok(returnTicker.calledWithExactly(options))
+    })
+  })
+  describe('#fetchOrderBook', () => {
+    it('should normalize the order book of a market', async () => {
+      let returnOrderBook = sandbox.stub(plx, 'returnOrderBook').resolves({
+        asks: [['0.07120000', 10]], bids: [['0.07110000', 2.5]], isFrozen: '0', seq: 18849
+      })
+      t.deepEqual(await exchange.fetchOrderBook('ETH/BTC', 1), {
+        symbol: 'ETH/BTC',
+        timestamp: 1507000000000,
+        sequence: 18849,
+        bids: [{ price: 0.0711, amount: 2.5 }],
+        asks: [{ price: 0.0712, amount: 10 }]
+      })
+      t.ok(returnOrderBook.calledWithExactly('BTC_ETH', 1, undefined))
+    })
+  })
+  describe('#fetchTrades', () => {
+    it('should normalize public trades in chronological order', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([
+        { globalTradeID: 2, tradeID: 12, date: '2017-10-03 03:06:40', type: 'sell', rate: '0.0711', amount: '2', total: '0.1422' },
+        { globalTradeID: 1, tradeID: 11, date: '2017-10-03 03:06:39', type: 'buy', rate: '0.0712', amount: '1', total: '0.0712' }
+      ])
+      t.deepEqual(await exchange.fetchTrades('ETH/BTC'), [
+        { id: '11', symbol: 'ETH/BTC', timestamp: 1507000000000 - 1000, side: 'buy', price: 0.0712, amount: 1, cost: 0.0712, orderId: null, fee: null },
+        { id: '12', symbol: 'ETH/BTC', timestamp: 1507000000000, side: 'sell', price: 0.0711, amount: 2, cost: 0.1422, orderId: null, fee: null }
+      ])
+      t.ok(returnTradeHistory.calledWithExactly(false, 'BTC_ETH', undefined, undefined, undefined))
+    })
+  })
+  describe('#fetchBalances', () => {
+    it('should normalize the exchange account balances', async () => {
+      sandbox.stub(plx, 'returnCompleteBalances').resolves({
+        BTC: { available: '0.5', onOrders: '0.25', btcValue: '0.75' },
+        ETH: { available: '0', onOrders: '0', btcValue: '0' }
+      })
+      t.deepEqual(await exchange.fetchBalances(), {
+        BTC: { free: 0.5, used: 0.25, total: 0.75 },
+        ETH: { free: 0, used: 0, total: 0 }
+      })
+    })
+  })
+  describe('#createOrder', () => {
+    it('should place a limit buy order', async () => {
+      let buy = sandbox.stub(plx, 'buy').resolves({ orderNumber: 31226040, resultingTrades: [] })
+      t.deepEqual(await exchange.createOrder({ symbol: 'ETH/BTC', side: 'buy', type: 'limit', amount: 2, price: 0.07 }), {
+        id: '31226040',
+        symbol: 'ETH/BTC',
+        timestamp: 1507000000000,
+        side: 'buy',
+        type: 'limit',
+        price: 0.07,
+        amount: 2,
+        filled: 0,
+        remaining: 2,
+        status: 'open'
+      })
+      t.ok(buy.calledWithExactly('BTC_ETH', 0.07, 2, undefined, undefined))
+    })
+    it('should report the part of the order that filled right away', async () => {
+      sandbox.stub(plx, 'sell').resolves({ orderNumber: '1', resultingTrades: [{ amount: '0.5' }, { amount: '1.5' }] })
+      let order = await exchange.createOrder({ symbol: 'ETH/BTC', side: 'sell', type: 'limit', amount: 2, price: 0.07 })
+      t.equal(order.filled, 2)
+      t.equal(order.remaining, 0)
+      t.equal(order.status, 'closed')
+    })
+    it('should pass post-only and time in force flags', async () => {
+      let buy = sandbox.stub(plx, 'buy').resolves({ orderNumber: '1', resultingTrades: [] })
+      await exchange.createOrder({ symbol: 'ETH/BTC', side: 'buy', type: 'limit', amount: 1, price: 0.07, postOnly: true })
+      let order = await exchange.createOrder({ symbol: 'ETH/BTC', side: 'buy', type: 'limit', amount: 1, price: 0.07, timeInForce: 'IOC' })
+      t.equal(buy.firstCall.args[3], 'postOnly')
+      t.equal(buy.secondCall.args[3], 'immediateOrCancel')
+      t.equal(order.status, 'canceled')
+    })
+    it('should reject market orders', async () => {
+      await exchange.createOrder({ symbol: 'ETH/BTC', side: 'buy', type: 'market', amount: 1 })
+        .then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof NotSupportedError))
+    })
+  })
+  describe('#cancelOrder', () => {
+    it('should cancel an order by its id', async () => {
+      let cancelOrder = sandbox.stub(plx, 'cancelOrder').resolves({ success: 1 })
+      await exchange.cancelOrder('31226040')
+      t.ok(cancelOrder.calledWithExactly(31226040, undefined))
+    })
+  })
+  describe('#fetchOpenOrders', () => {
+    let order = { orderNumber: '120466', type: 'sell', rate: '0.025', startingAmount: '100', amount: '40', total: '1', date: '2017-10-03 03:06:40' }
+    let normalized = {
+      id: '120466',
+      symbol: 'ETH/BTC',
+      timestamp: 1507000000000,
+      side: 'sell',
+      type: 'limit',
+      price: 0.025,
+      amount: 100,
+      filled: 60,
+      remaining: 40,
+      status: 'open'
+    }
+    it('should normalize the open orders of a market', async () => {
+      let returnOpenOrders = sandbox.stub(plx, 'returnOpenOrders').resolves([order])
+      t.deepEqual(await exchange.fetchOpenOrders('ETH/BTC'), [normalized])
+      t.ok(returnOpenOrders.calledWithExactly('BTC_ETH', undefined))
+    })
+    it('should normalize the open orders of all markets', async () => {
+      sandbox.stub(plx, 'returnOpenOrders').resolves({ BTC_ETH: [order], BTC_LTC: [] })
+      t.deepEqual(await exchange.fetchOpenOrders(), [normalized])
+    })
+  })
+  describe('#fetchMyTrades', () => {
+    it('should normalize personal trades with their fees', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([
+        { globalTradeID: 1, tradeID: '11', date: '2017-10-03 03:06:40', rate: '0.07', amount: '2', total: '0.14', fee: '0.0025', orderNumber: '31', type: 'buy' },
+        { globalTradeID: 2, tradeID: '12', date: '2017-10-03 03:06:40', rate: '0.07', amount: '2', total: '0.14', fee: '0.0025', orderNumber: '32', type: 'sell' }
+      ])
+      let trades = await exchange.fetchMyTrades('ETH/BTC')
+      t.equal(trades[0].orderId, '31')
+      t.deepEqual(trades[0].fee, { cost: 0.0025 * 2, currency: 'ETH' })
+      t.deepEqual(trades[1].fee, { cost: 0.0025 * 0.14, currency: 'BTC' })
+      t.ok(returnTradeHistory.calledWithExactly(true, 'BTC_ETH', undefined, undefined, undefined))
+    })
+  })
+})
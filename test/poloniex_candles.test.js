@@ -0,0 +1,158 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { candlesFromTrades, fetchCandles, fillGaps, resample } from '../src/poloniex_candles'
+
+const sandbox = sinon.createSandbox()
+
+// a candle of returnChartData
+function candle (date: number, open: number, high: number, low: number, close: number, volume: number, quoteVolume: number) {
+  return { date: date, high: high, low: low, open: open, close: close, volume: volume, quoteVolume: quoteVolume, weightedAverage: volume / quoteVolume }
+}
+
+describe('Poloniex candles', () => {
+  // 2017-09-01 00:00:00 UTC
+  let day = 1504224000
+  describe('resample', () => {
+    it('should combine candles into longer intervals', () => {
+      let candles = resample([
+        candle(day + 1800, 4, 6, 3, 5, 20, 4),
+        candle(day, 1, 3, 1, 2, 10, 5),
+        candle(day + 3600, 5, 5, 5, 5, 5, 1)
+      ], 3600)
+      t.deepEqual(candles, [
+        { date: day, high: 6, low: 1, open: 1, close: 5, volume: 30, quoteVolume: 9, weightedAverage: 30 / 9 },
+        candle(day + 3600, 5, 5, 5, 5, 5, 1)
+      ])
+    })
+    it('should align candles after an offset', () => {
+      // a Monday, the epoch was a Thursday
+      let monday = 1504483200
+      let candles = resample([candle(monday - 86400, 1, 1, 1, 1, 1, 1), candle(monday, 2, 2, 2, 2, 1, 1)], 7 * 86400, 4 * 86400)
+      t.deepEqual(candles.map((candle) => candle.date), [monday - 7 * 86400, monday])
+    })
+    it('should drop the empty candle returned for ranges without trades', () => {
+      t.deepEqual(resample([candle(0, 0, 0, 0, 0, 0, 0)], 3600), [])
+    })
+    it('should take the close as weighted average of candles without volume', () => {
+      let candles = resample([candle(day, 1, 1, 1, 1, 0, 0), candle(day + 300, 2, 2, 2, 2, 0, 0)], 3600)
+      t.equal(candles[0].weightedAverage, 2)
+    })
+  })
+  describe('fillGaps', () => {
+    it('should fill gaps with flat candles', () => {
+      let candles = fillGaps([candle(day, 1, 3, 1, 2, 10, 5), candle(day + 3 * 3600, 4, 4, 4, 4, 4, 1)], 3600)
+      t.deepEqual(candles.map((candle) => [candle.date, candle.open, candle.close, candle.volume]), [
+        [day, 1, 2, 10],
+        [day + 3600, 2, 2, 0],
+        [day + 2 * 3600, 2, 2, 0],
+        [day + 3 * 3600, 4, 4, 4]
+      ])
+      t.deepEqual(candles[1], { date: day + 3600, high: 2, low: 2, open: 2, close: 2, volume: 0, quoteVolume: 0, weightedAverage: 2 })
+    })
+    it('should fill up to a last candle', () => {
+      let candles = fillGaps([candle(day, 1, 3, 1, 2, 10, 5)], 3600, day + 2 * 3600)
+      t.deepEqual(candles.map((candle) => candle.date), [day, day + 3600, day + 2 * 3600])
+    })
+    it('should not invent candles before the first one', () => {
+      t.deepEqual(fillGaps([], 3600, day), [])
+    })
+  })
+  describe('candlesFromTrades', () => {
+    it('should build candles from trades', () => {
+      let candles = candlesFromTrades([
+        { date: '2017-09-01 00:00:10', type: 'buy', rate: '0.08', amount: '2', total: '0.16' },
+        { date: '2017-09-01 00:00:50', type: 'sell', rate: '0.07', amount: '1', total: '0.07' },
+        { date: '2017-09-01 00:00:40', type: 'buy', rate: '0.09', amount: '1', total: '0.09' },
+        { date: '2017-09-01 00:01:30', type: 'buy', rate: '0.1', amount: '1', total: '0.1' }
+      ], 60)
+      t.deepEqual(candles, [
+        { date: day, high: 0.09, low: 0.07, open: 0.08, close: 0.07, volume: 0.16 + 0.09 + 0.07, quoteVolume: 4, weightedAverage: (0.16 + 0.09 + 0.07) / 4 },
+        { date: day + 60, high: 0.1, low: 0.1, open: 0.1, close: 0.1, volume: 0.1, quoteVolume: 1, weightedAverage: 0.1 }
+      ])
+    })
+  })
+  describe('fetchCandles', () => {
+    let plx
+    beforeEach(() => {
+      plx = new Poloniex()
+    })
+    afterEach(() => {
+      sandbox.restore()
+    })
+    it('should resample the largest chart period that divides the interval', async () => {
+      let returnChartData = sandbox.stub(plx, 'returnChartData').resolves([
+        candle(day, 1, 3, 1, 2, 10, 5),
+        candle(day + 1800, 2, 4, 2, 3, 10, 5),
+        candle(day + 7 * 1800, 3, 3, 3, 3, 1, 1)
+      ])
+      let candles = await fetchCandles(plx, 'BTC_ETH', 3 * 3600, new Date((day + 600) * 1000), new Date((day + 4 * 3600) * 1000))
+      t.deepEqual(returnChartData.args[0], ['BTC_ETH', 1800, new Date(day * 1000), new Date((day + 4 * 3600) * 1000), undefined])
+      t.deepEqual(candles.map((candle) => [candle.date, candle.open, candle.close, candle.volume]), [
+        [day, 1, 3, 20],
+        [day + 3 * 3600, 3, 3, 1]
+      ])
+    })
+    it('should resample the largest chart period that divides the interval and the offset', async () => {
+      let returnChartData = sandbox.stub(plx, 'returnChartData').resolves([
+        candle(day + 900, 1, 3, 1, 2, 10, 5),
+        candle(day + 1800, 2, 4, 2, 3, 10, 5),
+        candle(day + 4500, 3, 3, 3, 3, 1, 1)
+      ])
+      let candles = await fetchCandles(plx, 'BTC_ETH', 3600, new Date((day + 900) * 1000), new Date((day + 2 * 3600) * 1000), { offset: 900, fill: false })
+      t.equal(returnChartData.args[0][1], 900)
+      t.deepEqual(candles.map((candle) => [candle.date, candle.open, candle.close, candle.volume]), [
+        [day + 900, 1, 3, 20],
+        [day + 4500, 3, 3, 1]
+      ])
+    })
+    it('should resample the chart candles of a client in decimal mode as numbers', async () => {
+      plx = new Poloniex(undefined, undefined, undefined, undefined, { decimals: true })
+      sandbox.stub(plx, '_send').resolves(plx._resJsonParse({
+        statusCode: 200,
+        data: JSON.stringify([candle(day, 1, 3, 1, 2, 10, 5), candle(day + 1800, 2, 4, 2, 3, 10.5, 5)])
+      }))
+      let candles = await fetchCandles(plx, 'BTC_ETH', 3600, new Date(day * 1000), new Date(day * 1000))
+      t.deepEqual(candles, [{ date: day, high: 4, low: 1, open: 1, close: 3, volume: 20.5, quoteVolume: 10, weightedAverage: 2.05 }])
+    })
+    it('should build candles from trades when no chart period divides the offset', async () => {
+      let returnChartData = sandbox.stub(plx, 'returnChartData').resolves([])
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([])
+      await fetchCandles(plx, 'BTC_ETH', 3600, new Date(day * 1000), new Date((day + 3600) * 1000), { offset: 60 })
+      t.ok(returnChartData.notCalled)
+      t.ok(returnTradeHistory.calledOnce)
+    })
+    it('should resample daily candles into weeks', async () => {
+      let returnChartData = sandbox.stub(plx, 'returnChartData').resolves([])
+      await fetchCandles(plx, 'BTC_ETH', 7 * 86400, new Date(day * 1000), new Date((day + 86400) * 1000))
+      t.equal(returnChartData.args[0][1], 86400)
+    })
+    it('should fill gaps up to the end date', async () => {
+      sandbox.stub(plx, 'returnChartData').resolves([candle(day, 1, 3, 1, 2, 10, 5)])
+      let candles = await fetchCandles(plx, 'BTC_ETH', 3600, new Date(day * 1000), new Date((day + 2 * 3600 + 10) * 1000))
+      t.deepEqual(candles.map((candle) => candle.date), [day, day + 3600, day + 2 * 3600])
+    })
+    it('should leave gaps when not filling them', async () => {
+      sandbox.stub(plx, 'returnChartData').resolves([candle(day, 1, 3, 1, 2, 10, 5)])
+      let candles = await fetchCandles(plx, 'BTC_ETH', 3600, new Date(day * 1000), new Date((day + 2 * 3600) * 1000), { fill: false })
+      t.equal(candles.length, 1)
+    })
+    it('should build candles shorter than the chart periods from trades', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([
+        { globalTradeID: 2, tradeID: '2', date: '2017-09-01 00:02:10', type: 'sell', rate: '0.07', amount: '1', total: '0.07' },
+        { globalTradeID: 1, tradeID: '1', date: '2017-09-01 00:00:10', type: 'buy', rate: '0.08', amount: '2', total: '0.16' }
+      ])
+      let candles = await fetchCandles(plx, 'BTC_ETH', 60, new Date((day + 30) * 1000), new Date((day + 150) * 1000))
+      t.ok(returnTradeHistory.calledWith(false, 'BTC_ETH', new Date(day * 1000), new Date((day + 150) * 1000)))
+      t.deepEqual(candles.map((candle) => [candle.date, candle.close, candle.volume]), [
+        [day, 0.08, 0.16],
+        [day + 60, 0.08, 0],
+        [day + 120, 0.07, 0.07]
+      ])
+    })
+  })
+})
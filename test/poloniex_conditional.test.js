@@ -0,0 +1,322 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexPush } from '../src/poloniex_push'
+import { PoloniexConditionalOrders } from '../src/poloniex_conditional'
+import { MemoryStore } from '../src/store'
+import { InsufficientFundsError, InvalidOrderError, NetworkError, NotSupportedError, OrderNotFoundError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+// a ticker update of BTC_ETH
+function tick (last: number, highestBid?: number = last, lowestAsk?: number = last): Object {
+  return { currencyPair: 'BTC_ETH', last: String(last), highestBid: String(highestBid), lowestAsk: String(lowestAsk) }
+}
+
+describe('PoloniexConditionalOrders', () => {
+  let client, store, stops, events
+  let placed = { orderNumber: 31226040, resultingTrades: [] }
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+    store = new MemoryStore()
+    stops = new PoloniexConditionalOrders(client, { store: store })
+    events = []
+    ;['triggered', 'failed', 'cancelled', 'update'].forEach((event) => {
+      stops.on(event, (order) => events.push([event, order.id]))
+    })
+  })
+  afterEach(async () => {
+    await stops.stop()
+    sandbox.restore()
+  })
+  describe('#add', () => {
+    it('should keep pending orders in the store', async () => {
+      let order = await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: '0.068' })
+      t.equal(order.id.length, 16)
+      t.equal(order.state, 'pending')
+      t.equal(order.amount, '2')
+      t.equal(order.stopPrice, 0.068)
+      t.deepEqual(await store.get('poloniex.conditionalOrders'), [order])
+      t.deepEqual(stops.pending(), [order])
+    })
+    it('should reject orders without the prices of their type', async () => {
+      let rejected = (options) => stops.add(options).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof InvalidOrderError)
+        return err.message
+      })
+      t.equal(await rejected({ type: 'stopLimit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 }), '(poloniex) limitPrice of a stopLimit order must be positive')
+      t.equal(await rejected({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 0, stopPrice: 0.068 }), '(poloniex) amount of a stop order must be positive')
+      t.equal(await rejected({ type: 'trailingStop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2 }), '(poloniex) trail or trailPercent of a trailingStop order must be positive')
+      t.equal(await rejected(({ type: 'market', currencyPair: 'BTC_ETH', side: 'sell', amount: 2 }: any)), '(poloniex) unknown conditional order type market')
+      t.deepEqual(stops.pending(), [])
+    })
+  })
+  describe('triggers', () => {
+    it('should sell immediate-or-cancel when the price falls to a stop', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      let order = await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      stops._onTicker(tick(0.0681))
+      t.equal(sell.callCount, 0)
+      stops._onTicker(Object.assign(tick(0.068, 0.0679), { currencyPair: 'BTC_XMR' }))
+      t.equal(sell.callCount, 0)
+      stops._onTicker(tick(0.068, 0.0679, 0.0682))
+      await flush()
+      t.equal(sell.callCount, 1)
+      t.deepEqual(sell.firstCall.args.slice(0, 3), ['BTC_ETH', 0.0679 * 0.99, '2'])
+      t.equal(sell.firstCall.args[3], 'immediateOrCancel')
+      t.equal(order.state, 'triggered')
+      t.deepEqual(order.result, placed)
+      t.deepEqual(events, [['triggered', order.id]])
+      t.deepEqual(await store.get('poloniex.conditionalOrders'), [])
+    })
+    it('should buy when the price rises to a stop', async () => {
+      let buy = sandbox.stub(client, 'buy').resolves(placed)
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'buy', amount: 2, stopPrice: 0.075 })
+      stops._onTicker(tick(0.0749))
+      stops._onTicker(tick(0.0751, 0.075, 0.0752))
+      t.equal(buy.callCount, 0)
+      await flush()
+      t.deepEqual(buy.firstCall.args, ['BTC_ETH', 0.0752 * 1.01, '2', 'immediateOrCancel'])
+    })
+    it('should place stop-limit orders at their limit', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      await stops.add({ type: 'stopLimit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068, limitPrice: 0.0675 })
+      stops._onTicker(tick(0.0679))
+      await flush()
+      t.deepEqual(sell.firstCall.args, ['BTC_ETH', 0.0675, '2', undefined])
+    })
+    it('should sell take-profit orders when the price rises to them', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      await stops.add({ type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.08 })
+      stops._onTicker(tick(0.06))
+      await flush()
+      t.equal(sell.callCount, 0)
+      stops._onTicker(tick(0.0801))
+      await flush()
+      t.equal(sell.callCount, 1)
+    })
+    it('should place margin orders with marginSell', async () => {
+      let marginSell = sandbox.stub(client, 'marginSell').resolves(placed)
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068, margin: true })
+      stops._onTicker(tick(0.067))
+      await flush()
+      t.deepEqual(marginSell.firstCall.args, ['BTC_ETH', 0.067 * 0.99, '2', undefined, 'immediateOrCancel'])
+    })
+    it('should trigger orders only once', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      stops._onTicker(tick(0.067))
+      stops._onTicker(tick(0.066))
+      await flush()
+      t.equal(sell.callCount, 1)
+    })
+    it('should report orders that could not be placed', async () => {
+      sandbox.stub(client, 'sell').rejects(new InsufficientFundsError('Not enough ETH.'))
+      let order = await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      stops._onTicker(tick(0.067))
+      await flush()
+      t.equal(order.state, 'failed')
+      t.equal(order.error, 'Not enough ETH.')
+      t.deepEqual(events, [['failed', order.id]])
+    })
+    it('should not place orders whose trigger could not be saved', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      let order = await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      sandbox.stub(store, 'set').onFirstCall().rejects(new Error('disk full')).resolves()
+      stops._onTicker(tick(0.067))
+      await flush()
+      t.ok(sell.notCalled)
+      t.equal(order.state, 'failed')
+      t.equal(order.error, 'disk full')
+      t.deepEqual(events, [['failed', order.id]])
+      t.ok(store.set.calledTwice)
+    })
+    it('should save the outcome of triggered orders', async () => {
+      let release = () => {}
+      sandbox.stub(client, 'sell').returns(new Promise((resolve) => { release = () => resolve(placed) }))
+      let set = sandbox.spy(store, 'set')
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      stops._onTicker(tick(0.067))
+      await flush()
+      t.equal(set.callCount, 2)
+      release()
+      await flush()
+      t.equal(set.callCount, 3)
+    })
+  })
+  describe('trailing stops', () => {
+    it('should follow the best price and never move back', async () => {
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      let order = await stops.add({ type: 'trailingStop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, trail: 0.002 })
+      stops._onTicker(tick(0.07))
+      t.ok(Math.abs((order.stopPrice || 0) - 0.068) < 1e-12)
+      stops._onTicker(tick(0.072))
+      t.ok(Math.abs((order.stopPrice || 0) - 0.07) < 1e-12)
+      stops._onTicker(tick(0.071))
+      t.ok(Math.abs((order.stopPrice || 0) - 0.07) < 1e-12)
+      t.deepEqual(events, [['update', order.id], ['update', order.id]])
+      await flush()
+      t.equal(sell.callCount, 0)
+      t.equal((await store.get('poloniex.conditionalOrders'))[0].stopPrice, order.stopPrice)
+      stops._onTicker(tick(0.0699))
+      await flush()
+      t.equal(sell.callCount, 1)
+    })
+    it('should trail buy orders by a percentage of the price', async () => {
+      let order = await stops.add({ type: 'trailingStop', currencyPair: 'BTC_ETH', side: 'buy', amount: 2, trailPercent: 5 })
+      stops._onTicker(tick(0.08))
+      stops._onTicker(tick(0.06))
+      t.ok(Math.abs((order.stopPrice || 0) - 0.063) < 1e-12)
+    })
+  })
+  describe('#oco', () => {
+    it('should cancel the other order of a triggered pair', async () => {
+      sandbox.stub(client, 'sell').resolves(placed)
+      let [stop, profit] = await stops.oco(
+        { type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 },
+        { type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.08 }
+      )
+      t.equal(stop.oco, profit.id)
+      t.equal(profit.oco, stop.id)
+      stops._onTicker(tick(0.081))
+      await flush()
+      t.equal(profit.state, 'triggered')
+      t.equal(stop.state, 'cancelled')
+      t.deepEqual(events, [['cancelled', stop.id], ['triggered', profit.id]])
+      t.deepEqual(await store.get('poloniex.conditionalOrders'), [])
+    })
+    it('should keep the other order of a pair when placing fails', async () => {
+      sandbox.stub(client, 'sell').rejects(new InsufficientFundsError('Not enough ETH.'))
+      let [stop, profit] = await stops.oco(
+        { type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 },
+        { type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.08 }
+      )
+      stops._onTicker(tick(0.081))
+      await flush()
+      t.equal(profit.state, 'failed')
+      t.equal(stop.state, 'pending')
+      t.deepEqual(events, [['failed', profit.id]])
+      t.deepEqual(await store.get('poloniex.conditionalOrders'), [stop])
+    })
+    it('should add neither order when one is invalid', async () => {
+      await stops.oco(
+        { type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 },
+        { type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2 }
+      ).then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof InvalidOrderError))
+      t.deepEqual(stops.pending(), [])
+    })
+  })
+  describe('#cancel', () => {
+    it('should cancel both orders of a pair', async () => {
+      let [stop, profit] = await stops.oco(
+        { type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 },
+        { type: 'takeProfit', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.08 }
+      )
+      t.equal(await stops.cancel(stop.id), stop)
+      t.equal(profit.state, 'cancelled')
+      t.deepEqual(await store.get('poloniex.conditionalOrders'), [])
+    })
+    it('should reject orders that are not pending', async () => {
+      await stops.cancel('unknown').then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof OrderNotFoundError)
+        t.equal(err.message, '(poloniex) conditional order unknown is not pending')
+      })
+    })
+  })
+  describe('restarts', () => {
+    it('should pick up the pending orders of the store', async () => {
+      let order = await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      let restarted = new PoloniexConditionalOrders(client, { store: store })
+      await restarted.start()
+      t.deepEqual(restarted.pending(), [order])
+      await restarted.stop()
+    })
+  })
+  describe('polling', () => {
+    let clock
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers()
+    })
+    it('should poll the ticker while there are pending orders', async () => {
+      let returnTicker = sandbox.stub(client, 'returnTicker').resolves({ BTC_ETH: { last: '0.0679', highestBid: '0.0678', lowestAsk: '0.068' } })
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      await stops.start()
+      clock.tick(10000)
+      t.equal(returnTicker.callCount, 0)
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      clock.tick(2000)
+      await flush()
+      t.equal(returnTicker.callCount, 1)
+      t.equal(sell.callCount, 1)
+      clock.tick(10000)
+      t.equal(returnTicker.callCount, 1)
+    })
+    it('should emit errors and keep polling', async () => {
+      let errors = []
+      stops.on('error', (err) => errors.push(err))
+      let returnTicker = sandbox.stub(client, 'returnTicker').rejects(new NetworkError('(poloniex) connection reset'))
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      await stops.start()
+      clock.tick(2000)
+      await flush()
+      clock.tick(2000)
+      t.equal(returnTicker.callCount, 2)
+      t.equal(errors.length, 1)
+    })
+    it('should keep polling without an error listener', async () => {
+      let returnTicker = sandbox.stub(client, 'returnTicker').rejects(new NetworkError('(poloniex) connection reset'))
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      await stops.start()
+      clock.tick(2000)
+      await flush()
+      clock.tick(2000)
+      await flush()
+      clock.tick(2000)
+      t.equal(returnTicker.callCount, 3)
+    })
+  })
+  describe('push', () => {
+    let push, connected
+    beforeEach(() => {
+      push = new PoloniexPush({ client: client })
+      connected = true
+      sandbox.stub(push, 'subscribe').resolves()
+      sandbox.stub(push, 'unsubscribe').resolves()
+      sandbox.stub(push, 'isConnected').callsFake(() => connected)
+      stops = new PoloniexConditionalOrders(client, { store: store, push: push })
+    })
+    it('should watch the ticker of the Push API while connected', async () => {
+      let clock = sandbox.useFakeTimers()
+      let returnTicker = sandbox.stub(client, 'returnTicker').resolves({})
+      let sell = sandbox.stub(client, 'sell').resolves(placed)
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      await stops.start()
+      t.equal(push.listenerCount('ticker'), 1)
+      clock.tick(10000)
+      t.equal(returnTicker.callCount, 0)
+      push.emit('ticker', tick(0.0675))
+      await flush()
+      t.equal(sell.callCount, 1)
+      await stops.stop()
+      t.equal(push.listenerCount('ticker'), 0)
+    })
+    it('should require a push client that knows the markets of ticker updates', () => {
+      t.throws(() => new PoloniexConditionalOrders(client, { push: new PoloniexPush() }), NotSupportedError)
+    })
+    it('should poll while disconnected', async () => {
+      let clock = sandbox.useFakeTimers()
+      let returnTicker = sandbox.stub(client, 'returnTicker').resolves({})
+      await stops.add({ type: 'stop', currencyPair: 'BTC_ETH', side: 'sell', amount: 2, stopPrice: 0.068 })
+      await stops.start()
+      connected = false
+      push.emit('disconnect', 1006, '')
+      clock.tick(2000)
+      t.equal(returnTicker.callCount, 1)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexFunding } from '../src/poloniex_funding'
+import { MemoryStore } from '../src/store'
+import { NetworkError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexFunding', () => {
+  let client, clock, store, events, deposits, withdrawals, returnDepositsWithdrawals, returnCurrencies
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+    clock = sandbox.useFakeTimers(new Date('2017-10-03T12:00:00Z').getTime())
+    store = new MemoryStore()
+    events = []
+    deposits = []
+    withdrawals = []
+    returnDepositsWithdrawals = sandbox.stub(client, 'returnDepositsWithdrawals').callsFake(() => Promise.resolve({
+      deposits: deposits.map((deposit) => Object.assign({}, deposit)),
+      withdrawals: withdrawals.map((withdrawal) => Object.assign({}, withdrawal))
+    }))
+    returnCurrencies = sandbox.stub(client, 'returnCurrencies').resolves({
+      BTC: { id: 28, name: 'Bitcoin', txFee: '0.00050000', minConf: 3, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 }
+    })
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  // a watcher that records its events
+  function watcher (options?: Object): PoloniexFunding {
+    let funding = new PoloniexFunding(client, Object.assign({}, { store: store }, options))
+    ;['deposit:pending', 'deposit:confirmed', 'withdrawal:sent', 'withdrawal:complete'].forEach((event) => {
+      funding.on(event, (record) => events.push([event, record.id]))
+    })
+    return funding
+  }
+  function deposit (confirmations: number, status?: string = 'PENDING'): Object {
+    return { currency: 'BTC', address: '1N2i5n8DwTGzUq2Vmn9TUL8J1vdr1XBDFg', amount: '0.01006132', confirmations: confirmations, txid: '17f819a91369a9ff', timestamp: 1507030000, status: status }
+  }
+  function withdrawal (status: string): Object {
+    return { withdrawalNumber: 134933, currency: 'BTC', address: '1N2i5n8DwTGzUq2Vmn9TUL8J1vdr1XBDFg', amount: '5.00010000', timestamp: 1507031000, status: status, ipAddress: '127.0.0.1' }
+  }
+  describe('#poll', () => {
+    it('should follow the confirmations of deposits', async () => {
+      let funding = watcher()
+      deposits = [deposit(1)]
+      let [pending] = await funding.poll()
+      t.equal(pending.stage, 'pending')
+      t.equal(pending.amount, 0.01006132)
+      t.equal(pending.timestamp, 1507030000 * 1000)
+      t.equal(pending.minConf, 3)
+      await funding.poll()
+      deposits = [deposit(2)]
+      await funding.poll()
+      deposits = [deposit(3)]
+      await funding.poll()
+      deposits = [deposit(10, 'COMPLETE')]
+      await funding.poll()
+      t.deepEqual(events, [
+        ['deposit:pending', 'deposit BTC 17f819a91369a9ff'],
+        ['deposit:pending', 'deposit BTC 17f819a91369a9ff'],
+        ['deposit:confirmed', 'deposit BTC 17f819a91369a9ff']
+      ])
+      t.equal(returnCurrencies.callCount, 1)
+    })
+    it('should confirm complete deposits', async () => {
+      deposits = [deposit(1, 'COMPLETE')]
+      let [confirmed] = await watcher().poll()
+      t.equal(confirmed.stage, 'confirmed')
+      t.deepEqual(events, [['deposit:confirmed', 'deposit BTC 17f819a91369a9ff']])
+    })
+    it('should follow withdrawals until they have their txid', async () => {
+      let funding = watcher()
+      withdrawals = [withdrawal('PENDING')]
+      let [sent] = await funding.poll()
+      t.equal(sent.txid, null)
+      withdrawals = [withdrawal('COMPLETE: 36e483efa6aff9fd53a235177579d98451c4eb237c210e66cd2b9a2d4a988f8e')]
+      let [complete] = await funding.poll()
+      await funding.poll()
+      t.equal(complete.txid, '36e483efa6aff9fd53a235177579d98451c4eb237c210e66cd2b9a2d4a988f8e')
+      t.deepEqual(events, [['withdrawal:sent', 'withdrawal 134933'], ['withdrawal:complete', 'withdrawal 134933']])
+    })
+    it('should poll from the oldest record in progress', async () => {
+      deposits = [deposit(1)]
+      withdrawals = [withdrawal('COMPLETE: 36e483ef')]
+      await watcher({ overlap: 60 * 1000 }).poll()
+      t.equal(returnDepositsWithdrawals.firstCall.args[0].getTime(), new Date('2017-10-02T12:00:00Z').getTime())
+      let state = await store.get('poloniex.funding')
+      t.equal(state.cursor, 1507030000 * 1000)
+      clock.tick(60 * 1000)
+      await watcher({ overlap: 60 * 1000 }).poll()
+      t.equal(returnDepositsWithdrawals.secondCall.args[0].getTime(), 1507030000 * 1000)
+      t.equal(events.length, 2)
+    })
+    it('should poll the overlap before the last poll once nothing is in progress', async () => {
+      deposits = [deposit(10, 'COMPLETE')]
+      await watcher({ since: new Date('2017-10-01T00:00:00Z') }).poll()
+      t.equal(returnDepositsWithdrawals.firstCall.args[0].getTime(), new Date('2017-10-01T00:00:00Z').getTime())
+      clock.tick(2 * 60 * 60 * 1000)
+      await watcher().poll()
+      t.equal(returnDepositsWithdrawals.secondCall.args[0].getTime(), new Date('2017-10-03T11:00:00Z').getTime())
+      t.deepEqual(Object.keys((await store.get('poloniex.funding')).records), [])
+      t.equal(events.length, 1)
+    })
+  })
+  describe('#start', () => {
+    it('should poll every interval and report errors', async () => {
+      let funding = watcher({ interval: 1000 })
+      let errors = []
+      funding.on('error', (err) => errors.push(err))
+      returnDepositsWithdrawals.onFirstCall().rejects(new NetworkError('(poloniex) connection reset'))
+      funding.start()
+      await flush()
+      t.equal(errors.length, 1)
+      deposits = [deposit(1)]
+      clock.tick(1000)
+      await flush()
+      t.deepEqual(events, [['deposit:pending', 'deposit BTC 17f819a91369a9ff']])
+      funding.stop()
+      clock.tick(5000)
+      t.equal(returnDepositsWithdrawals.callCount, 2)
+    })
+    it('should keep polling without an error listener', async () => {
+      let funding = watcher({ interval: 1000 })
+      returnDepositsWithdrawals.rejects(new NetworkError('(poloniex) connection reset'))
+      funding.start()
+      await flush()
+      clock.tick(1000)
+      await flush()
+      funding.stop()
+      t.equal(returnDepositsWithdrawals.callCount, 2)
+    })
+  })
+})
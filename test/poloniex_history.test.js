@@ -0,0 +1,128 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { iterateDepositsWithdrawals, iterateLendingHistory, iterateTradeHistory } from '../src/poloniex_history'
+
+const sandbox = sinon.createSandbox()
+
+const HOUR = 3600 * 1000
+
+// reads all records of an iterator
+async function collect (records: AsyncIterator<Object>): Promise<Object[]> {
+  let all = []
+  for await (let record of records) all.push(record)
+  return all
+}
+
+// a trade as returned by returnTradeHistory
+function trade (id: number, date: string): Object {
+  return { globalTradeID: id, tradeID: String(id), date: date, type: 'buy', rate: '0.01', amount: '1', total: '0.01' }
+}
+
+describe('Poloniex history', () => {
+  let plx
+  let start = new Date('2017-01-01T00:00:00Z')
+  beforeEach(() => {
+    plx = new Poloniex('key', 'secret')
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  describe('iterateTradeHistory', () => {
+    it('should return the trades of a range in chronological order', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([
+        trade(3, '2017-01-01 02:00:00'),
+        trade(2, '2017-01-01 01:00:00'),
+        trade(1, '2017-01-01 01:00:00')
+      ])
+      let trades = await collect(iterateTradeHistory(plx, false, 'BTC_ETH', start, new Date('2017-01-01T03:00:00Z')))
+      t.deepEqual(trades.map((trade) => trade.globalTradeID), [1, 2, 3])
+      t.ok(returnTradeHistory.calledOnce)
+      t.deepEqual(returnTradeHistory.args[0], [false, 'BTC_ETH', start, new Date('2017-01-01T03:00:00Z'), undefined])
+    })
+    it('should request a long range in windows', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([])
+      let options = { timeout: { total: 1000 } }
+      await collect(iterateTradeHistory(plx, true, 'BTC_ETH', start, new Date('2017-01-01T05:00:00Z'), { window: 2 * HOUR }, options))
+      t.deepEqual(returnTradeHistory.args.map((args) => [args[2].toISOString(), args[3].toISOString()]), [
+        ['2017-01-01T00:00:00.000Z', '2017-01-01T02:00:00.000Z'],
+        ['2017-01-01T02:00:00.000Z', '2017-01-01T04:00:00.000Z'],
+        ['2017-01-01T04:00:00.000Z', '2017-01-01T05:00:00.000Z']
+      ])
+      t.ok(returnTradeHistory.alwaysCalledWith(true, 'BTC_ETH', sinon.match.date, sinon.match.date, options))
+    })
+    it('should shrink the window when a page comes back full', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory')
+      returnTradeHistory.onCall(0).resolves([trade(2, '2017-01-01 03:00:00'), trade(1, '2017-01-01 01:00:00')])
+      returnTradeHistory.onCall(1).resolves([trade(1, '2017-01-01 01:00:00')])
+      returnTradeHistory.onCall(2).resolves([trade(2, '2017-01-01 03:00:00')])
+      let trades = await collect(iterateTradeHistory(plx, false, 'BTC_ETH', start, new Date('2017-01-01T04:00:00Z'), { pageSize: 2 }))
+      t.deepEqual(trades.map((trade) => trade.globalTradeID), [1, 2])
+      t.deepEqual(returnTradeHistory.args.map((args) => [args[2].toISOString(), args[3].toISOString()]), [
+        ['2017-01-01T00:00:00.000Z', '2017-01-01T04:00:00.000Z'],
+        ['2017-01-01T00:00:00.000Z', '2017-01-01T02:00:00.000Z'],
+        ['2017-01-01T02:00:00.000Z', '2017-01-01T04:00:00.000Z']
+      ])
+    })
+    it('should skip the trades returned again at the boundary of windows', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory')
+      returnTradeHistory.onCall(0).resolves([trade(2, '2017-01-01 02:00:00'), trade(1, '2017-01-01 01:00:00')])
+      returnTradeHistory.onCall(1).resolves([trade(3, '2017-01-01 03:00:00'), trade(2, '2017-01-01 02:00:00')])
+      let trades = await collect(iterateTradeHistory(plx, false, 'BTC_ETH', start, new Date('2017-01-01T04:00:00Z'), { window: 2 * HOUR }))
+      t.deepEqual(trades.map((trade) => trade.globalTradeID), [1, 2, 3])
+    })
+    it('should return a full page once the window cannot shrink', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([trade(2, '2017-01-01 00:00:00'), trade(1, '2017-01-01 00:00:00')])
+      let trades = await collect(iterateTradeHistory(plx, false, 'BTC_ETH', start, new Date('2017-01-01T00:00:01Z'), { pageSize: 2 }))
+      t.deepEqual(trades.map((trade) => trade.globalTradeID), [1, 2])
+      t.ok(returnTradeHistory.calledOnce)
+    })
+    it('should return your trades of all markets with their market', async () => {
+      sandbox.stub(plx, 'returnTradeHistory').resolves({
+        BTC_ETH: [trade(2, '2017-01-01 02:00:00')],
+        BTC_XMR: [trade(1, '2017-01-01 01:00:00')]
+      })
+      let trades = await collect(iterateTradeHistory(plx, true, 'all', start, new Date('2017-01-01T03:00:00Z')))
+      t.deepEqual(trades.map((trade) => [trade.currencyPair, trade.globalTradeID]), [['BTC_XMR', 1], ['BTC_ETH', 2]])
+    })
+    it('should return nothing for an empty range', async () => {
+      let returnTradeHistory = sandbox.stub(plx, 'returnTradeHistory').resolves([])
+      t.deepEqual(await collect(iterateTradeHistory(plx, false, 'BTC_ETH', start, new Date('2016-12-31T00:00:00Z'))), [])
+      t.ok(returnTradeHistory.notCalled)
+    })
+  })
+  describe('iterateLendingHistory', () => {
+    it('should return loans in the order of their closing, deduplicated by id', async () => {
+      let loan = (id, close) => ({ id: id, currency: 'BTC', rate: '0.00057400', amount: '0.04374404', open: '2016-12-31 06:47:26', close: close })
+      let returnLendingHistory = sandbox.stub(plx, 'returnLendingHistory').resolves([])
+      returnLendingHistory.onCall(0).resolves([loan(175589553, '2017-01-11 00:00:00'), loan(175589552, '2017-01-05 00:00:00')])
+      returnLendingHistory.onCall(1).resolves([loan(175589554, '2017-01-20 00:00:00'), loan(175589553, '2017-01-11 00:00:00')])
+      let loans = await collect(iterateLendingHistory(plx, start, new Date('2017-02-01T00:00:00Z'), { window: 10 * 24 * HOUR, pageSize: 3 }))
+      t.deepEqual(loans.map((loan) => loan.id), [175589552, 175589553, 175589554])
+      t.equal(returnLendingHistory.callCount, 4)
+      t.ok(returnLendingHistory.alwaysCalledWith(sinon.match.date, sinon.match.date, 3, undefined))
+    })
+  })
+  describe('iterateDepositsWithdrawals', () => {
+    it('should return deposits and withdrawals in chronological order', async () => {
+      let returnDepositsWithdrawals = sandbox.stub(plx, 'returnDepositsWithdrawals').resolves({
+        deposits: [{ currency: 'BTC', address: '...', amount: '0.01006132', confirmations: 10, txid: '17f819a9', timestamp: 1483232400, status: 'COMPLETE' }],
+        withdrawals: [{ withdrawalNumber: 134933, currency: 'BTC', address: '...', amount: '5.00010000', timestamp: 1483228800, status: 'COMPLETE: 36e483ef' }]
+      })
+      let records = await collect(iterateDepositsWithdrawals(plx, start, new Date('2017-01-02T00:00:00Z')))
+      t.deepEqual(records.map((record) => [record.type, record.timestamp]), [['withdrawal', 1483228800], ['deposit', 1483232400]])
+      t.ok(returnDepositsWithdrawals.calledOnce)
+    })
+    it('should not shrink the window without a page size', async () => {
+      let withdrawals = Array.from({ length: 3 }, (_, i) => ({ withdrawalNumber: i, currency: 'BTC', timestamp: 1483228800 + i }))
+      let returnDepositsWithdrawals = sandbox.stub(plx, 'returnDepositsWithdrawals').resolves({ deposits: [], withdrawals: withdrawals })
+      let records = await collect(iterateDepositsWithdrawals(plx, start, new Date('2017-01-02T00:00:00Z')))
+      t.equal(records.length, 3)
+      t.ok(returnDepositsWithdrawals.calledOnce)
+    })
+  })
+})
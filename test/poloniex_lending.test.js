@@ -0,0 +1,182 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexLending, lendingStrategies } from '../src/poloniex_lending'
+import { NetworkError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexLending', () => {
+  let client
+  let loanOrders = {
+    offers: [
+      { rate: '0.00020000', amount: '10.00000000', rangeMin: 2, rangeMax: 2 },
+      { rate: '0.00025000', amount: '40.00000000', rangeMin: 2, rangeMax: 60 },
+      { rate: '0.00030000', amount: '100.00000000', rangeMin: 2, rangeMax: 60 }
+    ],
+    demands: [
+      { rate: '0.00015000', amount: '5.00000000', rangeMin: 2, rangeMax: 2 }
+    ]
+  }
+  let book = {
+    offers: [{ rate: 0.0002, amount: 10, rangeMin: 2, rangeMax: 2 }, { rate: 0.00025, amount: 40, rangeMin: 2, rangeMax: 60 }],
+    demands: [{ rate: 0.00015, amount: 5, rangeMin: 2, rangeMax: 2 }]
+  }
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  describe('lendingStrategies', () => {
+    it('should price at the lowest offer or the highest demand', () => {
+      t.equal(lendingStrategies.lowestOffer(book), 0.0002)
+      t.equal(lendingStrategies.highestDemand(book), 0.00015)
+      t.equal(lendingStrategies.lowestOffer({ offers: [], demands: [] }), 0)
+    })
+    it('should price at a depth of the offers', () => {
+      t.equal(lendingStrategies.depth(10)(book, 'BTC'), 0.0002)
+      t.equal(lendingStrategies.depth(30)(book, 'BTC'), 0.00025)
+      t.equal(lendingStrategies.depth(1000)(book, 'BTC'), 0.0002)
+    })
+  })
+  describe('#quote', () => {
+    it('should price offers with the strategy', async () => {
+      let returnLoanOrders = sandbox.stub(client, 'returnLoanOrders').resolves(loanOrders)
+      let lending = new PoloniexLending(client, { currencies: ['BTC'], strategy: lendingStrategies.depth(30) })
+      t.deepEqual(await lending.quote('BTC'), { rate: 0.00025, duration: 2 })
+      t.equal(returnLoanOrders.firstCall.args[0], 'BTC')
+    })
+    it('should keep rates within the bounds', async () => {
+      sandbox.stub(client, 'returnLoanOrders').resolves(loanOrders)
+      let low: Object = await new PoloniexLending(client, { currencies: ['BTC'], minRate: 0.0003 }).quote('BTC')
+      let high: Object = await new PoloniexLending(client, { currencies: ['BTC'], maxRate: 0.0001 }).quote('BTC')
+      t.equal(low.rate, 0.0003)
+      t.equal(high.rate, 0.0001)
+    })
+    it('should not quote without a positive rate', async () => {
+      sandbox.stub(client, 'returnLoanOrders').resolves({ offers: [], demands: [] })
+      t.equal(await new PoloniexLending(client, { currencies: ['BTC'] }).quote('BTC'), null)
+      t.deepEqual(await new PoloniexLending(client, { currencies: ['BTC'], minRate: 0.0001 }).quote('BTC'), { rate: 0.0001, duration: 2 })
+    })
+    it('should offer high rates for longer', async () => {
+      sandbox.stub(client, 'returnLoanOrders').resolves(loanOrders)
+      let settings = { currencies: ['BTC'], minDuration: 2, maxDuration: 30, longRate: 0.00025 }
+      t.deepEqual(await new PoloniexLending(client, settings).quote('BTC'), { rate: 0.0002, duration: 2 })
+      t.deepEqual(await new PoloniexLending(client, Object.assign({}, settings, { minRate: 0.00025 })).quote('BTC'), { rate: 0.00025, duration: 30 })
+    })
+  })
+  describe('#sweep', () => {
+    let lending, createLoanOffer, cancelLoanOffer
+    beforeEach(() => {
+      sandbox.useFakeTimers(new Date('2017-10-03T12:00:00Z').getTime())
+      sandbox.stub(client, 'returnLoanOrders').resolves(loanOrders)
+      sandbox.stub(client, 'returnOpenLoanOffers').resolves({
+        BTC: [
+          { id: 10595, rate: '0.00020000', amount: '3.00000000', duration: 2, autoRenew: 0, date: '2017-10-03 11:40:00' },
+          { id: 10596, rate: '0.00020000', amount: '1.00000000', duration: 2, autoRenew: 0, date: '2017-10-03 11:55:00' }
+        ],
+        LTC: [{ id: 10598, rate: '0.00002100', amount: '10.00000000', duration: 2, autoRenew: 1, date: '2017-10-01 23:34:35' }]
+      })
+      sandbox.stub(client, 'returnAvailableAccountBalances').resolves({
+        exchange: { BTC: '0.50000000', ETH: '2.00000000' },
+        lending: { BTC: '3.00000000', ETH: '0.00500000' }
+      })
+      createLoanOffer = sandbox.stub(client, 'createLoanOffer').resolves({ success: 1, message: 'Loan order placed.', orderID: 10600 })
+      cancelLoanOffer = sandbox.stub(client, 'cancelLoanOffer').resolves({ success: 1, message: 'Loan offer canceled.' })
+      lending = new PoloniexLending(client, { currencies: ['BTC', 'ETH'], autoRenew: true })
+    })
+    it('should cancel stale offers of the currencies', async () => {
+      let result = await lending.sweep()
+      t.equal(cancelLoanOffer.callCount, 1)
+      t.deepEqual(cancelLoanOffer.firstCall.args, [10595, undefined])
+      t.deepEqual(result.cancelled, [{ id: 10595, currency: 'BTC', amount: 3, rate: 0.0002, duration: 2 }])
+    })
+    it('should offer idle lending balances', async () => {
+      let offers = []
+      lending.on('offer', (offer) => offers.push(offer))
+      let result = await lending.sweep()
+      t.equal(createLoanOffer.callCount, 1)
+      t.deepEqual(createLoanOffer.firstCall.args, ['BTC', 3, 0.0002, true, 2, undefined])
+      t.deepEqual(result.offered, [{ id: 10600, currency: 'BTC', amount: 3, rate: 0.0002, duration: 2 }])
+      t.deepEqual(offers, result.offered)
+    })
+    it('should move exchange balances to lending with the transfer option', async () => {
+      let transferBalance = sandbox.stub(client, 'transferBalance').resolves({ success: 1 })
+      lending.transfer = true
+      await lending.sweep()
+      t.deepEqual(transferBalance.args, [['BTC', 0.5, 'exchange', 'lending', undefined], ['ETH', 2, 'exchange', 'lending', undefined]])
+      t.deepEqual(createLoanOffer.args.map((args) => args.slice(0, 2)), [['BTC', 3.5], ['ETH', 2.005]])
+    })
+    it('should skip currencies without a positive rate', async () => {
+      client.returnLoanOrders.withArgs('BTC').resolves({ offers: [], demands: [] })
+      lending.transfer = true
+      sandbox.stub(client, 'transferBalance').resolves({ success: 1 })
+      let result = await lending.sweep()
+      t.deepEqual(createLoanOffer.args.map((args) => args.slice(0, 2)), [['ETH', 2.005]])
+      t.deepEqual(result.offered.map((offer) => offer.currency), ['ETH'])
+    })
+    it('should report a currency that fails and offer the others', async () => {
+      client.returnLoanOrders.withArgs('BTC').rejects(new NetworkError('(poloniex) connection reset'))
+      lending.transfer = true
+      sandbox.stub(client, 'transferBalance').resolves({ success: 1 })
+      let errors = []
+      lending.on('error', (err) => errors.push(err.message))
+      let result = await lending.sweep()
+      t.deepEqual(errors, ['(poloniex) connection reset'])
+      t.deepEqual(result.offered.map((offer) => offer.currency), ['ETH'])
+    })
+  })
+  describe('#start', () => {
+    it('should sweep every interval and report errors', async () => {
+      let clock = sandbox.useFakeTimers()
+      let lending = new PoloniexLending(client, { currencies: ['BTC'], interval: 1000 })
+      let sweep = sandbox.stub(lending, 'sweep').rejects(new NetworkError('(poloniex) connection reset'))
+      let errors = []
+      lending.on('error', (err) => errors.push(err))
+      lending.start()
+      await flush()
+      t.equal(sweep.callCount, 1)
+      t.equal(errors.length, 1)
+      clock.tick(1000)
+      await flush()
+      t.equal(sweep.callCount, 2)
+      lending.stop()
+      clock.tick(5000)
+      t.equal(sweep.callCount, 2)
+    })
+    it('should keep sweeping without an error listener', async () => {
+      let clock = sandbox.useFakeTimers()
+      let lending = new PoloniexLending(client, { currencies: ['BTC'], interval: 1000 })
+      let sweep = sandbox.stub(lending, 'sweep').rejects(new NetworkError('(poloniex) connection reset'))
+      lending.start()
+      await flush()
+      clock.tick(1000)
+      await flush()
+      lending.stop()
+      t.equal(sweep.callCount, 2)
+    })
+  })
+  describe('#earnings', () => {
+    it('should sum up the interest of closed loans by currency', async () => {
+      let returnLendingHistory = sandbox.stub(client, 'returnLendingHistory').resolves([
+        { id: 175589553, currency: 'BTC', rate: '0.00057400', amount: '0.04374404', duration: '0.47610000', interest: '0.00001196', fee: '-0.00000179', earned: '0.00001017', open: '2016-09-28 06:47:26', close: '2016-09-28 18:13:03' },
+        { id: 175589554, currency: 'BTC', rate: '0.00050000', amount: '1.00000000', duration: '2.00000000', interest: '0.00100000', fee: '-0.00015000', earned: '0.00085000', open: '2016-09-26 18:13:03', close: '2016-09-28 18:13:03' },
+        { id: 175589555, currency: 'LTC', rate: '0.00010000', amount: '10.00000000', duration: '1.00000000', interest: '0.00100000', fee: '-0.00015000', earned: '0.00085000', open: '2016-09-27 18:13:03', close: '2016-09-28 18:13:03' }
+      ])
+      let lending = new PoloniexLending(client, { currencies: ['BTC'] })
+      let earnings = await lending.earnings(new Date('2016-09-25T00:00:00Z'), new Date('2016-09-30T00:00:00Z'))
+      t.equal(returnLendingHistory.callCount, 1)
+      t.deepEqual(Object.keys(earnings), ['BTC', 'LTC'])
+      t.equal(earnings.BTC.loans, 2)
+      t.ok(Math.abs(earnings.BTC.earned - 0.00086017) < 1e-12)
+      t.ok(Math.abs(earnings.BTC.fees + 0.00015179) < 1e-12)
+      t.ok(Math.abs(earnings.LTC.interest - 0.001) < 1e-12)
+    })
+  })
+})
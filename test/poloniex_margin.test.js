@@ -0,0 +1,192 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexMarginMonitor } from '../src/poloniex_margin'
+import { NetworkError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexMarginMonitor', () => {
+  let client, summary, alerts
+  let positions: Object
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+    summary = { totalValue: '0.00346561', pl: '-0.00001220', lendingFees: '0.00000000', netValue: '0.00345341', totalBorrowedValue: '0.00123220', currentMargin: '2.80263755' }
+    positions = {
+      BTC_XMR: { amount: '40.94717831', total: '-0.09671314', basePrice: '0.00236190', liquidationPrice: '0.00200000', pl: '-0.00058655', lendingFees: '-0.00000038', type: 'long' },
+      BTC_ETH: { amount: '-2.00000000', total: '0.14000000', basePrice: '0.07000000', liquidationPrice: '0.07500000', pl: '-0.00200000', lendingFees: '-0.00000100', type: 'short' },
+      BTC_LTC: { amount: '0.00000000', total: '0.00000000', basePrice: '0.00000000', liquidationPrice: -1, pl: '0.00000000', lendingFees: '0.00000000', type: 'none' }
+    }
+    sandbox.stub(client, 'returnMarginAccountSummary').callsFake(() => Promise.resolve(summary))
+    sandbox.stub(client, 'getMarginPosition').callsFake(() => Promise.resolve(positions))
+    sandbox.stub(client, 'returnTradableBalances').resolves({ BTC_XMR: { BTC: '8.50274777', XMR: '3696.84685650' } })
+    sandbox.stub(client, 'returnTicker').resolves({
+      BTC_XMR: { last: '0.00250000' },
+      BTC_ETH: { last: '0.07100000' },
+      BTC_LTC: { last: '0.01000000' }
+    })
+    alerts = []
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  // a monitor that records its alerts
+  function monitor (options?: Object): PoloniexMarginMonitor {
+    let monitor = new PoloniexMarginMonitor(client, options)
+    ;['warning', 'critical'].forEach((event) => monitor.on(event, (alert) => alerts.push([event, alert.currencyPair])))
+    return monitor
+  }
+  describe('#risk', () => {
+    it('should compute the risk of the account and its positions', async () => {
+      let risk = await monitor().risk()
+      t.equal(risk.currentMargin, 2.80263755)
+      t.equal(risk.level, 'ok')
+      t.deepEqual(risk.positions.map((position) => position.currencyPair), ['BTC_XMR', 'BTC_ETH'])
+      let [xmr, eth] = risk.positions
+      t.ok(Math.abs((xmr.distance || 0) - 0.2) < 1e-12)
+      t.equal(xmr.level, 'ok')
+      t.ok(Math.abs((eth.distance || 0) - 0.004 / 0.071) < 1e-12)
+      t.equal(eth.level, 'warning')
+      t.ok(Math.abs(risk.exposure.BTC_ETH - 0.142) < 1e-12)
+      t.ok(Math.abs(risk.exposure.BTC_XMR - 40.94717831 * 0.0025) < 1e-12)
+      t.deepEqual(risk.tradable, { BTC_XMR: { BTC: 8.50274777, XMR: 3696.8468565 } })
+    })
+    it('should not rate positions without a liquidation price', async () => {
+      positions.BTC_XMR.liquidationPrice = -1
+      let risk = await monitor().risk()
+      t.strictEqual(risk.positions[0].distance, null)
+      t.strictEqual(risk.positions[0].liquidationPrice, null)
+      t.equal(risk.positions[0].level, 'ok')
+    })
+    it('should not know the risk of positions without a price', async () => {
+      client.returnTicker.resolves({ BTC_XMR: { last: '0.00250000' } })
+      let risk = await monitor().risk()
+      let eth = risk.positions[1]
+      t.deepEqual([eth.price, eth.distance, eth.exposure, eth.level], [null, null, null, 'unknown'])
+      t.deepEqual(Object.keys(risk.exposure), ['BTC_XMR'])
+    })
+  })
+  describe('#check', () => {
+    it('should alert once when a level is reached', async () => {
+      let margin = monitor()
+      let updates = []
+      margin.on('update', (risk) => updates.push(risk))
+      await margin.check()
+      t.deepEqual(alerts, [['warning', 'BTC_ETH']])
+      await margin.check()
+      t.deepEqual(alerts, [['warning', 'BTC_ETH']])
+      summary.currentMargin = '0.25'
+      await margin.check()
+      t.deepEqual(alerts, [['warning', 'BTC_ETH'], ['critical', null]])
+      t.equal(updates.length, 3)
+    })
+    it('should alert again after a recovery', async () => {
+      let margin = monitor()
+      summary.currentMargin = '0.45'
+      await margin.check()
+      summary.currentMargin = '1.5'
+      await margin.check()
+      summary.currentMargin = '0.45'
+      await margin.check()
+      t.deepEqual(alerts.filter(([, currencyPair]) => currencyPair === null), [['warning', null], ['warning', null]])
+    })
+    it('should alert again for a new position in the market of a closed one', async () => {
+      let margin = monitor()
+      await margin.check()
+      positions.BTC_ETH.type = 'none'
+      await margin.check()
+      t.equal(margin.levels.has('BTC_ETH'), false)
+      positions.BTC_ETH.type = 'short'
+      await margin.check()
+      t.deepEqual(alerts, [['warning', 'BTC_ETH'], ['warning', 'BTC_ETH']])
+    })
+    it('should keep the level of positions while their risk is unknown', async () => {
+      let margin = monitor()
+      await margin.check()
+      client.returnTicker.resolves({ BTC_XMR: { last: '0.00250000' } })
+      await margin.check()
+      t.equal(margin.levels.get('BTC_ETH'), 'warning')
+      client.returnTicker.resolves({ BTC_XMR: { last: '0.00250000' }, BTC_ETH: { last: '0.07100000' } })
+      await margin.check()
+      t.deepEqual(alerts, [['warning', 'BTC_ETH']])
+    })
+    it('should not act without being told to', async () => {
+      let closeMarginPosition = sandbox.stub(client, 'closeMarginPosition')
+      let transferBalance = sandbox.stub(client, 'transferBalance')
+      summary.currentMargin = '0.25'
+      positions.BTC_ETH.liquidationPrice = '0.07200000'
+      await monitor().check()
+      t.deepEqual(alerts, [['critical', null], ['critical', 'BTC_ETH']])
+      t.equal(closeMarginPosition.callCount, 0)
+      t.equal(transferBalance.callCount, 0)
+    })
+    it('should top up a critical account', async () => {
+      let transferBalance = sandbox.stub(client, 'transferBalance').resolves({ success: 1, message: 'Transferred 0.5 BTC from exchange to margin account.' })
+      let margin = monitor({ topUp: { currency: 'BTC', amount: 0.5 } })
+      let actions = []
+      margin.on('action', (action) => actions.push(action))
+      summary.currentMargin = '0.25'
+      await margin.check()
+      t.deepEqual(transferBalance.firstCall.args, ['BTC', 0.5, 'exchange', 'margin', undefined])
+      t.deepEqual(actions, [{ type: 'topUp', currency: 'BTC', amount: 0.5, result: { success: 1, message: 'Transferred 0.5 BTC from exchange to margin account.' } }])
+    })
+    it('should close critical positions', async () => {
+      let closeMarginPosition = sandbox.stub(client, 'closeMarginPosition').resolves({ success: 1, message: 'Successfully closed margin position.', resultingTrades: {} })
+      positions.BTC_ETH.liquidationPrice = '0.07200000'
+      await monitor({ autoClose: true }).check()
+      t.deepEqual(closeMarginPosition.args, [['BTC_ETH', undefined]])
+    })
+    it('should close the largest position of a critical account', async () => {
+      let closeMarginPosition = sandbox.stub(client, 'closeMarginPosition').resolves({ success: 1 })
+      summary.currentMargin = '0.25'
+      await monitor({ autoClose: true }).check()
+      t.deepEqual(closeMarginPosition.args, [['BTC_ETH', undefined]])
+    })
+    it('should report failed actions', async () => {
+      sandbox.stub(client, 'closeMarginPosition').rejects(new NetworkError('(poloniex) connection reset'))
+      let margin = monitor({ autoClose: true })
+      let errors = []
+      margin.on('error', (err) => errors.push(err))
+      positions.BTC_ETH.liquidationPrice = '0.07200000'
+      await margin.check()
+      t.equal(errors.length, 1)
+    })
+    it('should not fail a check on failed actions without an error listener', async () => {
+      let closeMarginPosition = sandbox.stub(client, 'closeMarginPosition').rejects(new NetworkError('(poloniex) connection reset'))
+      positions.BTC_ETH.liquidationPrice = '0.07200000'
+      await monitor({ autoClose: true }).check()
+      t.ok(closeMarginPosition.calledOnce)
+    })
+  })
+  describe('#start', () => {
+    it('should check every interval', async () => {
+      let clock = sandbox.useFakeTimers()
+      let margin = monitor({ interval: 1000 })
+      let check = sandbox.stub(margin, 'check').resolves()
+      margin.start()
+      await flush()
+      clock.tick(1000)
+      await flush()
+      t.equal(check.callCount, 2)
+      margin.stop()
+      clock.tick(5000)
+      t.equal(check.callCount, 2)
+    })
+    it('should keep checking without an error listener', async () => {
+      let clock = sandbox.useFakeTimers()
+      let margin = monitor({ interval: 1000 })
+      let check = sandbox.stub(margin, 'check').rejects(new NetworkError('(poloniex) connection reset'))
+      margin.start()
+      await flush()
+      clock.tick(1000)
+      await flush()
+      margin.stop()
+      t.equal(check.callCount, 2)
+    })
+  })
+})
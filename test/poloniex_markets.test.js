@@ -0,0 +1,134 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach } from 'mocha'
+
+import { PoloniexMarkets } from '../src/poloniex_markets'
+import { InvalidOrderError } from '../src/errors'
+
+describe('PoloniexMarkets', () => {
+  let markets
+  let currencies = {
+    BTC: { id: 28, name: 'Bitcoin', txFee: '0.00050000', minConf: 1, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 },
+    ETH: { id: 267, name: 'Ethereum', txFee: '0.00500000', minConf: 35, depositAddress: null, disabled: 1, delisted: 0, frozen: 0 },
+    USDT: { id: 214, name: 'Tether USD', txFee: '10.00000000', minConf: 2, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 },
+    XMR: { id: 256, name: 'Monero', txFee: '0.01500000', minConf: 6, depositAddress: '47LjBrWb3WF8mZnT', disabled: 0, delisted: 0, frozen: 0 },
+    BCN: { id: 17, name: 'Bytecoin', txFee: '1.00000000', minConf: 10, depositAddress: null, disabled: 0, delisted: 0, frozen: 1 },
+    NXT: { id: 153, name: 'NXT', txFee: '1.00000000', minConf: 12, depositAddress: null, disabled: 0, delisted: 1, frozen: 0 }
+  }
+  let ticker = {
+    BTC_ETH: { id: 148, last: '0.07100000', isFrozen: '0' },
+    USDT_BTC: { id: 121, last: '6500.00000000', isFrozen: '0' },
+    BTC_XMR: { id: 114, last: '0.01800000', isFrozen: '1' },
+    BTC_BCN: { id: 7, last: '0.00000020', isFrozen: '0' },
+    BTC_NXT: { id: 69, last: '0.00000900', isFrozen: '0' }
+  }
+  // the error of an operation, or a failure when there is none
+  function error (operation: () => mixed): InvalidOrderError {
+    try {
+      operation()
+    } catch (err) {
+      t.ok(err instanceof InvalidOrderError)
+      t.equal(err.exchange, 'poloniex')
+      return err
+    }
+    throw new Error('should throw')
+  }
+  beforeEach(() => {
+    markets = new PoloniexMarkets(currencies, ticker)
+  })
+  describe('constructor', () => {
+    it('should read the currencies', () => {
+      t.deepEqual(markets.currency('ETH'), {
+        currency: 'ETH',
+        id: 267,
+        name: 'Ethereum',
+        txFee: 0.005,
+        minConf: 35,
+        depositAddress: null,
+        disabled: true,
+        delisted: false,
+        frozen: false
+      })
+    })
+    it('should read the markets of the ticker', () => {
+      t.deepEqual(markets.market('BTC_XMR'), {
+        currencyPair: 'BTC_XMR',
+        id: 114,
+        base: 'BTC',
+        quote: 'XMR',
+        isFrozen: true,
+        ratePrecision: 8,
+        amountPrecision: 8,
+        minAmount: 0,
+        minTotal: 0.0001
+      })
+      t.equal(markets.market('USDT_BTC').minTotal, 1)
+    })
+    it('should take precision and minimums from the trading limits of markets', () => {
+      markets = new PoloniexMarkets(currencies, ticker, 8, [
+        { symbol: 'BTC_USDT', symbolTradeLimit: { symbol: 'BTC_USDT', priceScale: 2, quantityScale: 6, amountScale: 2, minQuantity: '0.000001', minAmount: '5' } },
+        { symbol: 'DOGE_BTC', symbolTradeLimit: { symbol: 'DOGE_BTC', priceScale: 8, quantityScale: 0, amountScale: 8, minQuantity: '1', minAmount: '0.0001' } }
+      ])
+      let market = markets.market('USDT_BTC')
+      t.deepEqual([market.ratePrecision, market.amountPrecision, market.minAmount, market.minTotal], [2, 6, 0.000001, 5])
+      t.equal(markets.market('BTC_ETH').ratePrecision, 8)
+      t.equal(error(() => markets.market('BTC_DOGE')).message, '(poloniex) unknown market BTC_DOGE')
+    })
+    it('should reject unknown markets and currencies', () => {
+      t.equal(error(() => markets.market('BTC_DOGE')).message, '(poloniex) unknown market BTC_DOGE')
+      t.equal(error(() => markets.currency('DOGE')).message, '(poloniex) unknown currency DOGE')
+    })
+  })
+  describe('#order', () => {
+    it('should round amounts down and rates away from the other side', () => {
+      t.deepEqual(markets.order('BTC_ETH', 'buy', 0.0712345678, 1.123456789), { rate: '0.07123456', amount: '1.12345678' })
+      t.deepEqual(markets.order('BTC_ETH', 'sell', 0.0712345671, 1.123456789), { rate: '0.07123457', amount: '1.12345678' })
+    })
+    it('should keep numbers that have the precision already', () => {
+      t.deepEqual(markets.order('BTC_ETH', 'buy', 0.29, 0.29), { rate: '0.29000000', amount: '0.29000000' })
+      t.deepEqual(markets.order('BTC_ETH', 'sell', 0.07, 1.1), { rate: '0.07000000', amount: '1.10000000' })
+    })
+    it('should round to the precision of the market', () => {
+      markets.markets['USDT_BTC'].ratePrecision = 2
+      t.deepEqual(markets.order('USDT_BTC', 'buy', 6500.129, 0.1), { rate: '6500.12', amount: '0.10000000' })
+    })
+    it('should reject totals below the minimum of the market', () => {
+      t.equal(error(() => markets.order('USDT_BTC', 'buy', 6500, 0.0001)).message, '(poloniex) total 0.65 USDT of USDT_BTC is below the minimum of 1 USDT')
+      t.deepEqual(markets.order('USDT_BTC', 'buy', 6500, 0.001), { rate: '6500.00000000', amount: '0.00100000' })
+    })
+    it('should reject amounts below the minimum of the market', () => {
+      markets.markets['BTC_ETH'].minAmount = 0.01
+      t.equal(error(() => markets.order('BTC_ETH', 'buy', 0.071, 0.009)).message, '(poloniex) amount 0.00900000 ETH of BTC_ETH is below the minimum of 0.01 ETH')
+      t.deepEqual(markets.order('BTC_ETH', 'buy', 0.071, 0.01), { rate: '0.07100000', amount: '0.01000000' })
+    })
+    it('should reject amounts that round to zero and rates that are not positive', () => {
+      t.equal(error(() => markets.order('BTC_ETH', 'buy', 0.071, 0.000000001)).message, '(poloniex) amount 1e-9 of BTC_ETH rounds to zero')
+      t.equal(error(() => markets.order('BTC_ETH', 'buy', 0, 1)).message, '(poloniex) rate 0 of BTC_ETH must be positive')
+    })
+    it('should reject frozen markets', () => {
+      t.equal(error(() => markets.order('BTC_XMR', 'buy', 0.018, 1)).message, '(poloniex) market BTC_XMR is frozen')
+    })
+    it('should reject frozen and delisted currencies', () => {
+      t.equal(error(() => markets.order('BTC_BCN', 'sell', 0.0000002, 1000)).message, '(poloniex) trading of BCN is frozen')
+      t.equal(error(() => markets.order('BTC_NXT', 'sell', 0.000009, 1000)).message, '(poloniex) NXT is delisted')
+    })
+  })
+  describe('#loanOffer', () => {
+    it('should round the amount down and the rate', () => {
+      t.deepEqual(markets.loanOffer('BTC', 0.123456789, 0.000123456789, 2), { amount: '0.12345678', lendingRate: '0.00012346' })
+    })
+    it('should reject durations other than 2 to 60 days', () => {
+      t.equal(error(() => markets.loanOffer('BTC', 1, 0.0002, 1)).message, '(poloniex) duration 1 of a BTC loan must be 2 to 60 days')
+      t.equal(error(() => markets.loanOffer('BTC', 1, 0.0002, 2.5)).message, '(poloniex) duration 2.5 of a BTC loan must be 2 to 60 days')
+      t.ok(markets.loanOffer('BTC', 1, 0.0002, 60))
+    })
+    it('should reject amounts that round to zero and rates that are not positive', () => {
+      t.equal(error(() => markets.loanOffer('BTC', 0.000000001, 0.0002, 2)).message, '(poloniex) amount 1e-9 of a BTC loan rounds to zero')
+      t.equal(error(() => markets.loanOffer('BTC', 1, 0, 2)).message, '(poloniex) rate 0 of a BTC loan must be positive')
+    })
+    it('should reject delisted currencies', () => {
+      t.equal(error(() => markets.loanOffer('NXT', 1, 0.0002, 2)).message, '(poloniex) NXT is delisted')
+    })
+  })
+})
@@ -0,0 +1,220 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexPush } from '../src/poloniex_push'
+import { PoloniexOrderBook } from '../src/poloniex_order_book'
+import { ExchangeError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexOrderBook', () => {
+  let plx, push, book, returnOrderBook
+  let snapshot = {
+    asks: [['0.07331500', 10], ['0.07340000', 20], ['0.07350000', 5]],
+    bids: [['0.07313000', 7], ['0.07300000', 3], ['0.07290000', 12]],
+    isFrozen: '0',
+    seq: 100
+  }
+  // a push update of the BTC_ETH market
+  function update (seq: number, type: 'bid' | 'ask', rate: string, amount: string) {
+    push.emit('orderBookUpdate', { currencyPair: 'BTC_ETH', seq: seq, type: type, rate: rate, amount: amount })
+  }
+  beforeEach(() => {
+    plx = new Poloniex()
+    push = new PoloniexPush()
+    sandbox.stub(push, 'subscribe').resolves()
+    sandbox.stub(push, 'unsubscribe').resolves()
+    returnOrderBook = sandbox.stub(plx, 'returnOrderBook').resolves(snapshot)
+    book = new PoloniexOrderBook('BTC_ETH', plx, push, { depth: 50 })
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  describe('#start', () => {
+    it('should seed the book from a snapshot', async () => {
+      let synced = sandbox.spy()
+      book.on('sync', synced)
+      await book.start()
+      t.ok(returnOrderBook.calledWithExactly('BTC_ETH', 50))
+      t.ok(synced.calledWithExactly(100))
+      t.equal(book.seq, 100)
+      t.deepEqual(book.bids.levels.map((level) => level.price), [0.07313, 0.073, 0.0729])
+      t.deepEqual(book.asks.levels.map((level) => level.price), [0.073315, 0.0734, 0.0735])
+    })
+    it('should subscribe to the market and the ticker', async () => {
+      await book.start()
+      t.deepEqual(push.subscribe.args, [['BTC_ETH'], ['ticker']])
+    })
+    it('should apply the updates received before the snapshot', async () => {
+      let snapshotted: Function = () => {}
+      returnOrderBook.returns(new Promise((resolve) => { snapshotted = resolve }))
+      let started = book.start()
+      await new Promise((resolve) => setImmediate(resolve))
+      update(100, 'bid', '0.07313000', '0.00000000')
+      update(101, 'bid', '0.07320000', '1.00000000')
+      update(101, 'ask', '0.07331500', '4.00000000')
+      snapshotted(snapshot)
+      await started
+      t.equal(book.seq, 101)
+      t.deepEqual(book.bestBid(), { price: 0.0732, amount: 1 })
+      t.deepEqual(book.bestAsk(), { price: 0.073315, amount: 4 })
+      t.equal(book.depthAt('bids', 0.07313), 7)
+    })
+    it('should take another snapshot when it is older than the updates', async () => {
+      let snapshotted: Function = () => {}
+      returnOrderBook.onFirstCall().returns(new Promise((resolve) => { snapshotted = resolve }))
+      returnOrderBook.onSecondCall().resolves(Object.assign({}, snapshot, { seq: 102 }))
+      let started = book.start()
+      await new Promise((resolve) => setImmediate(resolve))
+      update(102, 'bid', '0.07320000', '1.00000000')
+      snapshotted(snapshot)
+      await started
+      t.ok(returnOrderBook.calledTwice)
+      t.equal(book.seq, 102)
+      t.equal(book.depthAt('bids', 0.0732), 0)
+    })
+    it('should give up when the snapshots stay older than the updates', async () => {
+      book = new PoloniexOrderBook('BTC_ETH', plx, push, { attempts: 2 })
+      let started = book.start()
+      update(105, 'bid', '0.07320000', '1.00000000')
+      await started.then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof ExchangeError)
+        t.equal(err.message, '(poloniex) order book of BTC_ETH is missing updates after 2 snapshots')
+      })
+      t.ok(returnOrderBook.calledTwice)
+    })
+  })
+  describe('updates', () => {
+    beforeEach(() => book.start())
+    it('should apply updates in sequence', () => {
+      let updated = sandbox.spy()
+      book.on('update', updated)
+      update(101, 'ask', '0.07331500', '0.00000000')
+      update(101, 'ask', '0.07335000', '2.00000000')
+      update(102, 'bid', '0.07300000', '8.00000000')
+      t.equal(book.seq, 102)
+      t.ok(updated.calledThrice)
+      t.deepEqual(book.bestAsk(), { price: 0.07335, amount: 2 })
+      t.equal(book.depthAt('bids', 0.073), 8)
+      t.equal(book.asks.levels.length, 3)
+    })
+    it('should ignore updates of other markets', () => {
+      push.emit('orderBookUpdate', { currencyPair: 'BTC_XMR', seq: 5, type: 'bid', rate: '0.02', amount: '1' })
+      t.equal(book.seq, 100)
+      t.equal(book.bids.levels.length, 3)
+    })
+    it('should count trades in the sequence', () => {
+      push.emit('trade', { currencyPair: 'BTC_ETH', seq: 101, tradeID: '1', type: 'buy', rate: '0.073315', amount: '1', timestamp: 1528900825 })
+      update(102, 'ask', '0.07331500', '9.00000000')
+      t.equal(book.seq, 102)
+      t.equal(book.depthAt('asks', 0.073315), 9)
+    })
+    it('should resync when a sequence number is missing', async () => {
+      let resync = sandbox.spy()
+      book.on('resync', resync)
+      returnOrderBook.resolves(Object.assign({}, snapshot, { seq: 103, bids: [['0.07200000', 1]] }))
+      update(103, 'bid', '0.07300000', '8.00000000')
+      await new Promise((resolve) => book.once('sync', resolve))
+      t.ok(resync.calledWithExactly(101, 103))
+      t.equal(book.seq, 103)
+      t.deepEqual(book.bids.levels, [{ price: 0.072, amount: 1 }])
+    })
+    it('should resync when a sequence number is out of order', async () => {
+      update(101, 'bid', '0.07300000', '8.00000000')
+      update(102, 'bid', '0.07300000', '9.00000000')
+      let resync = sandbox.spy()
+      book.on('resync', resync)
+      update(101, 'bid', '0.07300000', '1.00000000')
+      await new Promise((resolve) => book.once('sync', resolve))
+      t.ok(resync.calledWithExactly(103, 101))
+      t.ok(returnOrderBook.calledTwice)
+    })
+    it('should report failed resyncs and try again with the next update', async () => {
+      returnOrderBook.rejects(new Error('boom'))
+      let failed = new Promise((resolve) => book.once('error', resolve))
+      update(105, 'bid', '0.07300000', '8.00000000')
+      t.equal((await failed).message, 'boom')
+      returnOrderBook.resolves(Object.assign({}, snapshot, { seq: 105 }))
+      update(106, 'bid', '0.07300000', '8.00000000')
+      await new Promise((resolve) => book.once('sync', resolve))
+      t.equal(book.seq, 106)
+      t.equal(book.depthAt('bids', 0.073), 8)
+    })
+    it('should try again after a failed resync without an error listener', async () => {
+      let unhandled = sandbox.spy()
+      process.on('unhandledRejection', unhandled)
+      returnOrderBook.rejects(new Error('boom'))
+      update(105, 'bid', '0.07300000', '8.00000000')
+      await flush()
+      await new Promise((resolve) => setImmediate(resolve))
+      process.removeListener('unhandledRejection', unhandled)
+      t.ok(unhandled.notCalled)
+      t.ok(book._stale)
+      returnOrderBook.resolves(Object.assign({}, snapshot, { seq: 105 }))
+      update(106, 'bid', '0.07300000', '8.00000000')
+      await new Promise((resolve) => book.once('sync', resolve))
+      t.equal(book.seq, 106)
+    })
+  })
+  describe('queries', () => {
+    beforeEach(() => book.start())
+    it('should return the cumulative volume to a price', () => {
+      t.equal(book.volumeTo('asks', 0.0734), 30)
+      t.equal(book.volumeTo('asks', 0.07345), 30)
+      t.equal(book.volumeTo('bids', 0.073), 10)
+      t.equal(book.volumeTo('bids', 0.08), 0)
+    })
+    it('should return the volume-weighted average price to fill an amount', () => {
+      t.equal(book.vwap('buy', 5), 0.073315)
+      t.equal(book.vwap('buy', 20), (10 * 0.073315 + 10 * 0.0734) / 20)
+      t.equal(book.vwap('sell', 10), (7 * 0.07313 + 3 * 0.073) / 10)
+    })
+    it('should return null when the book cannot fill the amount', () => {
+      t.equal(book.vwap('buy', 36), null)
+    })
+    it('should return no best prices of an empty book', () => {
+      book.bids.load([])
+      t.equal(book.bestBid(), undefined)
+      t.equal(book.depthAt('bids', 0.07313), 0)
+    })
+  })
+  describe('isFrozen', () => {
+    it('should follow the frozen flag of the snapshot', async () => {
+      returnOrderBook.resolves(Object.assign({}, snapshot, { isFrozen: '1' }))
+      await book.start()
+      t.ok(book.isFrozen)
+    })
+    it('should follow the frozen flag of the ticker', async () => {
+      await book.start()
+      let frozen = sandbox.spy()
+      book.on('frozen', frozen)
+      push.emit('ticker', { currencyPair: 'BTC_ETH', isFrozen: 1 })
+      push.emit('ticker', { currencyPair: 'BTC_ETH', isFrozen: 1 })
+      push.emit('ticker', { currencyPair: 'BTC_XMR', isFrozen: 0 })
+      t.ok(book.isFrozen)
+      push.emit('ticker', { currencyPair: 'BTC_ETH', isFrozen: 0 })
+      t.deepEqual(frozen.args, [[true], [false]])
+    })
+    it('should not estimate fills of a frozen market', async () => {
+      await book.start()
+      push.emit('ticker', { currencyPair: 'BTC_ETH', isFrozen: 1 })
+      t.throws(() => book.vwap('buy', 1), /market BTC_ETH is frozen/)
+      t.deepEqual(book.bestAsk(), { price: 0.073315, amount: 10 })
+    })
+  })
+  describe('#stop', () => {
+    it('should stop following the market', async () => {
+      await book.start()
+      await book.stop()
+      t.ok(push.unsubscribe.calledWithExactly('BTC_ETH'))
+      t.equal(push.listenerCount('orderBookUpdate'), 0)
+      t.equal(push.listenerCount('trade'), 0)
+      t.equal(push.listenerCount('ticker'), 0)
+    })
+  })
+})
@@ -0,0 +1,328 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexOrders } from '../src/poloniex_orders'
+import { PoloniexPush } from '../src/poloniex_push'
+import { OrderNotFoundError, NetworkError } from '../src/errors'
+import { flush } from './helpers'
+
+const sandbox = sinon.createSandbox()
+
+describe('PoloniexOrders', () => {
+  let client, events
+  let orders: Object
+  let placed = {
+    orderNumber: 31226040,
+    resultingTrades: [{ amount: '0.5', date: '2014-10-18 23:03:21', rate: '0.07100000', total: '0.0355', tradeID: '16164', type: 'buy' }]
+  }
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+    orders = new PoloniexOrders(client)
+    events = []
+    ;['new', 'partial', 'filled', 'cancelled', 'replaced'].forEach((state) => {
+      orders.on(state, (order) => events.push([state, order.orderNumber]))
+    })
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  describe('#buy', () => {
+    it('should place an order and fill it with its resulting trades', async () => {
+      let buy = sandbox.stub(client, 'buy').resolves(placed)
+      let fills = []
+      orders.on('fill', (order, fill) => fills.push(fill))
+      let order = await orders.buy('BTC_ETH', '0.07120000', 2)
+      t.deepEqual(buy.firstCall.args, ['BTC_ETH', '0.07120000', 2, undefined, undefined])
+      t.deepEqual(order, {
+        orderNumber: '31226040',
+        currencyPair: 'BTC_ETH',
+        side: 'buy',
+        rate: 0.0712,
+        amount: 2,
+        filled: 0.5,
+        remaining: 1.5,
+        averagePrice: 0.071,
+        state: 'partial',
+        fills: [{ tradeID: '16164', rate: 0.071, amount: 0.5, date: 1413673401000 }],
+        replaces: undefined,
+        replacedBy: null
+      })
+      t.deepEqual(fills, order.fills)
+      t.deepEqual(events, [['new', '31226040'], ['partial', '31226040']])
+      t.equal(orders.get(31226040), order)
+    })
+    it('should cancel the rest of immediate-or-cancel orders', async () => {
+      sandbox.stub(client, 'buy').resolves(placed)
+      let order = await orders.buy('BTC_ETH', 0.0712, 2, 'immediateOrCancel')
+      t.equal(order.state, 'cancelled')
+      t.equal(order.filled, 0.5)
+      t.deepEqual(orders.open(), [])
+    })
+  })
+  describe('#sell', () => {
+    it('should fill orders that are filled right away', async () => {
+      sandbox.stub(client, 'sell').resolves({ orderNumber: 31226041, resultingTrades: [placed.resultingTrades[0], Object.assign({}, placed.resultingTrades[0], { tradeID: '16165', rate: '0.07300000', amount: '1.5' })] })
+      let order = await orders.sell('BTC_ETH', 0.07, 2)
+      t.equal(order.side, 'sell')
+      t.equal(order.state, 'filled')
+      t.equal(order.remaining, 0)
+      t.ok(Math.abs((order.averagePrice || 0) - 0.0725) < 1e-12)
+      t.deepEqual(events, [['new', '31226041'], ['filled', '31226041']])
+    })
+  })
+  describe('#move', () => {
+    it('should replace the order with the moved order', async () => {
+      sandbox.stub(client, 'buy').resolves({ orderNumber: 1, resultingTrades: [] })
+      let moveOrder = sandbox.stub(client, 'moveOrder').resolves({ success: 1, orderNumber: '2', resultingTrades: { BTC_ETH: [placed.resultingTrades[0]] } })
+      let order = await orders.buy('BTC_ETH', 0.0712, 2)
+      let moved = await orders.move('1', 0.0715)
+      t.deepEqual(moveOrder.firstCall.args, [1, 0.0715, undefined, undefined, { order: { currencyPair: 'BTC_ETH', side: 'buy', amount: 2 } }])
+      t.equal(order.state, 'replaced')
+      t.equal(order.replacedBy, '2')
+      t.equal(moved.replaces, '1')
+      t.equal(moved.amount, 2)
+      t.equal(moved.filled, 0.5)
+      t.deepEqual(events, [['new', '1'], ['new', '2'], ['partial', '2'], ['replaced', '1']])
+    })
+    it('should not settle the order while it is moved', async () => {
+      sandbox.stub(client, 'buy').resolves({ orderNumber: 1, resultingTrades: [] })
+      let resolveMove: Function = () => {}
+      sandbox.stub(client, 'moveOrder').returns(new Promise((resolve) => { resolveMove = resolve }))
+      sandbox.stub(client, 'returnOpenOrders').resolves({})
+      let returnOrderTrades = sandbox.stub(client, 'returnOrderTrades').resolves([])
+      let order = await orders.buy('BTC_ETH', 0.0712, 2)
+      let moving = orders.move('1', 0.0715)
+      t.equal(await orders.update(), false)
+      orders._onAccount({ type: 'orderUpdate', orderNumber: '1', amount: '0' })
+      resolveMove({ success: 1, orderNumber: '2', resultingTrades: { BTC_ETH: [] } })
+      await moving
+      await flush()
+      t.ok(returnOrderTrades.notCalled)
+      t.equal(order.state, 'replaced')
+      t.deepEqual(events, [['new', '1'], ['new', '2'], ['replaced', '1']])
+    })
+    it('should settle the order that left the book once its move failed', async () => {
+      sandbox.stub(client, 'buy').resolves({ orderNumber: 1, resultingTrades: [] })
+      let rejectMove: Function = () => {}
+      sandbox.stub(client, 'moveOrder').returns(new Promise((resolve, reject) => { rejectMove = reject }))
+      sandbox.stub(client, 'returnOpenOrders').resolves({})
+      sandbox.stub(client, 'returnOrderTrades').resolves([{ tradeID: '16164', rate: '0.0712', amount: '2', date: '2014-10-18 23:03:21' }])
+      let order = await orders.buy('BTC_ETH', 0.0712, 2)
+      let moving = orders.move('1', 0.0715)
+      await orders.update()
+      rejectMove(new OrderNotFoundError('Invalid order number, or you are not the person who placed the order.'))
+      await moving.then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof OrderNotFoundError))
+      await flush()
+      t.equal(order.state, 'filled')
+      t.deepEqual(events, [['new', '1'], ['filled', '1']])
+    })
+    it('should reject orders that are not followed', async () => {
+      await orders.move('1', 0.0715).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof OrderNotFoundError)
+        t.equal(err.message, '(poloniex) order 1 is not followed')
+      })
+    })
+  })
+  describe('#cancel', () => {
+    it('should cancel the order', async () => {
+      let cancelOrder = sandbox.stub(client, 'cancelOrder').resolves({ success: 1 })
+      orders.track({ orderNumber: 1, currencyPair: 'BTC_ETH', side: 'sell', rate: 0.08, amount: 1 })
+      let order = await orders.cancel('1')
+      t.deepEqual(cancelOrder.firstCall.args, [1, undefined])
+      t.equal(order.state, 'cancelled')
+      t.deepEqual(events, [['new', '1'], ['cancelled', '1']])
+    })
+  })
+  describe('#update', () => {
+    beforeEach(() => {
+      orders.track({ orderNumber: 1, currencyPair: 'BTC_ETH', side: 'buy', rate: 0.0712, amount: 2 })
+    })
+    it('should do nothing without open orders', async () => {
+      let returnOpenOrders = sandbox.stub(client, 'returnOpenOrders')
+      orders.orders.clear()
+      t.equal(await orders.update(), false)
+      t.equal(returnOpenOrders.callCount, 0)
+    })
+    it('should leave unchanged orders', async () => {
+      sandbox.stub(client, 'returnOpenOrders').resolves({ BTC_ETH: [{ orderNumber: '1', type: 'buy', rate: '0.07120000', amount: '2.00000000' }] })
+      let returnOrderTrades = sandbox.stub(client, 'returnOrderTrades')
+      t.equal(await orders.update(), false)
+      t.equal(returnOrderTrades.callCount, 0)
+    })
+    it('should fill orders filled in part', async () => {
+      sandbox.stub(client, 'returnOpenOrders').resolves({ BTC_ETH: [{ orderNumber: '1', type: 'buy', rate: '0.07120000', amount: '1.50000000' }] })
+      sandbox.stub(client, 'returnOrderTrades').resolves([{ globalTradeID: 25129732, tradeID: '16164', currencyPair: 'BTC_ETH', type: 'buy', rate: '0.07120000', amount: '0.50000000', total: '0.0356', fee: '0.00200000', date: '2016-03-14 01:04:36' }])
+      t.equal(await orders.update(), true)
+      t.equal(orders.get(1).state, 'partial')
+      t.equal(orders.get(1).remaining, 1.5)
+    })
+    it('should fill orders that left the book with their trades', async () => {
+      sandbox.stub(client, 'returnOpenOrders').resolves({ BTC_ETH: [] })
+      sandbox.stub(client, 'returnOrderTrades').resolves([{ tradeID: '16164', rate: '0.07120000', amount: '2.00000000', date: '2016-03-14 01:04:36' }])
+      t.equal(await orders.update(), true)
+      t.deepEqual(events, [['new', '1'], ['filled', '1']])
+    })
+    it('should cancel orders that left the book without trades', async () => {
+      sandbox.stub(client, 'returnOpenOrders').resolves({})
+      sandbox.stub(client, 'returnOrderTrades').rejects(new OrderNotFoundError('Order not found, or you are not the person who placed it.'))
+      t.equal(await orders.update(), true)
+      t.deepEqual(events, [['new', '1'], ['cancelled', '1']])
+    })
+    it('should cancel the rest of orders that left the book filled in part', async () => {
+      sandbox.stub(client, 'returnOpenOrders').resolves({})
+      sandbox.stub(client, 'returnOrderTrades').resolves([{ tradeID: '16164', rate: '0.07120000', amount: '0.50000000', date: '2016-03-14 01:04:36' }])
+      await orders.update()
+      t.deepEqual(events, [['new', '1'], ['partial', '1'], ['cancelled', '1']])
+      t.equal(orders.get(1).filled, 0.5)
+    })
+  })
+  describe('polling', () => {
+    let clock, update
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers()
+      orders = new PoloniexOrders(client, { poll: { delay: 100, maxDelay: 300 } })
+      orders.track({ orderNumber: 1, currencyPair: 'BTC_ETH', side: 'buy', rate: 0.0712, amount: 2 })
+      update = sandbox.stub(orders, 'update').resolves(false)
+    })
+    afterEach(async () => {
+      await orders.stop()
+    })
+    it('should poll less often while nothing changes', async () => {
+      await orders.start()
+      let times = []
+      update.callsFake(async () => { times.push(Date.now()) })
+      for (let i = 0; i < 5; i++) {
+        clock.next()
+        await flush()
+      }
+      t.deepEqual(times, [0, 200, 500, 800, 1100])
+    })
+    it('should poll sooner after a change', async () => {
+      update.resolves(true)
+      await orders.start()
+      clock.next()
+      await flush()
+      clock.tick(99)
+      t.equal(update.callCount, 1)
+      clock.tick(1)
+      t.equal(update.callCount, 2)
+    })
+    it('should emit errors and keep polling', async () => {
+      let errors = []
+      orders.on('error', (err) => errors.push(err))
+      update.rejects(new NetworkError('(poloniex) connection reset'))
+      await orders.start()
+      clock.next()
+      await flush()
+      clock.tick(200)
+      t.equal(update.callCount, 2)
+      t.equal(errors.length, 1)
+    })
+    it('should keep polling without an error listener', async () => {
+      update.rejects(new NetworkError('(poloniex) connection reset'))
+      await orders.start()
+      clock.next()
+      await flush()
+      clock.tick(200)
+      await flush()
+      clock.tick(400)
+      t.equal(update.callCount, 3)
+    })
+    it('should stop polling without open orders', async () => {
+      await orders.start()
+      clock.next()
+      await flush()
+      orders.get(1).state = 'filled'
+      clock.tick(1000)
+      await flush()
+      t.equal(update.callCount, 2)
+      clock.tick(1000)
+      t.equal(update.callCount, 2)
+    })
+    it('should stop polling when stopped', async () => {
+      await orders.start()
+      await orders.stop()
+      clock.tick(1000)
+      t.equal(update.callCount, 0)
+    })
+  })
+  describe('push', () => {
+    let push, connected, subscribe, unsubscribe
+    beforeEach(() => {
+      push = new PoloniexPush({ client: client })
+      connected = true
+      subscribe = sandbox.stub(push, 'subscribe').resolves()
+      unsubscribe = sandbox.stub(push, 'unsubscribe').resolves()
+      sandbox.stub(push, 'isConnected').callsFake(() => connected)
+      orders = new PoloniexOrders(client, { push: push })
+      orders.track({ orderNumber: 1, currencyPair: 'BTC_ETH', side: 'buy', rate: 0.0712, amount: 2 })
+    })
+    afterEach(async () => {
+      await orders.stop()
+    })
+    it('should subscribe to account notifications', async () => {
+      await orders.start()
+      t.deepEqual(subscribe.firstCall.args, ['account'])
+      await orders.stop()
+      t.deepEqual(unsubscribe.firstCall.args, ['account'])
+      t.equal(push.listenerCount('account'), 0)
+    })
+    it('should fill orders with their trades once', async () => {
+      await orders.start()
+      let trade = { type: 'trade', tradeID: 16164, rate: '0.07120000', amount: '0.50000000', feeMultiplier: '0.00100000', fundingType: 0, orderNumber: 1 }
+      push.emit('account', trade)
+      push.emit('account', trade)
+      push.emit('account', Object.assign({}, trade, { orderNumber: 2, tradeID: 16165 }))
+      t.equal(orders.get(1).filled, 0.5)
+      t.deepEqual(orders.get(1).fills, [{ tradeID: '16164', rate: 0.0712, amount: 0.5, date: null }])
+      t.equal(orders.get(1).state, 'partial')
+    })
+    it('should settle orders that left the book', async () => {
+      let returnOrderTrades = sandbox.stub(client, 'returnOrderTrades').resolves([{ tradeID: '16164', rate: '0.07120000', amount: '2.00000000', date: '2016-03-14 01:04:36' }])
+      await orders.start()
+      push.emit('account', { type: 'orderUpdate', orderNumber: 1, amount: '1.00000000' })
+      t.equal(returnOrderTrades.callCount, 0)
+      push.emit('account', { type: 'orderUpdate', orderNumber: 1, amount: '0.00000000' })
+      await flush()
+      t.deepEqual(returnOrderTrades.firstCall.args, [1, undefined])
+      t.equal(orders.get(1).state, 'filled')
+    })
+    it('should not fail settling orders without an error listener', async () => {
+      let returnOrderTrades = sandbox.stub(client, 'returnOrderTrades').rejects(new NetworkError('(poloniex) connection reset'))
+      await orders.start()
+      push.emit('account', { type: 'orderUpdate', orderNumber: 1, amount: '0.00000000' })
+      await flush()
+      t.ok(returnOrderTrades.calledOnce)
+      t.equal(orders.get(1).state, 'new')
+    })
+    it('should not poll while connected', async () => {
+      let clock = sandbox.useFakeTimers()
+      let update = sandbox.stub(orders, 'update').resolves(false)
+      await orders.start()
+      clock.tick(10000)
+      t.equal(update.callCount, 0)
+    })
+    it('should poll while disconnected and once connected again', async () => {
+      let clock = sandbox.useFakeTimers()
+      let update = sandbox.stub(orders, 'update').resolves(false)
+      await orders.start()
+      connected = false
+      push.emit('disconnect', 1006, '')
+      clock.tick(0)
+      await flush()
+      clock.tick(2000)
+      t.equal(update.callCount, 2)
+      connected = true
+      push.emit('open')
+      clock.tick(0)
+      t.equal(update.callCount, 3)
+      await flush()
+      clock.tick(60000)
+      t.equal(update.callCount, 3)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexPortfolio, crossRates } from '../src/poloniex_portfolio'
+
+const sandbox = sinon.createSandbox()
+
+// compare floating point values
+function near (actual: ?number, expected: number) {
+  t.ok(Math.abs((actual || 0) - expected) < 1e-9, `${String(actual)} is not ${expected}`)
+}
+
+describe('PoloniexPortfolio', () => {
+  let ticker = {
+    USDT_BTC: { last: '4000.00000000' },
+    BTC_XMR: { last: '0.02500000' },
+    BTC_ETH: { last: '0.07000000' },
+    ETH_GNT: { last: '0.00100000' },
+    BTC_DEAD: { last: '0.00000000' }
+  }
+  describe('crossRates', () => {
+    it('should rate currencies of markets with the reference currency', () => {
+      let rates = crossRates(ticker, 'BTC')
+      t.deepEqual(rates.BTC, { rate: 1, path: [] })
+      t.deepEqual(rates.XMR, { rate: 0.025, path: ['BTC_XMR'] })
+      t.deepEqual(rates.USDT, { rate: 1 / 4000, path: ['USDT_BTC'] })
+    })
+    it('should cross rates through the fewest markets', () => {
+      let rates = crossRates(ticker, 'USDT')
+      near(rates.XMR.rate, 100)
+      t.deepEqual(rates.XMR.path, ['BTC_XMR', 'USDT_BTC'])
+      near(rates.GNT.rate, 0.28)
+      t.deepEqual(rates.GNT.path, ['ETH_GNT', 'BTC_ETH', 'USDT_BTC'])
+    })
+    it('should not rate currencies without a price', () => {
+      let rates = crossRates(ticker, 'BTC')
+      t.equal(rates.DEAD, undefined)
+      t.deepEqual(Object.keys(crossRates(ticker, 'ABC')), ['ABC'])
+    })
+  })
+  describe('#snapshot', () => {
+    let client
+    beforeEach(() => {
+      client = new Poloniex('key', 'secret')
+      sandbox.stub(client, 'returnTicker').resolves(ticker)
+      sandbox.stub(client, 'returnCompleteBalances').resolves({
+        BTC: { available: '1.00000000', onOrders: '0.50000000', btcValue: '1.50000000' },
+        XMR: { available: '10.00000000', onOrders: '0.00000000', btcValue: '0.25000000' },
+        LTC: { available: '0.00000000', onOrders: '0.00000000', btcValue: '0.00000000' },
+        ABC: { available: '5.00000000', onOrders: '0.00000000', btcValue: '0.00000000' }
+      })
+      sandbox.stub(client, 'returnAvailableAccountBalances').resolves({
+        exchange: { BTC: '1.00000000', XMR: '10.00000000', ABC: '5.00000000' },
+        margin: { BTC: '0.50000000' },
+        lending: { ETH: '2.00000000' }
+      })
+      sandbox.stub(client, 'returnOpenLoanOffers').resolves({
+        ETH: [{ id: 10595, rate: '0.00020000', amount: '1.00000000', duration: 2, autoRenew: 0, date: '2017-10-03 11:40:00' }]
+      })
+      sandbox.stub(client, 'returnActiveLoans').resolves({
+        provided: [{ id: 75073, currency: 'ETH', rate: '0.00020000', amount: '3.00000000', range: 2, autoRenew: 0, date: '2017-10-01 23:45:05', fees: '0.00006000' }],
+        used: [{ id: 75238, currency: 'BTC', rate: '0.00020000', amount: '0.04843834', range: 2, date: '2017-10-01 23:51:12', fees: '-0.00000001' }]
+      })
+      sandbox.stub(client, 'getMarginPosition').resolves({
+        BTC_XMR: { amount: '4.00000000', total: '-0.09000000', basePrice: '0.02250000', liquidationPrice: '0.01500000', pl: '0.01000000', lendingFees: '-0.00100000', type: 'long' },
+        BTC_LTC: { amount: '0.00000000', total: '0.00000000', basePrice: '0.00000000', liquidationPrice: -1, pl: '0.00000000', lendingFees: '0.00000000', type: 'none' }
+      })
+    })
+    afterEach(() => {
+      sandbox.restore()
+    })
+    it('should merge the holdings of all accounts', async () => {
+      let holdings = await new PoloniexPortfolio(client).holdings()
+      t.deepEqual(Object.keys(holdings).sort(), ['ABC', 'BTC', 'ETH', 'XMR'])
+      t.deepEqual(holdings.XMR, { exchange: 10 })
+      t.deepEqual(holdings.ETH, { lending: 6 })
+      t.equal(holdings.BTC.exchange, 1.5)
+      near(holdings.BTC.margin, 0.509)
+    })
+    it('should value assets, accounts and the total in the reference currency', async () => {
+      let snapshot = await new PoloniexPortfolio(client).snapshot()
+      t.equal(snapshot.currency, 'BTC')
+      near(snapshot.assets.BTC.value, 2.009)
+      t.deepEqual(snapshot.assets.ETH, { amount: 6, accounts: { lending: 6 }, rate: 0.07, path: ['BTC_ETH'], value: 6 * 0.07 })
+      near(snapshot.accounts.exchange, 1.75)
+      near(snapshot.accounts.margin, 0.509)
+      near(snapshot.accounts.lending, 0.42)
+      near(snapshot.total, 2.679)
+    })
+    it('should value in another currency', async () => {
+      let snapshot = await new PoloniexPortfolio(client, { currency: 'BTC' }).snapshot('USDT')
+      t.equal(snapshot.currency, 'USDT')
+      near(snapshot.assets.XMR.value, 1000)
+      near(snapshot.total, 2.679 * 4000)
+    })
+    it('should leave currencies without a rate out of the totals', async () => {
+      let snapshot = await new PoloniexPortfolio(client).snapshot()
+      t.deepEqual(snapshot.unpriced, ['ABC'])
+      t.deepEqual(snapshot.assets.ABC, { amount: 5, accounts: { exchange: 5 }, rate: null, path: [], value: null })
+    })
+  })
+})
@@ -0,0 +1,317 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+import nock from 'nock'
+import crypto from 'crypto'
+import EventEmitter from 'events'
+import WebSocket from 'ws'
+
+import { Poloniex } from '../src/poloniex'
+import { PoloniexPush, PUSH_API } from '../src/poloniex_push'
+import { AuthenticationError, ExchangeError, NetworkError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+// resolves with the arguments of the next event
+function once (emitter: EventEmitter, event: string): Promise<Array<any>> {
+  return new Promise((resolve) => emitter.once(event, (...args) => resolve(args)))
+}
+
+describe('PoloniexPush', () => {
+  let server, url, sockets, received, push
+  beforeEach((done) => {
+    nock.enableNetConnect(/^127\.0\.0\.1/)
+    sockets = []
+    received = new EventEmitter()
+    server = new WebSocket.Server({ host: '127.0.0.1', port: 0 })
+    server.on('connection', (socket) => {
+      sockets.push(socket)
+      socket.on('message', (data) => received.emit('command', JSON.parse(data)))
+    })
+    server.once('listening', () => {
+      url = `ws://127.0.0.1:${server.address().port}`
+      push = new PoloniexPush({ url: url, reconnect: { delay: 10, maxDelay: 40 } })
+      done()
+    })
+  })
+  afterEach(async () => {
+    await push.close()
+    await new Promise((resolve) => server.close(resolve))
+    nock.disableNetConnect()
+    sandbox.restore()
+  })
+  // sends a message of the Push API to the last connected client
+  function send (message: Array<any> | Object) {
+    sockets[sockets.length - 1].send(JSON.stringify(message))
+  }
+  it('should default to the Poloniex Push API', () => {
+    t.equal(new PoloniexPush().url, PUSH_API)
+    t.equal(PUSH_API, 'wss://api2.poloniex.com')
+  })
+  describe('#connect', () => {
+    it('should connect to the Push API', async () => {
+      let open = once(push, 'open')
+      await push.connect()
+      await open
+      t.equal(sockets.length, 1)
+    })
+    it('should tell whether it is connected', async () => {
+      t.equal(push.isConnected(), false)
+      await push.connect()
+      t.equal(push.isConnected(), true)
+      await push.close()
+      t.equal(push.isConnected(), false)
+    })
+    it('should subscribe to the channels subscribed before connecting', async () => {
+      push.subscribe('ticker')
+      push.subscribe('BTC_ETH')
+      let commands = []
+      received.on('command', (command) => commands.push(command))
+      await push.connect()
+      await once(received, 'command')
+      if (commands.length < 2) await once(received, 'command')
+      t.deepEqual(commands, [{ command: 'subscribe', channel: 1002 }, { command: 'subscribe', channel: 'BTC_ETH' }])
+    })
+    it('should reject with a network error when the connection fails', async () => {
+      await new Promise((resolve) => server.close(resolve))
+      let failing = new PoloniexPush({ url: url })
+      let closed = once(failing, 'close')
+      await failing.connect().then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof NetworkError)
+        t.equal(err.code, 'ECONNREFUSED')
+        t.equal(err.exchange, 'poloniex')
+      })
+      await closed
+      server = new WebSocket.Server({ host: '127.0.0.1', port: 0 })
+    })
+    it('should name ticker markets after the ticker of the REST client', async () => {
+      let client = new Poloniex()
+      let returnTicker = sandbox.stub(client, 'returnTicker').resolves({ BTC_ETH: { id: 148, last: '0.07313000' } })
+      push = new PoloniexPush({ url: url, client: client })
+      await push.connect()
+      t.ok(returnTicker.calledOnce)
+      t.equal(push.pairs.get(148), 'BTC_ETH')
+    })
+  })
+  describe('#subscribe', () => {
+    beforeEach(() => push.connect())
+    it('should subscribe to numbered channels', async () => {
+      push.subscribe('volume')
+      t.deepEqual((await once(received, 'command'))[0], { command: 'subscribe', channel: 1003 })
+    })
+    it('should subscribe to markets by currency pair', async () => {
+      push.subscribe('BTC_ETH')
+      t.deepEqual((await once(received, 'command'))[0], { command: 'subscribe', channel: 'BTC_ETH' })
+      t.ok(push.subscriptions.has('BTC_ETH'))
+    })
+    it('should sign the subscription to account notifications', async () => {
+      let client = new Poloniex('key', 'secret')
+      sandbox.stub(client.nonceProvider, 'next').resolves(1507000000000)
+      push.client = client
+      push.subscribe('account')
+      let [command] = await once(received, 'command')
+      t.deepEqual(command, {
+        command: 'subscribe',
+        channel: 1000,
+        key: 'key',
+        payload: 'nonce=1507000000000',
+        sign: crypto.createHmac('sha512', 'secret').update('nonce=1507000000000').digest('hex')
+      })
+    })
+    it('should require a client for account notifications', async () => {
+      await push.subscribe('account').then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof AuthenticationError)
+      })
+      t.ok(!push.subscriptions.has('account'))
+    })
+  })
+  describe('#unsubscribe', () => {
+    it('should unsubscribe from a channel', async () => {
+      await push.connect()
+      push.subscribe('ticker')
+      await once(received, 'command')
+      push.unsubscribe('ticker')
+      t.deepEqual((await once(received, 'command'))[0], { command: 'unsubscribe', channel: 1002 })
+      t.equal(push.subscriptions.size, 0)
+    })
+  })
+  describe('updates', () => {
+    beforeEach(() => push.connect())
+    it('should emit ticker updates', async () => {
+      push.pairs.set(148, 'BTC_ETH')
+      send([1002, null, [148, '0.07313000', '0.07331500', '0.07313000', '-0.01230000', '2715.71283465', '36928.66215417', 0, '0.07600000', '0.07200000']])
+      t.deepEqual((await once(push, 'ticker'))[0], {
+        id: 148,
+        currencyPair: 'BTC_ETH',
+        last: '0.07313000',
+        lowestAsk: '0.07331500',
+        highestBid: '0.07313000',
+        percentChange: '-0.01230000',
+        baseVolume: '2715.71283465',
+        quoteVolume: '36928.66215417',
+        isFrozen: 0,
+        high24hr: '0.07600000',
+        low24hr: '0.07200000'
+      })
+    })
+    it('should emit 24-hour volume updates', async () => {
+      send([1003, null, ['2018-11-07 16:26', 5804, { BTC: '3418.409', ETH: '2215.312' }]])
+      t.deepEqual((await once(push, 'volume'))[0], { date: '2018-11-07 16:26', users: 5804, volumes: { BTC: '3418.409', ETH: '2215.312' } })
+    })
+    it('should emit the order book of a market as subscribed', async () => {
+      send([148, 540672081, [['i', { currencyPair: 'BTC_ETH', orderBook: [{ '0.07331500': '10.92972700' }, { '0.07313000': '7.21110596' }] }]]])
+      t.deepEqual((await once(push, 'orderBook'))[0], {
+        currencyPair: 'BTC_ETH',
+        seq: 540672081,
+        asks: { '0.07331500': '10.92972700' },
+        bids: { '0.07313000': '7.21110596' }
+      })
+      t.equal(push.pairs.get(148), 'BTC_ETH')
+    })
+    it('should emit order book updates and trades of a market', async () => {
+      let updates = []
+      push.on('orderBookUpdate', (update) => updates.push(update))
+      push.pairs.set(148, 'BTC_ETH')
+      send([148, 540672082, [['o', 1, '0.07313000', '0.00000000'], ['o', 0, '0.07331500', '5.00000000'], ['t', '43781170', 0, '0.07313000', '0.00199702', 1528900825]]])
+      let [trade] = await once(push, 'trade')
+      t.deepEqual(updates, [
+        { currencyPair: 'BTC_ETH', seq: 540672082, type: 'bid', rate: '0.07313000', amount: '0.00000000' },
+        { currencyPair: 'BTC_ETH', seq: 540672082, type: 'ask', rate: '0.07331500', amount: '5.00000000' }
+      ])
+      t.deepEqual(trade, { currencyPair: 'BTC_ETH', seq: 540672082, tradeID: '43781170', type: 'sell', rate: '0.07313000', amount: '0.00199702', timestamp: 1528900825 })
+    })
+    it('should emit account notifications', async () => {
+      let notifications = []
+      push.on('account', (notification) => notifications.push(notification))
+      push.pairs.set(148, 'BTC_ETH')
+      send([1000, '', [
+        ['b', 28, 'e', '-0.06000000'],
+        ['n', 148, 6083059, 1, '0.03000000', '2.00000000', '2018-09-08 04:54:09'],
+        ['o', 6083059, '1.50000000'],
+        ['t', 38200, '0.03000000', '0.50000000', '0.00150000', 0, 6083059]
+      ]])
+      await once(push, 'account')
+      if (notifications.length < 4) await new Promise((resolve) => setImmediate(resolve))
+      t.deepEqual(notifications, [
+        { type: 'balance', currencyId: 28, wallet: 'exchange', amount: '-0.06000000' },
+        { type: 'newOrder', currencyPair: 'BTC_ETH', orderNumber: 6083059, side: 'buy', rate: '0.03000000', amount: '2.00000000', date: '2018-09-08 04:54:09' },
+        { type: 'orderUpdate', orderNumber: 6083059, amount: '1.50000000' },
+        { type: 'trade', tradeID: 38200, rate: '0.03000000', amount: '0.50000000', feeMultiplier: '0.00150000', fundingType: 0, orderNumber: 6083059 }
+      ])
+    })
+    it('should ignore heartbeats and subscription acknowledgements', async () => {
+      let emit = sandbox.spy(push, 'emit')
+      send([1010])
+      send([1002, 1])
+      send([1003, null, ['2018-11-07 16:26', 5804, {}]])
+      await once(push, 'volume')
+      t.deepEqual(emit.args.map((args) => args[0]), ['volume'])
+    })
+    it('should emit errors sent by the Push API', async () => {
+      send({ error: 'Invalid channel.' })
+      let [err] = await once(push, 'error')
+      t.ok(err instanceof ExchangeError)
+      t.equal(err.message, '(poloniex) Invalid channel.')
+    })
+    it('should keep going after errors without an error listener', async () => {
+      send({ error: 'Invalid channel.' })
+      sockets[sockets.length - 1].send('{')
+      send([1003, null, ['2018-11-07 16:26', 5804, {}]])
+      await once(push, 'volume')
+      t.ok(push.isConnected())
+    })
+  })
+  describe('reconnect', () => {
+    it('should reconnect and subscribe again when the connection drops', async () => {
+      await push.connect()
+      await push.subscribe('BTC_ETH')
+      let disconnect = once(push, 'disconnect')
+      let reconnect = once(push, 'reconnect')
+      sockets[0].terminate()
+      await disconnect
+      t.deepEqual(await reconnect, [1, 10])
+      let [command] = await once(received, 'command')
+      t.deepEqual(command, { command: 'subscribe', channel: 'BTC_ETH' })
+      t.equal(sockets.length, 2)
+      t.equal(push._attempt, 0)
+    })
+    it('should back off between failed attempts', () => {
+      push.on('reconnect', () => {})
+      push._scheduleReconnect({ delay: 10, maxDelay: 25 })
+      clearTimeout(push._reconnectTimer)
+      push._scheduleReconnect({ delay: 10, maxDelay: 25 })
+      clearTimeout(push._reconnectTimer)
+      push._scheduleReconnect({ delay: 10, maxDelay: 25 })
+      clearTimeout(push._reconnectTimer)
+      t.equal(push._attempt, 3)
+    })
+    it('should drop connections without heartbeats', async () => {
+      push = new PoloniexPush({ url: url, reconnect: { delay: 10, maxDelay: 40 }, heartbeatTimeout: 50 })
+      push.subscribe('ticker')
+      await push.connect()
+      await once(push, 'disconnect')
+      await once(push, 'open')
+      t.equal(sockets.length, 2)
+    })
+    it('should not reconnect when disabled', async () => {
+      push = new PoloniexPush({ url: url, reconnect: false })
+      await push.connect()
+      let reconnect = sandbox.spy()
+      push.on('reconnect', reconnect)
+      sockets[0].terminate()
+      await once(push, 'close')
+      t.ok(reconnect.notCalled)
+    })
+  })
+  describe('#close', () => {
+    it('should close the connection for good', async () => {
+      await push.connect()
+      let closed = once(push, 'close')
+      await push.close()
+      await closed
+      t.ok(!push._isOpen())
+    })
+    it('should stop a pending reconnect', async () => {
+      await push.connect()
+      let reconnect = once(push, 'reconnect')
+      sockets[0].terminate()
+      await reconnect
+      let closed = once(push, 'close')
+      await push.close()
+      await closed
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      t.equal(sockets.length, 1)
+    })
+  })
+  describe('#iterate', () => {
+    beforeEach(() => push.connect())
+    it('should iterate over updates', async () => {
+      let trades = push.iterate('trade')
+      t.equal((trades: Object)[(Symbol: any).asyncIterator](), trades)
+      push.pairs.set(148, 'BTC_ETH')
+      send([148, 1, [['t', '1', 1, '0.07', '1', 1528900825], ['t', '2', 0, '0.07', '2', 1528900826]]])
+      let first: Object = await trades.next()
+      let second: Object = await trades.next()
+      t.equal(first.value.tradeID, '1')
+      t.equal(second.value.tradeID, '2')
+    })
+    it('should end once the client is closed', async () => {
+      let trades = push.iterate('trade')
+      push.emit('trade', { tradeID: '1' })
+      let pending = trades.next()
+      let next = trades.next()
+      await push.close()
+      t.deepEqual(await pending, { value: { tradeID: '1' }, done: false })
+      t.deepEqual(await next, { value: undefined, done: true })
+    })
+    it('should stop listening when returned early', async () => {
+      let trades = push.iterate('trade')
+      push.emit('trade', { tradeID: '1' })
+      t.deepEqual(await trades.return(), { value: undefined, done: true })
+      t.equal(push.listenerCount('trade'), 0)
+      t.deepEqual(await trades.next(), { value: undefined, done: true })
+    })
+  })
+})
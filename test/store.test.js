@@ -0,0 +1,65 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { MemoryStore, FileStore } from '../src/store'
+
+describe('stores', () => {
+  describe('MemoryStore', () => {
+    it('should return stored values', async () => {
+      let store = new MemoryStore()
+      t.strictEqual(await store.get('orders'), undefined)
+      await store.set('orders', [{ id: 'a' }])
+      t.deepEqual(await store.get('orders'), [{ id: 'a' }])
+    })
+    it('should store copies of values', async () => {
+      let store = new MemoryStore()
+      let orders = [{ id: 'a' }]
+      await store.set('orders', orders)
+      orders.push({ id: 'b' })
+      t.deepEqual(await store.get('orders'), [{ id: 'a' }])
+    })
+  })
+  describe('FileStore', () => {
+    let dir, file
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'))
+      file = path.join(dir, 'state.json')
+    })
+    afterEach(() => {
+      fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)))
+      fs.rmdirSync(dir)
+    })
+    it('should return nothing before the file exists', async () => {
+      t.strictEqual(await new FileStore(file).get('orders'), undefined)
+    })
+    it('should keep values by key in the file', async () => {
+      let store = new FileStore(file)
+      await store.set('orders', [{ id: 'a' }])
+      await store.set('cursor', 1507000000)
+      t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { orders: [{ id: 'a' }], cursor: 1507000000 })
+      t.deepEqual(fs.readdirSync(dir), ['state.json'])
+    })
+    it('should return the values after a restart', async () => {
+      await new FileStore(file).set('orders', [{ id: 'a' }])
+      t.deepEqual(await new FileStore(file).get('orders'), [{ id: 'a' }])
+    })
+    it('should not lose writes made at once', async () => {
+      let store = new FileStore(file)
+      await Promise.all([store.set('a', 1), store.set('b', 2), store.set('c', 3)])
+      t.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { a: 1, b: 2, c: 3 })
+    })
+    it('should keep writing after a failed write', async () => {
+      fs.writeFileSync(file, 'not json')
+      let store = new FileStore(file)
+      await store.set('a', 1).then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof SyntaxError))
+      fs.unlinkSync(file)
+      await store.set('b', 2)
+      t.deepEqual(await store.get('b'), 2)
+    })
+  })
+})
@@ -0,0 +1,58 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it } from 'mocha'
+
+import { NotSupportedError } from '../src/errors'
+import { UnifiedClient, chronological, splitSymbol, toNumber, toNumberOrNull } from '../src/unified'
+
+describe('unified', () => {
+  describe('UnifiedClient', () => {
+    let client = new UnifiedClient('test')
+    let operations = {
+      fetchTicker: () => client.fetchTicker('ETH/BTC'),
+      fetchOrderBook: () => client.fetchOrderBook('ETH/BTC'),
+      fetchTrades: () => client.fetchTrades('ETH/BTC'),
+      fetchBalances: () => client.fetchBalances(),
+      createOrder: () => client.createOrder({ symbol: 'ETH/BTC', side: 'buy', type: 'limit', amount: 1, price: 0.07 }),
+      cancelOrder: () => client.cancelOrder('1'),
+      fetchOpenOrders: () => client.fetchOpenOrders(),
+      fetchMyTrades: () => client.fetchMyTrades('ETH/BTC')
+    }
+    Object.keys(operations).forEach((operation) => {
+      it(`should reject ${operation} as not supported`, async () => {
+        await operations[operation]().then(() => t.ok(false, 'should reject'), (err) => {
+          t.ok(err instanceof NotSupportedError)
+          t.equal(err.message, `(test) ${operation} is not supported`)
+          t.equal(err.exchange, 'test')
+        })
+      })
+    })
+  })
+  describe('splitSymbol', () => {
+    it('should split a market into its currencies', () => {
+      t.deepEqual(splitSymbol('ETH/BTC'), { base: 'ETH', quote: 'BTC' })
+    })
+    it('should throw on symbols that are not BASE/QUOTE', () => {
+      t.throws(() => splitSymbol('BTC_ETH'), /invalid market symbol BTC_ETH, expected BASE\/QUOTE/)
+      t.throws(() => splitSymbol('eth/btc'), /invalid market symbol/)
+    })
+  })
+  describe('toNumber', () => {
+    it('should parse numeric strings', () => {
+      t.strictEqual(toNumber('0.00007600'), 0.000076)
+      t.strictEqual(toNumber(12), 12)
+    })
+    it('should keep missing values as null', () => {
+      t.strictEqual(toNumberOrNull(undefined), null)
+      t.strictEqual(toNumberOrNull(null), null)
+      t.strictEqual(toNumberOrNull('1.5'), 1.5)
+    })
+  })
+  describe('chronological', () => {
+    it('should sort trades oldest first', () => {
+      let trade = (id, timestamp) => ({ id: id, symbol: 'ETH/BTC', timestamp: timestamp, side: 'buy', price: 1, amount: 1, cost: 1, orderId: null, fee: null })
+      t.deepEqual(chronological([trade('2', 2000), trade('1', 1000)]).map((trade) => trade.id), ['1', '2'])
+    })
+  })
+})
@@ -0,0 +1,190 @@
+/* @flow */
+
+import t from 'assert'
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import * as sinon from 'sinon'
+
+import { Poloniex } from '../src/poloniex'
+import { WithdrawalGuard, poloniexWithdrawals } from '../src/withdrawals'
+import { MemoryStore } from '../src/store'
+import { NetworkError, WithdrawalRejectedError } from '../src/errors'
+
+const sandbox = sinon.createSandbox()
+
+const BTC_ADDRESS = '18Npsu6qDjyD46S87DPU8YvAk1MWW6puBu'
+const XMR_ADDRESS = '4JUdGzvrMFDWrUUwY3toJATSeNwjn54LkCnKBPRzDuhzi5vSepHfUckJNxRL2gjkNrSqtCoRUrEDAgRwsQvVCjZbRy5YQGxpJ3cPDJ42tP'
+
+describe('WithdrawalGuard', () => {
+  let client, withdraw, store
+  beforeEach(() => {
+    client = new Poloniex('key', 'secret')
+    sandbox.stub(client, 'returnCurrencies').resolves({
+      BTC: { id: 28, name: 'Bitcoin', txFee: '0.00050000', minConf: 1, depositAddress: null, disabled: 0, delisted: 0, frozen: 0 },
+      XMR: { id: 214, name: 'Monero', txFee: '0.01000000', minConf: 6, depositAddress: 'poloniex-xmr', disabled: 0, delisted: 0, frozen: 0 },
+      BTS: { id: 14, name: 'BitShares', txFee: '5.00000000', minConf: 50, depositAddress: 'poloniexwallet', disabled: 1, delisted: 0, frozen: 0 }
+    })
+    withdraw = sandbox.stub(client, 'withdraw').resolves({ response: 'Withdrew 0.5 BTC.' })
+    store = new MemoryStore()
+  })
+  afterEach(() => {
+    sandbox.restore()
+  })
+  // a guard of the client with its audit log in the store
+  function guard (rules?: Object): WithdrawalGuard {
+    return new WithdrawalGuard(poloniexWithdrawals(client), Object.assign({}, {
+      allowlist: { BTC: [BTC_ADDRESS], XMR: [{ address: XMR_ADDRESS, paymentId: 'a1b2' }], BTS: ['bittrex-deposit'] },
+      limits: { BTC: { max: 1, daily: 1.5 } },
+      store: store
+    }, rules))
+  }
+  // reject with a WithdrawalRejectedError
+  async function rejects (promise: Promise<any>, reason: RegExp) {
+    await promise.then(() => t.ok(false, 'should reject'), (err) => {
+      t.ok(err instanceof WithdrawalRejectedError)
+      t.equal(err.exchange, 'poloniex')
+      t.ok(reason.test(err.message), err.message)
+    })
+  }
+  describe('#withdraw', () => {
+    it('should send withdrawals the rules allow and record them', async () => {
+      let audits = []
+      let withdrawals = guard()
+      withdrawals.on('audit', (entry) => audits.push(entry))
+      let result = await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS })
+      t.equal(result.status, 'sent')
+      t.deepEqual(result.result, { response: 'Withdrew 0.5 BTC.' })
+      t.deepEqual(withdraw.firstCall.args, ['BTC', 0.5, BTC_ADDRESS, undefined, undefined])
+      let audit = await withdrawals.audit()
+      t.equal(audit.length, 1)
+      t.equal(audit[0].id, result.id)
+      t.equal(audit[0].status, 'sent')
+      t.equal(audit[0].amount, '0.5')
+      t.deepEqual(audits, audit)
+    })
+    it('should reject addresses that are not allowed', async () => {
+      let withdrawals = guard()
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: '1BoatSLRHtKNngkdXEeobR76b53LETtpyT' }), /not an allowed BTC address/)
+      await rejects(withdrawals.withdraw({ currency: 'ETH', amount: 1, address: BTC_ADDRESS }), /not an allowed ETH address/)
+      t.equal(withdraw.callCount, 0)
+      t.deepEqual((await withdrawals.audit()).map((entry) => [entry.status, entry.currency]), [['rejected', 'BTC'], ['rejected', 'ETH']])
+    })
+    it('should require the payment id of currencies that need one', async () => {
+      let withdrawals = guard({ allowlist: { XMR: [XMR_ADDRESS] } })
+      await rejects(withdrawals.withdraw({ currency: 'XMR', amount: 2, address: XMR_ADDRESS }), /need a payment id/)
+      await withdrawals.withdraw({ currency: 'XMR', amount: 2, address: XMR_ADDRESS, paymentId: 'c3d4' })
+      t.deepEqual(withdraw.firstCall.args, ['XMR', 2, XMR_ADDRESS, 'c3d4', undefined])
+    })
+    it('should only allow the payment id of an allowed address', async () => {
+      await rejects(guard().withdraw({ currency: 'XMR', amount: 2, address: XMR_ADDRESS, paymentId: 'c3d4' }), /payment id is not the one allowed/)
+      t.equal(withdraw.callCount, 0)
+    })
+    it('should reject currencies that are names of object properties', async () => {
+      let withdrawals = guard()
+      await rejects(withdrawals.withdraw({ currency: '__proto__', amount: 1, address: BTC_ADDRESS }), /not an allowed __proto__ address/)
+      await rejects(withdrawals.withdraw({ currency: 'constructor', amount: 1, address: BTC_ADDRESS }), /not an allowed constructor address/)
+      t.equal(withdraw.callCount, 0)
+      t.deepEqual((await withdrawals.audit()).map((entry) => entry.status), ['rejected', 'rejected'])
+    })
+    it('should record withdrawals that could not be checked', async () => {
+      client.returnCurrencies.rejects(new NetworkError('(poloniex) connection reset'))
+      let withdrawals = guard()
+      await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS }).then(() => t.ok(false, 'should reject'), (err) => {
+        t.ok(err instanceof NetworkError)
+      })
+      t.equal(withdraw.callCount, 0)
+      t.deepEqual((await withdrawals.audit()).map((entry) => [entry.status, entry.reason]), [['rejected', '(poloniex) connection reset']])
+    })
+    it('should reject disabled currencies and amounts below the fee', async () => {
+      let withdrawals = guard()
+      await rejects(withdrawals.withdraw({ currency: 'BTS', amount: 100, address: 'bittrex-deposit', paymentId: '1234' }), /withdrawals of BTS are disabled/)
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: '0.0005', address: BTC_ADDRESS }), /does not cover the withdrawal fee of 0.0005 BTC/)
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: 0, address: BTC_ADDRESS }), /not positive/)
+      t.equal(withdraw.callCount, 0)
+    })
+    it('should keep withdrawals within the limits', async () => {
+      let clock = sandbox.useFakeTimers(new Date('2017-10-03T12:00:00Z').getTime())
+      let withdrawals = guard()
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: 1.2, address: BTC_ADDRESS }), /limit of 1 per withdrawal/)
+      await withdrawals.withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS })
+      clock.tick(12 * 60 * 60 * 1000)
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: 0.6, address: BTC_ADDRESS }), /daily limit of 1.5, 1 were withdrawn/)
+      await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS })
+      clock.tick(12 * 60 * 60 * 1000)
+      await withdrawals.withdraw({ currency: 'BTC', amount: 0.6, address: BTC_ADDRESS })
+      t.deepEqual(withdraw.args.map((args) => args[1]), [1, 0.5, 0.6])
+    })
+    it('should not exceed the daily limit with concurrent withdrawals', async () => {
+      let withdrawals = guard()
+      let results = await Promise.all([0.8, 0.8].map((amount) => withdrawals.withdraw({ currency: 'BTC', amount: amount, address: BTC_ADDRESS }).then(() => 'sent', () => 'rejected')))
+      t.deepEqual(results, ['sent', 'rejected'])
+    })
+    it('should count failed withdrawals towards the limits', async () => {
+      withdraw.onFirstCall().rejects(new NetworkError('(poloniex) request timed out'))
+      let withdrawals = guard()
+      await withdrawals.withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS }).then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof NetworkError))
+      await rejects(withdrawals.withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS }), /daily limit/)
+      t.deepEqual((await withdrawals.audit()).map((entry) => [entry.status, entry.reason]).slice(0, 1), [['failed', '(poloniex) request timed out']])
+    })
+    it('should keep the limits across restarts with the audit log', async () => {
+      await guard().withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS })
+      await rejects(guard().withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS }), /daily limit/)
+    })
+  })
+  describe('#confirm', () => {
+    it('should hold withdrawals until they are confirmed', async () => {
+      let withdrawals = guard({ confirm: true })
+      let pending = await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS })
+      t.equal(pending.status, 'pending')
+      t.equal(withdraw.callCount, 0)
+      let result = await withdrawals.confirm(pending.token || '')
+      t.equal(result.status, 'sent')
+      t.equal(result.id, pending.id)
+      t.equal(withdraw.callCount, 1)
+      t.deepEqual((await withdrawals.audit()).map((entry) => [entry.id, entry.status]), [[pending.id, 'pending'], [pending.id, 'sent']])
+      await rejects(withdrawals.confirm(pending.token || ''), /no withdrawal is pending/)
+    })
+    it('should reject expired confirmations', async () => {
+      let clock = sandbox.useFakeTimers()
+      let withdrawals = guard({ confirm: true, confirmTtl: 1000 })
+      let pending = await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS })
+      clock.tick(1001)
+      await rejects(withdrawals.confirm(pending.token || ''), /confirmation expired/)
+      t.equal(withdraw.callCount, 0)
+      t.deepEqual((await withdrawals.audit()).map((entry) => entry.status), ['pending', 'expired'])
+    })
+    it('should check confirmed withdrawals against the limits again', async () => {
+      let withdrawals = guard({ confirm: true })
+      let first = await withdrawals.withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS })
+      let second = await withdrawals.withdraw({ currency: 'BTC', amount: 1, address: BTC_ADDRESS })
+      await withdrawals.confirm(first.token || '')
+      await rejects(withdrawals.confirm(second.token || ''), /daily limit/)
+      t.equal(withdraw.callCount, 1)
+    })
+    it('should keep withdrawals pending when their confirmation is rejected', async () => {
+      let withdrawals = guard({ confirm: true })
+      let pending = await withdrawals.withdraw({ currency: 'BTC', amount: 0.5, address: BTC_ADDRESS })
+      client.returnCurrencies.onSecondCall().rejects(new NetworkError('(poloniex) socket hang up'))
+      await withdrawals.confirm(pending.token || '').then(() => t.ok(false, 'should reject'), (err) => t.ok(err instanceof NetworkError))
+      let result = await withdrawals.confirm(pending.token || '')
+      t.equal(result.status, 'sent')
+      t.deepEqual((await withdrawals.audit()).map((entry) => entry.status), ['pending', 'rejected', 'sent'])
+    })
+    it('should record confirmations of unknown tokens', async () => {
+      let withdrawals = guard({ confirm: true })
+      await rejects(withdrawals.confirm('0123456789abcdef'), /no withdrawal is pending/)
+      let [entry] = await withdrawals.audit()
+      t.deepEqual(Object.assign({}, entry, { id: null, date: null }), {
+        id: null,
+        date: null,
+        exchange: 'poloniex',
+        currency: null,
+        amount: null,
+        address: null,
+        paymentId: null,
+        status: 'rejected',
+        reason: 'no withdrawal is pending for this token',
+        result: null
+      })
+    })
+  })
+})